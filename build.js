@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+// Builds the plugin's code.js and ui.html from src/. Figma loads each as a single file, so the
+// modules src/code.js and src/ui.js require are bundled in ahead of them; cli.js requires the
+// same modules directly. The built files are committed: manifest.json points Figma at them and
+// the plugin is imported straight from a checkout, with no build step in between.
+//
+//   node build.js           write code.js and ui.html
+//   node build.js --check   exit 1 when they are out of date with src/
+
+const fs = require('fs');
+const path = require('path');
+
+const SRC = path.join(__dirname, 'src');
+const REQUIRE_PATTERN = /\brequire\('\.\/([\w-]+)'\)/g;
+
+function readSource(name) {
+  return fs.readFileSync(path.join(SRC, name), 'utf8').replace(/\r\n/g, '\n').replace(/\n+$/, '');
+}
+
+// Every module the entry requires, directly or through other modules, dependencies first
+function collectModules(source, modules = []) {
+  for (const [, name] of source.matchAll(REQUIRE_PATTERN)) {
+    if (modules.some(module => module.name === name)) continue;
+    const module = { name, source: readSource(name + '.js') };
+    modules.push(module);
+    collectModules(module.source, modules);
+  }
+  return modules;
+}
+
+// The entry runs at the top level, as the plugin's scripts always have (ui.html's inline handlers
+// call its functions); each module runs once, on its first require, with its own scope. ES5, for
+// the UI's script
+function bundle(entry) {
+  const source = readSource(entry);
+  const modules = collectModules(source).map(module => `    './${module.name}': function(module, exports, require) {
+${module.source}
+    }`);
+  return `var require = (function() {
+  var modules = {
+${modules.join(',\n')}
+  };
+  var cache = {};
+  return function require(name) {
+    if (!cache[name]) {
+      cache[name] = { exports: {} };
+      modules[name](cache[name], cache[name].exports, require);
+    }
+    return cache[name].exports;
+  };
+})();
+
+${source}`;
+}
+
+function buildCode() {
+  return `// Generated by build.js from src/code.js and the modules it requires; edit those and run node build.js
+
+${bundle('code.js')}`;
+}
+
+function buildUI() {
+  const html = readSource('ui.html');
+  const script = bundle('ui.js').split('\n').map(line => line && '    ' + line).join('\n');
+  return html
+    .replace('<!DOCTYPE html>', '<!DOCTYPE html>\n<!-- Generated by build.js from src/ui.html, src/ui.js and the modules it requires; edit those and run node build.js -->')
+    .replace('<script src="ui.js"></script>', () => `<script>\n${script}\n  </script>`);
+}
+
+// Same line endings as the files have always had
+function toFileContent(text) {
+  return text.replace(/\n/g, '\r\n');
+}
+
+function main() {
+  const check = process.argv.includes('--check');
+  const outputs = [
+    { file: 'code.js', content: toFileContent(buildCode()) },
+    { file: 'ui.html', content: toFileContent(buildUI()) }
+  ];
+  let changed = 0;
+  for (const output of outputs) {
+    const target = path.join(__dirname, output.file);
+    if (check) {
+      const current = fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : null;
+      if (current !== output.content) {
+        console.error(`${output.file} is out of date with src/, run node build.js`);
+        changed++;
+      }
+    } else {
+      fs.writeFileSync(target, output.content);
+      console.log(`wrote ${output.file}`);
+    }
+  }
+  return changed > 0 ? 1 : 0;
+}
+
+process.exitCode = main();
@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+// Runs the plugin's export on saved Figma REST API responses and writes the outputs to disk,
+// for CI and scripts. The scan (src/processors.js) and the formatters (src/formatters.js) are the
+// modules the plugin is built from, so the files match what the plugin produces for the same
+// settings.
+
+const fs = require('fs');
+const path = require('path');
+const { createFigmaFromRest } = require('./rest-figma');
+const { exportStylesAndVariables } = require('./src/processors');
+const formatters = require('./src/formatters');
+
+const USAGE = `Usage: node cli.js --variables <file> [options]
+
+Inputs (saved Figma REST API responses):
+  --variables <file>      GET /v1/files/:key/variables/local
+  --styles <file>         GET /v1/files/:key/styles
+  --nodes <file>          GET /v1/files/:key/nodes?ids=<the styles' node_ids>
+
+Output:
+  --settings <file>       settings copied from the plugin (Export Settings > Copy settings for the CLI)
+  --format <list>         comma-separated formats, e.g. css,json (default: the settings' format, or json)
+  --out <dir>             output directory (default: .)
+  --bundle                write the zip bundle's files instead of one file per format
+  --check                 compare with the files in --out instead of writing, and list files in the
+                          export's folders that it no longer writes; exits 1 when anything differs
+  --color-format <name>   hex, hex8, rgb, hsl, oklch or display-p3
+  --keep-aliases          keep variable aliases as references
+
+File details the dumps don't carry:
+  --file-key <key>        metadata.figmaFileKey (default: the styles' file_key)
+  --file-name <name>      metadata.fileName (default: the nodes dump's name)
+  --color-profile <name>  the document color profile: LEGACY, SRGB or DISPLAY_P3 (default: LEGACY)
+  --export-date <date>    fixed metadata.exportDate, for reproducible output`;
+
+const VALUE_FLAGS = ['variables', 'styles', 'nodes', 'settings', 'format', 'out', 'color-format', 'file-key', 'file-name', 'color-profile', 'export-date'];
+const BOOLEAN_FLAGS = ['bundle', 'check', 'keep-aliases', 'help'];
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i].replace(/^--/, '');
+    if (BOOLEAN_FLAGS.includes(flag)) {
+      args[flag] = true;
+    } else if (VALUE_FLAGS.includes(flag) && i + 1 < argv.length) {
+      args[flag] = argv[++i];
+    } else {
+      throw new Error(`Unknown or incomplete option ${argv[i]}\n\n${USAGE}`);
+    }
+  }
+  return args;
+}
+
+function readJSON(file) {
+  if (!file) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read ${file}: ${error.message}`);
+  }
+}
+
+// Files in the folders the export writes to (and in other formats' folders, when there is one
+// folder per format) that it didn't produce, such as a collection or mode that was removed.
+// Files right in --out are left out, since it may be a folder shared with other files.
+function findStaleFiles(outDir, files, formatFolders) {
+  const expected = new Set(files.map(file => path.join(outDir, file.path)));
+  const folders = new Set(files.filter(file => file.path.includes('/')).map(file => file.path.split('/')[0]));
+  if (formatFolders) Object.keys(formatters.FILE_EXTENSIONS).forEach(format => folders.add(format));
+
+  const stale = [];
+  const walk = dir => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const target = path.join(dir, entry.name);
+      if (entry.isDirectory()) walk(target);
+      else if (!expected.has(target)) stale.push(target);
+    }
+  };
+  for (const folder of folders) {
+    const dir = path.join(outDir, folder);
+    if (fs.existsSync(dir) && fs.statSync(dir).isDirectory()) walk(dir);
+  }
+  return stale.sort();
+}
+
+function parseExportDate(exportDate) {
+  if (!exportDate) return undefined;
+  const time = new Date(exportDate).getTime();
+  if (isNaN(time)) throw new Error(`Invalid --export-date ${exportDate}`);
+  return new Date(time).toISOString();
+}
+
+// The processors read the Plugin API global, as in Figma, and log their progress to the
+// plugin's console, which has no place in the CLI's output
+async function scan(figma, options) {
+  const { log, warn, error } = console;
+  global.figma = figma;
+  console.log = console.warn = console.error = () => {};
+  try {
+    return await exportStylesAndVariables(options);
+  } finally {
+    Object.assign(console, { log, warn, error });
+    delete global.figma;
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!args.variables && !args.styles) throw new Error(`Pass --variables and/or --styles\n\n${USAGE}`);
+  if (args.styles && !args.nodes) throw new Error('--styles needs --nodes: style values are only in the style nodes');
+
+  const settings = readJSON(args.settings) || {};
+  if (args['color-format']) settings.colorFormat = args['color-format'];
+  if (args['keep-aliases']) settings.keepAliases = true;
+  const formats = args.format ? args.format.split(',').map(format => format.trim()) : [settings.format || 'json'];
+
+  const { figma, warnings } = createFigmaFromRest({
+    variables: readJSON(args.variables),
+    styles: readJSON(args.styles),
+    nodes: readJSON(args.nodes)
+  }, {
+    fileKey: args['file-key'],
+    fileName: args['file-name'],
+    colorProfile: args['color-profile']
+  });
+  warnings.forEach(warning => console.warn(`warning: ${warning}`));
+
+  const unknown = formats.filter(format => !formatters.FILE_EXTENSIONS[format]);
+  if (unknown.length > 0) throw new Error(`Unknown format ${unknown.join(', ')}`);
+
+  const exportDate = parseExportDate(args['export-date']);
+  // Cloned like postMessage does between the plugin and its UI
+  const data = JSON.parse(JSON.stringify(await scan(figma, { colorFormat: settings.colorFormat, exportDate })));
+  const options = formatters.toExportOptions(settings);
+  const validation = settings.validation || { rules: '', blockOnErrors: false };
+  const report = formatters.validateExport(data, options, validation);
+  report.warnings.forEach(issue => console.warn(`warning: ${issue.kind} ${issue.name} (${issue.reason})`));
+  report.errors.forEach(issue => console.error(`error: ${issue.kind} ${issue.name} (${issue.reason})`));
+  if (validation.blockOnErrors && report.errors.length > 0) {
+    console.error('Export blocked by errors (validation.blockOnErrors is on)');
+    return 1;
+  }
+
+  // One folder per format when there are several, as in the bundle (css and tailwind4 share a filename)
+  const files = args.bundle
+    ? formatters.buildBundle(data, formats, options)
+    : formats.map(format => ({
+      path: (formats.length > 1 ? format + '/' : '') + formatters.getDownloadFilename(format),
+      content: formatters.formatData(data, format, options)
+    }));
+
+  const outDir = args.out || '.';
+  let changed = 0;
+  for (const file of files) {
+    const target = path.join(outDir, file.path);
+    if (args.check) {
+      const current = fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : null;
+      if (current !== file.content) {
+        console.error(`${current === null ? 'missing' : 'changed'}: ${target}`);
+        changed++;
+      }
+    } else {
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, file.content);
+      console.log(`wrote ${target}`);
+    }
+  }
+  if (args.check) {
+    const stale = findStaleFiles(outDir, files, formats.length > 1);
+    stale.forEach(file => console.error(`stale: ${file}`));
+    console.log(changed > 0 ? `${changed} of ${files.length} file(s) out of date` : `${files.length} file(s) up to date`);
+    if (stale.length > 0) console.log(`${stale.length} stale file(s) the export no longer writes`);
+    changed += stale.length;
+  }
+  return changed > 0 ? 1 : 0;
+}
+
+main().then(code => {
+  process.exitCode = code;
+}).catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
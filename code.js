@@ -1,25 +1,14 @@
-// Figma Plugin: Styles & Variables Exporter
-// Compatible with documentAccess: dynamic-page
-
-figma.showUI(__html__, { width: 400, height: 600 });
+// Generated by build.js from src/code.js and the modules it requires; edit those and run node build.js
 
-figma.ui.onmessage = async (msg) => {
-  if (msg.type === 'export-data') {
-    try {
-      figma.ui.postMessage({ type: 'export-start' });
-      const data = await exportStylesAndVariables();
-      figma.ui.postMessage({ type: 'export-complete', data });
-    } catch (error) {
-      console.error('Export error:', error);
-      figma.ui.postMessage({ 
-        type: 'export-error', 
-        message: error.message || 'An unexpected error occurred during export'
-      });
-    }
-  }
-};
+var require = (function() {
+  var modules = {
+    './processors': function(module, exports, require) {
+// The export scan: reads the file's styles and variables through the Plugin API and turns them
+// into the data the UI formats. code.js runs it in Figma; cli.js runs it on REST API dumps put
+// behind the same API by rest-figma.js.
 
-async function exportStylesAndVariables() {
+async function exportStylesAndVariables(options = {}) {
+  const colorFormat = COLOR_FORMATS.includes(options.colorFormat) ? options.colorFormat : 'hex';
   const data = {
     styles: {
       colors: [],
@@ -28,17 +17,27 @@ async function exportStylesAndVariables() {
       gridStyles: []
     },
     collections: {}, // Group variables by collection
+    issues: [], // Skipped items and value problems, for the UI's validation report
     metadata: {
-      exportDate: new Date().toISOString(),
+      // The CLI can pin the date so repeated runs give the same files
+      exportDate: options.exportDate || new Date().toISOString(),
       figmaFileKey: figma.fileKey || 'unknown',
       fileName: figma.root.name || 'Untitled',
+      colorProfile: figma.root.documentColorProfile || 'LEGACY',
+      colorFormat: colorFormat,
       pluginVersion: '1.0.0'
     }
   };
 
+  // Checked before the scan so an empty selection gets its own message
+  const selectionUsage = options.selectionOnly ? findSelectionUsage() : null;
+  if (selectionUsage) {
+    data.metadata.selection = figma.currentPage.selection.map(node => node.name);
+  }
+
   try {
     // Use Promise.all for parallel async operations to improve performance
-    const [
+    let [
       paintStyles,
       textStyles, 
       effectStyles,
@@ -54,58 +53,87 @@ async function exportStylesAndVariables() {
       figma.variables.getLocalVariableCollectionsAsync()
     ]);
 
+    // Library tokens go through the same processing as local ones and are tagged afterwards
+    const libraryNames = new Map();
+    if (options.includeLibraries) {
+      const library = await collectLibraryTokens(data.issues, libraryNames);
+      paintStyles.push(...library.paintStyles);
+      textStyles.push(...library.textStyles);
+      effectStyles.push(...library.effectStyles);
+      gridStyles.push(...library.gridStyles);
+      variables.push(...library.variables);
+      collections.push(...library.collections);
+      data.metadata.libraries = Array.from(new Set(libraryNames.values()));
+    }
+
+    if (selectionUsage) {
+      ({ paintStyles, textStyles, effectStyles, gridStyles, variables, collections } =
+        await scopeTokensToUsage({ paintStyles, textStyles, effectStyles, gridStyles, variables, collections }, selectionUsage, data.issues));
+    }
+
     console.log(`Found ${collections.length} collections, ${variables.length} variables total`);
 
+    // Collection lookup and export names, also used for variables bound to text styles
+    const collectionMap = new Map();
+    const collectionNames = getCollectionExportNames(collections, libraryNames);
+
     // Process color styles
     for (const style of paintStyles) {
       try {
-        const colorData = await processColorStyle(style);
+        const colorData = await processColorStyle(style, data.issues, colorFormat);
         if (colorData) {
+          tagLibrarySource(colorData, style, libraryNames);
           data.styles.colors.push(colorData);
         }
       } catch (error) {
         console.warn(`Failed to process color style ${style.name}:`, error);
+        addIssue(data.issues, 'error', 'color style', style.name, `failed to process: ${error.message}`);
       }
     }
 
     // Process text styles
     for (const style of textStyles) {
       try {
-        const textData = await processTextStyle(style);
+        const textData = await processTextStyle(style, collectionMap, data.issues, collectionNames);
         if (textData) {
+          tagLibrarySource(textData, style, libraryNames);
           data.styles.textStyles.push(textData);
         }
       } catch (error) {
         console.warn(`Failed to process text style ${style.name}:`, error);
+        addIssue(data.issues, 'error', 'text style', style.name, `failed to process: ${error.message}`);
       }
     }
 
     // Process effect styles
     for (const style of effectStyles) {
       try {
-        const effectData = await processEffectStyle(style);
+        const effectData = await processEffectStyle(style, data.issues, colorFormat);
         if (effectData) {
+          tagLibrarySource(effectData, style, libraryNames);
           data.styles.effectStyles.push(effectData);
         }
       } catch (error) {
         console.warn(`Failed to process effect style ${style.name}:`, error);
+        addIssue(data.issues, 'error', 'effect style', style.name, `failed to process: ${error.message}`);
       }
     }
 
     // Process grid styles
     for (const style of gridStyles) {
       try {
-        const gridData = await processGridStyle(style);
+        const gridData = await processGridStyle(style, data.issues);
         if (gridData) {
+          tagLibrarySource(gridData, style, libraryNames);
           data.styles.gridStyles.push(gridData);
         }
       } catch (error) {
         console.warn(`Failed to process grid style ${style.name}:`, error);
+        addIssue(data.issues, 'error', 'grid style', style.name, `failed to process: ${error.message}`);
       }
     }
 
-    // Create collection lookup map and initialize collection structure
-    const collectionMap = new Map();
+    // Fill the collection lookup map and initialize collection structure
     collections.forEach(collection => {
       collectionMap.set(collection.id, collection);
       
@@ -114,8 +142,9 @@ async function exportStylesAndVariables() {
       
       // Include all collections (remove underscore filtering)
       if (collection.name) {
-        data.collections[collection.name] = {
+        data.collections[collectionNames.get(collection.id)] = {
           id: collection.id,
+          defaultModeId: collection.defaultModeId,
           modes: collection.modes.map(mode => {
 
             return {
@@ -130,6 +159,7 @@ async function exportStylesAndVariables() {
             booleans: []
           }
         };
+        tagLibrarySource(data.collections[collectionNames.get(collection.id)], collection, libraryNames);
       }
     });
 
@@ -141,18 +171,21 @@ async function exportStylesAndVariables() {
     for (const variable of variables) {
       try {
         const collection = collectionMap.get(variable.variableCollectionId);
-        const collectionName = (collection && collection.name) ? collection.name : 'Other';
+        const collectionName = collectionNames.get(variable.variableCollectionId) ||
+          ((collection && collection.name) ? collection.name : 'Other');
         
         // Skip duplicate variables (same name in same collection)
         const variableKey = `${collectionName}:${variable.name}`;
         if (processedVariableNames.has(variableKey)) {
           console.log(`  Skipping duplicate variable: "${variable.name}" in "${collectionName}"`);
+          addIssue(data.issues, 'error', 'variable', `${collectionName} / ${variable.name}`, 'duplicate name in the collection, skipped');
           skippedCount++;
           continue;
         }
         
-        const varData = await processVariable(variable, collectionMap);
+        const varData = await processVariable(variable, collectionMap, data.issues, collectionNames, colorFormat);
         if (varData) {
+          tagLibrarySource(varData, variable, libraryNames);
           processedVariableNames.add(variableKey);
           processedCount++;
           
@@ -160,6 +193,7 @@ async function exportStylesAndVariables() {
           if (!data.collections[collectionName]) {
             data.collections[collectionName] = {
               id: variable.variableCollectionId,
+              defaultModeId: collection ? collection.defaultModeId : undefined,
               modes: collection ? collection.modes.map(mode => ({
                 id: mode.modeId || mode.id,
                 name: mode.name || `Mode ${mode.modeId || mode.id}`
@@ -189,13 +223,12 @@ async function exportStylesAndVariables() {
               break;
           }
         } else {
-          const collection = collectionMap.get(variable.variableCollectionId);
-          const collectionName = (collection && collection.name) ? collection.name : 'Unknown';
-
+          addIssue(data.issues, 'error', 'variable', `${collectionName} / ${variable.name}`, 'no valid value in any mode, skipped');
           skippedCount++;
         }
       } catch (error) {
         console.warn(`Failed to process variable ${variable.name}:`, error);
+        addIssue(data.issues, 'error', 'variable', variable.name, `failed to process: ${error.message}`);
         skippedCount++;
       }
     }
@@ -232,7 +265,6 @@ async function exportStylesAndVariables() {
     console.log(`- Collections found: ${collections.length}`);
     console.log(`- Collections exported: ${Object.keys(data.collections).length}`);
     console.log(`- Exported collection names:`, Object.keys(data.collections));
-    console.log(`- Full collections object:`, JSON.stringify(data.collections, null, 2));
     
     Object.keys(data.collections).forEach(name => {
       const collection = data.collections[name];
@@ -255,6 +287,219 @@ async function exportStylesAndVariables() {
   return data;
 }
 
+// Team library tokens: the library styles and variables that nodes in the file use, and the
+// variables those styles bind and those variables alias. Only what the file already has is read:
+// importing every library variable by key would add them all to the document. Used styles are
+// re-imported by key so the export has the published values. Records each library collection's
+// name in libraryNames.
+async function collectLibraryTokens(issues, libraryNames) {
+  const library = {
+    paintStyles: [],
+    textStyles: [],
+    effectStyles: [],
+    gridStyles: [],
+    variables: [],
+    collections: []
+  };
+
+  // Enabled libraries list their variables' keys, which names the library a used variable is from
+  const libraryNamesByKey = new Map();
+  const libraryCollections = await figma.teamLibrary.getAvailableLibraryVariableCollectionsAsync();
+  for (const libraryCollection of libraryCollections) {
+    try {
+      const libraryVariables = await figma.teamLibrary.getVariablesInLibraryCollectionAsync(libraryCollection.key);
+      for (const libraryVariable of libraryVariables) {
+        libraryNamesByKey.set(libraryVariable.key, libraryCollection.libraryName);
+      }
+    } catch (error) {
+      console.warn(`Failed to read library collection ${libraryCollection.name}:`, error);
+      addIssue(issues, 'warning', 'library', `${libraryCollection.libraryName} / ${libraryCollection.name}`, `couldn't read the library: ${error.message}`);
+    }
+  }
+
+  const usage = await findLibraryUsage();
+  const seenIds = new Set();
+  for (const id of usage.styleIds) {
+    let style = await figma.getStyleByIdAsync(id);
+    if (!style || !style.remote || seenIds.has(style.id)) continue;
+    try {
+      style = await figma.importStyleByKeyAsync(style.key);
+    } catch (error) {
+      // Library unavailable (e.g. unpublished or no access), keep the copy in this file
+      addIssue(issues, 'warning', 'library', style.name, `couldn't import by key, using the copy in this file: ${error.message}`);
+    }
+    seenIds.add(style.id);
+    const lists = { PAINT: library.paintStyles, TEXT: library.textStyles, EFFECT: library.effectStyles, GRID: library.gridStyles };
+    if (lists[style.type]) lists[style.type].push(style);
+    for (const item of [style].concat(style.paints || [], style.effects || [], style.layoutGrids || [])) {
+      addBoundVariableIds(item, usage.variableIds);
+    }
+  }
+
+  const pending = Array.from(usage.variableIds);
+  while (pending.length > 0) {
+    const variable = await figma.variables.getVariableByIdAsync(pending.shift());
+    if (!variable || !variable.remote || seenIds.has(variable.id)) continue;
+    seenIds.add(variable.id);
+    library.variables.push(variable);
+    if (libraryNamesByKey.has(variable.key)) {
+      libraryNames.set(variable.variableCollectionId, libraryNamesByKey.get(variable.key));
+    }
+    if (!seenIds.has(variable.variableCollectionId)) {
+      seenIds.add(variable.variableCollectionId);
+      const collection = await figma.variables.getVariableCollectionByIdAsync(variable.variableCollectionId);
+      if (collection) library.collections.push(collection);
+    }
+    for (const value of Object.values(variable.valuesByMode || {})) {
+      if (isVariableAlias(value)) pending.push(value.id);
+    }
+  }
+
+  return library;
+}
+
+// Style and variable ids that nodes on every page use (with dynamic-page, pages load on demand)
+async function findLibraryUsage() {
+  const usage = { styleIds: new Set(), variableIds: new Set() };
+  for (const page of figma.root.children) {
+    await page.loadAsync();
+    for (const node of page.findAll()) {
+      collectNodeUsage(node, usage);
+    }
+  }
+  return usage;
+}
+
+// What the selected layers use, including the layers inside them and inside instances
+function findSelectionUsage() {
+  const selection = figma.currentPage.selection;
+  if (selection.length === 0) {
+    throw new Error('Select the layers to export tokens from, or turn off "Only tokens used by the selection"');
+  }
+  const usage = { styleIds: new Set(), variableIds: new Set() };
+  for (const node of selection) {
+    collectNodeUsage(node, usage);
+    if (typeof node.findAll === 'function') {
+      for (const child of node.findAll()) {
+        collectNodeUsage(child, usage);
+      }
+    }
+  }
+  return usage;
+}
+
+// Adds the style ids and variable ids one node references to usage
+function collectNodeUsage(node, usage) {
+  for (const field of ['fillStyleId', 'strokeStyleId', 'effectStyleId', 'gridStyleId', 'textStyleId']) {
+    const id = node[field];
+    if (typeof id === 'string' && id) usage.styleIds.add(id);
+  }
+  // Text with mixed styles keeps them per character range
+  if (node.type === 'TEXT' && (node.textStyleId === figma.mixed || node.fillStyleId === figma.mixed)) {
+    for (const segment of node.getStyledTextSegments(['textStyleId', 'fillStyleId', 'boundVariables'])) {
+      if (segment.textStyleId) usage.styleIds.add(segment.textStyleId);
+      if (segment.fillStyleId) usage.styleIds.add(segment.fillStyleId);
+      addBoundVariableIds(segment, usage.variableIds);
+    }
+  }
+  addBoundVariableIds(node, usage.variableIds);
+  for (const field of ['fills', 'strokes', 'effects', 'layoutGrids']) {
+    if (!Array.isArray(node[field])) continue;
+    for (const item of node[field]) {
+      addBoundVariableIds(item, usage.variableIds);
+    }
+  }
+}
+
+// boundVariables holds an alias, a list of them (fills) or a map of them (component properties)
+function addBoundVariableIds(item, variableIds) {
+  for (const field of Object.keys(item.boundVariables || {})) {
+    const bound = item.boundVariables[field];
+    const aliases = Array.isArray(bound) ? bound : isVariableAlias(bound) ? [bound] : Object.values(bound || {});
+    for (const alias of aliases) {
+      if (isVariableAlias(alias)) variableIds.add(alias.id);
+    }
+  }
+}
+
+// Narrows the token lists to the used styles and variables. Styles that aren't in the lists
+// (library styles nobody imported) are fetched by id, and variables bound in the used styles
+// and the targets of aliases count as used, so every reference in the output resolves.
+async function scopeTokensToUsage(tokens, usage, issues) {
+  const stylesById = new Map();
+  for (const style of [].concat(tokens.paintStyles, tokens.textStyles, tokens.effectStyles, tokens.gridStyles)) {
+    stylesById.set(style.id, style);
+  }
+  const usedStyles = [];
+  for (const id of usage.styleIds) {
+    const style = stylesById.get(id) || await figma.getStyleByIdAsync(id);
+    if (!style) {
+      addIssue(issues, 'warning', 'style', id, 'used by the selection but no longer exists, skipped');
+      continue;
+    }
+    usedStyles.push(style);
+    for (const item of [style].concat(style.paints || [], style.effects || [], style.layoutGrids || [])) {
+      addBoundVariableIds(item, usage.variableIds);
+    }
+  }
+
+  const variablesById = new Map(tokens.variables.map(variable => [variable.id, variable]));
+  const usedVariables = new Map();
+  const pending = Array.from(usage.variableIds);
+  while (pending.length > 0) {
+    const id = pending.shift();
+    if (usedVariables.has(id)) continue;
+    const variable = variablesById.get(id) || await figma.variables.getVariableByIdAsync(id);
+    if (!variable) continue; // processVariable reports the broken alias that led here
+    usedVariables.set(id, variable);
+    for (const value of Object.values(variable.valuesByMode || {})) {
+      if (isVariableAlias(value)) pending.push(value.id);
+    }
+  }
+
+  const collectionIds = new Set(Array.from(usedVariables.values()).map(variable => variable.variableCollectionId));
+  const collections = tokens.collections.filter(collection => collectionIds.has(collection.id));
+  for (const id of collectionIds) {
+    if (collections.some(collection => collection.id === id)) continue;
+    const collection = await figma.variables.getVariableCollectionByIdAsync(id);
+    if (collection) collections.push(collection);
+  }
+
+  return {
+    paintStyles: usedStyles.filter(style => style.type === 'PAINT'),
+    textStyles: usedStyles.filter(style => style.type === 'TEXT'),
+    effectStyles: usedStyles.filter(style => style.type === 'EFFECT'),
+    gridStyles: usedStyles.filter(style => style.type === 'GRID'),
+    variables: Array.from(usedVariables.values()),
+    collections
+  };
+}
+
+// Library collections keep their name unless a local (or another library's) collection has it
+function getCollectionExportNames(collections, libraryNames) {
+  const names = new Map();
+  const used = new Set(collections.filter(collection => !collection.remote).map(collection => collection.name));
+  for (const collection of collections) {
+    let name = collection.name;
+    if (collection.remote) {
+      if (used.has(name)) {
+        name = `${name} (${libraryNames.get(collection.id) || 'Library'})`;
+      }
+      used.add(name);
+    }
+    names.set(collection.id, name);
+  }
+  return names;
+}
+
+// Library entries carry { name, key }. Figma only tells plugins the library name of variable
+// collections, so styles (which have no collection) get name: null to mark it as unknown.
+function tagLibrarySource(result, item, libraryNames) {
+  if (!item.remote) return;
+  const collectionId = item.variableCollectionId || (item.modes ? item.id : null);
+  result.library = { name: libraryNames.get(collectionId) || null, key: item.key };
+}
+
 // Helper function to convert Figma RGB (0-1) to standard RGB (0-255)
 function figmaRgbToStandardRgb(figmaColor) {
   return {
@@ -285,16 +530,33 @@ function figmaRgbaToStandardRgba(figmaColor) {
   };
 }
 
-async function processColorStyle(style) {
+async function processColorStyle(style, issues = [], colorFormat = 'hex') {
   if (!style.paints || style.paints.length === 0) {
+    addIssue(issues, 'warning', 'color style', style.name, 'no paints, skipped');
+    return null;
+  }
+
+  const paints = style.paints.filter(paint => paint.visible !== false);
+  if (paints.length === 0) {
+    addIssue(issues, 'warning', 'color style', style.name, 'no visible paints, skipped');
+    return null;
+  }
+
+  // Figma stacks paints bottom to top, CSS lists backgrounds top to bottom
+  const layers = [];
+  for (const paint of paints.slice().reverse()) {
+    const layer = processPaint(paint, style.name, issues, colorFormat);
+    if (layer) layers.push(layer);
+  }
+  if (layers.length === 0) {
     return null;
   }
 
-  const paint = style.paints[0];
   const result = {
+    id: style.id,
     name: style.name,
     token: generateToken(style.name),
-    type: paint.type.toLowerCase()
+    type: layers.length === 1 ? layers[0].type : 'layered'
   };
 
   // Only include description if it exists and isn't empty
@@ -302,21 +564,39 @@ async function processColorStyle(style) {
     result.description = style.description.trim();
   }
 
+  if (layers.length === 1) {
+    const layer = Object.assign({}, layers[0]);
+    delete layer.type;
+    Object.assign(result, layer);
+  } else {
+    // Every layer as a background; only the bottom one may be a plain color
+    const backgrounds = layers.filter(layer => layer.value !== 'image');
+    result.value = backgrounds.map((layer, index) =>
+      layer.type === 'solid' && index < backgrounds.length - 1 ? `linear-gradient(${layer.value}, ${layer.value})` : layer.value
+    ).join(', ');
+    if (backgrounds.some(layer => layer.blendMode)) {
+      result.backgroundBlendMode = backgrounds.map(layer => layer.blendMode || 'normal').join(', ');
+    }
+    result.layers = layers;
+  }
+
+  return result;
+}
+
+// One paint as { type, value, ... }, or null (with an issue) when it can't be exported
+function processPaint(paint, styleName, issues, colorFormat) {
+  const layer = {
+    type: paint.type.toLowerCase()
+  };
+
   switch (paint.type) {
     case 'SOLID':
-      const opacity = paint.opacity !== undefined ? 
-        Math.round(paint.opacity * 100) / 100 : 1; // Round to 2 decimal places
-      
-      if (opacity < 1) {
-        const rgba = figmaRgbaToStandardRgba(paint.color);
-        result.value = `rgba(${rgba.r}, ${rgba.g}, ${rgba.b}, ${opacity})`;
-      } else {
-        const hex = rgbToHex(paint.color);
-        if (!hex) {
-          return null; // Skip color styles with invalid colors
-        }
-        result.value = hex;
+      if (!rgbToHex(paint.color)) {
+        addIssue(issues, 'error', 'color style', styleName, 'invalid color, skipped');
+        return null; // Skip color styles with invalid colors
       }
+      layer.value = getCSSColor(toRawRgba(paint.color, paint.opacity), colorFormat);
+      layer.rgba = toRawRgba(paint.color, paint.opacity);
       break;
       
     case 'GRADIENT_LINEAR':
@@ -325,6 +605,7 @@ async function processColorStyle(style) {
     case 'GRADIENT_DIAMOND':
       // Validate gradient stops first
       if (!paint.gradientStops || paint.gradientStops.length === 0) {
+        addIssue(issues, 'warning', 'color style', styleName, 'gradient without stops, skipped');
         return null; // Skip gradients with no stops
       }
       
@@ -334,30 +615,49 @@ async function processColorStyle(style) {
       });
       
       if (validStops.length === 0) {
+        addIssue(issues, 'error', 'color style', styleName, 'gradient without valid color stops, skipped');
         return null; // Skip gradients with no valid color stops
       }
+      if (validStops.length < paint.gradientStops.length) {
+        addIssue(issues, 'warning', 'color style', styleName,
+          `${paint.gradientStops.length - validStops.length} gradient stop(s) with invalid colors dropped`);
+      }
+      if (paint.type === 'GRADIENT_DIAMOND') {
+        addIssue(issues, 'warning', 'color style', styleName, 'CSS has no diamond gradient, exported as a radial gradient');
+      }
       
-      result.value = generateGradientCSS(paint);
-      result.stops = validStops.map(stop => ({
-        color: rgbToHex(stop.color),
-        position: Math.round(stop.position * 100) + '%'
+      layer.value = generateGradientCSS(Object.assign({}, paint, { gradientStops: validStops }), colorFormat);
+      layer.gradient = getGradientGeometry(paint);
+      // Stop colors include the paint opacity
+      layer.stops = validStops.map(stop => ({
+        color: getCSSColor(getStopColor(stop, paint), colorFormat),
+        position: Math.round(stop.position * 100) + '%',
+        rgba: toRawRgba(getStopColor(stop, paint))
       }));
       break;
       
     case 'IMAGE':
-      result.value = 'image';
-      result.scaleMode = paint.scaleMode || 'fill';
+      layer.value = 'image';
+      layer.scaleMode = paint.scaleMode || 'fill';
+      if (paint.opacity !== undefined && paint.opacity < 1) {
+        layer.opacity = Math.round(paint.opacity * 100) / 100;
+      }
       break;
       
     default:
-      result.value = 'transparent';
+      layer.value = 'transparent';
   }
 
-  return result;
+  if (paint.blendMode && paint.blendMode !== 'NORMAL' && paint.blendMode !== 'PASS_THROUGH') {
+    layer.blendMode = paint.blendMode.toLowerCase().replace(/_/g, '-');
+  }
+
+  return layer;
 }
 
-async function processTextStyle(style) {
+async function processTextStyle(style, collectionMap, issues = [], collectionNames = new Map()) {
   const result = {
+    id: style.id,
     name: style.name,
     token: generateToken(style.name),
     type: 'text'
@@ -391,6 +691,8 @@ async function processTextStyle(style) {
       result.lineHeight = style.lineHeight.value + 'px';
     } else if (style.lineHeight.unit === 'PERCENT') {
       result.lineHeight = (style.lineHeight.value / 100);
+    } else if (style.lineHeight.unit === 'AUTO') {
+      result.lineHeight = 'normal';
     }
   }
 
@@ -410,27 +712,79 @@ async function processTextStyle(style) {
     result.textDecoration = style.textDecoration.toLowerCase().replace('_', '-');
   }
 
+  // Paragraph and list layout, only when set
+  if (style.paragraphSpacing) {
+    result.paragraphSpacing = style.paragraphSpacing + 'px';
+  }
+  if (style.paragraphIndent) {
+    result.paragraphIndent = style.paragraphIndent + 'px';
+  }
+  if (style.listSpacing) {
+    result.listSpacing = style.listSpacing + 'px';
+  }
+  if (style.hangingList) {
+    result.hangingList = true;
+  }
+  if (style.hangingPunctuation) {
+    result.hangingPunctuation = true;
+  }
+  if (style.leadingTrim && style.leadingTrim !== 'NONE') {
+    result.leadingTrim = style.leadingTrim.toLowerCase().replace('_', '-');
+  }
+
+  // Variables bound to text properties, in the same shape as variable alias targets
+  const boundVariables = {};
+  for (const [field, alias] of Object.entries(style.boundVariables || {})) {
+    if (!isVariableAlias(alias)) continue;
+    const variable = await figma.variables.getVariableByIdAsync(alias.id);
+    if (!variable) {
+      addIssue(issues, 'warning', 'text style', style.name, `${field} is bound to a missing variable, exported as its value`);
+      continue;
+    }
+    const collection = await getVariableCollection(variable.variableCollectionId, collectionMap);
+    boundVariables[field] = {
+      collection: collectionNames.get(variable.variableCollectionId) ||
+        ((collection && collection.name) ? collection.name : 'Other'),
+      name: variable.name,
+      token: generateToken(variable.name)
+    };
+    if (hasCodeSyntax(variable)) {
+      boundVariables[field].codeSyntax = Object.assign({}, variable.codeSyntax);
+    }
+  }
+  if (Object.keys(boundVariables).length > 0) {
+    result.boundVariables = boundVariables;
+  }
+
+  result.css = generateTextStyleCSS(style);
+
   return result;
 }
 
-async function processEffectStyle(style) {
+async function processEffectStyle(style, issues = [], colorFormat = 'hex') {
   // Skip effect styles with no effects
   if (!style.effects || style.effects.length === 0) {
+    addIssue(issues, 'warning', 'effect style', style.name, 'no effects, skipped');
     return null;
   }
 
-  const cssValue = generateEffectCSS(style.effects);
+  const properties = generateEffectProperties(style.effects, colorFormat);
   // Skip if no valid CSS was generated
-  if (!cssValue || cssValue.trim() === '') {
+  if (Object.keys(properties).length === 0) {
+    addIssue(issues, 'warning', 'effect style', style.name, 'no visible shadow or blur effects, skipped');
     return null;
   }
 
   const result = {
+    id: style.id,
     name: style.name,
     token: generateToken(style.name),
-    type: 'effect',
-    value: cssValue
+    type: 'effect'
   };
+  if (properties.boxShadow) {
+    result.value = `box-shadow: ${properties.boxShadow}`;
+  }
+  result.properties = properties;
 
   // Only include description if it exists and isn't empty
   if (style.description && style.description.trim()) {
@@ -451,17 +805,24 @@ async function processEffectStyle(style) {
         cleanEffect.spread = effect.spread || 0;
         
         if (effect.color) {
-          const opacity = effect.color.a !== undefined ? 
-            Math.round(effect.color.a * 100) / 100 : 1; // Round to 2 decimal places
-          
-          if (opacity < 1) {
-            const rgba = figmaRgbaToStandardRgba(effect.color);
-            cleanEffect.color = `rgba(${rgba.r}, ${rgba.g}, ${rgba.b}, ${opacity})`;
-          } else {
-            const hex = rgbToHex(effect.color);
-            cleanEffect.color = hex || 'transparent';
+          cleanEffect.color = getCSSColor(effect.color, colorFormat) || 'transparent';
+          cleanEffect.rgba = toRawRgba(effect.color);
+        }
+        if (effect.type === 'DROP_SHADOW' && effect.showShadowBehindNode) {
+          cleanEffect.showShadowBehindNode = true;
+        }
+        if (effect.blendMode && effect.blendMode !== 'NORMAL' && effect.blendMode !== 'PASS_THROUGH') {
+          cleanEffect.blendMode = effect.blendMode.toLowerCase().replace(/_/g, '-');
+          if (effect.visible !== false) {
+            addIssue(issues, 'warning', 'effect style', style.name, `shadow blend mode ${cleanEffect.blendMode} has no CSS equivalent, exported as normal`);
           }
         }
+      } else if (effect.type === 'LAYER_BLUR' || effect.type === 'BACKGROUND_BLUR') {
+        cleanEffect.blur = effect.radius || 0;
+      }
+
+      if (effect.visible === false) {
+        cleanEffect.visible = false;
       }
 
       return cleanEffect;
@@ -471,13 +832,15 @@ async function processEffectStyle(style) {
   return result;
 }
 
-async function processGridStyle(style) {
+async function processGridStyle(style, issues = []) {
   // Skip grid styles with no layout grids
   if (!style.layoutGrids || style.layoutGrids.length === 0) {
+    addIssue(issues, 'warning', 'grid style', style.name, 'no layout grids, skipped');
     return null;
   }
 
   const result = {
+    id: style.id,
     name: style.name,
     token: generateToken(style.name),
     type: 'grid'
@@ -501,42 +864,61 @@ async function processGridStyle(style) {
   return result;
 }
 
-async function processVariable(variable, collectionMap) {
+async function processVariable(variable, collectionMap, issues = [], collectionNames = new Map(), colorFormat = 'hex') {
   const collection = collectionMap.get(variable.variableCollectionId);
+  const issueName = `${collectionNames.get(variable.variableCollectionId) || (collection && collection.name) || 'Other'} / ${variable.name}`;
+  const getModeName = modeId => {
+    const mode = collection && collection.modes ?
+      collection.modes.find(m => m.id === modeId || m.modeId === modeId) : null;
+    return (mode && mode.name) || `Mode ${modeId}`;
+  };
   
 
   
   // Convert values for all modes
   const convertedValues = {};
+  const rawColorsByMode = {};
+  const aliasesByMode = {};
   let hasValidValue = false;
   
   for (const [modeId, rawValue] of Object.entries(variable.valuesByMode)) {
     let cleanValue = null;
     let actualValue = rawValue;
+    let aliasTarget = null;
     
     // Check if this is an alias (reference to another variable)
-    if (rawValue && typeof rawValue === 'object' && rawValue.type === 'VARIABLE_ALIAS') {
+    if (isVariableAlias(rawValue)) {
       
       try {
         // Try to resolve the alias to get the actual variable
         const aliasedVariable = await figma.variables.getVariableByIdAsync(rawValue.id);
         if (aliasedVariable) {
-          // Get the value from the aliased variable for the same mode
-          actualValue = aliasedVariable.valuesByMode[modeId];
+          const aliasedCollection = await getVariableCollection(aliasedVariable.variableCollectionId, collectionMap);
+          aliasTarget = {
+            collection: collectionNames.get(aliasedVariable.variableCollectionId) ||
+              ((aliasedCollection && aliasedCollection.name) ? aliasedCollection.name : 'Other'),
+            name: aliasedVariable.name,
+            token: generateToken(aliasedVariable.name)
+          };
+          if (hasCodeSyntax(aliasedVariable)) {
+            aliasTarget.codeSyntax = Object.assign({}, aliasedVariable.codeSyntax);
+          }
 
-          
-          // If the aliased variable doesn't have this mode, try the default mode
-          if (actualValue === undefined && aliasedVariable.valuesByMode) {
-            const firstModeId = Object.keys(aliasedVariable.valuesByMode)[0];
-            actualValue = aliasedVariable.valuesByMode[firstModeId];
-            console.log(`    Using default mode value:`, actualValue);
+          // Follow the alias chain down to a raw value
+          actualValue = await resolveVariableValue(aliasedVariable, modeId, collectionMap, new Set([variable.id]));
+          if (actualValue === undefined) {
+            console.log(`    Could not resolve alias chain for "${variable.name}"`);
+            addIssue(issues, 'error', 'variable', issueName, `alias in mode "${getModeName(modeId)}" ends without a value`);
+            continue;
           }
         } else {
           console.log(`    Could not resolve alias`);
+          addIssue(issues, 'error', 'variable', issueName, `alias in mode "${getModeName(modeId)}" points at a missing variable`);
           continue;
         }
       } catch (error) {
         console.warn(`    Failed to resolve alias:`, error);
+        addIssue(issues, 'error', 'variable', issueName, `alias in mode "${getModeName(modeId)}" can't be resolved: ${error.message}`);
         continue;
       }
     }
@@ -545,20 +927,12 @@ async function processVariable(variable, collectionMap) {
       case 'COLOR':
         console.log(`  Processing COLOR "${variable.name}" mode ${modeId}:`, actualValue);
         if (actualValue && typeof actualValue === 'object') {
-          const rgba = figmaRgbaToStandardRgba(actualValue);
-          if (rgba.a < 1) {
-            cleanValue = `rgba(${rgba.r}, ${rgba.g}, ${rgba.b}, ${rgba.a})`;
+          const color = rgbToHex(actualValue) && getCSSColor(actualValue, colorFormat);
+          if (color) {
+            cleanValue = color;
             hasValidValue = true;
-
           } else {
-            const hex = rgbToHex({ r: actualValue.r, g: actualValue.g, b: actualValue.b });
-            if (hex) {
-              cleanValue = hex;
-              hasValidValue = true;
-
-            } else {
-              console.log(`    ✗ COLOR value rejected - invalid hex conversion`);
-            }
+            console.log(`    ✗ COLOR value rejected - invalid hex conversion`);
           }
         } else {
 
@@ -591,12 +965,15 @@ async function processVariable(variable, collectionMap) {
     }
     
     if (cleanValue !== null) {
-      // Get mode name from collection
-      const mode = collection && collection.modes ? 
-        collection.modes.find(m => m.id === modeId || m.modeId === modeId) : null;
-      const modeName = (mode && mode.name) || `Mode ${modeId}`;
+      const modeName = getModeName(modeId);
       
       convertedValues[modeName] = cleanValue;
+      if (variable.resolvedType === 'COLOR') {
+        rawColorsByMode[modeName] = toRawRgba(actualValue);
+      }
+      if (aliasTarget) {
+        aliasesByMode[modeName] = aliasTarget;
+      }
     }
   }
   
@@ -604,19 +981,35 @@ async function processVariable(variable, collectionMap) {
   if (!hasValidValue || Object.keys(convertedValues).length === 0) {
     return null;
   }
+
+  // Alias failures are already reported; anything else missing is an empty or invalid value
+  if (collection && collection.modes) {
+    for (const mode of collection.modes) {
+      const modeName = getModeName(mode.modeId || mode.id);
+      const rawValue = variable.valuesByMode[mode.modeId || mode.id];
+      if (convertedValues[modeName] === undefined && !isVariableAlias(rawValue)) {
+        addIssue(issues, 'warning', 'variable', issueName, `no valid value for mode "${modeName}"`);
+      }
+    }
+  }
   
   // Return clean, developer-friendly structure
   const result = {
+    id: variable.id,
     name: variable.name,
     token: generateToken(variable.name),
     type: variable.resolvedType.toLowerCase()
   };
   
-  // Add a default value (first valid mode)
-  result.value = Object.values(convertedValues)[0];
+  // Add a default value (the collection's default mode, else the first valid mode)
+  const modeNames = Object.keys(convertedValues);
+  const defaultMode = collection && collection.modes ?
+    collection.modes.find(m => m.modeId === collection.defaultModeId) : null;
+  const defaultModeName = (defaultMode && convertedValues[defaultMode.name] !== undefined) ?
+    defaultMode.name : modeNames[0];
+  result.value = convertedValues[defaultModeName];
   
   // Only include values object if there are multiple modes or meaningful mode names
-  const modeNames = Object.keys(convertedValues);
   const hasMultipleModes = modeNames.length > 1;
   const hasMeaningfulModeNames = modeNames.some(name => !name.startsWith('Mode '));
   
@@ -624,14 +1017,91 @@ async function processVariable(variable, collectionMap) {
     result.values = convertedValues;
   }
   
+  // Raw 0-1 channels for outputs that build native colors (Swift, Android, Flutter)
+  if (variable.resolvedType === 'COLOR') {
+    result.rgba = rawColorsByMode[defaultModeName];
+    if (result.values) {
+      result.rgbaValues = rawColorsByMode;
+    }
+  }
+  
+  // Keep alias targets so outputs can render references instead of raw values
+  const defaultAlias = aliasesByMode[defaultModeName];
+  if (defaultAlias) {
+    result.alias = defaultAlias;
+  }
+  if (result.values && Object.keys(aliasesByMode).length > 0) {
+    result.aliases = aliasesByMode;
+  }
+  
   // Only include description if it exists and isn't empty
   if (variable.description && variable.description.trim()) {
     result.description = variable.description.trim();
   }
   
+  // Code syntax names (WEB/ANDROID/iOS) and scopes decide names, units and categories in outputs
+  if (hasCodeSyntax(variable)) {
+    result.codeSyntax = Object.assign({}, variable.codeSyntax);
+  }
+  if (variable.scopes && variable.scopes.length > 0) {
+    result.scopes = variable.scopes.slice();
+  }
+  
   return result;
 }
 
+function hasCodeSyntax(variable) {
+  return !!variable.codeSyntax && Object.keys(variable.codeSyntax).length > 0;
+}
+
+function isVariableAlias(value) {
+  return !!value && typeof value === 'object' && value.type === 'VARIABLE_ALIAS';
+}
+
+async function getVariableCollection(collectionId, collectionMap) {
+  if (collectionMap.has(collectionId)) {
+    return collectionMap.get(collectionId);
+  }
+
+  // Aliases may point at collections that are not local (e.g. library collections)
+  const collection = await figma.variables.getVariableCollectionByIdAsync(collectionId);
+  collectionMap.set(collectionId, collection);
+  return collection;
+}
+
+// Resolve a variable to a raw value, following multi-level and cross-collection aliases
+async function resolveVariableValue(variable, modeId, collectionMap, visited) {
+  if (visited.has(variable.id)) {
+    throw new Error(`circular alias at "${variable.name}"`);
+  }
+  visited.add(variable.id);
+
+  let value = variable.valuesByMode[modeId];
+
+  // Mode ids are scoped to a collection, so a miss means the alias crossed into
+  // another collection. Figma then uses that collection's default mode.
+  if (value === undefined) {
+    const collection = await getVariableCollection(variable.variableCollectionId, collectionMap);
+    modeId = (collection && collection.defaultModeId) || Object.keys(variable.valuesByMode)[0];
+    value = variable.valuesByMode[modeId];
+  }
+
+  if (isVariableAlias(value)) {
+    const aliasedVariable = await figma.variables.getVariableByIdAsync(value.id);
+    if (!aliasedVariable) {
+      throw new Error(`"${variable.name}" points at a missing variable`);
+    }
+    return resolveVariableValue(aliasedVariable, modeId, collectionMap, visited);
+  }
+
+  return value;
+}
+
+// Problems use the same { kind, name, reason } shape as the import summary, plus a severity
+function addIssue(issues, severity, kind, name, reason) {
+  issues.push({ severity, kind, name, reason });
+}
+
 // Utility functions
 function generateToken(name) {
   return name
@@ -674,6 +1144,17 @@ function rgbToHex(rgb) {
   return '#' + hexR + hexG + hexB;
 }
 
+// Unrounded 0-1 channels, with paint opacity folded into alpha
+function toRawRgba(figmaColor, opacity) {
+  const alpha = figmaColor.a !== undefined ? figmaColor.a : 1;
+  return {
+    r: figmaColor.r,
+    g: figmaColor.g,
+    b: figmaColor.b,
+    a: alpha * (opacity !== undefined ? opacity : 1)
+  };
+}
+
 function generateSolidColorCSS(paint) {
   const { r, g, b } = paint.color;
   const opacity = paint.opacity !== undefined ? 
@@ -688,40 +1169,90 @@ function generateSolidColorCSS(paint) {
   return hex || 'transparent';
 }
 
-function generateGradientCSS(paint) {
+function generateGradientCSS(paint, colorFormat) {
   if (!paint.gradientStops) return 'transparent';
   
-  const stops = paint.gradientStops.map(stop => {
-    const opacity = stop.color.a !== undefined ? 
-      Math.round(stop.color.a * 100) / 100 : 1; // Round to 2 decimal places
-    
-    let colorValue;
-    if (opacity < 1) {
-      const rgba = figmaRgbaToStandardRgba(stop.color);
-      colorValue = `rgba(${rgba.r}, ${rgba.g}, ${rgba.b}, ${opacity})`;
-    } else {
-      const hex = rgbToHex(stop.color);
-      colorValue = hex || 'transparent';
-    }
-    return `${colorValue} ${Math.round(stop.position * 100)}%`;
-  }).join(', ');
+  const geometry = getGradientGeometry(paint);
+  const stops = position => paint.gradientStops.map(stop =>
+    `${getCSSColor(getStopColor(stop, paint), colorFormat) || 'transparent'} ${position(stop.position)}%`
+  ).join(', ');
+  const percent = value => Math.round(value * 10000) / 100;
+  const at = geometry.center ? `at ${percent(geometry.center.x)}% ${percent(geometry.center.y)}%` : '';
 
   switch (paint.type) {
     case 'GRADIENT_LINEAR':
-      // Calculate angle from gradient transform
-      const angle = paint.gradientTransform ? 
-        Math.atan2(paint.gradientTransform[0][1], paint.gradientTransform[0][0]) * 180 / Math.PI : 0;
-      return `linear-gradient(${Math.round(angle)}deg, ${stops})`;
+      return `linear-gradient(${geometry.angle}deg, ${stops(position => percent(geometry.offset + position * geometry.scale))})`;
       
     case 'GRADIENT_RADIAL':
-      return `radial-gradient(circle, ${stops})`;
+    case 'GRADIENT_DIAMOND':
+      // Diamonds have no CSS equivalent, the radial gradient with the same extents is closest
+      return `radial-gradient(ellipse ${percent(geometry.radius.x)}% ${percent(geometry.radius.y)}% ${at}, ${stops(percent)})`;
       
     case 'GRADIENT_ANGULAR':
-      return `conic-gradient(${stops})`;
+      return `conic-gradient(from ${geometry.angle}deg ${at}, ${stops(percent)})`;
       
     default:
-      return `linear-gradient(${stops})`;
+      return `linear-gradient(${stops(percent)})`;
+  }
+}
+
+// Gradient geometry in the layer's normalized (0-1) space, assuming a square layer since styles
+// have no size. gradientTransform maps the layer to gradient space, where a linear gradient runs
+// from (0, 0.5) to (1, 0.5) and the others are centered at (0.5, 0.5) with handles at (1, 0.5)
+// and (0.5, 1). The inverse gives the handle positions.
+// Linear: the CSS angle plus offset/scale that move Figma's stop positions onto the CSS gradient line.
+// Radial, diamond: center and radii. Angular: center and start angle. Angles are CSS (0 = up, clockwise).
+function getGradientGeometry(paint) {
+  const [[a, b, c], [d, e, f]] = paint.gradientTransform || [[1, 0, 0], [0, 1, 0]];
+  const det = a * e - b * d || 1;
+  const toLayer = (x, y) => ({
+    x: (e * (x - c) - b * (y - f)) / det,
+    y: (a * (y - f) - d * (x - c)) / det
+  });
+  const round = value => Math.round(value * 10000) / 10000;
+  const toAngle = (from, to) => {
+    const angle = Math.atan2(to.x - from.x, -(to.y - from.y)) * 180 / Math.PI;
+    return Math.round(((angle % 360) + 360) % 360 * 100) / 100;
+  };
+  const geometry = {
+    type: paint.type.replace('GRADIENT_', '').toLowerCase(),
+    transform: [[a, b, c], [d, e, f]]
+  };
+
+  if (paint.type === 'GRADIENT_LINEAR') {
+    const start = toLayer(0, 0.5);
+    const end = toLayer(1, 0.5);
+    geometry.angle = toAngle(start, end);
+    // The CSS gradient line crosses the layer's center and reaches its corners
+    const radians = geometry.angle * Math.PI / 180;
+    const direction = { x: Math.sin(radians), y: -Math.cos(radians) };
+    const length = Math.abs(direction.x) + Math.abs(direction.y);
+    const lineStart = { x: 0.5 - direction.x * length / 2, y: 0.5 - direction.y * length / 2 };
+    const project = point => ((point.x - lineStart.x) * direction.x + (point.y - lineStart.y) * direction.y) / length;
+    geometry.offset = round(project(start));
+    geometry.scale = round(project(end) - project(start));
+    return geometry;
+  }
+
+  const center = toLayer(0.5, 0.5);
+  const xHandle = toLayer(1, 0.5);
+  const yHandle = toLayer(0.5, 1);
+  geometry.center = { x: round(center.x), y: round(center.y) };
+  if (paint.type === 'GRADIENT_ANGULAR') {
+    geometry.angle = toAngle(center, xHandle);
+  } else {
+    geometry.radius = {
+      x: round(Math.hypot(xHandle.x - center.x, xHandle.y - center.y)),
+      y: round(Math.hypot(yHandle.x - center.x, yHandle.y - center.y))
+    };
   }
+  return geometry;
+}
+
+// A gradient stop's color with the paint's opacity applied
+function getStopColor(stop, paint) {
+  const opacity = paint.opacity !== undefined ? paint.opacity : 1;
+  return Object.assign({}, stop.color, { a: (stop.color.a !== undefined ? stop.color.a : 1) * opacity });
 }
 
 function generateTextStyleCSS(style) {
@@ -750,6 +1281,8 @@ function generateTextStyleCSS(style) {
       cssProps.push(`line-height: ${style.lineHeight.value}px`);
     } else if (style.lineHeight.unit === 'PERCENT') {
       cssProps.push(`line-height: ${style.lineHeight.value}%`);
+    } else if (style.lineHeight.unit === 'AUTO') {
+      cssProps.push('line-height: normal');
     }
   }
   
@@ -757,36 +1290,61 @@ function generateTextStyleCSS(style) {
     if (style.letterSpacing.unit === 'PIXELS') {
       cssProps.push(`letter-spacing: ${style.letterSpacing.value}px`);
     } else if (style.letterSpacing.unit === 'PERCENT') {
-      cssProps.push(`letter-spacing: ${style.letterSpacing.value}%`);
+      // CSS has no percent letter spacing, Figma's is relative to the font size
+      cssProps.push(`letter-spacing: ${style.letterSpacing.value / 100}em`);
     }
   }
   
-  if (style.textCase && style.textCase !== 'ORIGINAL') {
-    const textTransform = style.textCase.toLowerCase().replace('_', '-');
-    cssProps.push(`text-transform: ${textTransform}`);
+  const textTransforms = { UPPER: 'uppercase', LOWER: 'lowercase', TITLE: 'capitalize' };
+  if (textTransforms[style.textCase]) {
+    cssProps.push(`text-transform: ${textTransforms[style.textCase]}`);
+  } else if (style.textCase === 'SMALL_CAPS' || style.textCase === 'SMALL_CAPS_FORCED') {
+    cssProps.push('font-variant-caps: small-caps');
   }
   
-  if (style.textDecoration && style.textDecoration !== 'NONE') {
-    const decoration = style.textDecoration.toLowerCase().replace('_', '-');
-    cssProps.push(`text-decoration: ${decoration}`);
+  const textDecorations = { UNDERLINE: 'underline', STRIKETHROUGH: 'line-through' };
+  if (textDecorations[style.textDecoration]) {
+    cssProps.push(`text-decoration: ${textDecorations[style.textDecoration]}`);
+  }
+  
+  if (style.paragraphSpacing) {
+    cssProps.push(`margin-block-end: ${style.paragraphSpacing}px`);
+  }
+  
+  if (style.paragraphIndent) {
+    cssProps.push(`text-indent: ${style.paragraphIndent}px`);
+  }
+  
+  if (style.hangingPunctuation) {
+    cssProps.push('hanging-punctuation: first');
+  }
+  
+  if (style.leadingTrim === 'CAP_HEIGHT') {
+    cssProps.push('text-box: trim-both cap alphabetic');
   }
   
   return cssProps.join('; ');
 }
 
 function parseFontWeight(fontStyle) {
-  const style = fontStyle.toLowerCase();
+  // "Semi Bold", "Extra-Bold": compare without separators, longer names first
+  const style = fontStyle.toLowerCase().replace(/[\s_-]/g, '');
   const weightMap = {
     'thin': '100',
+    'hairline': '100',
     'extralight': '200',
+    'ultralight': '200',
     'light': '300',
     'regular': '400',
     'normal': '400',
     'medium': '500',
     'semibold': '600',
-    'bold': '700',
+    'demibold': '600',
     'extrabold': '800',
-    'black': '900'
+    'ultrabold': '800',
+    'bold': '700',
+    'black': '900',
+    'heavy': '900'
   };
   
   for (const [key, value] of Object.entries(weightMap)) {
@@ -805,37 +1363,209 @@ function parseFontWeight(fontStyle) {
 }
 
 function generateEffectCSS(effects) {
-  if (!effects || effects.length === 0) return '';
-  
+  const properties = generateEffectProperties(effects);
+  return properties.boxShadow ? `box-shadow: ${properties.boxShadow}` : '';
+}
+
+// CSS for the visible effects of a style: shadows as box-shadow and as a drop-shadow() filter
+// (which has no spread or inset, and shows behind translucent layers like showShadowBehindNode),
+// layer blur as filter and background blur as backdrop-filter
+function generateEffectProperties(effects, colorFormat) {
   const shadows = [];
+  const dropShadows = [];
+  const filters = [];
+  const backdropFilters = [];
   
-  effects.forEach(effect => {
+  (effects || []).forEach(effect => {
+    if (effect.visible === false) return;
     switch (effect.type) {
       case 'DROP_SHADOW':
-      case 'INNER_SHADOW':
+      case 'INNER_SHADOW': {
         // Skip effects without valid colors
-        if (!effect.color) return;
+        const colorValue = effect.color ? getCSSColor(effect.color, colorFormat) : null;
+        if (!colorValue) return;
         
+        const x = (effect.offset && effect.offset.x) || 0;
+        const y = (effect.offset && effect.offset.y) || 0;
         const inset = effect.type === 'INNER_SHADOW' ? 'inset ' : '';
-        const opacity = (effect.color && effect.color.a !== undefined) ? 
-          Math.round(effect.color.a * 100) / 100 : 1; // Round to 2 decimal places
-        
-        let colorValue;
-        if (opacity < 1) {
-          const rgba = figmaRgbaToStandardRgba(effect.color);
-          colorValue = `rgba(${rgba.r}, ${rgba.g}, ${rgba.b}, ${opacity})`;
-        } else {
-          const hex = rgbToHex(effect.color);
-          if (!hex) return; // Skip effects with invalid colors
-          colorValue = hex;
+        shadows.push(`${inset}${x}px ${y}px ${effect.radius || 0}px ${effect.spread || 0}px ${colorValue}`);
+        if (effect.type === 'DROP_SHADOW') {
+          dropShadows.push(`drop-shadow(${x}px ${y}px ${effect.radius || 0}px ${colorValue})`);
         }
-        
-        shadows.push(`${inset}${(effect.offset && effect.offset.x) || 0}px ${(effect.offset && effect.offset.y) || 0}px ${effect.radius || 0}px ${effect.spread || 0}px ${colorValue}`);
+        break;
+      }
+      case 'LAYER_BLUR':
+        filters.push(`blur(${toCSSBlur(effect.radius)}px)`);
+        break;
+      case 'BACKGROUND_BLUR':
+        backdropFilters.push(`blur(${toCSSBlur(effect.radius)}px)`);
         break;
     }
   });
   
-  return shadows.length > 0 ? `box-shadow: ${shadows.join(', ')}` : '';
+  const properties = {};
+  if (shadows.length > 0) properties.boxShadow = shadows.join(', ');
+  if (dropShadows.length > 0) properties.dropShadow = dropShadows.join(' ');
+  if (filters.length > 0) properties.filter = filters.join(' ');
+  if (backdropFilters.length > 0) properties.backdropFilter = backdropFilters.join(' ');
+  return properties;
+}
+
+// Figma's blur radius is twice the standard deviation CSS blur() takes
+function toCSSBlur(radius) {
+  return Math.round((radius || 0) / 2 * 100) / 100;
+}
+
+// Color output. Figma stores channels in the document's color profile, so
+// P3 files are converted (not reinterpreted) for sRGB formats, and OKLCH and
+// Display P3 keep wide-gamut colors without clamping
+const COLOR_FORMATS = ['hex', 'hex8', 'rgb', 'hsl', 'oklch', 'display-p3'];
+
+const RGB_TO_XYZ = {
+  'srgb': [
+    [0.4123907992659595, 0.357584339383878, 0.1804807884018343],
+    [0.21263900587151027, 0.715168678767756, 0.07219231536073371],
+    [0.01933081871559185, 0.11919477979462599, 0.9505321522496606]
+  ],
+  'display-p3': [
+    [0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+    [0.2289745640697488, 0.6917385218365064, 0.079286914093745],
+    [0, 0.04511338185890264, 1.043944368900976]
+  ]
+};
+const XYZ_TO_RGB = {
+  'srgb': [
+    [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+    [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+    [0.05563007969699366, -0.20397695888897652, 1.0569715142428786]
+  ],
+  'display-p3': [
+    [2.493496911941425, -0.9313836179191239, -0.40271078445071684],
+    [-0.8294889695615747, 1.7626640603183463, 0.023624685841943577],
+    [0.03584583024378447, -0.07617238926804182, 0.9568845240076872]
+  ]
+};
+const XYZ_TO_LMS = [
+  [0.819022437996703, 0.3619062600528904, -0.1288737815209879],
+  [0.0329836539323885, 0.9292868615863434, 0.0361446663506424],
+  [0.0481771893596242, 0.2642395317527308, 0.6335478284694309]
+];
+const LMS_TO_XYZ = [
+  [1.2268798758459243, -0.5578149944602171, 0.2813910456659647],
+  [-0.0405757452148008, 1.112286803280317, -0.0717110580655164],
+  [-0.0763729366746601, -0.4214933324022432, 1.5869240198367816]
+];
+const LMS_TO_OKLAB = [
+  [0.210454268309314, 0.7936177747023054, -0.0040720430116193],
+  [1.9779985324311684, -2.42859224204858, 0.450593709617411],
+  [0.0259040424655478, 0.7827717124575296, -0.808675754818659]
+];
+const OKLAB_TO_LMS = [
+  [1, 0.3963377773761749, 0.2158037573099136],
+  [1, -0.1055613458156586, -0.0638541728258133],
+  [1, -0.0894841775298119, -1.2914855480194092]
+];
+
+function multiplyMatrix(matrix, vector) {
+  return matrix.map(row => row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2]);
+}
+
+// sRGB and Display P3 share the sRGB transfer curve
+function toLinearChannel(value) {
+  const abs = Math.abs(value);
+  return abs <= 0.04045 ? value / 12.92 : Math.sign(value) * Math.pow((abs + 0.055) / 1.055, 2.4);
+}
+
+function fromLinearChannel(value) {
+  const abs = Math.abs(value);
+  return abs <= 0.0031308 ? value * 12.92 : Math.sign(value) * (1.055 * Math.pow(abs, 1 / 2.4) - 0.055);
+}
+
+function getDocumentColorSpace() {
+  return figma.root.documentColorProfile === 'DISPLAY_P3' ? 'display-p3' : 'srgb';
+}
+
+function convertColorSpace(channels, from, to) {
+  if (from === to) return channels;
+  const xyz = multiplyMatrix(RGB_TO_XYZ[from], channels.map(toLinearChannel));
+  return multiplyMatrix(XYZ_TO_RGB[to], xyz).map(fromLinearChannel);
+}
+
+function rgbToOklch(channels, space) {
+  const xyz = multiplyMatrix(RGB_TO_XYZ[space], channels.map(toLinearChannel));
+  const [l, a, b] = multiplyMatrix(LMS_TO_OKLAB, multiplyMatrix(XYZ_TO_LMS, xyz).map(Math.cbrt));
+  const hue = Math.atan2(b, a) * 180 / Math.PI;
+  return [l, Math.sqrt(a * a + b * b), hue < 0 ? hue + 360 : hue];
+}
+
+function oklchToRgb([l, c, h], space) {
+  const radians = h * Math.PI / 180;
+  const lms = multiplyMatrix(OKLAB_TO_LMS, [l, c * Math.cos(radians), c * Math.sin(radians)]).map(v => v * v * v);
+  return multiplyMatrix(XYZ_TO_RGB[space], multiplyMatrix(LMS_TO_XYZ, lms)).map(fromLinearChannel);
+}
+
+function rgbToHsl([r, g, b]) {
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const lightness = (max + min) / 2;
+  const delta = max - min;
+  if (delta === 0) return [0, 0, lightness];
+  const saturation = delta / (1 - Math.abs(2 * lightness - 1));
+  let hue;
+  if (max === r) hue = ((g - b) / delta) % 6;
+  else if (max === g) hue = (b - r) / delta + 2;
+  else hue = (r - g) / delta + 4;
+  hue *= 60;
+  return [hue < 0 ? hue + 360 : hue, saturation, lightness];
+}
+
+function hslToRgb([h, s, l]) {
+  const chroma = (1 - Math.abs(2 * l - 1)) * s;
+  const channel = n => {
+    const k = (n + h / 30) % 12;
+    return l - chroma / 2 * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+  };
+  return [channel(0), channel(8), channel(4)];
+}
+
+function roundTo(value, decimals) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+// A Figma color (0-1 channels in the document's profile) in one of COLOR_FORMATS
+function getCSSColor(color, colorFormat = 'hex') {
+  const alpha = roundTo(color.a !== undefined ? Math.max(0, Math.min(1, color.a)) : 1, 3);
+  const space = getDocumentColorSpace();
+  const channels = [color.r || 0, color.g || 0, color.b || 0];
+
+  if (colorFormat === 'oklch') {
+    const [l, c, h] = rgbToOklch(channels, space);
+    // Achromatic colors have no meaningful hue
+    const hue = c < 0.0001 ? 0 : roundTo(h, 2);
+    return `oklch(${roundTo(l * 100, 2)}% ${roundTo(c, 4)} ${hue}${alpha < 1 ? ` / ${alpha}` : ''})`;
+  }
+  if (colorFormat === 'display-p3') {
+    const p3 = convertColorSpace(channels, space, 'display-p3').map(value => roundTo(value, 4));
+    return `color(display-p3 ${p3.join(' ')}${alpha < 1 ? ` / ${alpha}` : ''})`;
+  }
+
+  // The remaining formats are sRGB, so colors outside it are clamped
+  const srgb = convertColorSpace(channels, space, 'srgb').map(value => Math.max(0, Math.min(1, value)));
+  const [r, g, b] = srgb.map(value => Math.round(value * 255));
+  switch (colorFormat) {
+    case 'hex8':
+      return '#' + [r, g, b, Math.round(alpha * 255)].map(value => value.toString(16).padStart(2, '0')).join('');
+    case 'rgb':
+      return alpha < 1 ? `rgba(${r}, ${g}, ${b}, ${alpha})` : `rgb(${r}, ${g}, ${b})`;
+    case 'hsl': {
+      const [h, s, l] = rgbToHsl(srgb);
+      const hsl = `${roundTo(h, 1)}, ${roundTo(s * 100, 1)}%, ${roundTo(l * 100, 1)}%`;
+      return alpha < 1 ? `hsla(${hsl}, ${alpha})` : `hsl(${hsl})`;
+    }
+    default:
+      return alpha < 1 ? `rgba(${r}, ${g}, ${b}, ${alpha})` : rgbToHex({ r: srgb[0], g: srgb[1], b: srgb[2] });
+  }
 }
 
 
@@ -863,4 +1593,1494 @@ function generateVariableCSS(variable, collection) {
   }
   
   return `${token}: /* ${variable.resolvedType} */;`;
+}
+
+module.exports = {
+  exportStylesAndVariables,
+  collectNodeUsage,
+  addBoundVariableIds,
+  isVariableAlias,
+  toRawRgba,
+  parseFontWeight,
+  getDocumentColorSpace,
+  convertColorSpace,
+  oklchToRgb,
+  hslToRgb,
+  getCSSColor
+};
+    },
+    './shared': function(module, exports, require) {
+// Helpers both the plugin's main thread (code.js) and its UI (ui.js) use.
+// ES5, like the rest of the UI's script.
+
+// Git sync's API host: the settings' own, or the provider's public one
+var GIT_DEFAULT_HOSTS = {
+  github: 'https://api.github.com',
+  gitlab: 'https://gitlab.com/api/v4'
+};
+
+function getGitHost(git) {
+  return (git.host || GIT_DEFAULT_HOSTS[git.provider] || '').replace(/\/+$/, '');
+}
+
+module.exports = {
+  GIT_DEFAULT_HOSTS: GIT_DEFAULT_HOSTS,
+  getGitHost: getGitHost
+};
+    }
+  };
+  var cache = {};
+  return function require(name) {
+    if (!cache[name]) {
+      cache[name] = { exports: {} };
+      modules[name](cache[name], cache[name].exports, require);
+    }
+    return cache[name].exports;
+  };
+})();
+
+// Figma Plugin: Styles & Variables Exporter
+// Compatible with documentAccess: dynamic-page
+
+const {
+  exportStylesAndVariables,
+  collectNodeUsage,
+  addBoundVariableIds,
+  isVariableAlias,
+  toRawRgba,
+  parseFontWeight,
+  getDocumentColorSpace,
+  convertColorSpace,
+  oklchToRgb,
+  hslToRgb,
+  getCSSColor
+} = require('./processors');
+const { getGitHost } = require('./shared');
+
+figma.showUI(__html__, { width: 400, height: 600 });
+
+figma.ui.onmessage = async (msg) => {
+  if (msg.type === 'export-data') {
+    try {
+      figma.ui.postMessage({ type: 'export-start' });
+      const data = await exportStylesAndVariables({
+        includeLibraries: !!msg.includeLibraries,
+        selectionOnly: !!msg.selectionOnly,
+        colorFormat: msg.colorFormat
+      });
+      figma.ui.postMessage({ type: 'export-complete', data });
+    } catch (error) {
+      console.error('Export error:', error);
+      figma.ui.postMessage({ 
+        type: 'export-error', 
+        message: error.message || 'An unexpected error occurred during export'
+      });
+    }
+  } else if (msg.type === 'import-preview' || msg.type === 'import-apply') {
+    // Preview and apply run the same sync, preview just doesn't touch the file. Apply only goes
+    // ahead when a fresh dry run still matches the plan the user previewed; if the file changed
+    // in between, the new plan goes back for review instead.
+    const apply = msg.type === 'import-apply';
+    const deleteMissing = !!msg.deleteMissing;
+    try {
+      const preview = await syncImportedTokens(normalizeImportData(msg.data), { apply: false, deleteMissing });
+      if (!apply || !isSameImportPlan(preview, msg.plan)) {
+        figma.ui.postMessage({ type: 'import-preview-complete', summary: preview, changed: apply });
+      } else {
+        const summary = await syncImportedTokens(normalizeImportData(msg.data), { apply: true, deleteMissing });
+        figma.ui.postMessage({ type: 'import-complete', summary });
+        figma.notify(`Import complete: ${summary.creates.length} created, ${summary.updates.length} updated, ${summary.deletes.length} deleted`);
+      }
+    } catch (error) {
+      console.error('Import error:', error);
+      figma.ui.postMessage({
+        type: 'import-error',
+        message: error.message || 'An unexpected error occurred during import'
+      });
+    }
+  } else if (msg.type === 'audit') {
+    try {
+      const audit = await auditTokenUsage(msg.colorFormat);
+      figma.ui.postMessage({ type: 'audit-complete', audit });
+    } catch (error) {
+      console.error('Audit error:', error);
+      figma.ui.postMessage({
+        type: 'audit-error',
+        message: error.message || 'An unexpected error occurred during the audit'
+      });
+    }
+  } else if (msg.type === 'focus-node') {
+    try {
+      await focusNode(msg.nodeId);
+    } catch (error) {
+      console.error('Focus error:', error);
+      figma.ui.postMessage({
+        type: 'focus-node-error',
+        message: error.message || 'An unexpected error occurred while selecting the layer'
+      });
+    }
+  } else if (msg.type === 'load-settings' || msg.type === 'save-settings' || msg.type === 'save-presets') {
+    try {
+      if (msg.type === 'load-settings') {
+        figma.ui.postMessage(Object.assign({ type: 'settings-loaded' }, await loadSettings()));
+      } else if (msg.type === 'save-settings') {
+        await saveSettings(msg.settings);
+      } else {
+        await figma.clientStorage.setAsync(PRESETS_STORAGE_KEY, msg.presets || {});
+      }
+    } catch (error) {
+      console.error('Settings error:', error);
+      figma.ui.postMessage({
+        type: 'settings-error',
+        message: error.message || 'An unexpected error occurred with the settings'
+      });
+    }
+  } else if (msg.type === 'git-read' || msg.type === 'git-sync') {
+    // Reading the base branch lets the UI skip unchanged files and list the token changes
+    try {
+      if (msg.type === 'git-read') {
+        // A newly entered token comes with the read, so it's stored before it's needed
+        if (msg.token) {
+          await saveGitToken(msg.git, msg.token);
+          figma.ui.postMessage({ type: 'git-token-saved', hosts: await getGitTokenHosts() });
+        }
+        figma.ui.postMessage({ type: 'git-read-complete', files: await readGitFiles(msg.git, msg.paths) });
+      } else {
+        const result = await createGitPullRequest(msg.git, msg.request);
+        figma.ui.postMessage(Object.assign({ type: 'git-sync-complete' }, result));
+        figma.notify(`Opened ${msg.git.provider === 'gitlab' ? 'merge' : 'pull'} request #${result.number}`);
+      }
+    } catch (error) {
+      console.error('Git sync error:', error);
+      figma.ui.postMessage({
+        type: 'git-sync-error',
+        message: error.message || 'An unexpected error occurred during the Git sync'
+      });
+    }
+  } else if (msg.type === 'webhook-send') {
+    try {
+      // Newly entered credentials come with the send, so they're stored before they're needed
+      if (msg.auth || msg.secret) {
+        await saveWebhookSecrets(msg.webhook.url, { auth: msg.auth, secret: msg.secret });
+        figma.ui.postMessage({ type: 'webhook-secrets-saved', urls: await getWebhookSecretUrls() });
+      }
+      const result = await sendWebhook(msg);
+      figma.ui.postMessage(Object.assign({ type: 'webhook-complete' }, result));
+      figma.notify(`Sent ${msg.webhook.format} export to the webhook`);
+    } catch (error) {
+      console.error('Webhook error:', error);
+      figma.ui.postMessage({
+        type: 'export-error',
+        message: `Webhook failed: ${error.message || 'an unexpected error occurred'}`
+      });
+    }
+  }
+};
+
+// Settings live in two places: the user's last settings in client storage, used
+// for files that have none yet, and the file's own copy in its plugin data, so
+// everyone exporting the file gets the same output. Presets are per user.
+const SETTINGS_STORAGE_KEY = 'settings';
+const PRESETS_STORAGE_KEY = 'presets';
+// Anyone who opens the file can read its plugin data, and these can carry secrets
+// (webhook headers, repository details), so they stay in the user's copy only
+const USER_ONLY_SETTINGS = ['git', 'webhook'];
+
+async function loadSettings() {
+  let fileSettings = null;
+  try {
+    const saved = figma.root.getPluginData(SETTINGS_STORAGE_KEY);
+    fileSettings = saved ? JSON.parse(saved) : null;
+  } catch (error) {
+    console.warn('Ignoring unreadable file settings:', error);
+  }
+  const userSettings = await figma.clientStorage.getAsync(SETTINGS_STORAGE_KEY);
+  let settings = userSettings || null;
+  if (fileSettings) {
+    settings = withoutUserOnlySettings(fileSettings);
+    for (const key of USER_ONLY_SETTINGS) {
+      if (userSettings && userSettings[key]) settings[key] = userSettings[key];
+    }
+  }
+  return {
+    settings,
+    presets: (await figma.clientStorage.getAsync(PRESETS_STORAGE_KEY)) || {},
+    gitTokenHosts: await getGitTokenHosts(),
+    webhookSecretUrls: await getWebhookSecretUrls()
+  };
+}
+
+async function saveSettings(settings) {
+  if (!settings) return;
+  await figma.clientStorage.setAsync(SETTINGS_STORAGE_KEY, settings);
+  try {
+    figma.root.setPluginData(SETTINGS_STORAGE_KEY, JSON.stringify(withoutUserOnlySettings(settings)));
+  } catch (error) {
+    // View-only files can't store plugin data, the user copy still applies
+    console.warn('Could not save file settings:', error);
+  }
+}
+
+function withoutUserOnlySettings(settings) {
+  const fileSettings = Object.assign({}, settings);
+  USER_ONLY_SETTINGS.forEach(key => delete fileSettings[key]);
+  return fileSettings;
+}
+// Audit: where every local style and variable is used, which ones nothing uses, and
+// solid fills and strokes that repeat a token's exact color without using the token
+
+// Node lists are capped so big files don't flood the UI; counts are exact
+const AUDIT_NODE_LIMIT = 50;
+
+// Hard-coded colors are shown in the export's color format
+async function auditTokenUsage(colorFormat) {
+  const [paintStyles, textStyles, effectStyles, gridStyles, variables, collections] = await Promise.all([
+    figma.getLocalPaintStylesAsync(),
+    figma.getLocalTextStylesAsync(),
+    figma.getLocalEffectStylesAsync(),
+    figma.getLocalGridStylesAsync(),
+    figma.variables.getLocalVariablesAsync(),
+    figma.variables.getLocalVariableCollectionsAsync()
+  ]);
+  const collectionNames = new Map(collections.map(collection => [collection.id, collection.name]));
+
+  const tokens = new Map();
+  const addToken = (id, entry) => tokens.set(id, Object.assign(entry, { id, count: 0, references: 0, nodes: [] }));
+  for (const [list, kind] of [[paintStyles, 'color style'], [textStyles, 'text style'], [effectStyles, 'effect style'], [gridStyles, 'grid style']]) {
+    for (const style of list) addToken(style.id, { kind, name: style.name });
+  }
+  for (const variable of variables) {
+    addToken(variable.id, { kind: 'variable', name: variable.name, collection: collectionNames.get(variable.variableCollectionId) });
+  }
+
+  // Aliases and variables bound in styles keep their targets in use
+  for (const variable of variables) {
+    for (const value of Object.values(variable.valuesByMode)) {
+      if (isVariableAlias(value) && tokens.has(value.id)) tokens.get(value.id).references++;
+    }
+  }
+  for (const style of [].concat(paintStyles, textStyles, effectStyles, gridStyles)) {
+    const bound = new Set();
+    for (const item of [style].concat(style.paints || [], style.effects || [], style.layoutGrids || [])) {
+      addBoundVariableIds(item, bound);
+    }
+    for (const id of bound) {
+      if (tokens.has(id)) tokens.get(id).references++;
+    }
+  }
+
+  const colorTokens = getAuditColorTokens(paintStyles, variables, collections);
+  const hardCoded = [];
+  let nodeCount = 0;
+
+  const pages = figma.root.children;
+  for (let index = 0; index < pages.length; index++) {
+    const page = pages[index];
+    figma.ui.postMessage({ type: 'audit-progress', page: page.name, index, total: pages.length });
+    await page.loadAsync();
+    for (const node of page.findAll()) {
+      nodeCount++;
+      const nodeRef = { id: node.id, name: node.name, page: page.name };
+      const usage = { styleIds: new Set(), variableIds: new Set() };
+      collectNodeUsage(node, usage);
+      for (const id of [...usage.styleIds, ...usage.variableIds]) {
+        const token = tokens.get(id);
+        if (!token) continue; // Library tokens aren't part of the audit
+        token.count++;
+        if (token.nodes.length < AUDIT_NODE_LIMIT) token.nodes.push(nodeRef);
+      }
+      // Layers inside instances come from their main component, which is where a fix belongs
+      if (node.id.indexOf('I') !== 0) {
+        findHardCodedColors(node, nodeRef, colorTokens, hardCoded, colorFormat);
+      }
+    }
+  }
+
+  const auditedTokens = Array.from(tokens.values()).map(token =>
+    Object.assign(token, { unused: token.count === 0 && token.references === 0 })
+  );
+  return {
+    pages: pages.length,
+    nodes: nodeCount,
+    tokens: auditedTokens,
+    hardCoded
+  };
+}
+
+// Exact colors of single solid paint styles and of color variables in every mode, keyed by 8-digit hex
+function getAuditColorTokens(paintStyles, variables, collections) {
+  const colorTokens = new Map();
+  const add = (color, opacity, match) => {
+    const key = getAuditColorKey(color, opacity);
+    if (!colorTokens.has(key)) colorTokens.set(key, []);
+    colorTokens.get(key).push(match);
+  };
+  for (const style of paintStyles) {
+    const paints = (style.paints || []).filter(paint => paint.visible !== false);
+    if (paints.length === 1 && paints[0].type === 'SOLID') {
+      add(paints[0].color, paints[0].opacity, { kind: 'color style', name: style.name });
+    }
+  }
+  const collectionsById = new Map(collections.map(collection => [collection.id, collection]));
+  for (const variable of variables) {
+    if (variable.resolvedType !== 'COLOR') continue;
+    const collection = collectionsById.get(variable.variableCollectionId);
+    for (const [modeId, value] of Object.entries(variable.valuesByMode)) {
+      if (isVariableAlias(value) || !value) continue;
+      const mode = collection && collection.modes.find(item => item.modeId === modeId);
+      add(value, 1, {
+        kind: 'variable',
+        name: variable.name,
+        collection: collection ? collection.name : undefined,
+        mode: collection && collection.modes.length > 1 && mode ? mode.name : undefined
+      });
+    }
+  }
+  return colorTokens;
+}
+
+function getAuditColorKey(color, opacity) {
+  const alpha = (color.a !== undefined ? color.a : 1) * (opacity !== undefined ? opacity : 1);
+  return [color.r, color.g, color.b, alpha]
+    .map(value => Math.round(Math.max(0, Math.min(1, value)) * 255).toString(16).padStart(2, '0'))
+    .join('');
+}
+
+// Solid fills and strokes with neither a style nor a bound variable that equal a token's color
+function findHardCodedColors(node, nodeRef, colorTokens, hardCoded, colorFormat) {
+  for (const [field, styleField] of [['fills', 'fillStyleId'], ['strokes', 'strokeStyleId']]) {
+    if (!Array.isArray(node[field]) || (typeof node[styleField] === 'string' && node[styleField])) continue;
+    for (const paint of node[field]) {
+      if (paint.type !== 'SOLID' || paint.visible === false) continue;
+      if (paint.boundVariables && paint.boundVariables.color) continue;
+      const matches = colorTokens.get(getAuditColorKey(paint.color, paint.opacity));
+      if (matches) {
+        hardCoded.push({ node: nodeRef, field, value: getCSSColor(toRawRgba(paint.color, paint.opacity), colorFormat), matches });
+      }
+    }
+  }
+}
+
+// Select a node from an audit result and bring it into view, switching pages if needed
+async function focusNode(nodeId) {
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node || node.type === 'DOCUMENT' || node.type === 'PAGE') {
+    figma.notify('That layer no longer exists');
+    return;
+  }
+  let page = node.parent;
+  while (page && page.type !== 'PAGE') page = page.parent;
+  if (page && page !== figma.currentPage) await figma.setCurrentPageAsync(page);
+  figma.currentPage.selection = [node];
+  figma.viewport.scrollAndZoomIntoView([node]);
+}
+
+// Import: tokens from the plugin's own export schema or DTCG back into Figma
+
+const IMPORT_GROUP_TYPES = {
+  colors: 'COLOR',
+  numbers: 'FLOAT',
+  strings: 'STRING',
+  booleans: 'BOOLEAN'
+};
+
+const DTCG_VARIABLE_TYPES = {
+  color: 'COLOR',
+  number: 'FLOAT',
+  dimension: 'FLOAT',
+  fontWeight: 'FLOAT',
+  duration: 'FLOAT',
+  string: 'STRING',
+  fontFamily: 'STRING',
+  boolean: 'BOOLEAN'
+};
+
+const DTCG_STYLE_TYPES = {
+  gradient: 'PAINT',
+  typography: 'TEXT',
+  shadow: 'EFFECT'
+};
+
+// Normalize either input schema into collections of variables plus paint/text/effect styles
+function normalizeImportData(json) {
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    throw new Error('Import file must contain a JSON object');
+  }
+
+  const tokens = {
+    collections: {},
+    paintStyles: [],
+    textStyles: [],
+    effectStyles: [],
+    skipped: []
+  };
+
+  if (isPluginExport(json)) {
+    normalizePluginExport(json, tokens);
+  } else {
+    normalizeDTCG(json, tokens);
+  }
+
+  const total = Object.keys(tokens.collections).length + tokens.paintStyles.length +
+    tokens.textStyles.length + tokens.effectStyles.length;
+  if (total === 0) {
+    throw new Error('No variables or styles found in the import file');
+  }
+
+  return tokens;
+}
+
+function isPluginExport(json) {
+  const collections = json.collections;
+  const hasCollections = !!collections && typeof collections === 'object' &&
+    Object.keys(collections).some(name => collections[name] && typeof collections[name].variables === 'object');
+  const hasStyles = !!json.styles && typeof json.styles === 'object' &&
+    ['colors', 'textStyles', 'effectStyles'].some(key => !!json.styles[key] && typeof json.styles[key] === 'object');
+  return hasCollections || hasStyles;
+}
+
+function getImportCollection(tokens, name) {
+  if (!tokens.collections[name]) {
+    tokens.collections[name] = { name, modes: [], variables: {} };
+  }
+  return tokens.collections[name];
+}
+
+// The UI flattens nested exports, so variables and styles arrive as lists
+function normalizePluginExport(json, tokens) {
+  for (const [collectionName, collection] of Object.entries(json.collections || {})) {
+    if (!collection || typeof collection.variables !== 'object') continue;
+
+    const target = getImportCollection(tokens, collectionName);
+    const modes = collection.modes || [];
+    const defaultMode = modes.find(mode => mode.id === collection.defaultModeId) || modes[0];
+    target.modes = modes.map(mode => mode.name);
+    if (defaultMode) {
+      // The default mode goes first so it becomes the default of a new collection
+      target.modes = [defaultMode.name].concat(target.modes.filter(name => name !== defaultMode.name));
+    }
+
+    for (const [group, type] of Object.entries(IMPORT_GROUP_TYPES)) {
+      for (const variable of collection.variables[group] || []) {
+        const entry = {
+          name: variable.name,
+          type,
+          description: variable.description || '',
+          value: toImportValue(variable.value, type, variable.alias)
+        };
+        if (variable.values) {
+          entry.values = {};
+          for (const [modeName, value] of Object.entries(variable.values)) {
+            entry.values[modeName] = toImportValue(value, type, variable.aliases && variable.aliases[modeName]);
+          }
+        }
+        target.variables[variable.name] = entry;
+      }
+    }
+  }
+
+  const styles = json.styles || {};
+
+  for (const color of styles.colors || []) {
+    const paint = toImportPaint(color);
+    if (paint) {
+      tokens.paintStyles.push({ name: color.name, description: color.description || '', paints: [paint] });
+    } else if (color.type === 'layered' && Array.isArray(color.layers)) {
+      // Layers are exported top first, Figma stacks paints bottom first
+      const paints = color.layers.map(layer => toImportPaint(layer)).reverse();
+      if (paints.length > 0 && paints.every(Boolean)) {
+        tokens.paintStyles.push({ name: color.name, description: color.description || '', paints });
+      } else {
+        tokens.skipped.push({ kind: 'paint style', name: color.name, reason: 'unsupported paint layer' });
+      }
+    } else {
+      tokens.skipped.push({ kind: 'paint style', name: color.name, reason: `unsupported ${color.type} paint` });
+    }
+  }
+
+  for (const textStyle of styles.textStyles || []) {
+    tokens.textStyles.push({
+      name: textStyle.name,
+      description: textStyle.description || '',
+      fontFamily: textStyle.fontFamily,
+      fontWeight: textStyle.fontWeight,
+      italic: textStyle.fontStyle === 'italic',
+      fontSize: parseImportNumber(textStyle.fontSize),
+      lineHeight: toImportLineHeight(textStyle.lineHeight),
+      letterSpacing: toImportLetterSpacing(textStyle.letterSpacing),
+      textCase: textStyle.textTransform ? textStyle.textTransform.toUpperCase().replace(/-/g, '_') : 'ORIGINAL',
+      textDecoration: textStyle.textDecoration ? textStyle.textDecoration.toUpperCase().replace(/-/g, '_') : 'NONE'
+    });
+  }
+
+  for (const effectStyle of styles.effectStyles || []) {
+    const effects = (effectStyle.effects || []).map(effect => {
+      const imported = effect.type === 'layer-blur' || effect.type === 'background-blur' ?
+        toImportBlur(effect.blur, effect.type) :
+        toImportShadow({
+          inset: effect.type === 'inner-shadow',
+          color: effect.color,
+          offsetX: effect.x,
+          offsetY: effect.y,
+          blur: effect.blur,
+          spread: effect.spread
+        }, effect.type);
+      if (!imported) return null;
+      if (effect.visible === false) imported.visible = false;
+      if (effect.blendMode && imported.blendMode) imported.blendMode = effect.blendMode.toUpperCase().replace(/-/g, '_');
+      if (effect.showShadowBehindNode && imported.type === 'DROP_SHADOW') imported.showShadowBehindNode = true;
+      return imported;
+    }).filter(Boolean);
+    if (effects.length > 0) {
+      tokens.effectStyles.push({ name: effectStyle.name, description: effectStyle.description || '', effects });
+    } else {
+      tokens.skipped.push({ kind: 'effect style', name: effectStyle.name, reason: 'no supported effects' });
+    }
+  }
+}
+
+function normalizeDTCG(json, tokens) {
+  walkDTCG(json, [], undefined, (path, token, type) => {
+    const name = path.join('/');
+    const figmaExtension = (token.$extensions && token.$extensions['com.figma']) || {};
+    const description = token.$description || '';
+    const styleType = figmaExtension.styleType || DTCG_STYLE_TYPES[type];
+
+    if (styleType === 'PAINT') {
+      const gradient = figmaExtension.gradient;
+      const paint = type === 'gradient' ?
+        toImportPaint({ type: `gradient_${gradient ? gradient.type : 'linear'}`, stops: token.$value, gradient }) :
+        toImportPaint({ type: 'solid', value: token.$value });
+      if (paint) {
+        tokens.paintStyles.push({ name, description, paints: [paint] });
+      } else {
+        tokens.skipped.push({ kind: 'paint style', name, reason: 'invalid color value' });
+      }
+      return;
+    }
+
+    if (styleType === 'TEXT') {
+      const value = token.$value || {};
+      tokens.textStyles.push({
+        name,
+        description,
+        fontFamily: Array.isArray(value.fontFamily) ? value.fontFamily[0] : value.fontFamily,
+        fontWeight: value.fontWeight,
+        italic: value.fontStyle === 'italic',
+        fontSize: parseImportNumber(value.fontSize),
+        lineHeight: toImportLineHeight(value.lineHeight),
+        letterSpacing: toImportLetterSpacing(value.letterSpacing),
+        textCase: 'ORIGINAL',
+        textDecoration: 'NONE'
+      });
+      return;
+    }
+
+    if (styleType === 'EFFECT') {
+      // Blur-only styles are a dimension token, other blurs sit in the extension next to the shadows
+      const shadows = type === 'dimension' ? [] : Array.isArray(token.$value) ? token.$value : [token.$value];
+      const blurs = Object.assign({}, figmaExtension.blurs);
+      if (type === 'dimension') blurs[figmaExtension.effect || 'layer-blur'] = token.$value;
+      const effects = shadows.map(shadow => toImportShadow(shadow || {}))
+        .concat(Object.keys(blurs).map(blurType => toImportBlur(blurs[blurType], blurType)))
+        .filter(Boolean);
+      if (effects.length > 0) {
+        tokens.effectStyles.push({ name, description, effects });
+      } else {
+        tokens.skipped.push({ kind: 'effect style', name, reason: 'invalid shadow value' });
+      }
+      return;
+    }
+
+    const variableType = DTCG_VARIABLE_TYPES[type];
+    if (!variableType) {
+      tokens.skipped.push({ kind: 'token', name, reason: `unsupported type "${type}"` });
+      return;
+    }
+
+    // The first group level is the collection, matching the DTCG export
+    const collection = getImportCollection(tokens, path.length > 1 ? path[0] : 'Tokens');
+    const variableName = path.length > 1 ? path.slice(1).join('/') : path[0];
+    // Opacity is exported as 0-1, Figma stores it as a percentage
+    const scopes = Array.isArray(figmaExtension.scopes) ? figmaExtension.scopes : [];
+    const isOpacity = variableType === 'FLOAT' && scopes.length > 0 && scopes.every(scope => scope === 'OPACITY');
+    const toValue = value => {
+      const imported = toImportValue(value, variableType);
+      if (isOpacity && imported && typeof imported.value === 'number' && !imported.alias) {
+        imported.value = Math.round(imported.value * 100 * 10000) / 10000;
+      }
+      return imported;
+    };
+    const entry = {
+      name: variableName,
+      type: variableType,
+      description,
+      value: toValue(token.$value)
+    };
+    if (figmaExtension.modes && typeof figmaExtension.modes === 'object') {
+      entry.values = {};
+      for (const [modeName, value] of Object.entries(figmaExtension.modes)) {
+        entry.values[modeName] = toValue(value);
+        if (collection.modes.indexOf(modeName) === -1) {
+          collection.modes.push(modeName);
+        }
+      }
+    }
+    collection.variables[variableName] = entry;
+  });
+}
+
+// Visit every token in a DTCG tree, passing group-level $type down to children
+function walkDTCG(group, path, inheritedType, visit) {
+  const groupType = group.$type || inheritedType;
+  for (const [key, child] of Object.entries(group)) {
+    if (key.charAt(0) === '$' || !child || typeof child !== 'object') continue;
+    const childPath = path.concat(key);
+    if (child.$value !== undefined) {
+      visit(childPath, child, child.$type || groupType);
+    } else {
+      walkDTCG(child, childPath, groupType, visit);
+    }
+  }
+}
+
+// Import values are either { value } with a Figma-ready raw value, or { alias } with a reference
+function toImportValue(value, type, alias) {
+  const parsed = parseImportValue(value, type);
+  if (alias) {
+    return { alias: { collection: alias.collection, name: alias.name }, value: parsed };
+  }
+  if (typeof value === 'string' && /^\{[^{}]+\}$/.test(value.trim())) {
+    return { alias: { path: value.trim().slice(1, -1) }, value: null };
+  }
+  return parsed === null ? null : { value: parsed };
+}
+
+function parseImportValue(value, type) {
+  switch (type) {
+    case 'COLOR':
+      return parseImportColor(value);
+    case 'FLOAT':
+      return parseImportNumber(value);
+    case 'STRING':
+      return (value === undefined || value === null || typeof value === 'object') ? null : String(value);
+    case 'BOOLEAN':
+      if (typeof value === 'boolean') return value;
+      if (value === 'true' || value === 'false') return value === 'true';
+      return null;
+    default:
+      return null;
+  }
+}
+
+function parseImportNumber(value) {
+  if (typeof value === 'number') return value;
+  if (value && typeof value === 'object' && typeof value.value === 'number') return value.value;
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(parseFloat(value))) return parseFloat(value);
+  return null;
+}
+
+// Parse hex, rgb(), hsl(), oklch(), color() and DTCG color objects into Figma RGBA (0-1),
+// converted into the document's color profile
+function parseImportColor(value) {
+  if (value && typeof value === 'object') {
+    if (typeof value.r === 'number') {
+      return { r: value.r, g: value.g, b: value.b, a: value.a !== undefined ? value.a : 1 };
+    }
+    if (Array.isArray(value.components)) {
+      const alpha = value.alpha !== undefined ? value.alpha : 1;
+      if (value.colorSpace === 'oklch') {
+        return toDocumentColor(oklchToRgb(value.components, 'srgb'), 'srgb', alpha);
+      }
+      return toDocumentColor(value.components, value.colorSpace === 'display-p3' ? 'display-p3' : 'srgb', alpha);
+    }
+    return null;
+  }
+  if (typeof value !== 'string') return null;
+
+  const text = value.trim();
+  const hexMatch = text.match(/^#([0-9a-f]{3,8})$/i);
+  if (hexMatch) {
+    let hex = hexMatch[1];
+    if (hex.length === 3 || hex.length === 4) {
+      hex = hex.split('').map(c => c + c).join('');
+    }
+    if (hex.length !== 6 && hex.length !== 8) return null;
+    return toDocumentColor([
+      parseInt(hex.slice(0, 2), 16) / 255,
+      parseInt(hex.slice(2, 4), 16) / 255,
+      parseInt(hex.slice(4, 6), 16) / 255
+    ], 'srgb', hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1);
+  }
+
+  const functionMatch = text.match(/^(rgba?|hsla?|oklch|color)\(([^)]+)\)$/i);
+  if (!functionMatch) return null;
+  const name = functionMatch[1].toLowerCase();
+  const parts = functionMatch[2].split(/[\s,\/]+/).filter(Boolean);
+  const space = name === 'color' ? parts.shift().toLowerCase() : null;
+  if (parts.length < 3) return null;
+  const number = (part, percentScale) => part.slice(-1) === '%' ? parseFloat(part) / 100 * percentScale : parseFloat(part);
+  const alpha = parts[3] === undefined ? 1 : number(parts[3], 1);
+
+  let channels;
+  let source = 'srgb';
+  if (name === 'rgb' || name === 'rgba') {
+    channels = parts.slice(0, 3).map(part => number(part, 255) / 255);
+  } else if (name === 'hsl' || name === 'hsla') {
+    channels = hslToRgb([parseFloat(parts[0]), number(parts[1], 100) / 100, number(parts[2], 100) / 100]);
+  } else if (name === 'oklch') {
+    channels = oklchToRgb([number(parts[0], 1), number(parts[1], 0.4), parseFloat(parts[2])], 'srgb');
+  } else if (space === 'srgb' || space === 'display-p3') {
+    channels = parts.slice(0, 3).map(part => number(part, 1));
+    source = space;
+  } else {
+    return null;
+  }
+  return channels.concat(alpha).some(isNaN) ? null : toDocumentColor(channels, source, alpha);
+}
+
+// Converted into the document's color profile and clamped to what Figma stores
+function toDocumentColor(channels, space, alpha) {
+  const clamp = value => Math.max(0, Math.min(1, value));
+  const [r, g, b] = convertColorSpace(channels, space, getDocumentColorSpace()).map(clamp);
+  return { r, g, b, a: clamp(alpha) };
+}
+
+function toImportPaint(color) {
+  const type = (color.type || '').toUpperCase();
+
+  const blendMode = color.blendMode ? { blendMode: color.blendMode.toUpperCase().replace(/-/g, '_') } : {};
+
+  if (type === 'SOLID') {
+    const rgba = parseImportColor(color.value);
+    if (!rgba) return null;
+    return Object.assign({ type: 'SOLID', color: { r: rgba.r, g: rgba.g, b: rgba.b }, opacity: rgba.a }, blendMode);
+  }
+
+  if (type.indexOf('GRADIENT_') === 0 && Array.isArray(color.stops)) {
+    const gradientStops = color.stops.map(stop => {
+      const rgba = parseImportColor(stop.color);
+      const position = typeof stop.position === 'number' ? stop.position : parseFloat(stop.position) / 100;
+      return rgba && !isNaN(position) ? { color: rgba, position } : null;
+    });
+    if (gradientStops.length === 0 || gradientStops.some(stop => !stop)) return null;
+    // Older exports have no geometry, see resolveImportPaints
+    const gradientTransform = color.gradient && color.gradient.transform;
+    return Object.assign({ type }, gradientTransform ? { gradientTransform } : {}, { gradientStops }, blendMode);
+  }
+
+  return null;
+}
+
+function toImportLineHeight(lineHeight) {
+  if (lineHeight === undefined || lineHeight === null) return { unit: 'AUTO' };
+  if (typeof lineHeight === 'number') return { unit: 'PERCENT', value: lineHeight * 100 };
+  if (typeof lineHeight === 'string') {
+    if (lineHeight.toLowerCase() === 'auto' || lineHeight.toLowerCase() === 'normal') return { unit: 'AUTO' };
+    if (lineHeight.slice(-1) === '%') return { unit: 'PERCENT', value: parseFloat(lineHeight) };
+    if (/px$/.test(lineHeight)) return { unit: 'PIXELS', value: parseFloat(lineHeight) };
+    if (!isNaN(parseFloat(lineHeight))) return { unit: 'PERCENT', value: parseFloat(lineHeight) * 100 };
+  }
+  return { unit: 'AUTO' };
+}
+
+function toImportLetterSpacing(letterSpacing) {
+  if (typeof letterSpacing === 'number') return { unit: 'PIXELS', value: letterSpacing };
+  if (typeof letterSpacing === 'string') {
+    if (letterSpacing.slice(-1) === '%') return { unit: 'PERCENT', value: parseFloat(letterSpacing) };
+    // DTCG expresses relative letter spacing in em
+    if (/em$/.test(letterSpacing)) return { unit: 'PERCENT', value: parseFloat(letterSpacing) * 100 };
+    if (!isNaN(parseFloat(letterSpacing))) return { unit: 'PIXELS', value: parseFloat(letterSpacing) };
+  }
+  return { unit: 'PERCENT', value: 0 };
+}
+
+function toImportShadow(shadow, exportedType) {
+  const rgba = parseImportColor(shadow.color);
+  if (!rgba) return null;
+  const inset = shadow.inset === true || exportedType === 'inner-shadow';
+  return {
+    type: inset ? 'INNER_SHADOW' : 'DROP_SHADOW',
+    color: rgba,
+    offset: { x: parseImportNumber(shadow.offsetX) || 0, y: parseImportNumber(shadow.offsetY) || 0 },
+    radius: parseImportNumber(shadow.blur) || 0,
+    spread: parseImportNumber(shadow.spread) || 0,
+    visible: true,
+    blendMode: 'NORMAL'
+  };
+}
+
+function toImportBlur(radius, exportedType) {
+  return {
+    type: exportedType === 'background-blur' ? 'BACKGROUND_BLUR' : 'LAYER_BLUR',
+    radius: parseImportNumber(radius) || 0,
+    visible: true
+  };
+}
+
+// Create or update variables and styles by name. With apply=false nothing is changed and
+// the returned summary is the dry run of what applying would do.
+async function syncImportedTokens(tokens, options) {
+  const summary = { creates: [], updates: [], deletes: [], skipped: tokens.skipped.slice() };
+
+  await syncImportedVariables(tokens, options, summary);
+  await syncImportedPaintStyles(tokens.paintStyles, options, summary);
+  await syncImportedTextStyles(tokens.textStyles, options, summary);
+  await syncImportedEffectStyles(tokens.effectStyles, options, summary);
+
+  return summary;
+}
+
+// Plans match when they create, update, delete and skip the same tokens
+function isSameImportPlan(summary, plan) {
+  if (!plan) return false;
+  return ['creates', 'updates', 'deletes', 'skipped'].every(list =>
+    JSON.stringify(summary[list].map(item => [item.kind, item.name])) ===
+    JSON.stringify((plan[list] || []).map(item => [item.kind, item.name]))
+  );
+}
+
+// Stands in for variables that a dry run would create
+const PLANNED_VARIABLE = { id: null };
+// Stand in for modes that a dry run would add, so their values are checked too
+const PLANNED_MODE = 'planned';
+const PLANNED_DEFAULT_MODE = 'planned-default';
+
+async function syncImportedVariables(tokens, options, summary) {
+  const { apply, deleteMissing } = options;
+  const [localCollections, localVariables] = await Promise.all([
+    figma.variables.getLocalVariableCollectionsAsync(),
+    figma.variables.getLocalVariablesAsync()
+  ]);
+
+  // collection name -> variable name -> Variable, for resolving aliases by name
+  const variableLookup = new Map();
+  const collectionNames = new Map(localCollections.map(collection => [collection.id, collection.name]));
+  for (const variable of localVariables) {
+    const collectionName = collectionNames.get(variable.variableCollectionId);
+    if (!variableLookup.has(collectionName)) variableLookup.set(collectionName, new Map());
+    variableLookup.get(collectionName).set(variable.name, variable);
+  }
+
+  const pending = [];
+
+  // Pass 1: collections, modes and variables, so aliases can point at anything in the import
+  for (const importCollection of Object.values(tokens.collections)) {
+    let collection = localCollections.find(c => c.name === importCollection.name);
+    const isNewCollection = !collection;
+
+    if (isNewCollection) {
+      summary.creates.push({ kind: 'collection', name: importCollection.name });
+      if (apply) {
+        collection = figma.variables.createVariableCollection(importCollection.name);
+        if (importCollection.modes.length > 0) {
+          collection.renameMode(collection.modes[0].modeId, importCollection.modes[0]);
+        }
+      }
+    }
+
+    const modeIds = {};
+    if (collection) {
+      collection.modes.forEach(mode => { modeIds[mode.name] = mode.modeId; });
+    }
+    importCollection.modes.forEach((modeName, index) => {
+      if (modeIds[modeName] !== undefined) return;
+      if (isNewCollection && index === 0) {
+        modeIds[modeName] = PLANNED_DEFAULT_MODE;
+        return;
+      }
+      summary.creates.push({ kind: 'mode', name: `${importCollection.name} / ${modeName}` });
+      if (apply) {
+        try {
+          modeIds[modeName] = collection.addMode(modeName);
+        } catch (error) {
+          summary.skipped.push({ kind: 'mode', name: `${importCollection.name} / ${modeName}`, reason: error.message });
+        }
+      } else {
+        modeIds[modeName] = PLANNED_MODE;
+      }
+    });
+
+    if (!variableLookup.has(importCollection.name)) variableLookup.set(importCollection.name, new Map());
+    const collectionLookup = variableLookup.get(importCollection.name);
+    const existingVariables = collection && !isNewCollection ?
+      localVariables.filter(v => v.variableCollectionId === collection.id) : [];
+
+    for (const importVariable of Object.values(importCollection.variables)) {
+      let variable = existingVariables.find(v => v.name === importVariable.name);
+      const label = `${importCollection.name} / ${importVariable.name}`;
+
+      if (variable && variable.resolvedType !== importVariable.type) {
+        summary.skipped.push({
+          kind: 'variable',
+          name: label,
+          reason: `type is ${variable.resolvedType} in the file but ${importVariable.type} in the import`
+        });
+        continue;
+      }
+
+      const isNew = !variable;
+      if (isNew) {
+        summary.creates.push({ kind: 'variable', name: label });
+        if (apply) {
+          variable = figma.variables.createVariable(importVariable.name, collection, importVariable.type);
+        }
+      }
+
+      collectionLookup.set(importVariable.name, variable || PLANNED_VARIABLE);
+      pending.push({ importVariable, variable, collection, modeIds, isNew, label });
+    }
+
+    if (deleteMissing) {
+      for (const variable of existingVariables) {
+        if (importCollection.variables[variable.name]) continue;
+        summary.deletes.push({ kind: 'variable', name: `${importCollection.name} / ${variable.name}` });
+        if (apply) variable.remove();
+      }
+    }
+  }
+
+  // Pass 2: values per mode and descriptions
+  for (const item of pending) {
+    const { importVariable, variable, collection, modeIds, isNew, label } = item;
+
+    let changed = false;
+    for (const [modeName, modeId] of Object.entries(modeIds)) {
+      let spec = importVariable.values ? importVariable.values[modeName] : undefined;
+      const defaultModeId = collection ? collection.defaultModeId : PLANNED_DEFAULT_MODE;
+      if (spec === undefined && modeId === defaultModeId) {
+        spec = importVariable.value;
+      }
+      if (spec === undefined) continue;
+
+      // null is a value the import couldn't parse for the variable's type
+      const nextValue = spec === null ? undefined : getImportVariableValue(spec, variableLookup);
+      if (nextValue === undefined) {
+        const reason = spec && spec.alias ? 'alias target not found' : 'value could not be parsed';
+        summary.skipped.push({ kind: 'value', name: `${label} (${modeName})`, reason });
+        continue;
+      }
+      if (!variable) continue; // Dry run of a new variable, nothing to compare against
+      if (nextValue !== PLANNED_VARIABLE && importValuesEqual(variable.valuesByMode[modeId], nextValue)) continue;
+
+      changed = true;
+      if (apply) {
+        try {
+          variable.setValueForMode(modeId, nextValue);
+        } catch (error) {
+          summary.skipped.push({ kind: 'value', name: `${label} (${modeName})`, reason: error.message });
+        }
+      }
+    }
+    if (!variable) continue;
+
+    if ((variable.description || '') !== importVariable.description) {
+      changed = true;
+      if (apply) variable.description = importVariable.description;
+    }
+
+    if (changed && !isNew) {
+      summary.updates.push({ kind: 'variable', name: label });
+    }
+  }
+}
+
+// Returns a Figma variable value, PLANNED_VARIABLE for an alias to a not-yet-created
+// variable during a dry run, or undefined if nothing usable was found
+function getImportVariableValue(spec, variableLookup) {
+  if (spec.alias) {
+    const target = findImportAliasTarget(spec.alias, variableLookup);
+    if (target === PLANNED_VARIABLE) return PLANNED_VARIABLE;
+    if (target) return figma.variables.createVariableAlias(target);
+  }
+  return spec.value !== null && spec.value !== undefined ? spec.value : undefined;
+}
+
+function findImportAliasTarget(ref, variableLookup) {
+  if (ref.collection !== undefined) {
+    const collectionLookup = variableLookup.get(ref.collection);
+    return collectionLookup ? collectionLookup.get(ref.name) : undefined;
+  }
+
+  // Dotted paths: DTCG references start with the collection, plain JSON references don't
+  const segments = ref.path.split('.');
+  if (segments.length > 1 && variableLookup.has(segments[0])) {
+    const target = variableLookup.get(segments[0]).get(segments.slice(1).join('/'));
+    if (target) return target;
+  }
+  const name = segments.join('/');
+  for (const collectionLookup of variableLookup.values()) {
+    if (collectionLookup.has(name)) return collectionLookup.get(name);
+  }
+  return undefined;
+}
+
+function importValuesEqual(current, next) {
+  if (isVariableAlias(current) || isVariableAlias(next)) {
+    return isVariableAlias(current) && isVariableAlias(next) && current.id === next.id;
+  }
+  if (current && next && typeof current === 'object' && typeof next === 'object') {
+    // Colors survive a round trip through 8-bit hex, so compare within one step
+    return ['r', 'g', 'b', 'a'].every(channel => {
+      const a = current[channel] !== undefined ? current[channel] : 1;
+      const b = next[channel] !== undefined ? next[channel] : 1;
+      return Math.abs(a - b) <= 1 / 255;
+    });
+  }
+  if (typeof current === 'number' && typeof next === 'number') {
+    return Math.abs(current - next) < 0.0001;
+  }
+  return current === next;
+}
+
+// Shared create/update/delete-by-name logic for the three style types
+async function syncImportedStyles(kind, importStyles, localStyles, options, summary, handlers) {
+  for (const importStyle of importStyles) {
+    const style = localStyles.find(s => s.name === importStyle.name);
+    const problem = await handlers.validate(importStyle);
+    if (problem) {
+      summary.skipped.push({ kind, name: importStyle.name, reason: problem });
+      continue;
+    }
+
+    if (!style) {
+      summary.creates.push({ kind, name: importStyle.name });
+      if (options.apply) {
+        const created = handlers.create();
+        created.name = importStyle.name;
+        await handlers.update(created, importStyle);
+      }
+    } else if (handlers.isChanged(style, importStyle) || (style.description || '') !== importStyle.description) {
+      summary.updates.push({ kind, name: importStyle.name });
+      if (options.apply) {
+        await handlers.update(style, importStyle);
+      }
+    }
+  }
+
+  // An import without styles of this type leaves them alone, so a variables-only file can't wipe them
+  if (options.deleteMissing && importStyles.length > 0) {
+    const importNames = new Set(importStyles.map(s => s.name));
+    for (const style of localStyles) {
+      if (importNames.has(style.name)) continue;
+      summary.deletes.push({ kind, name: style.name });
+      if (options.apply) style.remove();
+    }
+  }
+}
+
+async function syncImportedPaintStyles(importStyles, options, summary) {
+  const localStyles = await figma.getLocalPaintStylesAsync();
+  await syncImportedStyles('paint style', importStyles, localStyles, options, summary, {
+    validate: async () => null,
+    create: () => figma.createPaintStyle(),
+    isChanged: (style, importStyle) =>
+      JSON.stringify(simplifyPaints(style.paints)) !== JSON.stringify(simplifyPaints(resolveImportPaints(style.paints, importStyle.paints))),
+    update: async (style, importStyle) => {
+      style.paints = resolveImportPaints(style.paints, importStyle.paints);
+      style.description = importStyle.description;
+    }
+  });
+}
+
+// Gradients use the imported geometry. Without one (older exports) an update keeps the
+// existing geometry of a gradient of the same type and new gradients run left to right.
+function resolveImportPaints(currentPaints, importPaints) {
+  return importPaints.map((paint, index) => {
+    if (paint.type === 'SOLID' || paint.gradientTransform) return paint;
+    const current = (currentPaints || [])[index];
+    const keep = current && current.type === paint.type && current.gradientTransform;
+    return Object.assign({}, paint, { gradientTransform: keep ? current.gradientTransform : [[1, 0, 0], [0, 1, 0]] });
+  });
+}
+
+async function syncImportedTextStyles(importStyles, options, summary) {
+  const localStyles = await figma.getLocalTextStylesAsync();
+  const fontCache = {};
+  await syncImportedStyles('text style', importStyles, localStyles, options, summary, {
+    validate: async importStyle => {
+      if (!importStyle.fontFamily) return 'no font family';
+      if (!importStyle.fontSize) return 'no font size';
+      importStyle.fontName = await findImportFont(importStyle, fontCache);
+      return importStyle.fontName ? null : `font "${importStyle.fontFamily}" is not available`;
+    },
+    create: () => figma.createTextStyle(),
+    isChanged: (style, importStyle) =>
+      style.fontName.family !== importStyle.fontName.family ||
+      style.fontName.style !== importStyle.fontName.style ||
+      style.fontSize !== importStyle.fontSize ||
+      !sameUnitValue(style.lineHeight, importStyle.lineHeight) ||
+      !sameUnitValue(style.letterSpacing, importStyle.letterSpacing) ||
+      style.textCase !== importStyle.textCase ||
+      style.textDecoration !== importStyle.textDecoration,
+    update: async (style, importStyle) => {
+      await figma.loadFontAsync(importStyle.fontName);
+      style.fontName = importStyle.fontName;
+      style.fontSize = importStyle.fontSize;
+      style.lineHeight = importStyle.lineHeight;
+      style.letterSpacing = importStyle.letterSpacing;
+      style.textCase = importStyle.textCase;
+      style.textDecoration = importStyle.textDecoration;
+      style.description = importStyle.description;
+    }
+  });
+}
+
+async function syncImportedEffectStyles(importStyles, options, summary) {
+  const localStyles = await figma.getLocalEffectStylesAsync();
+  await syncImportedStyles('effect style', importStyles, localStyles, options, summary, {
+    validate: async () => null,
+    create: () => figma.createEffectStyle(),
+    isChanged: (style, importStyle) =>
+      JSON.stringify(simplifyEffects(style.effects)) !== JSON.stringify(simplifyEffects(importStyle.effects)),
+    update: async (style, importStyle) => {
+      style.effects = importStyle.effects;
+      style.description = importStyle.description;
+    }
+  });
+}
+
+function sameUnitValue(current, next) {
+  if (current.unit !== next.unit) return false;
+  return current.unit === 'AUTO' || Math.abs(current.value - next.value) < 0.01;
+}
+
+// Round values so styles that only differ by float noise don't count as updates
+function simplifyPaints(paints) {
+  const round = value => Math.round(value * 255);
+  return (paints || []).map(paint => ({
+    type: paint.type,
+    color: paint.color ? [round(paint.color.r), round(paint.color.g), round(paint.color.b)] : undefined,
+    opacity: paint.opacity !== undefined ? Math.round(paint.opacity * 100) : 100,
+    stops: paint.gradientStops ? paint.gradientStops.map(stop => [
+      round(stop.color.r), round(stop.color.g), round(stop.color.b), Math.round(stop.color.a * 100), Math.round(stop.position * 100)
+    ]) : undefined,
+    transform: paint.gradientTransform
+      ? paint.gradientTransform.map(row => row.map(value => Math.round(value * 1000) / 1000))
+      : undefined
+  }));
+}
+
+function simplifyEffects(effects) {
+  const supported = ['DROP_SHADOW', 'INNER_SHADOW', 'LAYER_BLUR', 'BACKGROUND_BLUR'];
+  return (effects || []).filter(effect => supported.indexOf(effect.type) !== -1).map(effect => {
+    if (effect.type === 'LAYER_BLUR' || effect.type === 'BACKGROUND_BLUR') {
+      return [effect.type, effect.radius, effect.visible !== false];
+    }
+    return [
+      effect.type,
+      Math.round(effect.color.r * 255), Math.round(effect.color.g * 255), Math.round(effect.color.b * 255),
+      Math.round(effect.color.a * 100),
+      effect.offset.x, effect.offset.y, effect.radius, effect.spread || 0,
+      effect.visible !== false, effect.blendMode || 'NORMAL', !!effect.showShadowBehindNode
+    ];
+  });
+}
+
+// Find an installed style of the family with the requested weight and italic flag
+async function findImportFont(importStyle, fontCache) {
+  if (!fontCache.fonts) {
+    fontCache.fonts = await figma.listAvailableFontsAsync();
+  }
+  const weight = String(importStyle.fontWeight || '400');
+  const candidates = fontCache.fonts
+    .map(font => font.fontName)
+    .filter(fontName => fontName.family === importStyle.fontFamily);
+  // Style names like "Semi Bold" are matched without spaces
+  const weightOf = fontName => parseFontWeight(fontName.style.replace(/\s+/g, ''));
+  const match = candidates.find(fontName =>
+    weightOf(fontName) === weight &&
+    fontName.style.toLowerCase().includes('italic') === importStyle.italic
+  );
+  return match || candidates.find(fontName => weightOf(fontName) === weight) || null;
+}
+
+// Git sync: one branch with one commit of the generated files, and a pull request (GitHub)
+// or merge request (GitLab) into the base branch. Access tokens are kept per API host in
+// this user's client storage and never sent back to the UI.
+const GIT_TOKENS_STORAGE_KEY = 'git-tokens';
+async function getGitTokenHosts() {
+  return Object.keys((await figma.clientStorage.getAsync(GIT_TOKENS_STORAGE_KEY)) || {});
+}
+
+async function saveGitToken(git, token) {
+  const tokens = (await figma.clientStorage.getAsync(GIT_TOKENS_STORAGE_KEY)) || {};
+  tokens[getGitHost(git)] = token;
+  await figma.clientStorage.setAsync(GIT_TOKENS_STORAGE_KEY, tokens);
+}
+
+async function gitRequest(git, method, path, body, options = {}) {
+  const tokens = (await figma.clientStorage.getAsync(GIT_TOKENS_STORAGE_KEY)) || {};
+  const token = tokens[getGitHost(git)];
+  if (!token) {
+    throw new Error(`No access token saved for ${getGitHost(git)}`);
+  }
+  const headers = git.provider === 'gitlab'
+    ? { 'PRIVATE-TOKEN': token }
+    : { Authorization: `Bearer ${token}`, Accept: options.raw ? 'application/vnd.github.raw' : 'application/vnd.github+json' };
+  if (body) headers['Content-Type'] = 'application/json';
+
+  let response;
+  try {
+    response = await fetch(getGitHost(git) + path, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined
+    });
+  } catch (error) {
+    throw new Error(`Could not reach ${getGitHost(git)} (${error.message || error})`);
+  }
+  if (response.status === 404 && options.allowNotFound) return null;
+  if (!response.ok) {
+    let detail = '';
+    try {
+      const error = await response.json();
+      // GitLab sends validation errors as an object or a list
+      detail = error.message || error.error || error;
+      detail = typeof detail === 'string' ? detail : JSON.stringify(detail);
+    } catch (error) {
+      // Not JSON, the status says enough
+    }
+    throw new Error(`${method} ${path} failed with ${response.status}${detail ? `: ${detail}` : ''}`);
+  }
+  return options.raw ? response.text() : response.json();
+}
+
+function encodeGitPath(path) {
+  return path.split('/').map(encodeURIComponent).join('/');
+}
+
+// The base branch's content of each path, or null for files it doesn't have yet
+async function readGitFiles(git, paths) {
+  const files = {};
+  for (const path of paths) {
+    const url = git.provider === 'gitlab'
+      ? `/projects/${encodeURIComponent(git.repo)}/repository/files/${encodeURIComponent(path)}/raw?ref=${encodeURIComponent(git.baseBranch)}`
+      : `/repos/${git.repo}/contents/${encodeGitPath(path)}?ref=${encodeURIComponent(git.baseBranch)}`;
+    files[path] = await gitRequest(git, 'GET', url, null, { raw: true, allowNotFound: true });
+  }
+  return files;
+}
+
+// request: { branch, title, body, files: [{ path, content, exists }] }
+async function createGitPullRequest(git, request) {
+  const message = request.title;
+  if (git.provider === 'gitlab') {
+    const project = `/projects/${encodeURIComponent(git.repo)}`;
+    await gitRequest(git, 'POST', `${project}/repository/commits`, {
+      branch: request.branch,
+      start_branch: git.baseBranch,
+      commit_message: message,
+      actions: request.files.map(file => ({
+        action: file.exists ? 'update' : 'create',
+        file_path: file.path,
+        content: file.content
+      }))
+    });
+    const mergeRequest = await gitRequest(git, 'POST', `${project}/merge_requests`, {
+      source_branch: request.branch,
+      target_branch: git.baseBranch,
+      title: request.title,
+      description: request.body,
+      remove_source_branch: true
+    });
+    return { url: mergeRequest.web_url, number: mergeRequest.iid };
+  }
+
+  const repo = `/repos/${git.repo}`;
+  const base = await gitRequest(git, 'GET', `${repo}/git/ref/heads/${encodeGitPath(git.baseBranch)}`);
+  const baseCommit = await gitRequest(git, 'GET', `${repo}/git/commits/${base.object.sha}`);
+  const tree = await gitRequest(git, 'POST', `${repo}/git/trees`, {
+    base_tree: baseCommit.tree.sha,
+    tree: request.files.map(file => ({ path: file.path, mode: '100644', type: 'blob', content: file.content }))
+  });
+  if (tree.sha === baseCommit.tree.sha) {
+    throw new Error(`${git.baseBranch} already has these files`);
+  }
+  const commit = await gitRequest(git, 'POST', `${repo}/git/commits`, {
+    message,
+    tree: tree.sha,
+    parents: [base.object.sha]
+  });
+  await gitRequest(git, 'POST', `${repo}/git/refs`, { ref: `refs/heads/${request.branch}`, sha: commit.sha });
+  const pull = await gitRequest(git, 'POST', `${repo}/pulls`, {
+    title: request.title,
+    body: request.body,
+    head: request.branch,
+    base: git.baseBranch
+  });
+  return { url: pull.html_url, number: pull.number };
+}
+
+// Webhook push: POSTs one export format to a configured URL, retrying network errors,
+// rate limits and server errors. The auth header and signing secret are kept per URL in
+// this user's client storage, like the Git tokens.
+const WEBHOOK_SECRETS_STORAGE_KEY = 'webhook-secrets';
+const WEBHOOK_ATTEMPTS = 3;
+const WEBHOOK_RETRY_DELAY = 1000;
+const JSON_FORMATS = ['json', 'dtcg', 'fonts'];
+
+async function getWebhookSecretUrls() {
+  return Object.keys((await figma.clientStorage.getAsync(WEBHOOK_SECRETS_STORAGE_KEY)) || {});
+}
+
+// Fields left empty keep what was saved before
+async function saveWebhookSecrets(url, secrets) {
+  const saved = (await figma.clientStorage.getAsync(WEBHOOK_SECRETS_STORAGE_KEY)) || {};
+  saved[url] = Object.assign({}, saved[url]);
+  if (secrets.auth) saved[url].auth = secrets.auth;
+  if (secrets.secret) saved[url].secret = secrets.secret;
+  await figma.clientStorage.setAsync(WEBHOOK_SECRETS_STORAGE_KEY, saved);
+}
+
+// request: { webhook: { url, headers, format, body, sign }, content, metadata }
+async function sendWebhook(request) {
+  const { webhook, content } = request;
+  const metadata = request.metadata || {};
+  // Figma only gives private plugins the file key
+  const figmaFileKey = metadata.figmaFileKey && metadata.figmaFileKey !== 'unknown' ? metadata.figmaFileKey : null;
+  const secrets = ((await figma.clientStorage.getAsync(WEBHOOK_SECRETS_STORAGE_KEY)) || {})[webhook.url] || {};
+  if (webhook.sign && !secrets.secret) {
+    throw new Error(`No signing secret saved for ${webhook.url}`);
+  }
+
+  // The hash covers the formatted content only, so the same tokens hash the same on every send
+  const contentHash = toHex(sha256(utf8Bytes(content)));
+  const body = webhook.body === 'raw' ? content : JSON.stringify({
+    metadata: {
+      figmaFileKey,
+      fileName: metadata.fileName || null,
+      exportDate: metadata.exportDate || null
+    },
+    contentHash: `sha256:${contentHash}`,
+    format: webhook.format,
+    content
+  });
+  // The raw body is just the file, so the metadata goes in headers for both bodies
+  const headers = {
+    'Content-Type': webhook.body === 'raw' && !JSON_FORMATS.includes(webhook.format) ? 'text/plain; charset=utf-8' : 'application/json',
+    'X-Content-Hash': `sha256=${contentHash}`
+  };
+  if (figmaFileKey) headers['X-Figma-File-Key'] = figmaFileKey;
+  // Header values must be ASCII
+  if (metadata.fileName) headers['X-Figma-File-Name'] = encodeURIComponent(metadata.fileName);
+  if (metadata.exportDate) headers['X-Figma-Export-Date'] = metadata.exportDate;
+  Object.assign(headers, webhook.headers);
+  if (secrets.auth) headers.Authorization = secrets.auth;
+  if (webhook.sign) {
+    headers['X-Signature-256'] = `sha256=${toHex(hmacSha256(utf8Bytes(secrets.secret), utf8Bytes(body)))}`;
+  }
+
+  let lastError = null;
+  let attempt = 0;
+  while (attempt < WEBHOOK_ATTEMPTS) {
+    attempt++;
+    if (attempt > 1) {
+      figma.ui.postMessage({ type: 'webhook-retry', attempt, attempts: WEBHOOK_ATTEMPTS, message: lastError.message });
+      await new Promise(resolve => setTimeout(resolve, WEBHOOK_RETRY_DELAY * 2 ** (attempt - 2)));
+    }
+    let response;
+    try {
+      response = await fetch(webhook.url, { method: 'POST', headers, body });
+    } catch (error) {
+      lastError = new Error(`could not reach ${webhook.url} (${error.message || error})`);
+      continue;
+    }
+    if (response.ok) {
+      return { status: response.status, attempts: attempt, contentHash };
+    }
+    let detail = '';
+    try {
+      detail = (await response.text()).slice(0, 200);
+    } catch (error) {
+      // The status says enough
+    }
+    lastError = new Error(`${webhook.url} answered ${response.status}${detail ? `: ${detail}` : ''}`);
+    // Other client errors would fail the same way again
+    if (response.status < 500 && response.status !== 429) break;
+  }
+  throw new Error(`${lastError.message} after ${attempt} attempt(s)`);
+}
+
+// SHA-256 and HMAC-SHA256 over byte arrays; the plugin sandbox has no Web Crypto
+const SHA256_K = [
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+function utf8Bytes(text) {
+  const bytes = [];
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (code < 0x800) {
+      bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+    } else if (code < 0x10000) {
+      bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+    } else {
+      bytes.push(0xf0 | (code >> 18), 0x80 | ((code >> 12) & 0x3f), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+    }
+  }
+  return bytes;
+}
+
+function sha256(bytes) {
+  const bits = bytes.length * 8;
+  const padded = bytes.concat([0x80]);
+  while (padded.length % 64 !== 56) padded.push(0);
+  const high = Math.floor(bits / 0x100000000);
+  padded.push(high >>> 24, (high >>> 16) & 0xff, (high >>> 8) & 0xff, high & 0xff);
+  padded.push(bits >>> 24, (bits >>> 16) & 0xff, (bits >>> 8) & 0xff, bits & 0xff);
+
+  const hash = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+  const w = new Array(64);
+  const rotate = (x, n) => (x >>> n) | (x << (32 - n));
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      const j = offset + i * 4;
+      w[i] = (padded[j] << 24) | (padded[j + 1] << 16) | (padded[j + 2] << 8) | padded[j + 3];
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotate(w[i - 15], 7) ^ rotate(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotate(w[i - 2], 17) ^ rotate(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+    }
+    let [a, b, c, d, e, f, g, h] = hash;
+    for (let i = 0; i < 64; i++) {
+      const t1 = (h + (rotate(e, 6) ^ rotate(e, 11) ^ rotate(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) | 0;
+      const t2 = ((rotate(a, 2) ^ rotate(a, 13) ^ rotate(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+    [a, b, c, d, e, f, g, h].forEach((value, i) => {
+      hash[i] = (hash[i] + value) | 0;
+    });
+  }
+  const digest = [];
+  hash.forEach(value => digest.push(value >>> 24, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff));
+  return digest;
+}
+
+function hmacSha256(key, message) {
+  const block = (key.length > 64 ? sha256(key) : key).slice();
+  while (block.length < 64) block.push(0);
+  const inner = sha256(block.map(byte => byte ^ 0x36).concat(message));
+  return sha256(block.map(byte => byte ^ 0x5c).concat(inner));
+}
+
+function toHex(bytes) {
+  return bytes.map(byte => byte.toString(16).padStart(2, '0')).join('');
 }
\ No newline at end of file
@@ -0,0 +1,189 @@
+// Figma REST API dumps behind the part of the Plugin API that src/processors.js reads while
+// exporting, so cli.js can run the plugin's own processors outside Figma.
+//
+// Inputs are saved responses of:
+//   GET /v1/files/:key/variables/local   variables and collections
+//   GET /v1/files/:key/styles            style names, descriptions, keys and node ids
+//   GET /v1/files/:key/nodes?ids=...     the style nodes, which hold the style values
+
+// Style names Figma gives each font weight, for text styles without a fontStyle
+const FONT_WEIGHT_STYLES = {
+  100: 'Thin',
+  200: 'Extra Light',
+  300: 'Light',
+  400: 'Regular',
+  500: 'Medium',
+  600: 'Semi Bold',
+  700: 'Bold',
+  800: 'Extra Bold',
+  900: 'Black'
+};
+
+// Fields a text style can bind to variables; a text node's boundVariables may also hold its fills
+const TEXT_STYLE_FIELDS = ['fontFamily', 'fontSize', 'fontStyle', 'fontWeight', 'letterSpacing', 'lineHeight', 'paragraphSpacing', 'paragraphIndent'];
+
+const STYLE_TYPES = {
+  FILL: 'PAINT',
+  TEXT: 'TEXT',
+  EFFECT: 'EFFECT',
+  GRID: 'GRID'
+};
+
+// Returns { figma, warnings }; warnings lists the styles that couldn't be read from the dumps
+function createFigmaFromRest(dumps, options = {}) {
+  const meta = (dumps.variables && dumps.variables.meta) || {};
+  const variables = Object.values(meta.variables || {});
+  const collections = Object.values(meta.variableCollections || {});
+  const restStyles = (dumps.styles && dumps.styles.meta && dumps.styles.meta.styles) || [];
+  const nodes = (dumps.nodes && dumps.nodes.nodes) || {};
+  const warnings = [];
+
+  const styles = [];
+  for (const restStyle of restStyles) {
+    const node = nodes[restStyle.node_id] && nodes[restStyle.node_id].document;
+    if (!STYLE_TYPES[restStyle.style_type]) {
+      warnings.push(`Style "${restStyle.name}" has unknown type ${restStyle.style_type}, skipped`);
+    } else if (!node) {
+      warnings.push(`Style "${restStyle.name}" (node ${restStyle.node_id}) is missing from the nodes dump, skipped`);
+    } else {
+      styles.push(toPluginStyle(restStyle, node));
+    }
+  }
+  const stylesOfType = type => async () => styles.filter(style => style.type === type);
+  const findById = list => async id => list.find(item => item.id === id) || null;
+
+  const figma = {
+    fileKey: options.fileKey || (restStyles[0] && restStyles[0].file_key) || undefined,
+    root: {
+      name: options.fileName || (dumps.nodes && dumps.nodes.name) || undefined,
+      documentColorProfile: options.colorProfile || 'LEGACY',
+      children: [],
+      getPluginData: () => '',
+      setPluginData: () => {}
+    },
+    mixed: Symbol('mixed'),
+    showUI: () => {},
+    notify: () => {},
+    ui: { postMessage: () => {}, onmessage: null },
+    clientStorage: { getAsync: async () => undefined, setAsync: async () => {} },
+    getLocalPaintStylesAsync: stylesOfType('PAINT'),
+    getLocalTextStylesAsync: stylesOfType('TEXT'),
+    getLocalEffectStylesAsync: stylesOfType('EFFECT'),
+    getLocalGridStylesAsync: stylesOfType('GRID'),
+    getStyleByIdAsync: findById(styles),
+    variables: {
+      // The REST dump also holds the library variables the file uses, marked remote
+      getLocalVariablesAsync: async type => variables.filter(variable => !variable.remote && (!type || variable.resolvedType === type)),
+      getLocalVariableCollectionsAsync: async () => collections.filter(collection => !collection.remote),
+      getVariableByIdAsync: findById(variables),
+      getVariableCollectionByIdAsync: findById(collections)
+    }
+  };
+  return { figma, warnings };
+}
+
+// Style ids are built the way Figma builds local ones, so aliases and issues read the same
+function toPluginStyle(restStyle, node) {
+  const style = {
+    id: `S:${restStyle.key},${restStyle.node_id}`,
+    key: restStyle.key,
+    type: STYLE_TYPES[restStyle.style_type],
+    name: restStyle.name,
+    description: restStyle.description || '',
+    remote: false
+  };
+
+  switch (style.type) {
+    case 'PAINT':
+      style.paints = (node.fills || []).map(toPluginPaint);
+      break;
+    case 'TEXT':
+      Object.assign(style, toPluginTextStyle(node.style || {}, node.boundVariables || {}));
+      break;
+    case 'EFFECT':
+      style.effects = node.effects || [];
+      break;
+    case 'GRID':
+      style.layoutGrids = node.layoutGrids || [];
+      break;
+  }
+  return style;
+}
+
+function toPluginPaint(paint) {
+  const result = Object.assign({}, paint);
+  if (paint.gradientHandlePositions) {
+    result.gradientTransform = getGradientTransform(paint);
+    delete result.gradientHandlePositions;
+  }
+  return result;
+}
+
+// REST gives the gradient handles in the layer's normalized space; the Plugin API gives the
+// transform from layer to gradient space (see getGradientGeometry in src/processors.js). The
+// handles are where that transform's inverse puts the gradient's start (or center), end and
+// width points
+function getGradientTransform(paint) {
+  const [start, end, width] = paint.gradientHandlePositions;
+  const origin = paint.type === 'GRADIENT_LINEAR' ? { x: 0, y: 0.5 } : { x: 0.5, y: 0.5 };
+  // Gradient space to layer space: x runs from origin to the end handle, y to the width handle
+  const a = (end.x - start.x) / (1 - origin.x);
+  const d = (end.y - start.y) / (1 - origin.x);
+  const b = (width.x - start.x) / (1 - origin.y);
+  const e = (width.y - start.y) / (1 - origin.y);
+  const c = start.x - a * origin.x - b * origin.y;
+  const f = start.y - d * origin.x - e * origin.y;
+
+  // Rounded so the inversion's float noise doesn't reach the exported transform
+  const det = a * e - b * d || 1;
+  const round = value => Math.round(value * 1e6) / 1e6;
+  return [
+    [round(e / det), round(-b / det), round((b * f - e * c) / det)],
+    [round(-d / det), round(a / det), round((d * c - a * f) / det)]
+  ];
+}
+
+function toPluginTextStyle(typeStyle, boundVariables) {
+  const text = {
+    fontName: { family: typeStyle.fontFamily, style: getFontStyle(typeStyle) },
+    fontSize: typeStyle.fontSize,
+    lineHeight: getLineHeight(typeStyle),
+    // REST only has the computed pixel value, even for percentage letter spacing
+    letterSpacing: { unit: 'PIXELS', value: typeStyle.letterSpacing || 0 },
+    textCase: typeStyle.textCase || 'ORIGINAL',
+    textDecoration: typeStyle.textDecoration || 'NONE',
+    paragraphSpacing: typeStyle.paragraphSpacing || 0,
+    paragraphIndent: typeStyle.paragraphIndent || 0,
+    listSpacing: typeStyle.listSpacing || 0,
+    hangingPunctuation: !!typeStyle.hangingPunctuation,
+    hangingList: !!typeStyle.hangingList,
+    leadingTrim: typeStyle.leadingTrim || 'NONE',
+    boundVariables: {}
+  };
+  // Text node bindings are per character range; a style node has one range
+  for (const field of TEXT_STYLE_FIELDS) {
+    const alias = Array.isArray(boundVariables[field]) ? boundVariables[field][0] : boundVariables[field];
+    if (alias && alias.type === 'VARIABLE_ALIAS') text.boundVariables[field] = alias;
+  }
+  return text;
+}
+
+function getFontStyle(typeStyle) {
+  if (typeStyle.fontStyle) return typeStyle.fontStyle;
+  const weight = FONT_WEIGHT_STYLES[Math.round((typeStyle.fontWeight || 400) / 100) * 100] || 'Regular';
+  if (!typeStyle.italic) return weight;
+  return weight === 'Regular' ? 'Italic' : `${weight} Italic`;
+}
+
+function getLineHeight(typeStyle) {
+  switch (typeStyle.lineHeightUnit) {
+    case 'PIXELS':
+      return { unit: 'PIXELS', value: typeStyle.lineHeightPx };
+    case 'FONT_SIZE_%':
+      return { unit: 'PERCENT', value: typeStyle.lineHeightPercentFontSize };
+    default:
+      return { unit: 'AUTO' };
+  }
+}
+
+module.exports = { createFigmaFromRest };
@@ -0,0 +1,1445 @@
+// Figma Plugin: Styles & Variables Exporter
+// Compatible with documentAccess: dynamic-page
+
+const {
+  exportStylesAndVariables,
+  collectNodeUsage,
+  addBoundVariableIds,
+  isVariableAlias,
+  toRawRgba,
+  parseFontWeight,
+  getDocumentColorSpace,
+  convertColorSpace,
+  oklchToRgb,
+  hslToRgb,
+  getCSSColor
+} = require('./processors');
+const { getGitHost } = require('./shared');
+
+figma.showUI(__html__, { width: 400, height: 600 });
+
+figma.ui.onmessage = async (msg) => {
+  if (msg.type === 'export-data') {
+    try {
+      figma.ui.postMessage({ type: 'export-start' });
+      const data = await exportStylesAndVariables({
+        includeLibraries: !!msg.includeLibraries,
+        selectionOnly: !!msg.selectionOnly,
+        colorFormat: msg.colorFormat
+      });
+      figma.ui.postMessage({ type: 'export-complete', data });
+    } catch (error) {
+      console.error('Export error:', error);
+      figma.ui.postMessage({ 
+        type: 'export-error', 
+        message: error.message || 'An unexpected error occurred during export'
+      });
+    }
+  } else if (msg.type === 'import-preview' || msg.type === 'import-apply') {
+    // Preview and apply run the same sync, preview just doesn't touch the file. Apply only goes
+    // ahead when a fresh dry run still matches the plan the user previewed; if the file changed
+    // in between, the new plan goes back for review instead.
+    const apply = msg.type === 'import-apply';
+    const deleteMissing = !!msg.deleteMissing;
+    try {
+      const preview = await syncImportedTokens(normalizeImportData(msg.data), { apply: false, deleteMissing });
+      if (!apply || !isSameImportPlan(preview, msg.plan)) {
+        figma.ui.postMessage({ type: 'import-preview-complete', summary: preview, changed: apply });
+      } else {
+        const summary = await syncImportedTokens(normalizeImportData(msg.data), { apply: true, deleteMissing });
+        figma.ui.postMessage({ type: 'import-complete', summary });
+        figma.notify(`Import complete: ${summary.creates.length} created, ${summary.updates.length} updated, ${summary.deletes.length} deleted`);
+      }
+    } catch (error) {
+      console.error('Import error:', error);
+      figma.ui.postMessage({
+        type: 'import-error',
+        message: error.message || 'An unexpected error occurred during import'
+      });
+    }
+  } else if (msg.type === 'audit') {
+    try {
+      const audit = await auditTokenUsage(msg.colorFormat);
+      figma.ui.postMessage({ type: 'audit-complete', audit });
+    } catch (error) {
+      console.error('Audit error:', error);
+      figma.ui.postMessage({
+        type: 'audit-error',
+        message: error.message || 'An unexpected error occurred during the audit'
+      });
+    }
+  } else if (msg.type === 'focus-node') {
+    try {
+      await focusNode(msg.nodeId);
+    } catch (error) {
+      console.error('Focus error:', error);
+      figma.ui.postMessage({
+        type: 'focus-node-error',
+        message: error.message || 'An unexpected error occurred while selecting the layer'
+      });
+    }
+  } else if (msg.type === 'load-settings' || msg.type === 'save-settings' || msg.type === 'save-presets') {
+    try {
+      if (msg.type === 'load-settings') {
+        figma.ui.postMessage(Object.assign({ type: 'settings-loaded' }, await loadSettings()));
+      } else if (msg.type === 'save-settings') {
+        await saveSettings(msg.settings);
+      } else {
+        await figma.clientStorage.setAsync(PRESETS_STORAGE_KEY, msg.presets || {});
+      }
+    } catch (error) {
+      console.error('Settings error:', error);
+      figma.ui.postMessage({
+        type: 'settings-error',
+        message: error.message || 'An unexpected error occurred with the settings'
+      });
+    }
+  } else if (msg.type === 'git-read' || msg.type === 'git-sync') {
+    // Reading the base branch lets the UI skip unchanged files and list the token changes
+    try {
+      if (msg.type === 'git-read') {
+        // A newly entered token comes with the read, so it's stored before it's needed
+        if (msg.token) {
+          await saveGitToken(msg.git, msg.token);
+          figma.ui.postMessage({ type: 'git-token-saved', hosts: await getGitTokenHosts() });
+        }
+        figma.ui.postMessage({ type: 'git-read-complete', files: await readGitFiles(msg.git, msg.paths) });
+      } else {
+        const result = await createGitPullRequest(msg.git, msg.request);
+        figma.ui.postMessage(Object.assign({ type: 'git-sync-complete' }, result));
+        figma.notify(`Opened ${msg.git.provider === 'gitlab' ? 'merge' : 'pull'} request #${result.number}`);
+      }
+    } catch (error) {
+      console.error('Git sync error:', error);
+      figma.ui.postMessage({
+        type: 'git-sync-error',
+        message: error.message || 'An unexpected error occurred during the Git sync'
+      });
+    }
+  } else if (msg.type === 'webhook-send') {
+    try {
+      // Newly entered credentials come with the send, so they're stored before they're needed
+      if (msg.auth || msg.secret) {
+        await saveWebhookSecrets(msg.webhook.url, { auth: msg.auth, secret: msg.secret });
+        figma.ui.postMessage({ type: 'webhook-secrets-saved', urls: await getWebhookSecretUrls() });
+      }
+      const result = await sendWebhook(msg);
+      figma.ui.postMessage(Object.assign({ type: 'webhook-complete' }, result));
+      figma.notify(`Sent ${msg.webhook.format} export to the webhook`);
+    } catch (error) {
+      console.error('Webhook error:', error);
+      figma.ui.postMessage({
+        type: 'export-error',
+        message: `Webhook failed: ${error.message || 'an unexpected error occurred'}`
+      });
+    }
+  }
+};
+
+// Settings live in two places: the user's last settings in client storage, used
+// for files that have none yet, and the file's own copy in its plugin data, so
+// everyone exporting the file gets the same output. Presets are per user.
+const SETTINGS_STORAGE_KEY = 'settings';
+const PRESETS_STORAGE_KEY = 'presets';
+// Anyone who opens the file can read its plugin data, and these can carry secrets
+// (webhook headers, repository details), so they stay in the user's copy only
+const USER_ONLY_SETTINGS = ['git', 'webhook'];
+
+async function loadSettings() {
+  let fileSettings = null;
+  try {
+    const saved = figma.root.getPluginData(SETTINGS_STORAGE_KEY);
+    fileSettings = saved ? JSON.parse(saved) : null;
+  } catch (error) {
+    console.warn('Ignoring unreadable file settings:', error);
+  }
+  const userSettings = await figma.clientStorage.getAsync(SETTINGS_STORAGE_KEY);
+  let settings = userSettings || null;
+  if (fileSettings) {
+    settings = withoutUserOnlySettings(fileSettings);
+    for (const key of USER_ONLY_SETTINGS) {
+      if (userSettings && userSettings[key]) settings[key] = userSettings[key];
+    }
+  }
+  return {
+    settings,
+    presets: (await figma.clientStorage.getAsync(PRESETS_STORAGE_KEY)) || {},
+    gitTokenHosts: await getGitTokenHosts(),
+    webhookSecretUrls: await getWebhookSecretUrls()
+  };
+}
+
+async function saveSettings(settings) {
+  if (!settings) return;
+  await figma.clientStorage.setAsync(SETTINGS_STORAGE_KEY, settings);
+  try {
+    figma.root.setPluginData(SETTINGS_STORAGE_KEY, JSON.stringify(withoutUserOnlySettings(settings)));
+  } catch (error) {
+    // View-only files can't store plugin data, the user copy still applies
+    console.warn('Could not save file settings:', error);
+  }
+}
+
+function withoutUserOnlySettings(settings) {
+  const fileSettings = Object.assign({}, settings);
+  USER_ONLY_SETTINGS.forEach(key => delete fileSettings[key]);
+  return fileSettings;
+}
+// Audit: where every local style and variable is used, which ones nothing uses, and
+// solid fills and strokes that repeat a token's exact color without using the token
+
+// Node lists are capped so big files don't flood the UI; counts are exact
+const AUDIT_NODE_LIMIT = 50;
+
+// Hard-coded colors are shown in the export's color format
+async function auditTokenUsage(colorFormat) {
+  const [paintStyles, textStyles, effectStyles, gridStyles, variables, collections] = await Promise.all([
+    figma.getLocalPaintStylesAsync(),
+    figma.getLocalTextStylesAsync(),
+    figma.getLocalEffectStylesAsync(),
+    figma.getLocalGridStylesAsync(),
+    figma.variables.getLocalVariablesAsync(),
+    figma.variables.getLocalVariableCollectionsAsync()
+  ]);
+  const collectionNames = new Map(collections.map(collection => [collection.id, collection.name]));
+
+  const tokens = new Map();
+  const addToken = (id, entry) => tokens.set(id, Object.assign(entry, { id, count: 0, references: 0, nodes: [] }));
+  for (const [list, kind] of [[paintStyles, 'color style'], [textStyles, 'text style'], [effectStyles, 'effect style'], [gridStyles, 'grid style']]) {
+    for (const style of list) addToken(style.id, { kind, name: style.name });
+  }
+  for (const variable of variables) {
+    addToken(variable.id, { kind: 'variable', name: variable.name, collection: collectionNames.get(variable.variableCollectionId) });
+  }
+
+  // Aliases and variables bound in styles keep their targets in use
+  for (const variable of variables) {
+    for (const value of Object.values(variable.valuesByMode)) {
+      if (isVariableAlias(value) && tokens.has(value.id)) tokens.get(value.id).references++;
+    }
+  }
+  for (const style of [].concat(paintStyles, textStyles, effectStyles, gridStyles)) {
+    const bound = new Set();
+    for (const item of [style].concat(style.paints || [], style.effects || [], style.layoutGrids || [])) {
+      addBoundVariableIds(item, bound);
+    }
+    for (const id of bound) {
+      if (tokens.has(id)) tokens.get(id).references++;
+    }
+  }
+
+  const colorTokens = getAuditColorTokens(paintStyles, variables, collections);
+  const hardCoded = [];
+  let nodeCount = 0;
+
+  const pages = figma.root.children;
+  for (let index = 0; index < pages.length; index++) {
+    const page = pages[index];
+    figma.ui.postMessage({ type: 'audit-progress', page: page.name, index, total: pages.length });
+    await page.loadAsync();
+    for (const node of page.findAll()) {
+      nodeCount++;
+      const nodeRef = { id: node.id, name: node.name, page: page.name };
+      const usage = { styleIds: new Set(), variableIds: new Set() };
+      collectNodeUsage(node, usage);
+      for (const id of [...usage.styleIds, ...usage.variableIds]) {
+        const token = tokens.get(id);
+        if (!token) continue; // Library tokens aren't part of the audit
+        token.count++;
+        if (token.nodes.length < AUDIT_NODE_LIMIT) token.nodes.push(nodeRef);
+      }
+      // Layers inside instances come from their main component, which is where a fix belongs
+      if (node.id.indexOf('I') !== 0) {
+        findHardCodedColors(node, nodeRef, colorTokens, hardCoded, colorFormat);
+      }
+    }
+  }
+
+  const auditedTokens = Array.from(tokens.values()).map(token =>
+    Object.assign(token, { unused: token.count === 0 && token.references === 0 })
+  );
+  return {
+    pages: pages.length,
+    nodes: nodeCount,
+    tokens: auditedTokens,
+    hardCoded
+  };
+}
+
+// Exact colors of single solid paint styles and of color variables in every mode, keyed by 8-digit hex
+function getAuditColorTokens(paintStyles, variables, collections) {
+  const colorTokens = new Map();
+  const add = (color, opacity, match) => {
+    const key = getAuditColorKey(color, opacity);
+    if (!colorTokens.has(key)) colorTokens.set(key, []);
+    colorTokens.get(key).push(match);
+  };
+  for (const style of paintStyles) {
+    const paints = (style.paints || []).filter(paint => paint.visible !== false);
+    if (paints.length === 1 && paints[0].type === 'SOLID') {
+      add(paints[0].color, paints[0].opacity, { kind: 'color style', name: style.name });
+    }
+  }
+  const collectionsById = new Map(collections.map(collection => [collection.id, collection]));
+  for (const variable of variables) {
+    if (variable.resolvedType !== 'COLOR') continue;
+    const collection = collectionsById.get(variable.variableCollectionId);
+    for (const [modeId, value] of Object.entries(variable.valuesByMode)) {
+      if (isVariableAlias(value) || !value) continue;
+      const mode = collection && collection.modes.find(item => item.modeId === modeId);
+      add(value, 1, {
+        kind: 'variable',
+        name: variable.name,
+        collection: collection ? collection.name : undefined,
+        mode: collection && collection.modes.length > 1 && mode ? mode.name : undefined
+      });
+    }
+  }
+  return colorTokens;
+}
+
+function getAuditColorKey(color, opacity) {
+  const alpha = (color.a !== undefined ? color.a : 1) * (opacity !== undefined ? opacity : 1);
+  return [color.r, color.g, color.b, alpha]
+    .map(value => Math.round(Math.max(0, Math.min(1, value)) * 255).toString(16).padStart(2, '0'))
+    .join('');
+}
+
+// Solid fills and strokes with neither a style nor a bound variable that equal a token's color
+function findHardCodedColors(node, nodeRef, colorTokens, hardCoded, colorFormat) {
+  for (const [field, styleField] of [['fills', 'fillStyleId'], ['strokes', 'strokeStyleId']]) {
+    if (!Array.isArray(node[field]) || (typeof node[styleField] === 'string' && node[styleField])) continue;
+    for (const paint of node[field]) {
+      if (paint.type !== 'SOLID' || paint.visible === false) continue;
+      if (paint.boundVariables && paint.boundVariables.color) continue;
+      const matches = colorTokens.get(getAuditColorKey(paint.color, paint.opacity));
+      if (matches) {
+        hardCoded.push({ node: nodeRef, field, value: getCSSColor(toRawRgba(paint.color, paint.opacity), colorFormat), matches });
+      }
+    }
+  }
+}
+
+// Select a node from an audit result and bring it into view, switching pages if needed
+async function focusNode(nodeId) {
+  const node = await figma.getNodeByIdAsync(nodeId);
+  if (!node || node.type === 'DOCUMENT' || node.type === 'PAGE') {
+    figma.notify('That layer no longer exists');
+    return;
+  }
+  let page = node.parent;
+  while (page && page.type !== 'PAGE') page = page.parent;
+  if (page && page !== figma.currentPage) await figma.setCurrentPageAsync(page);
+  figma.currentPage.selection = [node];
+  figma.viewport.scrollAndZoomIntoView([node]);
+}
+
+// Import: tokens from the plugin's own export schema or DTCG back into Figma
+
+const IMPORT_GROUP_TYPES = {
+  colors: 'COLOR',
+  numbers: 'FLOAT',
+  strings: 'STRING',
+  booleans: 'BOOLEAN'
+};
+
+const DTCG_VARIABLE_TYPES = {
+  color: 'COLOR',
+  number: 'FLOAT',
+  dimension: 'FLOAT',
+  fontWeight: 'FLOAT',
+  duration: 'FLOAT',
+  string: 'STRING',
+  fontFamily: 'STRING',
+  boolean: 'BOOLEAN'
+};
+
+const DTCG_STYLE_TYPES = {
+  gradient: 'PAINT',
+  typography: 'TEXT',
+  shadow: 'EFFECT'
+};
+
+// Normalize either input schema into collections of variables plus paint/text/effect styles
+function normalizeImportData(json) {
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    throw new Error('Import file must contain a JSON object');
+  }
+
+  const tokens = {
+    collections: {},
+    paintStyles: [],
+    textStyles: [],
+    effectStyles: [],
+    skipped: []
+  };
+
+  if (isPluginExport(json)) {
+    normalizePluginExport(json, tokens);
+  } else {
+    normalizeDTCG(json, tokens);
+  }
+
+  const total = Object.keys(tokens.collections).length + tokens.paintStyles.length +
+    tokens.textStyles.length + tokens.effectStyles.length;
+  if (total === 0) {
+    throw new Error('No variables or styles found in the import file');
+  }
+
+  return tokens;
+}
+
+function isPluginExport(json) {
+  const collections = json.collections;
+  const hasCollections = !!collections && typeof collections === 'object' &&
+    Object.keys(collections).some(name => collections[name] && typeof collections[name].variables === 'object');
+  const hasStyles = !!json.styles && typeof json.styles === 'object' &&
+    ['colors', 'textStyles', 'effectStyles'].some(key => !!json.styles[key] && typeof json.styles[key] === 'object');
+  return hasCollections || hasStyles;
+}
+
+function getImportCollection(tokens, name) {
+  if (!tokens.collections[name]) {
+    tokens.collections[name] = { name, modes: [], variables: {} };
+  }
+  return tokens.collections[name];
+}
+
+// The UI flattens nested exports, so variables and styles arrive as lists
+function normalizePluginExport(json, tokens) {
+  for (const [collectionName, collection] of Object.entries(json.collections || {})) {
+    if (!collection || typeof collection.variables !== 'object') continue;
+
+    const target = getImportCollection(tokens, collectionName);
+    const modes = collection.modes || [];
+    const defaultMode = modes.find(mode => mode.id === collection.defaultModeId) || modes[0];
+    target.modes = modes.map(mode => mode.name);
+    if (defaultMode) {
+      // The default mode goes first so it becomes the default of a new collection
+      target.modes = [defaultMode.name].concat(target.modes.filter(name => name !== defaultMode.name));
+    }
+
+    for (const [group, type] of Object.entries(IMPORT_GROUP_TYPES)) {
+      for (const variable of collection.variables[group] || []) {
+        const entry = {
+          name: variable.name,
+          type,
+          description: variable.description || '',
+          value: toImportValue(variable.value, type, variable.alias)
+        };
+        if (variable.values) {
+          entry.values = {};
+          for (const [modeName, value] of Object.entries(variable.values)) {
+            entry.values[modeName] = toImportValue(value, type, variable.aliases && variable.aliases[modeName]);
+          }
+        }
+        target.variables[variable.name] = entry;
+      }
+    }
+  }
+
+  const styles = json.styles || {};
+
+  for (const color of styles.colors || []) {
+    const paint = toImportPaint(color);
+    if (paint) {
+      tokens.paintStyles.push({ name: color.name, description: color.description || '', paints: [paint] });
+    } else if (color.type === 'layered' && Array.isArray(color.layers)) {
+      // Layers are exported top first, Figma stacks paints bottom first
+      const paints = color.layers.map(layer => toImportPaint(layer)).reverse();
+      if (paints.length > 0 && paints.every(Boolean)) {
+        tokens.paintStyles.push({ name: color.name, description: color.description || '', paints });
+      } else {
+        tokens.skipped.push({ kind: 'paint style', name: color.name, reason: 'unsupported paint layer' });
+      }
+    } else {
+      tokens.skipped.push({ kind: 'paint style', name: color.name, reason: `unsupported ${color.type} paint` });
+    }
+  }
+
+  for (const textStyle of styles.textStyles || []) {
+    tokens.textStyles.push({
+      name: textStyle.name,
+      description: textStyle.description || '',
+      fontFamily: textStyle.fontFamily,
+      fontWeight: textStyle.fontWeight,
+      italic: textStyle.fontStyle === 'italic',
+      fontSize: parseImportNumber(textStyle.fontSize),
+      lineHeight: toImportLineHeight(textStyle.lineHeight),
+      letterSpacing: toImportLetterSpacing(textStyle.letterSpacing),
+      textCase: textStyle.textTransform ? textStyle.textTransform.toUpperCase().replace(/-/g, '_') : 'ORIGINAL',
+      textDecoration: textStyle.textDecoration ? textStyle.textDecoration.toUpperCase().replace(/-/g, '_') : 'NONE'
+    });
+  }
+
+  for (const effectStyle of styles.effectStyles || []) {
+    const effects = (effectStyle.effects || []).map(effect => {
+      const imported = effect.type === 'layer-blur' || effect.type === 'background-blur' ?
+        toImportBlur(effect.blur, effect.type) :
+        toImportShadow({
+          inset: effect.type === 'inner-shadow',
+          color: effect.color,
+          offsetX: effect.x,
+          offsetY: effect.y,
+          blur: effect.blur,
+          spread: effect.spread
+        }, effect.type);
+      if (!imported) return null;
+      if (effect.visible === false) imported.visible = false;
+      if (effect.blendMode && imported.blendMode) imported.blendMode = effect.blendMode.toUpperCase().replace(/-/g, '_');
+      if (effect.showShadowBehindNode && imported.type === 'DROP_SHADOW') imported.showShadowBehindNode = true;
+      return imported;
+    }).filter(Boolean);
+    if (effects.length > 0) {
+      tokens.effectStyles.push({ name: effectStyle.name, description: effectStyle.description || '', effects });
+    } else {
+      tokens.skipped.push({ kind: 'effect style', name: effectStyle.name, reason: 'no supported effects' });
+    }
+  }
+}
+
+function normalizeDTCG(json, tokens) {
+  walkDTCG(json, [], undefined, (path, token, type) => {
+    const name = path.join('/');
+    const figmaExtension = (token.$extensions && token.$extensions['com.figma']) || {};
+    const description = token.$description || '';
+    const styleType = figmaExtension.styleType || DTCG_STYLE_TYPES[type];
+
+    if (styleType === 'PAINT') {
+      const gradient = figmaExtension.gradient;
+      const paint = type === 'gradient' ?
+        toImportPaint({ type: `gradient_${gradient ? gradient.type : 'linear'}`, stops: token.$value, gradient }) :
+        toImportPaint({ type: 'solid', value: token.$value });
+      if (paint) {
+        tokens.paintStyles.push({ name, description, paints: [paint] });
+      } else {
+        tokens.skipped.push({ kind: 'paint style', name, reason: 'invalid color value' });
+      }
+      return;
+    }
+
+    if (styleType === 'TEXT') {
+      const value = token.$value || {};
+      tokens.textStyles.push({
+        name,
+        description,
+        fontFamily: Array.isArray(value.fontFamily) ? value.fontFamily[0] : value.fontFamily,
+        fontWeight: value.fontWeight,
+        italic: value.fontStyle === 'italic',
+        fontSize: parseImportNumber(value.fontSize),
+        lineHeight: toImportLineHeight(value.lineHeight),
+        letterSpacing: toImportLetterSpacing(value.letterSpacing),
+        textCase: 'ORIGINAL',
+        textDecoration: 'NONE'
+      });
+      return;
+    }
+
+    if (styleType === 'EFFECT') {
+      // Blur-only styles are a dimension token, other blurs sit in the extension next to the shadows
+      const shadows = type === 'dimension' ? [] : Array.isArray(token.$value) ? token.$value : [token.$value];
+      const blurs = Object.assign({}, figmaExtension.blurs);
+      if (type === 'dimension') blurs[figmaExtension.effect || 'layer-blur'] = token.$value;
+      const effects = shadows.map(shadow => toImportShadow(shadow || {}))
+        .concat(Object.keys(blurs).map(blurType => toImportBlur(blurs[blurType], blurType)))
+        .filter(Boolean);
+      if (effects.length > 0) {
+        tokens.effectStyles.push({ name, description, effects });
+      } else {
+        tokens.skipped.push({ kind: 'effect style', name, reason: 'invalid shadow value' });
+      }
+      return;
+    }
+
+    const variableType = DTCG_VARIABLE_TYPES[type];
+    if (!variableType) {
+      tokens.skipped.push({ kind: 'token', name, reason: `unsupported type "${type}"` });
+      return;
+    }
+
+    // The first group level is the collection, matching the DTCG export
+    const collection = getImportCollection(tokens, path.length > 1 ? path[0] : 'Tokens');
+    const variableName = path.length > 1 ? path.slice(1).join('/') : path[0];
+    // Opacity is exported as 0-1, Figma stores it as a percentage
+    const scopes = Array.isArray(figmaExtension.scopes) ? figmaExtension.scopes : [];
+    const isOpacity = variableType === 'FLOAT' && scopes.length > 0 && scopes.every(scope => scope === 'OPACITY');
+    const toValue = value => {
+      const imported = toImportValue(value, variableType);
+      if (isOpacity && imported && typeof imported.value === 'number' && !imported.alias) {
+        imported.value = Math.round(imported.value * 100 * 10000) / 10000;
+      }
+      return imported;
+    };
+    const entry = {
+      name: variableName,
+      type: variableType,
+      description,
+      value: toValue(token.$value)
+    };
+    if (figmaExtension.modes && typeof figmaExtension.modes === 'object') {
+      entry.values = {};
+      for (const [modeName, value] of Object.entries(figmaExtension.modes)) {
+        entry.values[modeName] = toValue(value);
+        if (collection.modes.indexOf(modeName) === -1) {
+          collection.modes.push(modeName);
+        }
+      }
+    }
+    collection.variables[variableName] = entry;
+  });
+}
+
+// Visit every token in a DTCG tree, passing group-level $type down to children
+function walkDTCG(group, path, inheritedType, visit) {
+  const groupType = group.$type || inheritedType;
+  for (const [key, child] of Object.entries(group)) {
+    if (key.charAt(0) === '$' || !child || typeof child !== 'object') continue;
+    const childPath = path.concat(key);
+    if (child.$value !== undefined) {
+      visit(childPath, child, child.$type || groupType);
+    } else {
+      walkDTCG(child, childPath, groupType, visit);
+    }
+  }
+}
+
+// Import values are either { value } with a Figma-ready raw value, or { alias } with a reference
+function toImportValue(value, type, alias) {
+  const parsed = parseImportValue(value, type);
+  if (alias) {
+    return { alias: { collection: alias.collection, name: alias.name }, value: parsed };
+  }
+  if (typeof value === 'string' && /^\{[^{}]+\}$/.test(value.trim())) {
+    return { alias: { path: value.trim().slice(1, -1) }, value: null };
+  }
+  return parsed === null ? null : { value: parsed };
+}
+
+function parseImportValue(value, type) {
+  switch (type) {
+    case 'COLOR':
+      return parseImportColor(value);
+    case 'FLOAT':
+      return parseImportNumber(value);
+    case 'STRING':
+      return (value === undefined || value === null || typeof value === 'object') ? null : String(value);
+    case 'BOOLEAN':
+      if (typeof value === 'boolean') return value;
+      if (value === 'true' || value === 'false') return value === 'true';
+      return null;
+    default:
+      return null;
+  }
+}
+
+function parseImportNumber(value) {
+  if (typeof value === 'number') return value;
+  if (value && typeof value === 'object' && typeof value.value === 'number') return value.value;
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(parseFloat(value))) return parseFloat(value);
+  return null;
+}
+
+// Parse hex, rgb(), hsl(), oklch(), color() and DTCG color objects into Figma RGBA (0-1),
+// converted into the document's color profile
+function parseImportColor(value) {
+  if (value && typeof value === 'object') {
+    if (typeof value.r === 'number') {
+      return { r: value.r, g: value.g, b: value.b, a: value.a !== undefined ? value.a : 1 };
+    }
+    if (Array.isArray(value.components)) {
+      const alpha = value.alpha !== undefined ? value.alpha : 1;
+      if (value.colorSpace === 'oklch') {
+        return toDocumentColor(oklchToRgb(value.components, 'srgb'), 'srgb', alpha);
+      }
+      return toDocumentColor(value.components, value.colorSpace === 'display-p3' ? 'display-p3' : 'srgb', alpha);
+    }
+    return null;
+  }
+  if (typeof value !== 'string') return null;
+
+  const text = value.trim();
+  const hexMatch = text.match(/^#([0-9a-f]{3,8})$/i);
+  if (hexMatch) {
+    let hex = hexMatch[1];
+    if (hex.length === 3 || hex.length === 4) {
+      hex = hex.split('').map(c => c + c).join('');
+    }
+    if (hex.length !== 6 && hex.length !== 8) return null;
+    return toDocumentColor([
+      parseInt(hex.slice(0, 2), 16) / 255,
+      parseInt(hex.slice(2, 4), 16) / 255,
+      parseInt(hex.slice(4, 6), 16) / 255
+    ], 'srgb', hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1);
+  }
+
+  const functionMatch = text.match(/^(rgba?|hsla?|oklch|color)\(([^)]+)\)$/i);
+  if (!functionMatch) return null;
+  const name = functionMatch[1].toLowerCase();
+  const parts = functionMatch[2].split(/[\s,\/]+/).filter(Boolean);
+  const space = name === 'color' ? parts.shift().toLowerCase() : null;
+  if (parts.length < 3) return null;
+  const number = (part, percentScale) => part.slice(-1) === '%' ? parseFloat(part) / 100 * percentScale : parseFloat(part);
+  const alpha = parts[3] === undefined ? 1 : number(parts[3], 1);
+
+  let channels;
+  let source = 'srgb';
+  if (name === 'rgb' || name === 'rgba') {
+    channels = parts.slice(0, 3).map(part => number(part, 255) / 255);
+  } else if (name === 'hsl' || name === 'hsla') {
+    channels = hslToRgb([parseFloat(parts[0]), number(parts[1], 100) / 100, number(parts[2], 100) / 100]);
+  } else if (name === 'oklch') {
+    channels = oklchToRgb([number(parts[0], 1), number(parts[1], 0.4), parseFloat(parts[2])], 'srgb');
+  } else if (space === 'srgb' || space === 'display-p3') {
+    channels = parts.slice(0, 3).map(part => number(part, 1));
+    source = space;
+  } else {
+    return null;
+  }
+  return channels.concat(alpha).some(isNaN) ? null : toDocumentColor(channels, source, alpha);
+}
+
+// Converted into the document's color profile and clamped to what Figma stores
+function toDocumentColor(channels, space, alpha) {
+  const clamp = value => Math.max(0, Math.min(1, value));
+  const [r, g, b] = convertColorSpace(channels, space, getDocumentColorSpace()).map(clamp);
+  return { r, g, b, a: clamp(alpha) };
+}
+
+function toImportPaint(color) {
+  const type = (color.type || '').toUpperCase();
+
+  const blendMode = color.blendMode ? { blendMode: color.blendMode.toUpperCase().replace(/-/g, '_') } : {};
+
+  if (type === 'SOLID') {
+    const rgba = parseImportColor(color.value);
+    if (!rgba) return null;
+    return Object.assign({ type: 'SOLID', color: { r: rgba.r, g: rgba.g, b: rgba.b }, opacity: rgba.a }, blendMode);
+  }
+
+  if (type.indexOf('GRADIENT_') === 0 && Array.isArray(color.stops)) {
+    const gradientStops = color.stops.map(stop => {
+      const rgba = parseImportColor(stop.color);
+      const position = typeof stop.position === 'number' ? stop.position : parseFloat(stop.position) / 100;
+      return rgba && !isNaN(position) ? { color: rgba, position } : null;
+    });
+    if (gradientStops.length === 0 || gradientStops.some(stop => !stop)) return null;
+    // Older exports have no geometry, see resolveImportPaints
+    const gradientTransform = color.gradient && color.gradient.transform;
+    return Object.assign({ type }, gradientTransform ? { gradientTransform } : {}, { gradientStops }, blendMode);
+  }
+
+  return null;
+}
+
+function toImportLineHeight(lineHeight) {
+  if (lineHeight === undefined || lineHeight === null) return { unit: 'AUTO' };
+  if (typeof lineHeight === 'number') return { unit: 'PERCENT', value: lineHeight * 100 };
+  if (typeof lineHeight === 'string') {
+    if (lineHeight.toLowerCase() === 'auto' || lineHeight.toLowerCase() === 'normal') return { unit: 'AUTO' };
+    if (lineHeight.slice(-1) === '%') return { unit: 'PERCENT', value: parseFloat(lineHeight) };
+    if (/px$/.test(lineHeight)) return { unit: 'PIXELS', value: parseFloat(lineHeight) };
+    if (!isNaN(parseFloat(lineHeight))) return { unit: 'PERCENT', value: parseFloat(lineHeight) * 100 };
+  }
+  return { unit: 'AUTO' };
+}
+
+function toImportLetterSpacing(letterSpacing) {
+  if (typeof letterSpacing === 'number') return { unit: 'PIXELS', value: letterSpacing };
+  if (typeof letterSpacing === 'string') {
+    if (letterSpacing.slice(-1) === '%') return { unit: 'PERCENT', value: parseFloat(letterSpacing) };
+    // DTCG expresses relative letter spacing in em
+    if (/em$/.test(letterSpacing)) return { unit: 'PERCENT', value: parseFloat(letterSpacing) * 100 };
+    if (!isNaN(parseFloat(letterSpacing))) return { unit: 'PIXELS', value: parseFloat(letterSpacing) };
+  }
+  return { unit: 'PERCENT', value: 0 };
+}
+
+function toImportShadow(shadow, exportedType) {
+  const rgba = parseImportColor(shadow.color);
+  if (!rgba) return null;
+  const inset = shadow.inset === true || exportedType === 'inner-shadow';
+  return {
+    type: inset ? 'INNER_SHADOW' : 'DROP_SHADOW',
+    color: rgba,
+    offset: { x: parseImportNumber(shadow.offsetX) || 0, y: parseImportNumber(shadow.offsetY) || 0 },
+    radius: parseImportNumber(shadow.blur) || 0,
+    spread: parseImportNumber(shadow.spread) || 0,
+    visible: true,
+    blendMode: 'NORMAL'
+  };
+}
+
+function toImportBlur(radius, exportedType) {
+  return {
+    type: exportedType === 'background-blur' ? 'BACKGROUND_BLUR' : 'LAYER_BLUR',
+    radius: parseImportNumber(radius) || 0,
+    visible: true
+  };
+}
+
+// Create or update variables and styles by name. With apply=false nothing is changed and
+// the returned summary is the dry run of what applying would do.
+async function syncImportedTokens(tokens, options) {
+  const summary = { creates: [], updates: [], deletes: [], skipped: tokens.skipped.slice() };
+
+  await syncImportedVariables(tokens, options, summary);
+  await syncImportedPaintStyles(tokens.paintStyles, options, summary);
+  await syncImportedTextStyles(tokens.textStyles, options, summary);
+  await syncImportedEffectStyles(tokens.effectStyles, options, summary);
+
+  return summary;
+}
+
+// Plans match when they create, update, delete and skip the same tokens
+function isSameImportPlan(summary, plan) {
+  if (!plan) return false;
+  return ['creates', 'updates', 'deletes', 'skipped'].every(list =>
+    JSON.stringify(summary[list].map(item => [item.kind, item.name])) ===
+    JSON.stringify((plan[list] || []).map(item => [item.kind, item.name]))
+  );
+}
+
+// Stands in for variables that a dry run would create
+const PLANNED_VARIABLE = { id: null };
+// Stand in for modes that a dry run would add, so their values are checked too
+const PLANNED_MODE = 'planned';
+const PLANNED_DEFAULT_MODE = 'planned-default';
+
+async function syncImportedVariables(tokens, options, summary) {
+  const { apply, deleteMissing } = options;
+  const [localCollections, localVariables] = await Promise.all([
+    figma.variables.getLocalVariableCollectionsAsync(),
+    figma.variables.getLocalVariablesAsync()
+  ]);
+
+  // collection name -> variable name -> Variable, for resolving aliases by name
+  const variableLookup = new Map();
+  const collectionNames = new Map(localCollections.map(collection => [collection.id, collection.name]));
+  for (const variable of localVariables) {
+    const collectionName = collectionNames.get(variable.variableCollectionId);
+    if (!variableLookup.has(collectionName)) variableLookup.set(collectionName, new Map());
+    variableLookup.get(collectionName).set(variable.name, variable);
+  }
+
+  const pending = [];
+
+  // Pass 1: collections, modes and variables, so aliases can point at anything in the import
+  for (const importCollection of Object.values(tokens.collections)) {
+    let collection = localCollections.find(c => c.name === importCollection.name);
+    const isNewCollection = !collection;
+
+    if (isNewCollection) {
+      summary.creates.push({ kind: 'collection', name: importCollection.name });
+      if (apply) {
+        collection = figma.variables.createVariableCollection(importCollection.name);
+        if (importCollection.modes.length > 0) {
+          collection.renameMode(collection.modes[0].modeId, importCollection.modes[0]);
+        }
+      }
+    }
+
+    const modeIds = {};
+    if (collection) {
+      collection.modes.forEach(mode => { modeIds[mode.name] = mode.modeId; });
+    }
+    importCollection.modes.forEach((modeName, index) => {
+      if (modeIds[modeName] !== undefined) return;
+      if (isNewCollection && index === 0) {
+        modeIds[modeName] = PLANNED_DEFAULT_MODE;
+        return;
+      }
+      summary.creates.push({ kind: 'mode', name: `${importCollection.name} / ${modeName}` });
+      if (apply) {
+        try {
+          modeIds[modeName] = collection.addMode(modeName);
+        } catch (error) {
+          summary.skipped.push({ kind: 'mode', name: `${importCollection.name} / ${modeName}`, reason: error.message });
+        }
+      } else {
+        modeIds[modeName] = PLANNED_MODE;
+      }
+    });
+
+    if (!variableLookup.has(importCollection.name)) variableLookup.set(importCollection.name, new Map());
+    const collectionLookup = variableLookup.get(importCollection.name);
+    const existingVariables = collection && !isNewCollection ?
+      localVariables.filter(v => v.variableCollectionId === collection.id) : [];
+
+    for (const importVariable of Object.values(importCollection.variables)) {
+      let variable = existingVariables.find(v => v.name === importVariable.name);
+      const label = `${importCollection.name} / ${importVariable.name}`;
+
+      if (variable && variable.resolvedType !== importVariable.type) {
+        summary.skipped.push({
+          kind: 'variable',
+          name: label,
+          reason: `type is ${variable.resolvedType} in the file but ${importVariable.type} in the import`
+        });
+        continue;
+      }
+
+      const isNew = !variable;
+      if (isNew) {
+        summary.creates.push({ kind: 'variable', name: label });
+        if (apply) {
+          variable = figma.variables.createVariable(importVariable.name, collection, importVariable.type);
+        }
+      }
+
+      collectionLookup.set(importVariable.name, variable || PLANNED_VARIABLE);
+      pending.push({ importVariable, variable, collection, modeIds, isNew, label });
+    }
+
+    if (deleteMissing) {
+      for (const variable of existingVariables) {
+        if (importCollection.variables[variable.name]) continue;
+        summary.deletes.push({ kind: 'variable', name: `${importCollection.name} / ${variable.name}` });
+        if (apply) variable.remove();
+      }
+    }
+  }
+
+  // Pass 2: values per mode and descriptions
+  for (const item of pending) {
+    const { importVariable, variable, collection, modeIds, isNew, label } = item;
+
+    let changed = false;
+    for (const [modeName, modeId] of Object.entries(modeIds)) {
+      let spec = importVariable.values ? importVariable.values[modeName] : undefined;
+      const defaultModeId = collection ? collection.defaultModeId : PLANNED_DEFAULT_MODE;
+      if (spec === undefined && modeId === defaultModeId) {
+        spec = importVariable.value;
+      }
+      if (spec === undefined) continue;
+
+      // null is a value the import couldn't parse for the variable's type
+      const nextValue = spec === null ? undefined : getImportVariableValue(spec, variableLookup);
+      if (nextValue === undefined) {
+        const reason = spec && spec.alias ? 'alias target not found' : 'value could not be parsed';
+        summary.skipped.push({ kind: 'value', name: `${label} (${modeName})`, reason });
+        continue;
+      }
+      if (!variable) continue; // Dry run of a new variable, nothing to compare against
+      if (nextValue !== PLANNED_VARIABLE && importValuesEqual(variable.valuesByMode[modeId], nextValue)) continue;
+
+      changed = true;
+      if (apply) {
+        try {
+          variable.setValueForMode(modeId, nextValue);
+        } catch (error) {
+          summary.skipped.push({ kind: 'value', name: `${label} (${modeName})`, reason: error.message });
+        }
+      }
+    }
+    if (!variable) continue;
+
+    if ((variable.description || '') !== importVariable.description) {
+      changed = true;
+      if (apply) variable.description = importVariable.description;
+    }
+
+    if (changed && !isNew) {
+      summary.updates.push({ kind: 'variable', name: label });
+    }
+  }
+}
+
+// Returns a Figma variable value, PLANNED_VARIABLE for an alias to a not-yet-created
+// variable during a dry run, or undefined if nothing usable was found
+function getImportVariableValue(spec, variableLookup) {
+  if (spec.alias) {
+    const target = findImportAliasTarget(spec.alias, variableLookup);
+    if (target === PLANNED_VARIABLE) return PLANNED_VARIABLE;
+    if (target) return figma.variables.createVariableAlias(target);
+  }
+  return spec.value !== null && spec.value !== undefined ? spec.value : undefined;
+}
+
+function findImportAliasTarget(ref, variableLookup) {
+  if (ref.collection !== undefined) {
+    const collectionLookup = variableLookup.get(ref.collection);
+    return collectionLookup ? collectionLookup.get(ref.name) : undefined;
+  }
+
+  // Dotted paths: DTCG references start with the collection, plain JSON references don't
+  const segments = ref.path.split('.');
+  if (segments.length > 1 && variableLookup.has(segments[0])) {
+    const target = variableLookup.get(segments[0]).get(segments.slice(1).join('/'));
+    if (target) return target;
+  }
+  const name = segments.join('/');
+  for (const collectionLookup of variableLookup.values()) {
+    if (collectionLookup.has(name)) return collectionLookup.get(name);
+  }
+  return undefined;
+}
+
+function importValuesEqual(current, next) {
+  if (isVariableAlias(current) || isVariableAlias(next)) {
+    return isVariableAlias(current) && isVariableAlias(next) && current.id === next.id;
+  }
+  if (current && next && typeof current === 'object' && typeof next === 'object') {
+    // Colors survive a round trip through 8-bit hex, so compare within one step
+    return ['r', 'g', 'b', 'a'].every(channel => {
+      const a = current[channel] !== undefined ? current[channel] : 1;
+      const b = next[channel] !== undefined ? next[channel] : 1;
+      return Math.abs(a - b) <= 1 / 255;
+    });
+  }
+  if (typeof current === 'number' && typeof next === 'number') {
+    return Math.abs(current - next) < 0.0001;
+  }
+  return current === next;
+}
+
+// Shared create/update/delete-by-name logic for the three style types
+async function syncImportedStyles(kind, importStyles, localStyles, options, summary, handlers) {
+  for (const importStyle of importStyles) {
+    const style = localStyles.find(s => s.name === importStyle.name);
+    const problem = await handlers.validate(importStyle);
+    if (problem) {
+      summary.skipped.push({ kind, name: importStyle.name, reason: problem });
+      continue;
+    }
+
+    if (!style) {
+      summary.creates.push({ kind, name: importStyle.name });
+      if (options.apply) {
+        const created = handlers.create();
+        created.name = importStyle.name;
+        await handlers.update(created, importStyle);
+      }
+    } else if (handlers.isChanged(style, importStyle) || (style.description || '') !== importStyle.description) {
+      summary.updates.push({ kind, name: importStyle.name });
+      if (options.apply) {
+        await handlers.update(style, importStyle);
+      }
+    }
+  }
+
+  // An import without styles of this type leaves them alone, so a variables-only file can't wipe them
+  if (options.deleteMissing && importStyles.length > 0) {
+    const importNames = new Set(importStyles.map(s => s.name));
+    for (const style of localStyles) {
+      if (importNames.has(style.name)) continue;
+      summary.deletes.push({ kind, name: style.name });
+      if (options.apply) style.remove();
+    }
+  }
+}
+
+async function syncImportedPaintStyles(importStyles, options, summary) {
+  const localStyles = await figma.getLocalPaintStylesAsync();
+  await syncImportedStyles('paint style', importStyles, localStyles, options, summary, {
+    validate: async () => null,
+    create: () => figma.createPaintStyle(),
+    isChanged: (style, importStyle) =>
+      JSON.stringify(simplifyPaints(style.paints)) !== JSON.stringify(simplifyPaints(resolveImportPaints(style.paints, importStyle.paints))),
+    update: async (style, importStyle) => {
+      style.paints = resolveImportPaints(style.paints, importStyle.paints);
+      style.description = importStyle.description;
+    }
+  });
+}
+
+// Gradients use the imported geometry. Without one (older exports) an update keeps the
+// existing geometry of a gradient of the same type and new gradients run left to right.
+function resolveImportPaints(currentPaints, importPaints) {
+  return importPaints.map((paint, index) => {
+    if (paint.type === 'SOLID' || paint.gradientTransform) return paint;
+    const current = (currentPaints || [])[index];
+    const keep = current && current.type === paint.type && current.gradientTransform;
+    return Object.assign({}, paint, { gradientTransform: keep ? current.gradientTransform : [[1, 0, 0], [0, 1, 0]] });
+  });
+}
+
+async function syncImportedTextStyles(importStyles, options, summary) {
+  const localStyles = await figma.getLocalTextStylesAsync();
+  const fontCache = {};
+  await syncImportedStyles('text style', importStyles, localStyles, options, summary, {
+    validate: async importStyle => {
+      if (!importStyle.fontFamily) return 'no font family';
+      if (!importStyle.fontSize) return 'no font size';
+      importStyle.fontName = await findImportFont(importStyle, fontCache);
+      return importStyle.fontName ? null : `font "${importStyle.fontFamily}" is not available`;
+    },
+    create: () => figma.createTextStyle(),
+    isChanged: (style, importStyle) =>
+      style.fontName.family !== importStyle.fontName.family ||
+      style.fontName.style !== importStyle.fontName.style ||
+      style.fontSize !== importStyle.fontSize ||
+      !sameUnitValue(style.lineHeight, importStyle.lineHeight) ||
+      !sameUnitValue(style.letterSpacing, importStyle.letterSpacing) ||
+      style.textCase !== importStyle.textCase ||
+      style.textDecoration !== importStyle.textDecoration,
+    update: async (style, importStyle) => {
+      await figma.loadFontAsync(importStyle.fontName);
+      style.fontName = importStyle.fontName;
+      style.fontSize = importStyle.fontSize;
+      style.lineHeight = importStyle.lineHeight;
+      style.letterSpacing = importStyle.letterSpacing;
+      style.textCase = importStyle.textCase;
+      style.textDecoration = importStyle.textDecoration;
+      style.description = importStyle.description;
+    }
+  });
+}
+
+async function syncImportedEffectStyles(importStyles, options, summary) {
+  const localStyles = await figma.getLocalEffectStylesAsync();
+  await syncImportedStyles('effect style', importStyles, localStyles, options, summary, {
+    validate: async () => null,
+    create: () => figma.createEffectStyle(),
+    isChanged: (style, importStyle) =>
+      JSON.stringify(simplifyEffects(style.effects)) !== JSON.stringify(simplifyEffects(importStyle.effects)),
+    update: async (style, importStyle) => {
+      style.effects = importStyle.effects;
+      style.description = importStyle.description;
+    }
+  });
+}
+
+function sameUnitValue(current, next) {
+  if (current.unit !== next.unit) return false;
+  return current.unit === 'AUTO' || Math.abs(current.value - next.value) < 0.01;
+}
+
+// Round values so styles that only differ by float noise don't count as updates
+function simplifyPaints(paints) {
+  const round = value => Math.round(value * 255);
+  return (paints || []).map(paint => ({
+    type: paint.type,
+    color: paint.color ? [round(paint.color.r), round(paint.color.g), round(paint.color.b)] : undefined,
+    opacity: paint.opacity !== undefined ? Math.round(paint.opacity * 100) : 100,
+    stops: paint.gradientStops ? paint.gradientStops.map(stop => [
+      round(stop.color.r), round(stop.color.g), round(stop.color.b), Math.round(stop.color.a * 100), Math.round(stop.position * 100)
+    ]) : undefined,
+    transform: paint.gradientTransform
+      ? paint.gradientTransform.map(row => row.map(value => Math.round(value * 1000) / 1000))
+      : undefined
+  }));
+}
+
+function simplifyEffects(effects) {
+  const supported = ['DROP_SHADOW', 'INNER_SHADOW', 'LAYER_BLUR', 'BACKGROUND_BLUR'];
+  return (effects || []).filter(effect => supported.indexOf(effect.type) !== -1).map(effect => {
+    if (effect.type === 'LAYER_BLUR' || effect.type === 'BACKGROUND_BLUR') {
+      return [effect.type, effect.radius, effect.visible !== false];
+    }
+    return [
+      effect.type,
+      Math.round(effect.color.r * 255), Math.round(effect.color.g * 255), Math.round(effect.color.b * 255),
+      Math.round(effect.color.a * 100),
+      effect.offset.x, effect.offset.y, effect.radius, effect.spread || 0,
+      effect.visible !== false, effect.blendMode || 'NORMAL', !!effect.showShadowBehindNode
+    ];
+  });
+}
+
+// Find an installed style of the family with the requested weight and italic flag
+async function findImportFont(importStyle, fontCache) {
+  if (!fontCache.fonts) {
+    fontCache.fonts = await figma.listAvailableFontsAsync();
+  }
+  const weight = String(importStyle.fontWeight || '400');
+  const candidates = fontCache.fonts
+    .map(font => font.fontName)
+    .filter(fontName => fontName.family === importStyle.fontFamily);
+  // Style names like "Semi Bold" are matched without spaces
+  const weightOf = fontName => parseFontWeight(fontName.style.replace(/\s+/g, ''));
+  const match = candidates.find(fontName =>
+    weightOf(fontName) === weight &&
+    fontName.style.toLowerCase().includes('italic') === importStyle.italic
+  );
+  return match || candidates.find(fontName => weightOf(fontName) === weight) || null;
+}
+
+// Git sync: one branch with one commit of the generated files, and a pull request (GitHub)
+// or merge request (GitLab) into the base branch. Access tokens are kept per API host in
+// this user's client storage and never sent back to the UI.
+const GIT_TOKENS_STORAGE_KEY = 'git-tokens';
+async function getGitTokenHosts() {
+  return Object.keys((await figma.clientStorage.getAsync(GIT_TOKENS_STORAGE_KEY)) || {});
+}
+
+async function saveGitToken(git, token) {
+  const tokens = (await figma.clientStorage.getAsync(GIT_TOKENS_STORAGE_KEY)) || {};
+  tokens[getGitHost(git)] = token;
+  await figma.clientStorage.setAsync(GIT_TOKENS_STORAGE_KEY, tokens);
+}
+
+async function gitRequest(git, method, path, body, options = {}) {
+  const tokens = (await figma.clientStorage.getAsync(GIT_TOKENS_STORAGE_KEY)) || {};
+  const token = tokens[getGitHost(git)];
+  if (!token) {
+    throw new Error(`No access token saved for ${getGitHost(git)}`);
+  }
+  const headers = git.provider === 'gitlab'
+    ? { 'PRIVATE-TOKEN': token }
+    : { Authorization: `Bearer ${token}`, Accept: options.raw ? 'application/vnd.github.raw' : 'application/vnd.github+json' };
+  if (body) headers['Content-Type'] = 'application/json';
+
+  let response;
+  try {
+    response = await fetch(getGitHost(git) + path, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined
+    });
+  } catch (error) {
+    throw new Error(`Could not reach ${getGitHost(git)} (${error.message || error})`);
+  }
+  if (response.status === 404 && options.allowNotFound) return null;
+  if (!response.ok) {
+    let detail = '';
+    try {
+      const error = await response.json();
+      // GitLab sends validation errors as an object or a list
+      detail = error.message || error.error || error;
+      detail = typeof detail === 'string' ? detail : JSON.stringify(detail);
+    } catch (error) {
+      // Not JSON, the status says enough
+    }
+    throw new Error(`${method} ${path} failed with ${response.status}${detail ? `: ${detail}` : ''}`);
+  }
+  return options.raw ? response.text() : response.json();
+}
+
+function encodeGitPath(path) {
+  return path.split('/').map(encodeURIComponent).join('/');
+}
+
+// The base branch's content of each path, or null for files it doesn't have yet
+async function readGitFiles(git, paths) {
+  const files = {};
+  for (const path of paths) {
+    const url = git.provider === 'gitlab'
+      ? `/projects/${encodeURIComponent(git.repo)}/repository/files/${encodeURIComponent(path)}/raw?ref=${encodeURIComponent(git.baseBranch)}`
+      : `/repos/${git.repo}/contents/${encodeGitPath(path)}?ref=${encodeURIComponent(git.baseBranch)}`;
+    files[path] = await gitRequest(git, 'GET', url, null, { raw: true, allowNotFound: true });
+  }
+  return files;
+}
+
+// request: { branch, title, body, files: [{ path, content, exists }] }
+async function createGitPullRequest(git, request) {
+  const message = request.title;
+  if (git.provider === 'gitlab') {
+    const project = `/projects/${encodeURIComponent(git.repo)}`;
+    await gitRequest(git, 'POST', `${project}/repository/commits`, {
+      branch: request.branch,
+      start_branch: git.baseBranch,
+      commit_message: message,
+      actions: request.files.map(file => ({
+        action: file.exists ? 'update' : 'create',
+        file_path: file.path,
+        content: file.content
+      }))
+    });
+    const mergeRequest = await gitRequest(git, 'POST', `${project}/merge_requests`, {
+      source_branch: request.branch,
+      target_branch: git.baseBranch,
+      title: request.title,
+      description: request.body,
+      remove_source_branch: true
+    });
+    return { url: mergeRequest.web_url, number: mergeRequest.iid };
+  }
+
+  const repo = `/repos/${git.repo}`;
+  const base = await gitRequest(git, 'GET', `${repo}/git/ref/heads/${encodeGitPath(git.baseBranch)}`);
+  const baseCommit = await gitRequest(git, 'GET', `${repo}/git/commits/${base.object.sha}`);
+  const tree = await gitRequest(git, 'POST', `${repo}/git/trees`, {
+    base_tree: baseCommit.tree.sha,
+    tree: request.files.map(file => ({ path: file.path, mode: '100644', type: 'blob', content: file.content }))
+  });
+  if (tree.sha === baseCommit.tree.sha) {
+    throw new Error(`${git.baseBranch} already has these files`);
+  }
+  const commit = await gitRequest(git, 'POST', `${repo}/git/commits`, {
+    message,
+    tree: tree.sha,
+    parents: [base.object.sha]
+  });
+  await gitRequest(git, 'POST', `${repo}/git/refs`, { ref: `refs/heads/${request.branch}`, sha: commit.sha });
+  const pull = await gitRequest(git, 'POST', `${repo}/pulls`, {
+    title: request.title,
+    body: request.body,
+    head: request.branch,
+    base: git.baseBranch
+  });
+  return { url: pull.html_url, number: pull.number };
+}
+
+// Webhook push: POSTs one export format to a configured URL, retrying network errors,
+// rate limits and server errors. The auth header and signing secret are kept per URL in
+// this user's client storage, like the Git tokens.
+const WEBHOOK_SECRETS_STORAGE_KEY = 'webhook-secrets';
+const WEBHOOK_ATTEMPTS = 3;
+const WEBHOOK_RETRY_DELAY = 1000;
+const JSON_FORMATS = ['json', 'dtcg', 'fonts'];
+
+async function getWebhookSecretUrls() {
+  return Object.keys((await figma.clientStorage.getAsync(WEBHOOK_SECRETS_STORAGE_KEY)) || {});
+}
+
+// Fields left empty keep what was saved before
+async function saveWebhookSecrets(url, secrets) {
+  const saved = (await figma.clientStorage.getAsync(WEBHOOK_SECRETS_STORAGE_KEY)) || {};
+  saved[url] = Object.assign({}, saved[url]);
+  if (secrets.auth) saved[url].auth = secrets.auth;
+  if (secrets.secret) saved[url].secret = secrets.secret;
+  await figma.clientStorage.setAsync(WEBHOOK_SECRETS_STORAGE_KEY, saved);
+}
+
+// request: { webhook: { url, headers, format, body, sign }, content, metadata }
+async function sendWebhook(request) {
+  const { webhook, content } = request;
+  const metadata = request.metadata || {};
+  // Figma only gives private plugins the file key
+  const figmaFileKey = metadata.figmaFileKey && metadata.figmaFileKey !== 'unknown' ? metadata.figmaFileKey : null;
+  const secrets = ((await figma.clientStorage.getAsync(WEBHOOK_SECRETS_STORAGE_KEY)) || {})[webhook.url] || {};
+  if (webhook.sign && !secrets.secret) {
+    throw new Error(`No signing secret saved for ${webhook.url}`);
+  }
+
+  // The hash covers the formatted content only, so the same tokens hash the same on every send
+  const contentHash = toHex(sha256(utf8Bytes(content)));
+  const body = webhook.body === 'raw' ? content : JSON.stringify({
+    metadata: {
+      figmaFileKey,
+      fileName: metadata.fileName || null,
+      exportDate: metadata.exportDate || null
+    },
+    contentHash: `sha256:${contentHash}`,
+    format: webhook.format,
+    content
+  });
+  // The raw body is just the file, so the metadata goes in headers for both bodies
+  const headers = {
+    'Content-Type': webhook.body === 'raw' && !JSON_FORMATS.includes(webhook.format) ? 'text/plain; charset=utf-8' : 'application/json',
+    'X-Content-Hash': `sha256=${contentHash}`
+  };
+  if (figmaFileKey) headers['X-Figma-File-Key'] = figmaFileKey;
+  // Header values must be ASCII
+  if (metadata.fileName) headers['X-Figma-File-Name'] = encodeURIComponent(metadata.fileName);
+  if (metadata.exportDate) headers['X-Figma-Export-Date'] = metadata.exportDate;
+  Object.assign(headers, webhook.headers);
+  if (secrets.auth) headers.Authorization = secrets.auth;
+  if (webhook.sign) {
+    headers['X-Signature-256'] = `sha256=${toHex(hmacSha256(utf8Bytes(secrets.secret), utf8Bytes(body)))}`;
+  }
+
+  let lastError = null;
+  let attempt = 0;
+  while (attempt < WEBHOOK_ATTEMPTS) {
+    attempt++;
+    if (attempt > 1) {
+      figma.ui.postMessage({ type: 'webhook-retry', attempt, attempts: WEBHOOK_ATTEMPTS, message: lastError.message });
+      await new Promise(resolve => setTimeout(resolve, WEBHOOK_RETRY_DELAY * 2 ** (attempt - 2)));
+    }
+    let response;
+    try {
+      response = await fetch(webhook.url, { method: 'POST', headers, body });
+    } catch (error) {
+      lastError = new Error(`could not reach ${webhook.url} (${error.message || error})`);
+      continue;
+    }
+    if (response.ok) {
+      return { status: response.status, attempts: attempt, contentHash };
+    }
+    let detail = '';
+    try {
+      detail = (await response.text()).slice(0, 200);
+    } catch (error) {
+      // The status says enough
+    }
+    lastError = new Error(`${webhook.url} answered ${response.status}${detail ? `: ${detail}` : ''}`);
+    // Other client errors would fail the same way again
+    if (response.status < 500 && response.status !== 429) break;
+  }
+  throw new Error(`${lastError.message} after ${attempt} attempt(s)`);
+}
+
+// SHA-256 and HMAC-SHA256 over byte arrays; the plugin sandbox has no Web Crypto
+const SHA256_K = [
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+function utf8Bytes(text) {
+  const bytes = [];
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (code < 0x800) {
+      bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+    } else if (code < 0x10000) {
+      bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+    } else {
+      bytes.push(0xf0 | (code >> 18), 0x80 | ((code >> 12) & 0x3f), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+    }
+  }
+  return bytes;
+}
+
+function sha256(bytes) {
+  const bits = bytes.length * 8;
+  const padded = bytes.concat([0x80]);
+  while (padded.length % 64 !== 56) padded.push(0);
+  const high = Math.floor(bits / 0x100000000);
+  padded.push(high >>> 24, (high >>> 16) & 0xff, (high >>> 8) & 0xff, high & 0xff);
+  padded.push(bits >>> 24, (bits >>> 16) & 0xff, (bits >>> 8) & 0xff, bits & 0xff);
+
+  const hash = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+  const w = new Array(64);
+  const rotate = (x, n) => (x >>> n) | (x << (32 - n));
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      const j = offset + i * 4;
+      w[i] = (padded[j] << 24) | (padded[j + 1] << 16) | (padded[j + 2] << 8) | padded[j + 3];
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotate(w[i - 15], 7) ^ rotate(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotate(w[i - 2], 17) ^ rotate(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+    }
+    let [a, b, c, d, e, f, g, h] = hash;
+    for (let i = 0; i < 64; i++) {
+      const t1 = (h + (rotate(e, 6) ^ rotate(e, 11) ^ rotate(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) | 0;
+      const t2 = ((rotate(a, 2) ^ rotate(a, 13) ^ rotate(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+    [a, b, c, d, e, f, g, h].forEach((value, i) => {
+      hash[i] = (hash[i] + value) | 0;
+    });
+  }
+  const digest = [];
+  hash.forEach(value => digest.push(value >>> 24, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff));
+  return digest;
+}
+
+function hmacSha256(key, message) {
+  const block = (key.length > 64 ? sha256(key) : key).slice();
+  while (block.length < 64) block.push(0);
+  const inner = sha256(block.map(byte => byte ^ 0x36).concat(message));
+  return sha256(block.map(byte => byte ^ 0x5c).concat(inner));
+}
+
+function toHex(bytes) {
+  return bytes.map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
\ No newline at end of file
@@ -0,0 +1,2677 @@
+// Every export format, and the report, diff, bundle and Git files built on them, as functions
+// of the scan's data and the export options. Required by ui.js in the plugin and by cli.js.
+
+var FILE_EXTENSIONS = {
+  json: 'json',
+  css: 'css',
+  js: 'js',
+  ts: 'ts',
+  dts: 'd.ts',
+  typography: 'typography.css',
+  fonts: 'fonts.json',
+  dtcg: 'tokens.json',
+  scss: 'scss',
+  less: 'less',
+  tailwind: 'js',
+  tailwind4: 'css',
+  swift: 'swift',
+  android: 'xml',
+  compose: 'kt',
+  flutter: 'dart'
+};
+
+// How token names are built in every format; the defaults match generateToken in processors.js
+var DEFAULT_NAMING = {
+  caseStyle: 'kebab',
+  prefix: '',
+  collectionPrefixes: {},
+  includeCollection: false,
+  structure: 'flat'
+};
+
+// Optional token fields and the data fields they cover, for styles and variables alike.
+// Names, tokens, types and values are always kept since every format is built from them
+var TOKEN_FIELDS = {
+  description: { input: 'export-description', fields: ['description'] },
+  id: { input: 'export-id', fields: ['id'] },
+  aliases: { input: 'export-aliases', fields: ['alias', 'aliases'] },
+  codeSyntax: { input: 'export-code-syntax', fields: ['codeSyntax'] },
+  scopes: { input: 'export-scopes', fields: ['scopes'] },
+  library: { input: 'export-library', fields: ['library'] },
+  css: { input: 'export-css', fields: ['css'] },
+  boundVariables: { input: 'export-bound-variables', fields: ['boundVariables'] }
+};
+
+// Picker keys are JSON paths: ["styles", type, ...groups], ["collection", name, ...groups]
+// and ["mode", collection, mode]
+function getFilterKey(path) {
+  return JSON.stringify(path);
+}
+
+// Figma keeps names starting with _ or . out of published libraries
+function isPrivateName(name) {
+  return name.charAt(0) === '_' || name.charAt(0) === '.';
+}
+
+// Leave out what the filter picker and the private rule exclude
+function filterDataByPicker(data, filters) {
+  if (!filters || (filters.excluded.length === 0 && !filters.excludePrivate)) return data;
+  var excluded = {};
+  filters.excluded.forEach(function(key) { excluded[key] = true; });
+  var isLeftOut = function(prefix, name) {
+    var segments = name.split('/');
+    var path = prefix.concat(segments);
+    for (var i = 1; i <= path.length; i++) {
+      if (excluded[getFilterKey(path.slice(0, i))]) return true;
+    }
+    return !!filters.excludePrivate && segments.some(isPrivateName);
+  };
+
+  var result = JSON.parse(JSON.stringify(data));
+  for (var styleType in (result.styles || {})) {
+    if (!Array.isArray(result.styles[styleType])) continue;
+    result.styles[styleType] = result.styles[styleType].filter(function(style) {
+      return !isLeftOut(['styles', styleType], style.name);
+    });
+  }
+
+  for (var collectionName in (result.collections || {})) {
+    var collection = result.collections[collectionName];
+    if (excluded[getFilterKey(['collection', collectionName])] || (filters.excludePrivate && isPrivateName(collectionName))) {
+      delete result.collections[collectionName];
+      continue;
+    }
+    var modes = (collection.modes || []).filter(function(mode) {
+      return !excluded[getFilterKey(['mode', collectionName, mode.name])];
+    });
+    if (modes.length === 0) {
+      delete result.collections[collectionName];
+      continue;
+    }
+    var removedModes = collection.modes.filter(function(mode) { return modes.indexOf(mode) === -1; });
+    var defaultModeName = getDefaultModeName(collection);
+    // Without its default mode, the first mode left becomes the default
+    var newDefault = modes.some(function(mode) { return mode.name === defaultModeName; }) ? null : modes[0];
+    collection.modes = modes;
+    if (newDefault) collection.defaultModeId = newDefault.id;
+
+    var count = 0;
+    for (var group in collection.variables) {
+      collection.variables[group] = collection.variables[group].filter(function(variable) {
+        if (isLeftOut(['collection', collectionName], variable.name)) return false;
+        removedModes.forEach(function(mode) {
+          if (variable.values) delete variable.values[mode.name];
+          if (variable.aliases) delete variable.aliases[mode.name];
+          if (variable.rgbaValues) delete variable.rgbaValues[mode.name];
+        });
+        if (newDefault && variable.values) {
+          if (variable.values[newDefault.name] === undefined) return false;
+          variable.value = variable.values[newDefault.name];
+          if (variable.rgbaValues) variable.rgba = variable.rgbaValues[newDefault.name];
+          if (variable.aliases && variable.aliases[newDefault.name]) {
+            variable.alias = variable.aliases[newDefault.name];
+          } else {
+            delete variable.alias;
+          }
+        }
+        return true;
+      });
+      count += collection.variables[group].length;
+    }
+    if (count === 0) delete result.collections[collectionName];
+  }
+
+  // References to the variables left out fall back to the resolved values they carry, so no
+  // format points at a token that isn't in the export
+  var removed = getVariableKeys(data.collections);
+  var kept = getVariableKeys(result.collections);
+  for (var key in kept) delete removed[key];
+  var isRemoved = function(alias) {
+    return !!alias && removed[getFilterKey([alias.collection, alias.name])] === true;
+  };
+  for (var styleType in (result.styles || {})) {
+    (Array.isArray(result.styles[styleType]) ? result.styles[styleType] : []).forEach(function(style) {
+      for (var field in (style.boundVariables || {})) {
+        if (isRemoved(style.boundVariables[field])) delete style.boundVariables[field];
+      }
+    });
+  }
+  for (var collectionName in (result.collections || {})) {
+    var variables = result.collections[collectionName].variables;
+    for (var group in variables) {
+      variables[group].forEach(function(variable) {
+        if (isRemoved(variable.alias)) delete variable.alias;
+        for (var modeName in (variable.aliases || {})) {
+          if (isRemoved(variable.aliases[modeName])) delete variable.aliases[modeName];
+        }
+      });
+    }
+  }
+  return result;
+}
+
+// Set of the variables in collections, keyed by getFilterKey([collection name, variable name])
+function getVariableKeys(collections) {
+  var keys = {};
+  for (var collectionName in (collections || {})) {
+    var variables = collections[collectionName].variables || {};
+    for (var group in variables) {
+      variables[group].forEach(function(variable) {
+        keys[getFilterKey([collectionName, variable.name])] = true;
+      });
+    }
+  }
+  return keys;
+}
+
+// The data fields of the token fields the settings turn off
+function getOmittedFields(fields) {
+  var omitted = [];
+  for (var key in TOKEN_FIELDS) {
+    if (fields && fields[key] === false) omitted = omitted.concat(TOKEN_FIELDS[key].fields);
+  }
+  return omitted;
+}
+
+// Leave out the token fields the settings turn off, in every style and variable list. Only for
+// the JSON output itself: the other formats are built from these fields.
+function filterDataBySettings(data, fields) {
+  var filteredData = JSON.parse(JSON.stringify(data));
+  var omitted = getOmittedFields(fields);
+  if (omitted.length === 0) return filteredData;
+
+  function filterTokens(tokens) {
+    for (var i = 0; i < (tokens || []).length; i++) {
+      for (var j = 0; j < omitted.length; j++) delete tokens[i][omitted[j]];
+    }
+  }
+  for (var styleType in (filteredData.styles || {})) {
+    filterTokens(filteredData.styles[styleType]);
+  }
+  for (var collectionName in (filteredData.collections || {})) {
+    var variables = filteredData.collections[collectionName].variables || {};
+    for (var group in variables) filterTokens(variables[group]);
+  }
+  return filteredData;
+}
+
+function formatData(data, format, options) {
+  var output = {};
+  if (options.includeStyles) output.styles = data.styles;
+  if (options.includeVariables) output.collections = data.collections;
+  if (options.includeMetadata) output.metadata = data.metadata;
+
+  output = filterDataByPicker(output, options.filters);
+
+  output = applyNaming(output, options.naming);
+
+  // The optional fields the settings leave out are dropped from the JSON and DTCG files last,
+  // once aliases are references, so they never change what the formats generate
+  switch (format) {
+    case 'json':
+      if (options.keepAliases) output.collections = withAliasReferences(output.collections, getJSONReference);
+      output = filterDataBySettings(output, options.fields);
+      if (isNestedNaming(options.naming)) output = nestTokenLists(output, options.naming);
+      return JSON.stringify(output, null, 2);
+    case 'css':
+      if (options.keepAliases) output.collections = withAliasReferences(output.collections, getCSSReference);
+      return generateCSS(output, options);
+    case 'js': return generateJavaScript(output, options);
+    case 'ts': return generateTypeScript(output, options);
+    case 'dts': return generateCSSTypes(output, options);
+    case 'typography': return generateTypography(output, options);
+    case 'fonts': return generateFontManifest(output);
+    case 'dtcg':
+      if (options.keepAliases) {
+        output.collections = withAliasReferences(output.collections, function(alias) {
+          return getDTCGReference(alias, options.naming);
+        });
+      }
+      return generateDTCG(output, options);
+    case 'scss': return generatePreprocessor(output, options, 'scss');
+    case 'less': return generatePreprocessor(output, options, 'less');
+    case 'tailwind': return generateTailwindConfig(output, options);
+    case 'tailwind4': return generateTailwindTheme(output, options);
+    case 'swift': return generateSwift(output, options);
+    case 'android': return generateAndroidXML(output, options);
+    case 'compose': return generateCompose(output, options);
+    case 'flutter': return generateFlutter(output, options);
+    default: return JSON.stringify(output, null, 2);
+  }
+}
+
+// Replace aliased variable values with references rendered by toReference
+function withAliasReferences(collections, toReference) {
+  if (!collections) return collections;
+  var result = JSON.parse(JSON.stringify(collections));
+  for (var collectionName in result) {
+    var variables = result[collectionName].variables;
+    for (var group in variables) {
+      for (var i = 0; i < variables[group].length; i++) {
+        var variable = variables[group][i];
+        if (variable.alias) {
+          variable.value = toReference(variable.alias);
+        }
+        if (variable.aliases && variable.values) {
+          for (var modeName in variable.aliases) {
+            variable.values[modeName] = toReference(variable.aliases[modeName]);
+          }
+        }
+      }
+    }
+  }
+  return result;
+}
+
+function getJSONReference(alias) {
+  return '{' + alias.name.split('/').join('.') + '}';
+}
+
+function getCSSReference(alias) {
+  return 'var(' + getCSSVariableName(alias) + ')';
+}
+
+function getDTCGReference(alias, naming) {
+  // Must match the paths generateDTCG writes variables to
+  return '{' + getDTCGPath(alias.name, alias.collection, naming).join('.') + '}';
+}
+
+function generateCSS(data, options) {
+  var naming = (options && options.naming) || DEFAULT_NAMING;
+  var css = ':root {\n';
+  
+  // Color Styles
+  if (data.styles && data.styles.colors && data.styles.colors.length > 0) {
+    css += '  /* Color Styles */\n';
+    for (var i = 0; i < data.styles.colors.length; i++) {
+      var color = data.styles.colors[i];
+      if (color.value) {
+        css += '  --' + color.token + ': ' + color.value + ';\n';
+      }
+      // Layered paints: the background-blend-mode list that goes with the backgrounds
+      if (color.backgroundBlendMode) {
+        css += '  --' + getTokenName(color.name || color.token, null, naming, 'blend-mode') + ': ' + color.backgroundBlendMode + ';\n';
+      }
+    }
+    css += '\n';
+  }
+
+  // Text Styles: bound properties point at their variable, with the Figma value as fallback
+  if (data.styles && data.styles.textStyles && data.styles.textStyles.length > 0) {
+    css += '  /* Text Styles */\n';
+    for (var i = 0; i < data.styles.textStyles.length; i++) {
+      var textStyle = data.styles.textStyles[i];
+      var textValues = getTextStyleValues(textStyle, getCSSFallbackReference);
+      for (var t = 0; t < TEXT_STYLE_PROPERTIES.length; t++) {
+        var property = TEXT_STYLE_PROPERTIES[t];
+        if (textValues[property.field] === undefined) continue;
+        css += '  --' + getTokenName(textStyle.name || textStyle.token, null, naming, property.qualifier) + ': ' + textValues[property.field] + ';\n';
+      }
+    }
+    css += '\n';
+  }
+
+  // Effect Styles
+  if (data.styles && data.styles.effectStyles && data.styles.effectStyles.length > 0) {
+    css += '  /* Effect Styles */\n';
+    for (var i = 0; i < data.styles.effectStyles.length; i++) {
+      var effectStyle = data.styles.effectStyles[i];
+      var effectProperties = effectStyle.properties || {};
+      for (var e = 0; e < EFFECT_PROPERTIES.length; e++) {
+        var property = EFFECT_PROPERTIES[e];
+        if (!effectProperties[property.field]) continue;
+        css += '  --' + getTokenName(effectStyle.name || effectStyle.token, null, naming, property.qualifier) + ': ' + effectProperties[property.field] + ';\n';
+      }
+    }
+    css += '\n';
+  }
+
+  // Grid Styles
+  if (data.styles && data.styles.gridStyles && data.styles.gridStyles.length > 0) {
+    css += '  /* Grid Styles */\n';
+    for (var i = 0; i < data.styles.gridStyles.length; i++) {
+      var gridStyle = data.styles.gridStyles[i];
+      if (gridStyle.grids && gridStyle.grids.length > 0) {
+        // Generate CSS value from grids structure
+        var cssValues = [];
+        for (var j = 0; j < gridStyle.grids.length; j++) {
+          var grid = gridStyle.grids[j];
+          if (grid.pattern === 'columns') {
+            cssValues.push('grid-template-columns: repeat(' + grid.count + ', 1fr); gap: ' + grid.gutter + 'px;');
+          } else if (grid.pattern === 'rows') {
+            cssValues.push('grid-template-rows: repeat(' + grid.count + ', 1fr); gap: ' + grid.gutter + 'px;');
+          }
+        }
+        if (cssValues.length > 0) {
+          css += '  --' + getTokenName(gridStyle.name || gridStyle.token, null, naming, 'grid') + ': display: grid; ' + cssValues.join(' ') + '\n';
+        }
+      }
+    }
+    css += '\n';
+  }
+
+  // Collection Variables (default mode)
+  if (data.collections) {
+    for (var collectionName in data.collections) {
+      var collection = data.collections[collectionName];
+      css += '  /* ' + getCollectionTitle(collectionName, collection) + ' */\n';
+      
+      for (var g = 0; g < CSS_VARIABLE_GROUPS.length; g++) {
+        var variables = collection.variables[CSS_VARIABLE_GROUPS[g]] || [];
+        for (var i = 0; i < variables.length; i++) {
+          var cssValue = formatCSSVariableValue(CSS_VARIABLE_GROUPS[g], variables[i].value, !!variables[i].alias, variables[i]);
+          if (cssValue !== null) {
+            css += '  ' + getCSSVariableName(variables[i]) + ': ' + cssValue + ';\n';
+          }
+        }
+      }
+      
+      css += '\n';
+    }
+  }
+
+  css += '}';
+
+  // One block per additional mode, using the collection's selector pattern
+  if (data.collections) {
+    for (var collectionName in data.collections) {
+      var collection = data.collections[collectionName];
+      var defaultModeName = getDefaultModeName(collection);
+      var pattern = (options && options.modeSelectors && options.modeSelectors[collectionName]) || 'data-attribute';
+      
+      for (var m = 0; m < collection.modes.length; m++) {
+        var modeName = collection.modes[m].name;
+        if (modeName === defaultModeName) continue;
+        
+        var declarations = '';
+        for (var g = 0; g < CSS_VARIABLE_GROUPS.length; g++) {
+          var variables = collection.variables[CSS_VARIABLE_GROUPS[g]] || [];
+          for (var i = 0; i < variables.length; i++) {
+            var variable = variables[i];
+            if (!variable.values || variable.values[modeName] === undefined) continue;
+            var isAlias = !!(variable.aliases && variable.aliases[modeName]);
+            var cssValue = formatCSSVariableValue(CSS_VARIABLE_GROUPS[g], variable.values[modeName], isAlias, variable);
+            if (cssValue !== null) {
+              declarations += getCSSVariableName(variable) + ': ' + cssValue + ';\n';
+            }
+          }
+        }
+        if (declarations === '') continue;
+        
+        css += '\n\n/* ' + getCollectionTitle(collectionName, collection) + ': ' + modeName + ' */\n';
+        css += wrapModeDeclarations(declarations, modeName, pattern);
+      }
+    }
+  }
+
+  return css;
+}
+
+var CSS_VARIABLE_GROUPS = ['colors', 'numbers', 'strings', 'booleans'];
+
+function formatCSSVariableValue(group, value, isAlias, variable) {
+  switch (group) {
+    case 'colors':
+      return value ? value : null;
+    case 'numbers':
+      if (value === undefined) return null;
+      if (typeof value !== 'number') return String(value);
+      var kind = variable ? getNumberKind(variable) : 'number';
+      if (kind === 'opacity') return String(toOpacity(value));
+      if (kind === 'fontWeight') return String(value);
+      return value + 'px';
+    case 'strings':
+      if (!value) return null;
+      return (isAlias && value.indexOf('var(') === 0) ? value : '"' + value + '"';
+    default:
+      return value !== undefined ? String(value) : null;
+  }
+}
+
+// codeSyntax.WEB may be a bare name or a full var(--name) reference
+function getCSSVariableName(variable) {
+  var web = variable.codeSyntax && variable.codeSyntax.WEB ? variable.codeSyntax.WEB.trim() : '';
+  if (web) {
+    var reference = /^var\(\s*(--[^,)\s]+)/.exec(web);
+    if (reference) return reference[1];
+    return web.indexOf('--') === 0 ? web : '--' + web;
+  }
+  return '--' + variable.token;
+}
+
+var DIMENSION_SCOPES = ['CORNER_RADIUS', 'WIDTH_HEIGHT', 'GAP', 'FONT_SIZE', 'LINE_HEIGHT', 'LETTER_SPACING',
+  'PARAGRAPH_SPACING', 'PARAGRAPH_INDENT', 'STROKE_FLOAT', 'EFFECT_FLOAT'];
+
+// What a number variable measures, from its scopes: 'opacity', 'fontWeight', 'dimension' or a plain 'number'.
+// Unscoped (ALL_SCOPES) numbers stay 'number' and keep the px unit they always had in CSS.
+function getNumberKind(variable) {
+  var scopes = variable.scopes || [];
+  if (scopes.length === 0) return 'number';
+  var only = function(allowed) {
+    return scopes.every(function(scope) { return allowed.indexOf(scope) !== -1; });
+  };
+  if (only(['OPACITY'])) return 'opacity';
+  if (only(['FONT_WEIGHT'])) return 'fontWeight';
+  if (only(DIMENSION_SCOPES)) return 'dimension';
+  return 'number';
+}
+
+// Figma opacity variables are percentages (0-100); CSS and native outputs want 0-1
+function toOpacity(value) {
+  return round(value / 100, 4);
+}
+
+// Comment heading for a collection; team library collections name their library
+function getCollectionTitle(collectionName, collection) {
+  var library = collection.library && collection.library.name;
+  return collectionName + ' Collection' + (library ? ' (' + library + ' library)' : '');
+}
+
+function getDefaultModeName(collection) {
+  if (!collection.modes || collection.modes.length === 0) return null;
+  for (var i = 0; i < collection.modes.length; i++) {
+    if (collection.modes[i].id === collection.defaultModeId) return collection.modes[i].name;
+  }
+  return collection.modes[0].name;
+}
+
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '');
+}
+
+function getNameWords(text) {
+  return String(text).split(/[^A-Za-z0-9]+/).filter(function(word) {
+    return word !== '';
+  });
+}
+
+// Join words in the naming case style; words already in mixed case (e.g. 'bgPrimary') keep their inner capitals
+function formatNameWords(words, caseStyle) {
+  if (caseStyle === 'camel' || caseStyle === 'pascal') {
+    return words.map(function(word, index) {
+      var rest = (/[a-z]/.test(word) && /[A-Z]/.test(word)) ? word.slice(1) : word.slice(1).toLowerCase();
+      var first = (index === 0 && caseStyle === 'camel') ? word.charAt(0).toLowerCase() : word.charAt(0).toUpperCase();
+      return first + rest;
+    }).join('');
+  }
+  return words.join(caseStyle === 'snake' ? '_' : '-').toLowerCase();
+}
+
+// Global prefix, then the collection's prefix (or its name when included)
+function getNamePrefixes(collectionName, naming) {
+  var segments = [];
+  if (naming.prefix) segments.push(naming.prefix);
+  if (collectionName) {
+    var collectionPrefix = naming.collectionPrefixes && naming.collectionPrefixes[collectionName];
+    if (collectionPrefix) {
+      segments.push(collectionPrefix);
+    } else if (naming.includeCollection) {
+      segments.push(collectionName);
+    }
+  }
+  return segments;
+}
+
+function getNameSegments(name, collectionName, naming) {
+  return getNamePrefixes(collectionName, naming).concat(String(name).split('/'));
+}
+
+// Flat token name; a qualifier such as 'font-size' goes between the global prefix and the name
+function getTokenName(name, collectionName, naming, qualifier) {
+  naming = naming || DEFAULT_NAMING;
+  var segments = getNameSegments(name, collectionName, naming);
+  if (qualifier) segments.splice(naming.prefix ? 1 : 0, 0, qualifier);
+  return formatNameWords(getNameWords(segments.join(' ')), naming.caseStyle);
+}
+
+// Key path for nested output, one key per segment
+function getTokenPath(name, collectionName, naming) {
+  naming = naming || DEFAULT_NAMING;
+  return getNameSegments(name, collectionName, naming).map(function(segment) {
+    return formatNameWords(getNameWords(segment), naming.caseStyle);
+  }).filter(function(segment) {
+    return segment !== '';
+  });
+}
+
+// Effect style CSS, one custom property (or preprocessor variable) each. The box-shadow keeps the
+// plain effect name; drop-shadow() is the filter variant of the same shadows.
+var EFFECT_PROPERTIES = [
+  { field: 'boxShadow', qualifier: 'effect', property: 'box-shadow' },
+  { field: 'dropShadow', qualifier: 'drop-shadow', property: 'filter' },
+  { field: 'filter', qualifier: 'filter', property: 'filter' },
+  { field: 'backdropFilter', qualifier: 'backdrop-filter', property: 'backdrop-filter' }
+];
+
+function isNestedNaming(naming) {
+  return !!naming && naming.structure === 'nested';
+}
+
+// Rebuild every token (and alias target token) from its Figma name with the naming settings
+function applyNaming(data, naming) {
+  var result = JSON.parse(JSON.stringify(data));
+  naming = naming || DEFAULT_NAMING;
+  if (result.styles) {
+    for (var group in result.styles) {
+      (result.styles[group] || []).forEach(function(style) {
+        if (style.name) style.token = getTokenName(style.name, null, naming);
+        for (var field in (style.boundVariables || {})) {
+          var bound = style.boundVariables[field];
+          bound.token = getTokenName(bound.name, bound.collection, naming);
+        }
+      });
+    }
+  }
+  for (var collectionName in (result.collections || {})) {
+    var variables = result.collections[collectionName].variables;
+    for (var group in variables) {
+      variables[group].forEach(function(variable) {
+        variable.token = getTokenName(variable.name, collectionName, naming);
+        if (variable.alias) variable.alias.token = getTokenName(variable.alias.name, variable.alias.collection, naming);
+        for (var modeName in (variable.aliases || {})) {
+          var alias = variable.aliases[modeName];
+          alias.token = getTokenName(alias.name, alias.collection, naming);
+        }
+      });
+    }
+  }
+  return result;
+}
+
+// Put a value at a key path; a token and a group sharing a name keep the token as the group's DEFAULT
+function setNestedValue(tree, path, value) {
+  var group = tree;
+  for (var i = 0; i < path.length - 1; i++) {
+    if (!group[path[i]] || typeof group[path[i]] !== 'object' || !group[path[i]].__group) {
+      group[path[i]] = group[path[i]] === undefined ? {} : { DEFAULT: group[path[i]] };
+      Object.defineProperty(group[path[i]], '__group', { value: true });
+    }
+    group = group[path[i]];
+  }
+  var key = path[path.length - 1];
+  if (group[key] && group[key].__group) {
+    group[key].DEFAULT = value;
+  } else {
+    group[key] = value;
+  }
+}
+
+// Nested JSON: each style or variable list becomes a tree keyed by its token path
+function nestTokenLists(output, naming) {
+  var nest = function(list, collectionName) {
+    var tree = {};
+    list.forEach(function(item) {
+      setNestedValue(tree, getTokenPath(item.name || item.token, collectionName, naming), item);
+    });
+    return tree;
+  };
+  if (output.styles) {
+    for (var group in output.styles) output.styles[group] = nest(output.styles[group] || [], null);
+  }
+  for (var collectionName in (output.collections || {})) {
+    var variables = output.collections[collectionName].variables;
+    for (var group in variables) variables[group] = nest(variables[group], collectionName);
+  }
+  return output;
+}
+
+// Wrap mode declarations in a [data-theme], .theme-* or prefers-color-scheme block
+function wrapModeDeclarations(declarations, modeName, pattern) {
+  var slug = slugify(modeName);
+  var indent = function(text, prefix) {
+    return text.replace(/^(?=.)/gm, prefix);
+  };
+  
+  if (pattern === 'media') {
+    var scheme = slug.indexOf('dark') !== -1 ? 'dark' : slug.indexOf('light') !== -1 ? 'light' : null;
+    if (scheme) {
+      return '@media (prefers-color-scheme: ' + scheme + ') {\n  :root {\n' + indent(declarations, '    ') + '  }\n}';
+    }
+    // Only light/dark modes map to a media query, fall back to the attribute selector
+    pattern = 'data-attribute';
+  }
+  
+  var selector = pattern === 'class' ? '.theme-' + slug : '[data-theme="' + slug + '"]';
+  return selector + ' {\n' + indent(declarations, '  ') + '}';
+}
+
+function getDefaultVariableValue(variable) {
+  if (!variable.valuesByMode) return null;
+  var modes = Object.keys(variable.valuesByMode);
+  if (modes.length === 0) return null;
+  return variable.valuesByMode[modes[0]];
+}
+
+function rgbToHex(r, g, b) {
+  r = Math.round(Math.max(0, Math.min(255, r)));
+  g = Math.round(Math.max(0, Math.min(255, g)));
+  b = Math.round(Math.max(0, Math.min(255, b)));
+  return '#' + ((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1);
+}
+
+function generateJavaScript(data, options) {
+  options = options || {};
+  var js = '// Figma Design Tokens Export\n\n';
+  
+  // Export styles
+  if (data.styles) {
+    js += '// Styles\n';
+    js += 'export const styles = ' + JSON.stringify(data.styles, null, 2) + ';\n\n';
+  }
+  
+  // Export collections with flattened structure for easier use
+  if (data.collections) {
+    js += '// Collections\n';
+    js += 'export const collections = ' + JSON.stringify(data.collections, null, 2) + ';\n\n';
+    
+    // Create flattened tokens for easier access
+    js += '// Flattened Tokens (for easier access)\n';
+    js += 'export const tokens = {\n';
+    var naming = options.naming || DEFAULT_NAMING;
+    var exportedTokenKeys = getJSTokenKeys(data.collections, naming);
+    
+    for (var collectionName in data.collections) {
+      var collection = data.collections[collectionName];
+      js += '  ' + getJSCollectionKey(collectionName, naming) + ': {\n';
+      
+      for (var g = 0; g < CSS_VARIABLE_GROUPS.length; g++) {
+        var group = CSS_VARIABLE_GROUPS[g];
+        var variables = collection.variables[group] || [];
+        if (variables.length === 0) continue;
+        var tree = {};
+        for (var i = 0; i < variables.length; i++) {
+          setNestedValue(tree, getJSTokenPath(variables[i].name, collectionName, naming),
+            getJSTokenEntry(variables[i].alias, group, variables[i].value, exportedTokenKeys, options));
+        }
+        js += '    ' + group + ': {\n' + formatJSTree(tree, '      ') + '    },\n';
+      }
+      
+      js += '  },\n';
+    }
+    
+    js += '};\n\n';
+    
+    // One token object per mode for collections with several modes
+    var modesJs = '';
+    for (var collectionName in data.collections) {
+      var collection = data.collections[collectionName];
+      if (!collection.modes || collection.modes.length < 2) continue;
+      modesJs += '  ' + getJSCollectionKey(collectionName, naming) + ': {\n';
+      
+      for (var m = 0; m < collection.modes.length; m++) {
+        var modeName = collection.modes[m].name;
+        var modeKey = slugify(modeName).replace(/-/g, '_');
+        modesJs += '    ' + modeKey + ': {\n';
+        
+        for (var g = 0; g < CSS_VARIABLE_GROUPS.length; g++) {
+          var group = CSS_VARIABLE_GROUPS[g];
+          var variables = collection.variables[group] || [];
+          var tree = {};
+          var hasEntries = false;
+          for (var i = 0; i < variables.length; i++) {
+            var variable = variables[i];
+            var value = variable.values ? variable.values[modeName] : variable.value;
+            if (value === undefined) continue;
+            var alias = variable.aliases ? variable.aliases[modeName] : variable.alias;
+            setNestedValue(tree, getJSTokenPath(variable.name, collectionName, naming),
+              getJSTokenEntry(alias, group, value, exportedTokenKeys, options, { collectionName: collectionName, key: modeKey }));
+            hasEntries = true;
+          }
+          if (hasEntries) {
+            modesJs += '      ' + group + ': {\n' + formatJSTree(tree, '        ') + '      },\n';
+          }
+        }
+        
+        modesJs += '    },\n';
+      }
+      
+      modesJs += '  },\n';
+    }
+    
+    if (modesJs !== '') {
+      js += '// Tokens per Mode\n';
+      js += 'export const modes = {\n' + modesJs + '};\n\n';
+    }
+  }
+  
+  // Export complete data object
+  js += '// Complete Export Data\n';
+  js += 'export const designTokens = ' + JSON.stringify(data, null, 2) + ';\n';
+  
+  return js;
+}
+
+// SCSS and Less: variables, one map per collection, and typography/shadow mixins
+function generatePreprocessor(data, options, syntax) {
+  var isScss = syntax === 'scss';
+  var variablePrefix = isScss ? '$' : '@';
+  var naming = options.naming || DEFAULT_NAMING;
+  var output = '// Figma Design Tokens Export\n\n';
+  var declared = {};
+  
+  var declare = function(name, value) {
+    declared[name] = true;
+    output += variablePrefix + name + ': ' + value + ';\n';
+  };
+  
+  // Color Styles
+  if (data.styles && data.styles.colors && data.styles.colors.length > 0) {
+    output += '// Color Styles\n';
+    for (var i = 0; i < data.styles.colors.length; i++) {
+      var color = data.styles.colors[i];
+      if (color.value && color.value !== 'image') {
+        declare(color.token, color.value);
+      }
+    }
+    output += '\n';
+  }
+  
+  // Effect Styles
+  if (data.styles && data.styles.effectStyles && data.styles.effectStyles.length > 0) {
+    output += '// Effect Styles\n';
+    for (var i = 0; i < data.styles.effectStyles.length; i++) {
+      var effectStyle = data.styles.effectStyles[i];
+      EFFECT_PROPERTIES.forEach(function(property) {
+        var value = (effectStyle.properties || {})[property.field];
+        if (value) declare(getTokenName(effectStyle.name || effectStyle.token, null, naming, property.qualifier), value);
+      });
+    }
+    output += '\n';
+  }
+  
+  // Collection Variables, then one map per collection
+  if (data.collections) {
+    for (var collectionName in data.collections) {
+      var collection = data.collections[collectionName];
+      var mapEntries = [];
+      output += '// ' + getCollectionTitle(collectionName, collection) + '\n';
+      
+      for (var g = 0; g < CSS_VARIABLE_GROUPS.length; g++) {
+        var group = CSS_VARIABLE_GROUPS[g];
+        var variables = collection.variables[group] || [];
+        var groupEntries = [];
+        for (var i = 0; i < variables.length; i++) {
+          var variable = variables[i];
+          var value = formatCSSVariableValue(group, variable.value, false, variable);
+          if (value === null) continue;
+          // References only work once the target has been declared above
+          if (options.keepAliases && variable.alias && declared[variable.alias.token]) {
+            value = variablePrefix + variable.alias.token;
+          }
+          declare(variable.token, value);
+          groupEntries.push({ key: variable.token, value: variablePrefix + variable.token });
+        }
+        if (groupEntries.length > 0) {
+          mapEntries.push({ key: group, entries: groupEntries });
+        }
+      }
+      
+      if (mapEntries.length > 0) {
+        output += '\n' + formatPreprocessorMap(formatNameWords(getNameWords(collectionName), naming.caseStyle), mapEntries, syntax) + '\n';
+      }
+      output += '\n';
+    }
+  }
+  
+  // Typography Mixins
+  if (data.styles && data.styles.textStyles && data.styles.textStyles.length > 0) {
+    output += '// Typography Mixins\n';
+    for (var i = 0; i < data.styles.textStyles.length; i++) {
+      var textStyle = data.styles.textStyles[i];
+      output += formatPreprocessorMixin(getTokenName(textStyle.name || textStyle.token, null, naming, 'text'), getTextStyleDeclarations(textStyle, function(alias) {
+        return declared[alias.token] ? variablePrefix + alias.token : null;
+      }), syntax);
+    }
+    output += '\n';
+  }
+  
+  // Effect Mixins: shadows, blur and backdrop blur together, plus a drop-shadow() filter variant
+  if (data.styles && data.styles.effectStyles && data.styles.effectStyles.length > 0) {
+    output += '// Effect Mixins\n';
+    for (var i = 0; i < data.styles.effectStyles.length; i++) {
+      var effectStyle = data.styles.effectStyles[i];
+      var effectDeclarations = [];
+      var dropShadowDeclarations = [];
+      EFFECT_PROPERTIES.forEach(function(property) {
+        if (!(effectStyle.properties || {})[property.field]) return;
+        var declaration = [property.property, variablePrefix + getTokenName(effectStyle.name || effectStyle.token, null, naming, property.qualifier)];
+        (property.field === 'dropShadow' ? dropShadowDeclarations : effectDeclarations).push(declaration);
+      });
+      output += formatPreprocessorMixin(getTokenName(effectStyle.name || effectStyle.token, null, naming, 'effect'), effectDeclarations, syntax);
+      output += formatPreprocessorMixin(getTokenName(effectStyle.name || effectStyle.token, null, naming, 'drop-shadow'), dropShadowDeclarations, syntax);
+    }
+  }
+  
+  return output.replace(/\n+$/, '\n');
+}
+
+function formatPreprocessorMap(name, groups, syntax) {
+  if (syntax === 'scss') {
+    return '$' + name + ': (\n' + groups.map(function(group) {
+      return '  ' + group.key + ': (\n' + group.entries.map(function(entry) {
+        return '    ' + entry.key + ': ' + entry.value;
+      }).join(',\n') + '\n  )';
+    }).join(',\n') + '\n);';
+  }
+  // Less 3.5+ reads detached rulesets as maps: @palette[@colors][blue-500]
+  return '@' + name + ': {\n' + groups.map(function(group) {
+    return '  @' + group.key + ': {\n' + group.entries.map(function(entry) {
+      return '    ' + entry.key + ': ' + entry.value + ';';
+    }).join('\n') + '\n  }';
+  }).join('\n') + '\n}';
+}
+
+function formatPreprocessorMixin(name, declarations, syntax) {
+  if (declarations.length === 0) return '';
+  var body = declarations.map(function(declaration) {
+    return '  ' + declaration[0] + ': ' + declaration[1] + ';\n';
+  }).join('');
+  return (syntax === 'scss' ? '@mixin ' + name + ' {\n' : '.' + name + '() {\n') + body + '}\n';
+}
+
+// Text style values as CSS, one custom property each in the CSS Variables export.
+// List spacing has no CSS property, so it only gets the custom property.
+var TEXT_STYLE_PROPERTIES = [
+  { field: 'fontFamily', qualifier: 'font-family' },
+  { field: 'fontSize', qualifier: 'font-size' },
+  { field: 'fontWeight', qualifier: 'font-weight' },
+  { field: 'lineHeight', qualifier: 'line-height' },
+  { field: 'letterSpacing', qualifier: 'letter-spacing' },
+  { field: 'paragraphSpacing', qualifier: 'paragraph-spacing' },
+  { field: 'paragraphIndent', qualifier: 'paragraph-indent' },
+  { field: 'listSpacing', qualifier: 'list-spacing' }
+];
+
+// Font weights bind to number or string variables, so only these fields link to their variable
+var TEXT_LINKED_FIELDS = ['fontFamily', 'fontSize', 'lineHeight', 'letterSpacing', 'paragraphSpacing', 'paragraphIndent'];
+
+// CSS values for a text style. toReference(alias, value) may return a reference to the bound variable instead.
+function getTextStyleValues(textStyle, toReference) {
+  var values = {};
+  if (textStyle.fontFamily) values.fontFamily = '"' + textStyle.fontFamily + '"';
+  if (textStyle.fontSize) values.fontSize = typeof textStyle.fontSize === 'number' ? textStyle.fontSize + 'px' : textStyle.fontSize;
+  if (textStyle.fontWeight) values.fontWeight = textStyle.fontWeight;
+  if (textStyle.lineHeight !== undefined) values.lineHeight = textStyle.lineHeight;
+  if (textStyle.letterSpacing !== undefined) {
+    values.letterSpacing = typeof textStyle.letterSpacing === 'number' ? textStyle.letterSpacing + 'px' : toEmLetterSpacing(textStyle.letterSpacing);
+  }
+  if (textStyle.paragraphSpacing) values.paragraphSpacing = textStyle.paragraphSpacing;
+  if (textStyle.paragraphIndent) values.paragraphIndent = textStyle.paragraphIndent;
+  if (textStyle.listSpacing) values.listSpacing = textStyle.listSpacing;
+  
+  TEXT_LINKED_FIELDS.forEach(function(field) {
+    var alias = textStyle.boundVariables && textStyle.boundVariables[field];
+    var reference = alias && values[field] !== undefined && toReference ? toReference(alias, values[field]) : null;
+    if (reference) values[field] = reference;
+  });
+  return values;
+}
+
+function getCSSFallbackReference(alias, value) {
+  return 'var(' + getCSSVariableName(alias) + ', ' + value + ')';
+}
+
+// CSS property/value pairs for an exported text style
+function getTextStyleDeclarations(textStyle, toReference) {
+  var declarations = [];
+  var values = getTextStyleValues(textStyle, toReference);
+  var textTransforms = { 'upper': 'uppercase', 'lower': 'lowercase', 'title': 'capitalize' };
+  var textDecorations = { 'underline': 'underline', 'strikethrough': 'line-through' };
+  
+  if (values.fontFamily) declarations.push(['font-family', values.fontFamily]);
+  if (values.fontSize) declarations.push(['font-size', values.fontSize]);
+  if (textStyle.fontWeight) declarations.push(['font-weight', textStyle.fontWeight]);
+  if (textStyle.fontStyle) declarations.push(['font-style', textStyle.fontStyle]);
+  if (values.lineHeight !== undefined) declarations.push(['line-height', values.lineHeight]);
+  if (values.letterSpacing !== undefined) declarations.push(['letter-spacing', values.letterSpacing]);
+  if (textStyle.textTransform && textTransforms[textStyle.textTransform]) {
+    declarations.push(['text-transform', textTransforms[textStyle.textTransform]]);
+  } else if (textStyle.textTransform && textStyle.textTransform.indexOf('small-caps') === 0) {
+    declarations.push(['font-variant-caps', 'small-caps']);
+  }
+  if (textStyle.textDecoration && textDecorations[textStyle.textDecoration]) {
+    declarations.push(['text-decoration', textDecorations[textStyle.textDecoration]]);
+  }
+  if (values.paragraphSpacing) declarations.push(['margin-block-end', values.paragraphSpacing]);
+  if (values.paragraphIndent) declarations.push(['text-indent', values.paragraphIndent]);
+  if (textStyle.hangingPunctuation) declarations.push(['hanging-punctuation', 'first']);
+  if (textStyle.leadingTrim === 'cap-height') declarations.push(['text-box', 'trim-both cap alphabetic']);
+  return declarations;
+}
+
+// Typography classes: font shorthand plus the properties it doesn't cover
+function generateTypography(data, options) {
+  var naming = (options && options.naming) || DEFAULT_NAMING;
+  var css = '/* Figma Typography Export */\n' +
+    '/* Properties bound to variables use the CSS Variables export, falling back to the Figma value */\n';
+  var textStyles = (data.styles && data.styles.textStyles) || [];
+  
+  textStyles.forEach(function(textStyle) {
+    var declarations = getTextStyleDeclarations(textStyle, getCSSFallbackReference);
+    var byProperty = {};
+    declarations.forEach(function(declaration) {
+      byProperty[declaration[0]] = declaration[1];
+    });
+    
+    var shorthand = ['font-style', 'font-weight', 'font-size', 'line-height', 'font-family'];
+    if (byProperty['font-size'] && byProperty['font-family']) {
+      var font = [byProperty['font-style'], byProperty['font-weight'],
+        byProperty['font-size'] + (byProperty['line-height'] !== undefined ? '/' + byProperty['line-height'] : ''),
+        byProperty['font-family']].filter(Boolean).join(' ');
+      declarations = [['font', font]].concat(declarations.filter(function(declaration) {
+        return shorthand.indexOf(declaration[0]) === -1;
+      }));
+    }
+    
+    css += '\n.' + getTokenName(textStyle.name || textStyle.token, null, naming, 'text') + ' {\n' + declarations.map(function(declaration) {
+      return '  ' + declaration[0] + ': ' + declaration[1] + ';\n';
+    }).join('') + '}\n';
+  });
+  
+  return css;
+}
+
+// Every family with the weights and styles the text styles use, to know which webfonts to load
+function generateFontManifest(data) {
+  var families = {};
+  ((data.styles && data.styles.textStyles) || []).forEach(function(textStyle) {
+    if (!textStyle.fontFamily) return;
+    var family = families[textStyle.fontFamily] = families[textStyle.fontFamily] ||
+      { family: textStyle.fontFamily, weights: [], styles: [], textStyles: [] };
+    var weight = parseInt(textStyle.fontWeight || '400', 10);
+    var style = textStyle.fontStyle || 'normal';
+    if (family.weights.indexOf(weight) === -1) family.weights.push(weight);
+    if (family.styles.indexOf(style) === -1) family.styles.push(style);
+    family.textStyles.push(textStyle.name || textStyle.token);
+  });
+  
+  var fonts = Object.keys(families).sort().map(function(name) {
+    var family = families[name];
+    family.weights.sort(function(a, b) { return a - b; });
+    family.styles.sort();
+    return family;
+  });
+  return JSON.stringify({ fonts: fonts }, null, 2);
+}
+
+// Tailwind: colors nest by the '/' hierarchy, other scales use dash-joined keys
+// because Tailwind only flattens nested objects for colors
+function buildTailwindTheme(data, naming) {
+  naming = naming || DEFAULT_NAMING;
+  var theme = { colors: {}, spacing: {}, borderRadius: {}, fontSize: {}, fontWeight: {}, opacity: {}, boxShadow: {},
+    dropShadow: {}, blur: {}, backdropBlur: {} };
+  
+  // Which collection ('' for styles) took each theme path. A variable whose path a style or another
+  // collection already took gets its collection's name in front instead of replacing that token.
+  var owners = {};
+  var getPath = function(scale, name, redundantPrefix, collectionName) {
+    var path = getTailwindPath(name, redundantPrefix, naming, collectionName);
+    var id = scale + ':' + path.join('/');
+    if (collectionName && owners.hasOwnProperty(id) && owners[id] !== collectionName) {
+      var collectionNaming = Object.assign({}, naming, { includeCollection: true, collectionPrefixes: {} });
+      path = getTailwindPath(name, redundantPrefix, collectionNaming, collectionName);
+      id = scale + ':' + path.join('/');
+    }
+    owners[id] = collectionName || '';
+    return path;
+  };
+  
+  var setColor = function(name, value, collectionName) {
+    var path = getPath('colors', name, /^colou?rs?$/, collectionName);
+    if (path.length === 0) return;
+    var group = theme.colors;
+    for (var i = 0; i < path.length - 1; i++) {
+      if (typeof group[path[i]] !== 'object') {
+        // A color and a group share a name, keep the color as the group's DEFAULT
+        group[path[i]] = group[path[i]] === undefined ? {} : { DEFAULT: group[path[i]] };
+      }
+      group = group[path[i]];
+    }
+    var key = path[path.length - 1];
+    if (typeof group[key] === 'object') {
+      group[key].DEFAULT = value;
+    } else {
+      group[key] = value;
+    }
+  };
+  
+  if (data.styles && data.styles.colors) {
+    for (var i = 0; i < data.styles.colors.length; i++) {
+      var color = data.styles.colors[i];
+      if (color.type === 'solid' && color.value) setColor(color.name || color.token, color.value);
+    }
+  }
+  
+  if (data.styles && data.styles.textStyles) {
+    for (var i = 0; i < data.styles.textStyles.length; i++) {
+      var textStyle = data.styles.textStyles[i];
+      if (!textStyle.fontSize) continue;
+      var fontSizeOptions = {};
+      if (textStyle.lineHeight !== undefined) fontSizeOptions.lineHeight = String(textStyle.lineHeight);
+      if (textStyle.letterSpacing !== undefined) fontSizeOptions.letterSpacing = toEmLetterSpacing(textStyle.letterSpacing);
+      if (textStyle.fontWeight) fontSizeOptions.fontWeight = String(textStyle.fontWeight);
+      theme.fontSize[getTailwindKey(getTailwindPath(textStyle.name || textStyle.token, /^(text|font|typography)$/, naming), naming)] =
+        [textStyle.fontSize, fontSizeOptions];
+    }
+  }
+  
+  if (data.styles && data.styles.effectStyles) {
+    for (var i = 0; i < data.styles.effectStyles.length; i++) {
+      var effectStyle = data.styles.effectStyles[i];
+      var effectKey = getTailwindKey(getTailwindPath(effectStyle.name || effectStyle.token, /^(shadows?|elevations?|effects?|blurs?)$/, naming), naming);
+      if (effectStyle.value) theme.boxShadow[effectKey] = effectStyle.value.replace('box-shadow: ', '');
+      
+      // Tailwind's drop shadows are the drop-shadow() arguments, blurs the CSS blur() radius
+      var visibleEffects = (effectStyle.effects || []).filter(function(effect) {
+        return effect.visible !== false;
+      });
+      var dropShadows = visibleEffects.filter(function(effect) {
+        return effect.type === 'drop-shadow' && effect.color;
+      }).map(function(effect) {
+        return effect.x + 'px ' + effect.y + 'px ' + effect.blur + 'px ' + effect.color;
+      });
+      if (dropShadows.length > 0) theme.dropShadow[effectKey] = dropShadows.length === 1 ? dropShadows[0] : dropShadows;
+      visibleEffects.forEach(function(effect) {
+        if (effect.type === 'layer-blur') theme.blur[effectKey] = round(effect.blur / 2, 2) + 'px';
+        if (effect.type === 'background-blur') theme.backdropBlur[effectKey] = round(effect.blur / 2, 2) + 'px';
+      });
+    }
+  }
+  
+  if (data.collections) {
+    for (var collectionName in data.collections) {
+      var variables = data.collections[collectionName].variables;
+      
+      (variables.colors || []).forEach(function(variable) {
+        if (variable.value) setColor(variable.name, variable.value, collectionName);
+      });
+      
+      (variables.numbers || []).forEach(function(variable) {
+        if (typeof variable.value !== 'number') return;
+        var scale = getTailwindNumberScale(collectionName, variable);
+        if (!scale) return;
+        var key = getTailwindKey(getPath(scale, variable.name, TAILWIND_NUMBER_PREFIXES[scale], collectionName), naming);
+        if (scale === 'opacity') {
+          theme.opacity[key] = String(toOpacity(variable.value));
+        } else if (scale === 'fontWeight') {
+          theme.fontWeight[key] = String(variable.value);
+        } else {
+          theme[scale][key] = variable.value + 'px';
+        }
+      });
+    }
+  }
+  
+  return theme;
+}
+
+// Naming prefixes plus the '/' segments, without a leading segment that only repeats the theme key
+function getTailwindPath(name, redundantPrefix, naming, collectionName) {
+  var path = name.split('/').filter(function(segment) {
+    return slugify(segment) !== '';
+  });
+  if (path.length > 1 && redundantPrefix.test(slugify(path[0]))) {
+    path.shift();
+  }
+  return getNamePrefixes(collectionName, naming).concat(path).map(function(segment) {
+    return formatNameWords(getNameWords(segment), naming.caseStyle);
+  }).filter(function(segment) {
+    return segment !== '';
+  });
+}
+
+function getTailwindKey(path, naming) {
+  return formatNameWords(getNameWords(path.join(' ')), naming.caseStyle);
+}
+
+var TAILWIND_NUMBER_PREFIXES = {
+  borderRadius: /^(radius|radii|rounded|corners?|border-radius)$/,
+  spacing: /^(spacing|space|spacer|gap|sizes?)$/,
+  opacity: /^(opacity|opacities|alpha)$/,
+  fontWeight: /^(font-weights?|weights?)$/
+};
+
+// Number variables go to opacity, fontWeight, borderRadius or spacing by scope, then by group or collection
+// name, which is all there is when the export has no scopes
+function getTailwindNumberScale(collectionName, variable) {
+  var kind = getNumberKind(variable);
+  if (kind === 'opacity' || kind === 'fontWeight') return kind;
+  var scopes = variable.scopes || [];
+  if (scopes.indexOf('CORNER_RADIUS') !== -1) return 'borderRadius';
+  if (scopes.indexOf('GAP') !== -1 || scopes.indexOf('WIDTH_HEIGHT') !== -1) return 'spacing';
+  
+  var path = (collectionName + '/' + variable.name).toLowerCase();
+  if (/(opacity|opacities|alpha)/.test(path)) return 'opacity';
+  if (/(font-?weight|weight)/.test(path)) return 'fontWeight';
+  if (/(radius|radii|rounded|corner)/.test(path)) return 'borderRadius';
+  if (/(spacing|space|spacer|gap|padding|margin|size)/.test(path)) return 'spacing';
+  return null;
+}
+
+function generateTailwindConfig(data, options) {
+  var theme = buildTailwindTheme(data, options && options.naming);
+  var extend = {};
+  for (var key in theme) {
+    if (Object.keys(theme[key]).length > 0) extend[key] = theme[key];
+  }
+  var body = JSON.stringify(extend, null, 2).replace(/\n/g, '\n    ');
+  
+  return '// Figma Design Tokens Export\n\n' +
+    '/** @type {import(\'tailwindcss\').Config} */\n' +
+    'module.exports = {\n' +
+    '  theme: {\n' +
+    '    extend: ' + body + '\n' +
+    '  }\n' +
+    '};\n';
+}
+
+// Tailwind v4 reads its theme from CSS variables in an @theme block
+function generateTailwindTheme(data, options) {
+  var theme = buildTailwindTheme(data, options && options.naming);
+  var css = '/* Figma Design Tokens Export */\n\n@import "tailwindcss";\n\n@theme {\n';
+  
+  var addColors = function(group, prefix) {
+    for (var key in group) {
+      var name = key === 'DEFAULT' ? prefix : prefix + '-' + key;
+      if (typeof group[key] === 'object') {
+        addColors(group[key], name);
+      } else {
+        css += '  --' + name + ': ' + group[key] + ';\n';
+      }
+    }
+  };
+  addColors(theme.colors, 'color');
+  
+  for (var key in theme.spacing) css += '  --spacing-' + key + ': ' + theme.spacing[key] + ';\n';
+  for (var key in theme.borderRadius) css += '  --radius-' + key + ': ' + theme.borderRadius[key] + ';\n';
+  for (var key in theme.fontSize) {
+    var fontSize = theme.fontSize[key];
+    css += '  --text-' + key + ': ' + fontSize[0] + ';\n';
+    if (fontSize[1].lineHeight) css += '  --text-' + key + '--line-height: ' + fontSize[1].lineHeight + ';\n';
+    if (fontSize[1].letterSpacing) css += '  --text-' + key + '--letter-spacing: ' + fontSize[1].letterSpacing + ';\n';
+    if (fontSize[1].fontWeight) css += '  --text-' + key + '--font-weight: ' + fontSize[1].fontWeight + ';\n';
+  }
+  for (var key in theme.fontWeight) css += '  --font-weight-' + key + ': ' + theme.fontWeight[key] + ';\n';
+  // v4 has no opacity theme namespace; opacity tokens only go to the v3 config
+  for (var key in theme.boxShadow) css += '  --shadow-' + key + ': ' + theme.boxShadow[key] + ';\n';
+  for (var key in theme.dropShadow) css += '  --drop-shadow-' + key + ': ' + [].concat(theme.dropShadow[key]).join(', ') + ';\n';
+  // blur-* and backdrop-blur-* share the --blur-* namespace in v4; a layer blur wins a name clash
+  for (var key in theme.blur) css += '  --blur-' + key + ': ' + theme.blur[key] + ';\n';
+  for (var key in theme.backdropBlur) {
+    if (theme.blur[key] === undefined) css += '  --blur-' + key + ': ' + theme.backdropBlur[key] + ';\n';
+  }
+  
+  css += '}\n';
+  return css;
+}
+
+// TypeScript: `as const` token objects with key unions, so unknown token names fail to compile
+// With nested naming, variable groups follow the '/' hierarchy and token types are dotted key paths
+function generateTypeScript(data, options) {
+  var naming = (options && options.naming) || DEFAULT_NAMING;
+  var nested = isNestedNaming(naming);
+  var ts = '// Figma Design Tokens Export\n\n';
+  var unions = { Color: [], Number: [], String: [], Boolean: [], Spacing: [], Radius: [] };
+  var groupTypes = { colors: 'Color', numbers: 'Number', strings: 'String', booleans: 'Boolean' };
+  
+  if (data.styles) {
+    var styles = {};
+    var styleTypes = [];
+    if (data.styles.colors && data.styles.colors.length > 0) {
+      styles.colors = {};
+      data.styles.colors.forEach(function(color) {
+        if (color.value) styles.colors[color.token] = color.value;
+      });
+      styleTypes.push(['ColorStyleToken', 'colors']);
+    }
+    if (data.styles.textStyles && data.styles.textStyles.length > 0) {
+      styles.text = {};
+      data.styles.textStyles.forEach(function(textStyle) {
+        var value = {};
+        getTextStyleDeclarations(textStyle).forEach(function(declaration) {
+          value[toCamelCase(declaration[0])] = declaration[1];
+        });
+        styles.text[textStyle.token] = value;
+      });
+      styleTypes.push(['TextStyleToken', 'text']);
+    }
+    if (data.styles.effectStyles && data.styles.effectStyles.length > 0) {
+      styles.effects = {};
+      data.styles.effectStyles.forEach(function(effectStyle) {
+        if (effectStyle.value) styles.effects[effectStyle.token] = effectStyle.value.replace('box-shadow: ', '');
+      });
+      styleTypes.push(['EffectStyleToken', 'effects']);
+    }
+    
+    ts += '// Styles\n';
+    ts += 'export const styles = ' + JSON.stringify(styles, null, 2) + ' as const;\n\n';
+    styleTypes.forEach(function(styleType) {
+      ts += 'export type ' + styleType[0] + ' = keyof typeof styles.' + styleType[1] + ';\n';
+    });
+    ts += '\n';
+  }
+  
+  if (data.collections) {
+    var tokens = {};
+    var modeExports = '';
+    var modeTypes = [];
+    var collectionKeys = getUniqueIdentifiers(Object.keys(data.collections));
+    
+    for (var collectionName in data.collections) {
+      var collection = data.collections[collectionName];
+      var collectionKey = collectionKeys[collectionName];
+      var collectionType = collectionKey.charAt(0).toUpperCase() + collectionKey.slice(1);
+      tokens[collectionKey] = {};
+      
+      for (var group in groupTypes) {
+        var variables = collection.variables[group] || [];
+        if (variables.length === 0) continue;
+        tokens[collectionKey][group] = {};
+        variables.forEach(function(variable) {
+          setNestedValue(tokens[collectionKey][group], getTSTokenPath(variable, collectionName, naming), variable.value);
+        });
+        unions[groupTypes[group]].push(collectionType + groupTypes[group] + 'Token');
+      }
+      
+      (collection.variables.numbers || []).forEach(function(variable) {
+        var scale = getTailwindNumberScale(collectionName, variable);
+        var union = scale === 'borderRadius' ? unions.Radius : scale === 'spacing' ? unions.Spacing : null;
+        if (union) union.push(JSON.stringify(getTSTokenPath(variable, collectionName, naming).join('.')));
+      });
+      
+      if (collection.modes && collection.modes.length > 1) {
+        var modes = {};
+        var modeKeys = getUniqueIdentifiers(collection.modes.map(function(mode) { return mode.name; }), slugify);
+        collection.modes.forEach(function(mode) {
+          var modeTokens = {};
+          for (var group in groupTypes) {
+            (collection.variables[group] || []).forEach(function(variable) {
+              var value = variable.values ? variable.values[mode.name] : variable.value;
+              if (value === undefined) return;
+              modeTokens[group] = modeTokens[group] || {};
+              setNestedValue(modeTokens[group], getTSTokenPath(variable, collectionName, naming), value);
+            });
+          }
+          modes[modeKeys[mode.name]] = modeTokens;
+        });
+        modeExports += 'export const ' + collectionKey + 'Modes = ' + JSON.stringify(modes, null, 2) + ' as const;\n';
+        modeExports += 'export type ' + collectionType + 'Mode = keyof typeof ' + collectionKey + 'Modes;\n\n';
+        modeTypes.push(collectionType + 'Mode');
+      }
+    }
+    // Every collection's modes, unless a collection called Theme already names its own modes that way
+    if (modeTypes.length > 0 && modeTypes.indexOf('ThemeMode') === -1) {
+      modeExports += 'export type ThemeMode = ' + modeTypes.join(' | ') + ';\n\n';
+    }
+    
+    ts += '// Collections\n';
+    ts += 'export const tokens = ' + JSON.stringify(tokens, null, 2) + ' as const;\n\n';
+    ts += 'export type Tokens = typeof tokens;\n';
+    if (nested) {
+      ts += '\n/** Dotted key paths to the tokens of a nested group */\n' +
+        'export type TokenPath<T> = {\n' +
+        '  [K in keyof T & string]: T[K] extends object ? `${K}.${TokenPath<T[K]>}` : K;\n' +
+        '}[keyof T & string];\n\n';
+    }
+    for (var collectionKey in tokens) {
+      var collectionType = collectionKey.charAt(0).toUpperCase() + collectionKey.slice(1);
+      for (var group in tokens[collectionKey]) {
+        var groupType = 'typeof tokens.' + collectionKey + '.' + group;
+        ts += 'export type ' + collectionType + groupTypes[group] + 'Token = ' + (nested ? 'TokenPath<' + groupType + '>' : 'keyof ' + groupType) + ';\n';
+      }
+    }
+    ts += '\n';
+    
+    if (modeExports !== '') {
+      ts += '// Modes\n' + modeExports;
+    }
+    
+    ts += '// Token Unions\n';
+    for (var unionName in unions) {
+      ts += 'export type ' + unionName + 'Token = ' + (unions[unionName].length > 0 ? unions[unionName].join(' | ') : 'never') + ';\n';
+    }
+  }
+  
+  return ts;
+}
+
+function getTSTokenPath(variable, collectionName, naming) {
+  return isNestedNaming(naming) ? getTokenPath(variable.name, collectionName, naming) : [variable.token];
+}
+
+// Declarations for the custom properties generateCSS writes, for typed var() helpers
+function generateCSSTypes(data, options) {
+  var css = generateCSS(data, options);
+  var names = [];
+  var seen = {};
+  var pattern = /^\s*(--[A-Za-z0-9_-]+):/gm;
+  var match;
+  while ((match = pattern.exec(css)) !== null) {
+    if (!seen[match[1]]) {
+      seen[match[1]] = true;
+      names.push(match[1]);
+    }
+  }
+  
+  var dts = '// Figma Design Tokens Export: CSS custom properties\n\n';
+  dts += 'export type CSSVariableName =\n' + (names.length > 0 ? names.map(function(name) {
+    return '  | ' + JSON.stringify(name);
+  }).join('\n') : '  never') + ';\n\n';
+  dts += 'export type CSSVariableReference<T extends CSSVariableName = CSSVariableName> = `var(${T})`;\n\n';
+  dts += 'export type CSSVariableProperties = { [K in CSSVariableName]?: string | number };\n';
+  return dts;
+}
+
+function toCamelCase(name) {
+  return name.replace(/-([a-z0-9])/g, function(match, character) {
+    return character.toUpperCase();
+  });
+}
+
+function toIdentifier(name) {
+  var identifier = toCamelCase(slugify(name));
+  return /^[0-9]/.test(identifier) || identifier === '' ? '_' + identifier : identifier;
+}
+
+// Name -> toIdentifier(name) (or toKey(name)), numbered from 2 when names only differ in case or punctuation
+function getUniqueIdentifiers(names, toKey) {
+  var identifiers = {};
+  var used = {};
+  names.forEach(function(name) {
+    identifiers[name] = claimUniqueName((toKey || toIdentifier)(name), used);
+  });
+  return identifiers;
+}
+
+// name, or name numbered from 2 when used already holds it; the result is added to used
+function claimUniqueName(name, used) {
+  var unique = name;
+  for (var n = 2; Object.prototype.hasOwnProperty.call(used, unique); n++) unique = name + n;
+  used[unique] = true;
+  return unique;
+}
+
+// Native mobile outputs: colors are built from the raw 0-1 channels, never re-parsed from CSS strings.
+// With a platform ('iOS' or 'ANDROID'), variables that set that code syntax keep it as their identifier.
+// Naming prefixes apply here too; the identifier case is the platform's own.
+function collectNativeTokens(data, platform, naming) {
+  naming = naming || DEFAULT_NAMING;
+  var tokens = { colors: [], numbers: [], textStyles: [] };
+  var seen = {};
+  
+  // Names only need to be unique per output, so a clash gets its collection name in front
+  var add = function(list, item, collectionName, extra) {
+    if (!item.name) return addEntry(list, item.token, extra);
+    var key = getNameSegments(item.name, collectionName, naming).join('/');
+    if (seen[key] && collectionName) key = getNameSegments(collectionName + '/' + item.name, null, naming).join('/');
+    addEntry(list, key, extra);
+  };
+  var addEntry = function(list, key, extra) {
+    seen[key] = true;
+    var entry = { name: key };
+    for (var field in extra) entry[field] = extra[field];
+    list.push(entry);
+  };
+  
+  if (data.styles && data.styles.colors) {
+    data.styles.colors.forEach(function(color) {
+      if (color.rgba) add(tokens.colors, color, null, { rgba: color.rgba, description: color.description });
+    });
+  }
+  if (data.collections) {
+    for (var collectionName in data.collections) {
+      var variables = data.collections[collectionName].variables;
+      (variables.colors || []).forEach(function(variable) {
+        if (variable.rgba) {
+          add(tokens.colors, variable, collectionName, {
+            rgba: variable.rgba, codeName: getNativeCodeName(variable, platform), description: variable.description
+          });
+        }
+      });
+      (variables.numbers || []).forEach(function(variable) {
+        if (typeof variable.value !== 'number') return;
+        // Opacity and font weight are plain numbers on every platform, not dp/pt sizes
+        var kind = getNumberKind(variable);
+        add(tokens.numbers, variable, collectionName, {
+          value: kind === 'opacity' ? toOpacity(variable.value) : variable.value,
+          unitless: kind === 'opacity' || kind === 'fontWeight',
+          codeName: getNativeCodeName(variable, platform),
+          description: variable.description
+        });
+      });
+    }
+  }
+  if (data.styles && data.styles.textStyles) {
+    data.styles.textStyles.forEach(function(textStyle) {
+      var fontSize = parseFloat(textStyle.fontSize);
+      if (isNaN(fontSize)) return;
+      add(tokens.textStyles, textStyle, null, {
+        fontFamily: textStyle.fontFamily,
+        fontSize: fontSize,
+        fontWeight: parseInt(textStyle.fontWeight || '400', 10),
+        italic: textStyle.fontStyle === 'italic',
+        lineHeight: getNativeLineHeight(textStyle.lineHeight, fontSize),
+        letterSpacing: getNativeLetterSpacing(textStyle.letterSpacing, fontSize),
+        description: textStyle.description
+      });
+    });
+  }
+  return tokens;
+}
+
+// Sets each entry's identifier to its code syntax name or toName(entry.name). Different names can
+// collapse to one identifier ('Primary' and 'primary'), so clashes within a namespace get a number.
+function setNativeIdentifiers(entries, toName, used) {
+  entries.forEach(function(entry) {
+    entry.identifier = claimUniqueName(entry.codeName || toName(entry.name), used);
+  });
+}
+
+// Code syntax like 'Color.bgPrimary' or 'R.color.bg_primary' names the member, so only the last segment is kept
+function getNativeCodeName(variable, platform) {
+  var syntax = platform && variable.codeSyntax ? variable.codeSyntax[platform] : null;
+  if (!syntax) return null;
+  var name = syntax.trim().split('.').pop();
+  return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) ? name : null;
+}
+
+// Line height in points/pixels; exported percentages arrive as a multiplier
+function getNativeLineHeight(lineHeight, fontSize) {
+  if (typeof lineHeight === 'number') return round(lineHeight * fontSize, 2);
+  if (typeof lineHeight === 'string' && /px$/.test(lineHeight)) return parseFloat(lineHeight);
+  return null;
+}
+
+// Letter spacing in points/pixels; Figma percentages are relative to the font size
+function getNativeLetterSpacing(letterSpacing, fontSize) {
+  if (letterSpacing === undefined) return 0;
+  if (typeof letterSpacing === 'string' && letterSpacing.slice(-1) === '%') {
+    return round(parseFloat(letterSpacing) / 100 * fontSize, 2);
+  }
+  return parseFloat(letterSpacing) || 0;
+}
+
+function round(value, decimals) {
+  var factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+function toARGBHex(rgba) {
+  var channel = function(value) {
+    var hex = Math.round(Math.max(0, Math.min(1, value)) * 255).toString(16).toUpperCase();
+    return hex.length === 1 ? '0' + hex : hex;
+  };
+  return channel(rgba.a !== undefined ? rgba.a : 1) + channel(rgba.r) + channel(rgba.g) + channel(rgba.b);
+}
+
+function toPascalCase(name) {
+  var identifier = toIdentifier(name);
+  return identifier.charAt(0) === '_' ? identifier : identifier.charAt(0).toUpperCase() + identifier.slice(1);
+}
+
+function toResourceName(name) {
+  var resourceName = slugify(name).replace(/-/g, '_');
+  return /^[0-9]/.test(resourceName) || resourceName === '' ? 'token_' + resourceName : resourceName;
+}
+
+function formatNativeNumber(value) {
+  return String(round(value, 4));
+}
+
+function generateSwift(data, options) {
+  var tokens = collectNativeTokens(data, 'iOS', options && options.naming);
+  var dimensions = tokens.numbers.filter(function(number) { return !number.unitless; });
+  var numbers = tokens.numbers.filter(function(number) { return number.unitless; });
+  var swift = '// Figma Design Tokens Export\n\nimport SwiftUI\nimport UIKit\n';
+  var swiftWeights = { 100: 'ultraLight', 200: 'thin', 300: 'light', 400: 'regular', 500: 'medium', 600: 'semibold', 700: 'bold', 800: 'heavy', 900: 'black' };
+  setNativeIdentifiers(tokens.colors, toIdentifier, {});
+  setNativeIdentifiers(dimensions, toIdentifier, {});
+  setNativeIdentifiers(numbers, toIdentifier, {});
+  setNativeIdentifiers(tokens.textStyles, toIdentifier, {});
+  
+  if (tokens.colors.length > 0) {
+    swift += '\n// MARK: - Colors\n\npublic extension UIColor {\n';
+    tokens.colors.forEach(function(color) {
+      swift += '    static let ' + color.identifier + ' = UIColor(red: ' + color.rgba.r.toFixed(3) + ', green: ' + color.rgba.g.toFixed(3) +
+        ', blue: ' + color.rgba.b.toFixed(3) + ', alpha: ' + color.rgba.a.toFixed(3) + ')\n';
+    });
+    swift += '}\n\npublic extension Color {\n';
+    tokens.colors.forEach(function(color) {
+      swift += '    static let ' + color.identifier + ' = Color(uiColor: .' + color.identifier + ')\n';
+    });
+    swift += '}\n';
+  }
+  
+  if (dimensions.length > 0) {
+    swift += '\n// MARK: - Dimensions\n\npublic enum Dimension {\n';
+    dimensions.forEach(function(number) {
+      swift += '    public static let ' + number.identifier + ': CGFloat = ' + formatNativeNumber(number.value) + '\n';
+    });
+    swift += '}\n';
+  }
+  
+  if (numbers.length > 0) {
+    swift += '\n// MARK: - Numbers\n\npublic enum Number {\n';
+    numbers.forEach(function(number) {
+      swift += '    public static let ' + number.identifier + ': Double = ' + formatNativeNumber(number.value) + '\n';
+    });
+    swift += '}\n';
+  }
+  
+  if (tokens.textStyles.length > 0) {
+    swift += '\n// MARK: - Typography\n\n' +
+      'public struct TextStyleToken {\n' +
+      '    public let fontFamily: String\n' +
+      '    public let size: CGFloat\n' +
+      '    public let weight: Font.Weight\n' +
+      '    public let italic: Bool\n' +
+      '    /// Line height in points, nil for automatic\n' +
+      '    public let lineHeight: CGFloat?\n' +
+      '    /// Tracking in points\n' +
+      '    public let letterSpacing: CGFloat\n' +
+      '}\n\npublic enum Typography {\n';
+    tokens.textStyles.forEach(function(textStyle) {
+      swift += '    public static let ' + textStyle.identifier + ' = TextStyleToken(fontFamily: ' + JSON.stringify(textStyle.fontFamily || '') +
+        ', size: ' + formatNativeNumber(textStyle.fontSize) +
+        ', weight: .' + (swiftWeights[textStyle.fontWeight] || 'regular') +
+        ', italic: ' + textStyle.italic +
+        ', lineHeight: ' + (textStyle.lineHeight !== null ? formatNativeNumber(textStyle.lineHeight) : 'nil') +
+        ', letterSpacing: ' + formatNativeNumber(textStyle.letterSpacing) + ')\n';
+    });
+    swift += '}\n';
+  }
+  
+  return swift;
+}
+
+// Android resources: colors, dimens and text appearances in one values file
+function generateAndroidXML(data, options) {
+  var tokens = collectNativeTokens(data, 'ANDROID', options && options.naming);
+  var xml = '<?xml version="1.0" encoding="utf-8"?>\n<!-- Figma Design Tokens Export -->\n<resources>\n';
+  // Number dimens and text sizes are all dimen resources
+  var dimens = {};
+  setNativeIdentifiers(tokens.colors, toResourceName, {});
+  setNativeIdentifiers(tokens.numbers, toResourceName, dimens);
+  setNativeIdentifiers(tokens.textStyles, function(name) {
+    return 'text_' + toResourceName(name);
+  }, dimens);
+  
+  if (tokens.colors.length > 0) {
+    xml += '    <!-- Colors -->\n';
+    tokens.colors.forEach(function(color) {
+      xml += '    <color name="' + color.identifier + '">#' + toARGBHex(color.rgba) + '</color>\n';
+    });
+  }
+  
+  if (tokens.numbers.length > 0) {
+    xml += (tokens.colors.length > 0 ? '\n' : '') + '    <!-- Dimens -->\n';
+    tokens.numbers.forEach(function(number) {
+      if (number.unitless) {
+        xml += '    <item name="' + number.identifier + '" type="dimen" format="float">' + formatNativeNumber(number.value) + '</item>\n';
+      } else {
+        xml += '    <dimen name="' + number.identifier + '">' + formatNativeNumber(number.value) + 'dp</dimen>\n';
+      }
+    });
+  }
+  
+  if (tokens.textStyles.length > 0) {
+    xml += '\n    <!-- Text Sizes -->\n';
+    tokens.textStyles.forEach(function(textStyle) {
+      xml += '    <dimen name="' + textStyle.identifier + '">' + formatNativeNumber(textStyle.fontSize) + 'sp</dimen>\n';
+    });
+    
+    // The same fields as the Compose TextStyle; android:lineHeight and textFontWeight need API 28.
+    // Letter spacing is in ems on Android, and the family is left as a hint as in Compose.
+    xml += '\n    <!-- Text Appearances -->\n';
+    var styleNames = {};
+    tokens.textStyles.forEach(function(textStyle) {
+      var items = [
+        ['android:textSize', '@dimen/' + textStyle.identifier],
+        ['android:textFontWeight', String(textStyle.fontWeight)]
+      ];
+      if (textStyle.italic) items.push(['android:textStyle', 'italic']);
+      if (textStyle.lineHeight !== null) items.push(['android:lineHeight', formatNativeNumber(textStyle.lineHeight) + 'sp']);
+      if (textStyle.letterSpacing) items.push(['android:letterSpacing', formatNativeNumber(textStyle.letterSpacing / textStyle.fontSize)]);
+      xml += (textStyle.fontFamily ? '    <!-- fontFamily: ' + textStyle.fontFamily.replace(/--/g, '- -') + ' -->\n' : '') +
+        '    <style name="TextAppearance.' + claimUniqueName(toPascalCase(textStyle.name), styleNames) + '">\n' +
+        items.map(function(item) {
+          return '        <item name="' + item[0] + '">' + item[1] + '</item>\n';
+        }).join('') +
+        '    </style>\n';
+    });
+  }
+  
+  xml += '</resources>\n';
+  return xml;
+}
+
+function generateCompose(data, options) {
+  var tokens = collectNativeTokens(data, 'ANDROID', options && options.naming);
+  setNativeIdentifiers(tokens.colors, toPascalCase, {});
+  setNativeIdentifiers(tokens.numbers, toPascalCase, {});
+  setNativeIdentifiers(tokens.textStyles, toPascalCase, {});
+  var kotlin = '// Figma Design Tokens Export\n\n' +
+    'import androidx.compose.ui.graphics.Color\n' +
+    'import androidx.compose.ui.text.TextStyle\n' +
+    'import androidx.compose.ui.text.font.FontStyle\n' +
+    'import androidx.compose.ui.text.font.FontWeight\n' +
+    'import androidx.compose.ui.unit.dp\n' +
+    'import androidx.compose.ui.unit.sp\n\n' +
+    'object DesignTokens {\n';
+  
+  var sections = [];
+  if (tokens.colors.length > 0) {
+    sections.push('    object Colors {\n' + tokens.colors.map(function(color) {
+      return '        val ' + color.identifier + ' = Color(0x' + toARGBHex(color.rgba) + ')\n';
+    }).join('') + '    }\n');
+  }
+  if (tokens.numbers.length > 0) {
+    sections.push('    object Dimens {\n' + tokens.numbers.map(function(number) {
+      return '        val ' + number.identifier + ' = ' + formatNativeNumber(number.value) + (number.unitless ? 'f' : '.dp') + '\n';
+    }).join('') + '    }\n');
+  }
+  if (tokens.textStyles.length > 0) {
+    sections.push('    object Typography {\n' + tokens.textStyles.map(function(textStyle) {
+      var args = [
+        'fontSize = ' + formatNativeNumber(textStyle.fontSize) + '.sp',
+        'fontWeight = FontWeight(' + textStyle.fontWeight + ')'
+      ];
+      if (textStyle.italic) args.push('fontStyle = FontStyle.Italic');
+      if (textStyle.lineHeight !== null) args.push('lineHeight = ' + formatNativeNumber(textStyle.lineHeight) + '.sp');
+      if (textStyle.letterSpacing) args.push('letterSpacing = (' + formatNativeNumber(textStyle.letterSpacing) + ').sp');
+      // Font families are app resources, so the family is left as a hint
+      return (textStyle.fontFamily ? '        // fontFamily: ' + textStyle.fontFamily + '\n' : '') +
+        '        val ' + textStyle.identifier + ' = TextStyle(\n            ' + args.join(',\n            ') + '\n        )\n';
+    }).join('') + '    }\n');
+  }
+  
+  kotlin += sections.join('\n') + '}\n';
+  return kotlin;
+}
+
+function toDartString(text) {
+  return '\'' + String(text).replace(/\\/g, '\\\\').replace(/'/g, '\\\'').replace(/\$/g, '\\$') + '\'';
+}
+
+function generateFlutter(data, options) {
+  var tokens = collectNativeTokens(data, null, options && options.naming);
+  var dart = '// Figma Design Tokens Export\n\nimport \'package:flutter/material.dart\';\n\n' +
+    'class DesignTokens {\n  DesignTokens._();\n';
+  // Colors, dimensions and text styles are all members of DesignTokens
+  var members = {};
+  setNativeIdentifiers(tokens.colors, toIdentifier, members);
+  setNativeIdentifiers(tokens.numbers, toIdentifier, members);
+  setNativeIdentifiers(tokens.textStyles, toIdentifier, members);
+  
+  if (tokens.colors.length > 0) {
+    dart += '\n  // Colors\n';
+    tokens.colors.forEach(function(color) {
+      dart += '  static const Color ' + color.identifier + ' = Color(0x' + toARGBHex(color.rgba) + ');\n';
+    });
+  }
+  
+  if (tokens.numbers.length > 0) {
+    dart += '\n  // Dimensions\n';
+    tokens.numbers.forEach(function(number) {
+      dart += '  static const double ' + number.identifier + ' = ' + formatNativeNumber(number.value) + ';\n';
+    });
+  }
+  
+  if (tokens.textStyles.length > 0) {
+    dart += '\n  // Typography\n';
+    tokens.textStyles.forEach(function(textStyle) {
+      var args = [];
+      if (textStyle.fontFamily) args.push('fontFamily: ' + toDartString(textStyle.fontFamily));
+      args.push('fontSize: ' + formatNativeNumber(textStyle.fontSize));
+      args.push('fontWeight: FontWeight.w' + (textStyle.fontWeight || 400));
+      if (textStyle.italic) args.push('fontStyle: FontStyle.italic');
+      // Flutter's height is a multiple of the font size
+      if (textStyle.lineHeight !== null) args.push('height: ' + formatNativeNumber(textStyle.lineHeight / textStyle.fontSize));
+      if (textStyle.letterSpacing) args.push('letterSpacing: ' + formatNativeNumber(textStyle.letterSpacing));
+      dart += '  static const TextStyle ' + textStyle.identifier + ' = TextStyle(' + args.join(', ') + ');\n';
+    });
+  }
+  
+  dart += '}\n';
+  return dart;
+}
+
+function getJSCollectionKey(collectionName, naming) {
+  var key = formatNameWords(getNameWords(collectionName), (naming || DEFAULT_NAMING).caseStyle).replace(/-/g, '_');
+  return /^[0-9]/.test(key) || key === '' ? '_' + key : key;
+}
+
+// Key path of a variable inside its collection group: one key when flat, one per '/' segment when nested
+function getJSTokenPath(name, collectionName, naming) {
+  var path = isNestedNaming(naming) ? getTokenPath(name, collectionName, naming) : [getTokenName(name, collectionName, naming)];
+  return path.map(function(key) {
+    return key.replace(/-/g, '_');
+  });
+}
+
+function getJSTokenKeys(collections, naming) {
+  var keys = {};
+  for (var collectionName in collections) {
+    var variables = collections[collectionName].variables;
+    for (var group in variables) {
+      for (var i = 0; i < variables[group].length; i++) {
+        var path = getJSTokenPath(variables[group][i].name, collectionName, naming);
+        keys[getJSCollectionKey(collectionName, naming) + '/' + group + '/' + path.join('/')] = true;
+      }
+    }
+  }
+  return keys;
+}
+
+// Aliased variables become getters that read the target token, so the reference survives in code.
+// Inside a mode object, aliases within the same collection read the target's value for that mode.
+function getJSTokenEntry(alias, group, value, exportedTokenKeys, options, mode) {
+  var naming = options.naming || DEFAULT_NAMING;
+  if (options.keepAliases && alias) {
+    var targetCollectionKey = getJSCollectionKey(alias.collection, naming);
+    var targetPath = getJSTokenPath(alias.name, alias.collection, naming);
+    if (exportedTokenKeys[targetCollectionKey + '/' + group + '/' + targetPath.join('/')]) {
+      var root = (mode && alias.collection === mode.collectionName) ?
+        'modes[' + JSON.stringify(targetCollectionKey) + '][' + JSON.stringify(mode.key) + ']' :
+        'tokens[' + JSON.stringify(targetCollectionKey) + ']';
+      return {
+        getter: root + '.' + group + targetPath.map(function(key) {
+          return '[' + JSON.stringify(key) + ']';
+        }).join('')
+      };
+    }
+  }
+  return { literal: (group === 'colors' || group === 'strings') ? JSON.stringify(value) : String(value) };
+}
+
+function formatJSKey(key) {
+  return /^([A-Za-z_$][A-Za-z0-9_$]*|[0-9]+)$/.test(key) ? key : JSON.stringify(key);
+}
+
+function formatJSTree(tree, indent) {
+  var js = '';
+  for (var key in tree) {
+    var node = tree[key];
+    if (node.__group) {
+      js += indent + formatJSKey(key) + ': {\n' + formatJSTree(node, indent + '  ') + indent + '},\n';
+    } else if (node.getter) {
+      js += indent + 'get ' + formatJSKey(key) + '() { return ' + node.getter + '; },\n';
+    } else {
+      js += indent + formatJSKey(key) + ': ' + node.literal + ',\n';
+    }
+  }
+  return js;
+}
+
+// W3C Design Tokens Community Group format
+// Tokens are nested by the '/' segments of their names, with the naming settings applied
+// Tokens whose path clashes with another token are left out and, when clashes is passed,
+// listed there as report issues
+function generateDTCG(data, options, clashes) {
+  var naming = (options && options.naming) || DEFAULT_NAMING;
+  var tokens = {};
+  var addToken = function(kind, name, path, token) {
+    var clash = setDTCGToken(tokens, path, token);
+    if (clash && clashes) clashes.push({ severity: 'warning', kind: kind, name: name, reason: clash + ', left out of DTCG' });
+  };
+
+  // Color Styles
+  if (data.styles && data.styles.colors) {
+    for (var i = 0; i < data.styles.colors.length; i++) {
+      var color = data.styles.colors[i];
+      var colorToken = null;
+      if (color.stops && color.stops.length > 0) {
+        colorToken = {
+          $type: 'gradient',
+          $value: color.stops.map(function(stop) {
+            return { color: stop.color, position: parseFloat(stop.position) / 100 };
+          })
+        };
+      } else if (color.type === 'solid' && color.value) {
+        colorToken = { $type: 'color', $value: color.value };
+      }
+      if (colorToken) {
+        // Marks color styles so an import doesn't turn them into variables; gradients keep their geometry
+        colorToken.$extensions = { 'com.figma': { styleType: 'PAINT' } };
+        if (color.gradient) colorToken.$extensions['com.figma'].gradient = color.gradient;
+        addToken('color style', color.name, getDTCGPath(color.name, null, naming), withDTCGDetails(colorToken, color));
+      }
+    }
+  }
+
+  // Text Styles
+  if (data.styles && data.styles.textStyles) {
+    for (var i = 0; i < data.styles.textStyles.length; i++) {
+      var textStyle = data.styles.textStyles[i];
+      var typography = {};
+      if (textStyle.fontFamily) typography.fontFamily = textStyle.fontFamily;
+      if (textStyle.fontSize) typography.fontSize = textStyle.fontSize;
+      if (textStyle.fontWeight) typography.fontWeight = parseInt(textStyle.fontWeight, 10);
+      if (textStyle.letterSpacing !== undefined) typography.letterSpacing = toEmLetterSpacing(textStyle.letterSpacing);
+      // DTCG line heights are numbers or dimensions, 'normal' (Figma's Auto) is left out
+      if (textStyle.lineHeight !== undefined && textStyle.lineHeight !== 'normal') typography.lineHeight = textStyle.lineHeight;
+      var typographyToken = { $type: 'typography', $value: typography };
+      // Properties DTCG typography lacks, and bound variables as references, so $value stays importable
+      var textExtension = {};
+      ['paragraphSpacing', 'paragraphIndent', 'listSpacing', 'hangingList', 'hangingPunctuation', 'leadingTrim'].forEach(function(field) {
+        if (textStyle[field] !== undefined) textExtension[field] = textStyle[field];
+      });
+      for (var field in (textStyle.boundVariables || {})) {
+        textExtension.boundVariables = textExtension.boundVariables || {};
+        textExtension.boundVariables[field] = getDTCGReference(textStyle.boundVariables[field], naming);
+      }
+      if (Object.keys(textExtension).length > 0) {
+        typographyToken.$extensions = { 'com.figma': textExtension };
+      }
+      addToken('text style', textStyle.name, getDTCGPath(textStyle.name, null, naming), withDTCGDetails(typographyToken, textStyle));
+    }
+  }
+
+  // Effect Styles: visible shadows as shadow tokens. Blurs have no DTCG type, so they ride along in
+  // $extensions, or become a dimension token (the Figma radius) when a style has only blurs.
+  if (data.styles && data.styles.effectStyles) {
+    for (var i = 0; i < data.styles.effectStyles.length; i++) {
+      var effectStyle = data.styles.effectStyles[i];
+      var visibleEffects = (effectStyle.effects || []).filter(function(effect) {
+        return effect.visible !== false;
+      });
+      var shadows = visibleEffects.filter(function(effect) {
+        return effect.type === 'drop-shadow' || effect.type === 'inner-shadow';
+      }).map(function(effect) {
+        var shadow = {
+          color: effect.color || 'transparent',
+          offsetX: effect.x + 'px',
+          offsetY: effect.y + 'px',
+          blur: effect.blur + 'px',
+          spread: effect.spread + 'px'
+        };
+        if (effect.type === 'inner-shadow') shadow.inset = true;
+        return shadow;
+      });
+      var blurs = {};
+      visibleEffects.forEach(function(effect) {
+        if (effect.type === 'layer-blur' || effect.type === 'background-blur') blurs[effect.type] = effect.blur + 'px';
+      });
+      
+      var effectToken = null;
+      if (shadows.length > 0) {
+        effectToken = { $type: 'shadow', $value: shadows.length === 1 ? shadows[0] : shadows };
+        if (Object.keys(blurs).length > 0) effectToken.$extensions = { 'com.figma': { blurs: blurs } };
+      } else if (Object.keys(blurs).length > 0) {
+        var blurType = Object.keys(blurs)[0];
+        effectToken = { $type: 'dimension', $value: blurs[blurType] };
+        var blurExtension = { styleType: 'EFFECT', effect: blurType };
+        if (Object.keys(blurs).length > 1) blurExtension.blurs = blurs;
+        effectToken.$extensions = { 'com.figma': blurExtension };
+      }
+      if (effectToken) {
+        addToken('effect style', effectStyle.name, getDTCGPath(effectStyle.name, null, naming), withDTCGDetails(effectToken, effectStyle));
+      }
+    }
+  }
+
+  // Collection Variables, grouped under the collection name
+  if (data.collections) {
+    var typeMap = { colors: 'color', numbers: 'number', strings: 'string', booleans: 'boolean' };
+    for (var collectionName in data.collections) {
+      var collection = data.collections[collectionName];
+      for (var group in typeMap) {
+        var variables = collection.variables[group] || [];
+        for (var i = 0; i < variables.length; i++) {
+          var variable = variables[i];
+          if (variable.value === undefined) continue;
+          var variableToken = toDTCGVariableToken(typeMap[group], variable, variable.value);
+          var figmaExtension = {};
+          if (variable.values && Object.keys(variable.values).length > 1) {
+            figmaExtension.modes = {};
+            for (var modeName in variable.values) {
+              figmaExtension.modes[modeName] = toDTCGVariableToken(typeMap[group], variable, variable.values[modeName]).$value;
+            }
+          }
+          if (variable.scopes && variable.scopes.join() !== 'ALL_SCOPES') figmaExtension.scopes = variable.scopes;
+          if (variable.codeSyntax) figmaExtension.codeSyntax = variable.codeSyntax;
+          if (Object.keys(figmaExtension).length > 0) {
+            variableToken.$extensions = { 'com.figma': figmaExtension };
+          }
+          addToken('variable', collectionName + ' / ' + variable.name, getDTCGPath(variable.name, collectionName, naming), withDTCGDetails(variableToken, variable));
+        }
+      }
+    }
+  }
+
+  filterDTCGFields(tokens, getOmittedFields(options && options.fields));
+  return JSON.stringify(tokens, null, 2);
+}
+
+// Leave the omitted token fields out of every token: $description, and the com.figma extensions
+// that carry the other fields
+function filterDTCGFields(group, omitted) {
+  if (omitted.length === 0) return;
+  for (var key in group) {
+    var token = group[key];
+    if (key.charAt(0) === '$' || !token || typeof token !== 'object') continue;
+    if (token.$value === undefined) {
+      filterDTCGFields(token, omitted);
+      continue;
+    }
+    if (omitted.indexOf('description') !== -1) delete token.$description;
+    var figmaExtension = token.$extensions && token.$extensions['com.figma'];
+    if (!figmaExtension) continue;
+    omitted.forEach(function(field) {
+      delete figmaExtension[field];
+    });
+    if (Object.keys(figmaExtension).length === 0) delete token.$extensions['com.figma'];
+    if (Object.keys(token.$extensions).length === 0) delete token.$extensions;
+  }
+}
+
+// Numbers are typed like CSS outputs them: fontWeight, 0-1 opacity numbers, and px dimensions for
+// everything else (unscoped numbers included); references keep the type and pass through untouched
+function toDTCGVariableToken(type, variable, value) {
+  if (type === 'number') {
+    var kind = getNumberKind(variable);
+    var isNumber = typeof value === 'number';
+    if (kind === 'fontWeight') return { $type: 'fontWeight', $value: value };
+    if (kind === 'opacity') return { $type: 'number', $value: isNumber ? toOpacity(value) : value };
+    return { $type: 'dimension', $value: isNumber ? value + 'px' : value };
+  }
+  if (type === 'string' && (variable.scopes || []).indexOf('FONT_FAMILY') !== -1 && variable.scopes.length === 1) {
+    return { $type: 'fontFamily', $value: value };
+  }
+  return { $type: type, $value: value };
+}
+
+// The token path from the naming settings, under a group per collection for variables (which is
+// how an import finds the collection, so the path doesn't repeat the collection name). Token path
+// segments have no characters DTCG reserves.
+function getDTCGPath(name, collectionName, naming) {
+  if (!collectionName) return getTokenPath(name, null, naming);
+  var path = getTokenPath(name, collectionName, Object.assign({}, naming, { includeCollection: false }));
+  return [collectionName].concat(path);
+}
+
+// DTCG can't nest a token inside a token, so the first item on a path wins. Returns why a
+// clashing token was left out, or null once it's set.
+function setDTCGToken(tokens, path, token) {
+  if (path.length === 0) return null;
+  var group = tokens;
+  for (var i = 0; i < path.length - 1; i++) {
+    if (!group[path[i]]) group[path[i]] = {};
+    if (group[path[i]].$value !== undefined) {
+      return 'DTCG path "' + path.slice(0, i + 1).join('.') + '" is a token, so "' + path.join('.') + '" can\'t be nested in it';
+    }
+    group = group[path[i]];
+  }
+  var key = path[path.length - 1];
+  if (group[key]) {
+    return 'DTCG path "' + path.join('.') + '" is already ' + (group[key].$value !== undefined ? 'a token' : 'a group of tokens');
+  }
+  group[key] = token;
+  return null;
+}
+
+// Description, plus the source library of team library tokens
+function withDTCGDetails(token, item) {
+  if (item.description) token.$description = item.description;
+  if (item.library) {
+    token.$extensions = token.$extensions || {};
+    token.$extensions['com.figma'] = Object.assign({}, token.$extensions['com.figma'], { library: item.library });
+  }
+  return token;
+}
+
+function toEmLetterSpacing(letterSpacing) {
+  // Figma percent letter spacing is relative to the font size
+  if (typeof letterSpacing === 'string' && letterSpacing.slice(-1) === '%') {
+    return (parseFloat(letterSpacing) / 100) + 'em';
+  }
+  return letterSpacing;
+}
+
+// The plugin reads variables and styles of its own exports as lists, so nested exports are flattened here
+function flattenExportLists(data) {
+  if (!data || typeof data !== 'object') return data;
+  for (var collectionName in data.collections || {}) {
+    var collection = data.collections[collectionName];
+    if (!collection || !collection.variables || typeof collection.variables !== 'object') continue;
+    for (var group in collection.variables) collection.variables[group] = getExportItems(collection.variables[group]);
+  }
+  if (data.styles && typeof data.styles === 'object') {
+    ['colors', 'textStyles', 'effectStyles'].forEach(function(group) {
+      if (data.styles[group]) data.styles[group] = getExportItems(data.styles[group]);
+    });
+  }
+  return data;
+}
+
+// Validation: problems reported by the scan, token collisions under the current naming, and naming rules
+function validateExport(data, options, settings) {
+  var report = { errors: [], warnings: [] };
+  var add = function(issue) {
+    (issue.severity === 'warning' ? report.warnings : report.errors).push(issue);
+  };
+  (data.issues || []).forEach(add);
+  
+  var named = applyNaming({ styles: data.styles, collections: data.collections }, options.naming);
+  
+  // Color styles and variables share one namespace of CSS custom properties, compared by the name
+  // generateCSS gives them (code syntax included); other style types get their own namespace
+  var namespaces = { variables: [] };
+  ((named.styles && named.styles.colors) || []).forEach(function(color) {
+    namespaces.variables.push({ kind: 'color style', name: color.name, token: '--' + color.token });
+  });
+  for (var group in (named.styles || {})) {
+    if (group === 'colors') continue;
+    namespaces[group] = (named.styles[group] || []).map(function(style) {
+      return { kind: STYLE_KINDS[group] || 'style', name: style.name, token: style.token };
+    });
+  }
+  for (var collectionName in (named.collections || {})) {
+    var variables = named.collections[collectionName].variables;
+    for (var group in variables) {
+      variables[group].forEach(function(variable) {
+        namespaces.variables.push({ kind: 'variable', name: collectionName + ' / ' + variable.name, token: getCSSVariableName(variable) });
+      });
+    }
+  }
+  for (var namespace in namespaces) {
+    var seen = {};
+    namespaces[namespace].forEach(function(item) {
+      if (seen[item.token]) {
+        add({ severity: 'error', kind: item.kind, name: item.name, reason: (namespace === 'variables' ? 'CSS custom property "' : 'token "') + item.token + '" collides with ' + seen[item.token] });
+      } else {
+        seen[item.token] = item.kind + ' ' + item.name;
+      }
+    });
+  }
+  
+  // DTCG has no room for a token and a group of tokens on the same path
+  generateDTCG(named, options, report.warnings);
+  
+  parseNamingRules(settings.rules).forEach(function(rule) {
+    if (rule.error) {
+      add({ severity: 'error', kind: 'naming rule', name: rule.source, reason: rule.error });
+      return;
+    }
+    for (var collectionName in (data.collections || {})) {
+      if (rule.collection !== '*' && rule.collection !== collectionName) continue;
+      var variables = data.collections[collectionName].variables;
+      for (var group in variables) {
+        variables[group].forEach(function(variable) {
+          if (!rule.pattern.test(variable.name)) {
+            add({ severity: 'error', kind: 'variable', name: collectionName + ' / ' + variable.name, reason: 'does not match ' + rule.pattern });
+          }
+        });
+      }
+    }
+  });
+  
+  return report;
+}
+
+var STYLE_KINDS = { colors: 'color style', textStyles: 'text style', effectStyles: 'effect style', gridStyles: 'grid style' };
+
+// "Collection: regex" per line; the collection name is everything before the first ': '
+function parseNamingRules(text) {
+  var rules = [];
+  (text || '').split('\n').forEach(function(line) {
+    line = line.trim();
+    if (!line || line.charAt(0) === '#') return;
+    var separator = line.indexOf(': ');
+    if (separator === -1) {
+      rules.push({ source: line, error: 'expected "Collection: regex"' });
+      return;
+    }
+    var rule = { source: line, collection: line.slice(0, separator).trim() };
+    var source = line.slice(separator + 2).trim();
+    var literal = /^\/(.*)\/([a-z]*)$/.exec(source);
+    try {
+      // Without g and y, test() keeps no lastIndex from one variable to the next
+      rule.pattern = literal ? new RegExp(literal[1], literal[2].replace(/[gy]/g, '')) : new RegExp(source);
+    } catch (error) {
+      rule.error = 'invalid regex: ' + error.message;
+    }
+    rules.push(rule);
+  });
+  return rules;
+}
+
+// Diff: compare a previous export of this plugin with the current scan
+var STYLE_GROUPS = { colors: 'Color Styles', textStyles: 'Text Styles', effectStyles: 'Effect Styles', gridStyles: 'Grid Styles' };
+
+function diffExports(previous, current) {
+  var diff = {
+    previousDate: previous.metadata && previous.metadata.exportDate,
+    currentDate: current.metadata && current.metadata.exportDate,
+    sections: []
+  };
+  
+  for (var group in STYLE_GROUPS) {
+    var section = diffItems(
+      getExportItems(previous.styles && previous.styles[group]),
+      getExportItems(current.styles && current.styles[group]),
+      getStyleChanges
+    );
+    section.title = STYLE_GROUPS[group];
+    diff.sections.push(section);
+  }
+  
+  var previousCollections = previous.collections || {};
+  var currentCollections = current.collections || {};
+  var matched = {};
+  
+  for (var collectionName in currentCollections) {
+    var currentCollection = currentCollections[collectionName];
+    var previousName = findPreviousCollection(previousCollections, collectionName, currentCollection.id);
+    if (previousName) matched[previousName] = true;
+    
+    var section = diffItems(
+      previousName ? flattenVariables(previousCollections[previousName]) : [],
+      flattenVariables(currentCollection),
+      getVariableChanges
+    );
+    section.title = collectionName + (previousName && previousName !== collectionName ? ' (renamed from ' + previousName + ')' : '');
+    diff.sections.push(section);
+  }
+  
+  for (var previousName in previousCollections) {
+    if (matched[previousName]) continue;
+    var section = diffItems(flattenVariables(previousCollections[previousName]), [], getVariableChanges);
+    section.title = previousName + ' (removed)';
+    diff.sections.push(section);
+  }
+  
+  diff.sections = diff.sections.filter(function(section) {
+    return section.added.length + section.removed.length + section.renamed.length + section.changed.length > 0;
+  });
+  return diff;
+}
+
+function findPreviousCollection(previousCollections, name, id) {
+  for (var previousName in previousCollections) {
+    if (id && previousCollections[previousName].id === id) return previousName;
+  }
+  return previousCollections[name] ? name : null;
+}
+
+function flattenVariables(collection) {
+  var variables = [];
+  for (var group in (collection && collection.variables) || {}) {
+    variables = variables.concat(getExportItems(collection.variables[group]));
+  }
+  return variables;
+}
+
+// Nested JSON exports key each style or variable by its token path; flatten them back into a list
+function getExportItems(list) {
+  if (Array.isArray(list)) return list;
+  if (!list || typeof list !== 'object') return [];
+  if (typeof list.name === 'string' && ('value' in list || 'type' in list)) return [list];
+  var items = [];
+  for (var key in list) items = items.concat(getExportItems(list[key]));
+  return items;
+}
+
+// Items are matched by Figma id, falling back to name for exports made before ids were kept
+function diffItems(previousItems, currentItems, getChanges) {
+  var result = { added: [], removed: [], renamed: [], changed: [] };
+  var previousById = {};
+  var previousByName = {};
+  var used = {};
+  
+  previousItems.forEach(function(item, index) {
+    if (item.id) previousById[item.id] = index;
+    previousByName[item.name] = index;
+  });
+  
+  currentItems.forEach(function(item) {
+    var index = item.id && previousById[item.id] !== undefined ? previousById[item.id] : previousByName[item.name];
+    if (index === undefined || used[index]) {
+      result.added.push(item);
+      return;
+    }
+    used[index] = true;
+    var previousItem = previousItems[index];
+    if (previousItem.name !== item.name) {
+      result.renamed.push({ from: previousItem.name, to: item.name });
+    }
+    var changes = getChanges(previousItem, item);
+    if (changes.length > 0) {
+      result.changed.push({ name: item.name, changes: changes });
+    }
+  });
+  
+  previousItems.forEach(function(item, index) {
+    if (!used[index]) result.removed.push(item);
+  });
+  return result;
+}
+
+function getStyleChanges(previousStyle, currentStyle) {
+  // Derived and identifying fields aren't changes in themselves
+  var ignored = { id: true, name: true, token: true, rgba: true };
+  var changes = [];
+  var keys = {};
+  Object.keys(previousStyle).concat(Object.keys(currentStyle)).forEach(function(key) {
+    keys[key] = true;
+  });
+  for (var key in keys) {
+    if (ignored[key]) continue;
+    var before = formatDiffValue(previousStyle[key]);
+    var after = formatDiffValue(currentStyle[key]);
+    if (before !== after) changes.push({ field: key, before: before, after: after });
+  }
+  return changes;
+}
+
+function getVariableChanges(previousVariable, currentVariable) {
+  var changes = [];
+  var modes = {};
+  Object.keys(previousVariable.values || {}).concat(Object.keys(currentVariable.values || {})).forEach(function(mode) {
+    modes[mode] = true;
+  });
+  
+  if (Object.keys(modes).length === 0) {
+    var before = getDiffVariableValue(previousVariable, null);
+    var after = getDiffVariableValue(currentVariable, null);
+    if (before !== after) changes.push({ field: 'value', before: before, after: after });
+  }
+  for (var mode in modes) {
+    var before = getDiffVariableValue(previousVariable, mode);
+    var after = getDiffVariableValue(currentVariable, mode);
+    if (before !== after) changes.push({ field: mode, before: before, after: after });
+  }
+  
+  if ((previousVariable.description || '') !== (currentVariable.description || '')) {
+    changes.push({ field: 'description', before: previousVariable.description || '', after: currentVariable.description || '' });
+  }
+  return changes;
+}
+
+// Aliases are compared by target so repointing a token shows even if the color is the same
+function getDiffVariableValue(variable, mode) {
+  var alias = mode ? (variable.aliases && variable.aliases[mode]) : variable.alias;
+  if (alias) return '→ ' + alias.collection + '/' + alias.name;
+  var value = mode ? (variable.values && variable.values[mode]) : variable.value;
+  return formatDiffValue(value);
+}
+
+function formatDiffValue(value) {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function getDiffItemValue(item) {
+  if (item.value !== undefined) return formatDiffValue(item.value);
+  if (item.fontSize) return [item.fontFamily, item.fontWeight, item.fontSize].filter(Boolean).join(' ');
+  return '';
+}
+
+function formatDiffMarkdown(diff) {
+  var md = '## Design token changes\n\n';
+  md += 'Compared the export from ' + (diff.previousDate || 'an unknown date') + ' with ' + (diff.currentDate || 'the current file') + '.\n\n';
+  if (diff.sections.length === 0) {
+    return md + 'No changes.\n';
+  }
+  
+  var code = function(text) {
+    return '`' + String(text).replace(/`/g, '\'').replace(/\|/g, '\\|') + '`';
+  };
+  
+  diff.sections.forEach(function(section) {
+    md += '### ' + section.title + '\n\n';
+    if (section.added.length > 0) {
+      md += '**Added (' + section.added.length + ')**\n\n';
+      section.added.forEach(function(item) {
+        var value = getDiffItemValue(item);
+        md += '- ' + code(item.name) + (value ? ': ' + code(value) : '') + '\n';
+      });
+      md += '\n';
+    }
+    if (section.removed.length > 0) {
+      md += '**Removed (' + section.removed.length + ')**\n\n';
+      section.removed.forEach(function(item) {
+        md += '- ' + code(item.name) + '\n';
+      });
+      md += '\n';
+    }
+    if (section.renamed.length > 0) {
+      md += '**Renamed (' + section.renamed.length + ')**\n\n';
+      section.renamed.forEach(function(item) {
+        md += '- ' + code(item.from) + ' → ' + code(item.to) + '\n';
+      });
+      md += '\n';
+    }
+    if (section.changed.length > 0) {
+      md += '**Changed (' + section.changed.length + ')**\n\n| Token | Mode / Field | Before | After |\n| --- | --- | --- | --- |\n';
+      section.changed.forEach(function(item) {
+        item.changes.forEach(function(change) {
+          md += '| ' + code(item.name) + ' | ' + change.field + ' | ' +
+            (change.before ? code(change.before) : '–') + ' | ' + (change.after ? code(change.after) : '–') + ' |\n';
+        });
+      });
+      md += '\n';
+    }
+  });
+  return md;
+}
+
+function getDownloadFilename(format) {
+  return format === 'tailwind' ? 'tailwind.config.js' : 'figma-export.' + (FILE_EXTENSIONS[format] || 'json');
+}
+
+// Bundle: formats that split into a styles file plus one file per collection and mode.
+// Everything else is written as the single file the Download button produces.
+var SPLIT_FORMATS = { json: true, css: true, js: true, ts: true, dtcg: true, scss: true, less: true };
+
+function buildBundle(data, formats, options) {
+  var files = [];
+  // Filtered up front so left-out collections and modes get no files
+  data = filterDataByPicker(data, options.filters);
+  formats.forEach(function(format) {
+    var folder = formats.length > 1 ? format + '/' : '';
+    if (!SPLIT_FORMATS[format]) {
+      files.push({ path: folder + getDownloadFilename(format), content: formatData(data, format, options) });
+      return;
+    }
+    
+    var extension = FILE_EXTENSIONS[format];
+    var entries = [];
+    if (options.includeStyles && data.styles) {
+      entries.push({ path: 'tokens/styles.' + extension, name: 'styles' });
+      files.push({
+        path: folder + 'tokens/styles.' + extension,
+        content: formatData(data, format, Object.assign({}, options, { includeVariables: false, includeMetadata: false }))
+      });
+    }
+    for (var collectionName in (options.includeVariables && data.collections) || {}) {
+      var collection = data.collections[collectionName];
+      var defaultModeName = getDefaultModeName(collection);
+      collection.modes.forEach(function(mode) {
+        var path = 'tokens/' + slugify(collectionName) + '.' + slugify(mode.name) + '.' + extension;
+        var modeOptions = Object.assign({}, options, { includeStyles: false, includeMetadata: false });
+        var content = formatData(getModeData(data, collectionName, mode.name), format, modeOptions);
+        if (format === 'css' && mode.name !== defaultModeName) {
+          content = toModeCSS(content, collectionName, mode.name, (options.modeSelectors || {})[collectionName] || 'data-attribute');
+        }
+        entries.push({ path: path, collection: collectionName, mode: mode.name, isDefault: mode.name === defaultModeName });
+        files.push({ path: folder + path, content: content });
+      });
+    }
+    files.push({ path: folder + getBundleIndexName(format), content: formatBundleIndex(format, entries, data, options) });
+  });
+  return files;
+}
+
+// A copy of one collection reduced to a single mode, with that mode's values as the defaults
+function getModeData(data, collectionName, modeName) {
+  var collection = JSON.parse(JSON.stringify(data.collections[collectionName]));
+  var isDefault = getDefaultModeName(collection) === modeName;
+  var mode = collection.modes.filter(function(candidate) {
+    return candidate.name === modeName;
+  })[0];
+  collection.modes = [mode];
+  collection.defaultModeId = mode.id;
+  
+  for (var group in collection.variables) {
+    collection.variables[group] = collection.variables[group].filter(function(variable) {
+      if (variable.values) {
+        if (variable.values[modeName] === undefined) return false;
+        variable.value = variable.values[modeName];
+        if (variable.aliases) variable.alias = variable.aliases[modeName];
+        if (variable.rgbaValues) variable.rgba = variable.rgbaValues[modeName];
+      } else if (!isDefault) {
+        return false;
+      }
+      if (!variable.alias) delete variable.alias;
+      delete variable.values;
+      delete variable.aliases;
+      delete variable.rgbaValues;
+      return true;
+    });
+  }
+  
+  var modeData = { styles: data.styles, collections: {}, metadata: data.metadata };
+  modeData.collections[collectionName] = collection;
+  return modeData;
+}
+
+// generateCSS writes a single-mode collection to :root; other modes move under their theme selector
+function toModeCSS(css, collectionName, modeName, pattern) {
+  var declarations = css.split('\n').filter(function(line) {
+    return /^\s+--/.test(line);
+  }).map(function(line) {
+    return line.trim() + '\n';
+  }).join('');
+  return '/* ' + collectionName + ' Collection: ' + modeName + ' */\n' + wrapModeDeclarations(declarations, modeName, pattern) + '\n';
+}
+
+function getBundleIndexName(format) {
+  return format === 'dtcg' ? 'index.json' : 'index.' + FILE_EXTENSIONS[format];
+}
+
+function formatBundleIndex(format, entries, data, options) {
+  var header = '// Figma Design Tokens Export\n\n';
+  var moduleName = function(entry) {
+    return entry.collection ? toIdentifier(entry.collection + ' ' + entry.mode) : 'styles';
+  };
+  switch (format) {
+    case 'css':
+      return '/* Figma Design Tokens Export */\n\n' + entries.map(function(entry) {
+        return '@import "./' + entry.path + '";\n';
+      }).join('');
+    case 'scss':
+      // Default modes are forwarded as-is, other modes with a collection-mode prefix so names don't clash
+      return header + entries.map(function(entry) {
+        var path = entry.path.replace(/\.scss$/, '');
+        return '@forward "' + path + '"' + (entry.collection && !entry.isDefault ? ' as ' + slugify(entry.collection + ' ' + entry.mode) + '-*' : '') + ';\n';
+      }).join('');
+    case 'less':
+      // Less has no namespaced imports, so only default modes are imported
+      return header + entries.map(function(entry) {
+        return (entry.collection && !entry.isDefault ? '// ' : '') + '@import "' + entry.path + '";\n';
+      }).join('');
+    case 'js':
+    case 'ts':
+      return header + entries.map(function(entry) {
+        var path = format === 'ts' ? entry.path.replace(/\.ts$/, '') : entry.path;
+        return 'export * as ' + moduleName(entry) + ' from \'./' + path + '\';\n';
+      }).join('');
+    default:
+      // JSON can't import, so the index is a manifest of the files
+      var manifest = {};
+      entries.forEach(function(entry) {
+        if (!entry.collection) {
+          manifest.styles = entry.path;
+          return;
+        }
+        manifest.collections = manifest.collections || {};
+        var collection = manifest.collections[entry.collection] = manifest.collections[entry.collection] ||
+          { defaultMode: getDefaultModeName(data.collections[entry.collection]), modes: {} };
+        collection.modes[entry.mode] = entry.path;
+      });
+      if (options.includeMetadata && data.metadata) manifest.metadata = data.metadata;
+      return JSON.stringify(manifest, null, 2);
+  }
+}
+
+// The files to commit: one per format with a file path, the format's bundle for a folder path
+function getGitFiles(data, paths, options) {
+  var files = [];
+  for (var format in paths) {
+    var target = paths[format];
+    if (!target) continue;
+    if (target.charAt(target.length - 1) === '/') {
+      buildBundle(data, [format], options).forEach(function(file) {
+        files.push({ path: target + file.path, content: file.content });
+      });
+    } else {
+      files.push({ path: target, content: formatData(data, format, options) });
+    }
+  }
+  return files;
+}
+
+// Paths where one format would overwrite another: the same file, or a path inside another
+// format's bundle folder. Returns what clashes, or null
+function findGitPathClash(paths) {
+  var formats = Object.keys(paths).filter(function(format) { return paths[format]; });
+  for (var i = 0; i < formats.length; i++) {
+    for (var j = 0; j < formats.length; j++) {
+      var path = paths[formats[i]];
+      var other = paths[formats[j]];
+      if (i < j && path === other) return formats[i] + ' and ' + formats[j] + ' both write to ' + path;
+      if (i !== j && path !== other && other.charAt(other.length - 1) === '/' && path.indexOf(other) === 0) {
+        return formats[i] + ' writes to ' + path + ', inside the ' + formats[j] + ' bundle folder ' + other;
+      }
+    }
+  }
+  return null;
+}
+
+// GitHub descriptions are capped at 65536 characters
+var GIT_DESCRIPTION_LIMIT = 60000;
+
+// Token changes between the base branch's JSON file and the new one, then the changed files
+function formatGitDescription(files, previousFiles, jsonPath) {
+  var md;
+  var jsonFile = files.filter(function(file) { return file.path === jsonPath; })[0];
+  if (!jsonFile) {
+    md = '## Design token changes\n\nGive the JSON format a file path in the Git sync settings to list the changed tokens here.\n';
+  } else {
+    try {
+      var previous = previousFiles[jsonFile.path];
+      md = formatDiffMarkdown(diffExports(previous ? JSON.parse(previous) : {}, JSON.parse(jsonFile.content)));
+    } catch (err) {
+      md = '## Design token changes\n\n`' + jsonFile.path + '` on the base branch is not a JSON export, so the changed tokens are not listed.\n';
+    }
+  }
+  if (md.length > GIT_DESCRIPTION_LIMIT) {
+    md = md.slice(0, GIT_DESCRIPTION_LIMIT) + '\n\n... (truncated)\n';
+  }
+  md += '\n### Files\n\n';
+  files.forEach(function(file) {
+    if (previousFiles[file.path] === file.content) return;
+    md += '- `' + file.path + '`' + (previousFiles[file.path] === null ? ' (new)' : '') + '\n';
+  });
+  return md;
+}
+
+// Minimal zip writer: stored (uncompressed) entries with UTF-8 names, enough for text token files
+function createZip(files) {
+  var encoder = new TextEncoder();
+  var localParts = [];
+  var centralParts = [];
+  var offset = 0;
+  var now = new Date();
+  var dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+  var dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  
+  files.forEach(function(file) {
+    var name = encoder.encode(file.path);
+    var content = encoder.encode(file.content);
+    var crc = crc32(content);
+    
+    var local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(8, 0, true); // stored
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, content.length, true);
+    local.setUint32(22, content.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    localParts.push(new Uint8Array(local.buffer), name, content);
+    
+    var central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, dosTime, true);
+    central.setUint16(14, dosDate, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, content.length, true);
+    central.setUint32(24, content.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(new Uint8Array(central.buffer), name);
+    
+    offset += 30 + name.length + content.length;
+  });
+  
+  var centralSize = centralParts.reduce(function(size, part) {
+    return size + part.length;
+  }, 0);
+  var end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+  
+  var parts = localParts.concat(centralParts, [new Uint8Array(end.buffer)]);
+  var zip = new Uint8Array(offset + centralSize + 22);
+  var position = 0;
+  parts.forEach(function(part) {
+    zip.set(part, position);
+    position += part.length;
+  });
+  return zip;
+}
+
+var CRC32_TABLE = null;
+
+function crc32(bytes) {
+  if (!CRC32_TABLE) {
+    CRC32_TABLE = [];
+    for (var n = 0; n < 256; n++) {
+      var c = n;
+      for (var k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+      CRC32_TABLE[n] = c >>> 0;
+    }
+  }
+  var crc = 0xFFFFFFFF;
+  for (var i = 0; i < bytes.length; i++) crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Formatter options from a settings snapshot. Anything missing falls back to the defaults,
+// so the CLI can run with a partial settings file or none at all
+function toExportOptions(settings) {
+  return {
+    includeStyles: settings.includeStyles !== false,
+    includeVariables: settings.includeVariables !== false,
+    includeMetadata: settings.includeMetadata !== false,
+    keepAliases: !!settings.keepAliases,
+    modeSelectors: settings.modeSelectors || {},
+    naming: Object.assign({}, DEFAULT_NAMING, settings.naming),
+    fields: settings.fields || {},
+    filters: Object.assign({ excluded: [], excludePrivate: false }, settings.filters)
+  };
+}
+
+module.exports = {
+  FILE_EXTENSIONS,
+  DEFAULT_NAMING,
+  TOKEN_FIELDS,
+  getFilterKey,
+  formatData,
+  slugify,
+  flattenExportLists,
+  validateExport,
+  STYLE_GROUPS,
+  diffExports,
+  formatDiffMarkdown,
+  getDownloadFilename,
+  buildBundle,
+  getGitFiles,
+  findGitPathClash,
+  formatGitDescription,
+  createZip,
+  toExportOptions
+};
\ No newline at end of file
@@ -0,0 +1,1605 @@
+// The export scan: reads the file's styles and variables through the Plugin API and turns them
+// into the data the UI formats. code.js runs it in Figma; cli.js runs it on REST API dumps put
+// behind the same API by rest-figma.js.
+
+async function exportStylesAndVariables(options = {}) {
+  const colorFormat = COLOR_FORMATS.includes(options.colorFormat) ? options.colorFormat : 'hex';
+  const data = {
+    styles: {
+      colors: [],
+      textStyles: [],
+      effectStyles: [],
+      gridStyles: []
+    },
+    collections: {}, // Group variables by collection
+    issues: [], // Skipped items and value problems, for the UI's validation report
+    metadata: {
+      // The CLI can pin the date so repeated runs give the same files
+      exportDate: options.exportDate || new Date().toISOString(),
+      figmaFileKey: figma.fileKey || 'unknown',
+      fileName: figma.root.name || 'Untitled',
+      colorProfile: figma.root.documentColorProfile || 'LEGACY',
+      colorFormat: colorFormat,
+      pluginVersion: '1.0.0'
+    }
+  };
+
+  // Checked before the scan so an empty selection gets its own message
+  const selectionUsage = options.selectionOnly ? findSelectionUsage() : null;
+  if (selectionUsage) {
+    data.metadata.selection = figma.currentPage.selection.map(node => node.name);
+  }
+
+  try {
+    // Use Promise.all for parallel async operations to improve performance
+    let [
+      paintStyles,
+      textStyles, 
+      effectStyles,
+      gridStyles,
+      variables,
+      collections
+    ] = await Promise.all([
+      figma.getLocalPaintStylesAsync(),
+      figma.getLocalTextStylesAsync(), 
+      figma.getLocalEffectStylesAsync(),
+      figma.getLocalGridStylesAsync(),
+      figma.variables.getLocalVariablesAsync(),
+      figma.variables.getLocalVariableCollectionsAsync()
+    ]);
+
+    // Library tokens go through the same processing as local ones and are tagged afterwards
+    const libraryNames = new Map();
+    if (options.includeLibraries) {
+      const library = await collectLibraryTokens(data.issues, libraryNames);
+      paintStyles.push(...library.paintStyles);
+      textStyles.push(...library.textStyles);
+      effectStyles.push(...library.effectStyles);
+      gridStyles.push(...library.gridStyles);
+      variables.push(...library.variables);
+      collections.push(...library.collections);
+      data.metadata.libraries = Array.from(new Set(libraryNames.values()));
+    }
+
+    if (selectionUsage) {
+      ({ paintStyles, textStyles, effectStyles, gridStyles, variables, collections } =
+        await scopeTokensToUsage({ paintStyles, textStyles, effectStyles, gridStyles, variables, collections }, selectionUsage, data.issues));
+    }
+
+    console.log(`Found ${collections.length} collections, ${variables.length} variables total`);
+
+    // Collection lookup and export names, also used for variables bound to text styles
+    const collectionMap = new Map();
+    const collectionNames = getCollectionExportNames(collections, libraryNames);
+
+    // Process color styles
+    for (const style of paintStyles) {
+      try {
+        const colorData = await processColorStyle(style, data.issues, colorFormat);
+        if (colorData) {
+          tagLibrarySource(colorData, style, libraryNames);
+          data.styles.colors.push(colorData);
+        }
+      } catch (error) {
+        console.warn(`Failed to process color style ${style.name}:`, error);
+        addIssue(data.issues, 'error', 'color style', style.name, `failed to process: ${error.message}`);
+      }
+    }
+
+    // Process text styles
+    for (const style of textStyles) {
+      try {
+        const textData = await processTextStyle(style, collectionMap, data.issues, collectionNames);
+        if (textData) {
+          tagLibrarySource(textData, style, libraryNames);
+          data.styles.textStyles.push(textData);
+        }
+      } catch (error) {
+        console.warn(`Failed to process text style ${style.name}:`, error);
+        addIssue(data.issues, 'error', 'text style', style.name, `failed to process: ${error.message}`);
+      }
+    }
+
+    // Process effect styles
+    for (const style of effectStyles) {
+      try {
+        const effectData = await processEffectStyle(style, data.issues, colorFormat);
+        if (effectData) {
+          tagLibrarySource(effectData, style, libraryNames);
+          data.styles.effectStyles.push(effectData);
+        }
+      } catch (error) {
+        console.warn(`Failed to process effect style ${style.name}:`, error);
+        addIssue(data.issues, 'error', 'effect style', style.name, `failed to process: ${error.message}`);
+      }
+    }
+
+    // Process grid styles
+    for (const style of gridStyles) {
+      try {
+        const gridData = await processGridStyle(style, data.issues);
+        if (gridData) {
+          tagLibrarySource(gridData, style, libraryNames);
+          data.styles.gridStyles.push(gridData);
+        }
+      } catch (error) {
+        console.warn(`Failed to process grid style ${style.name}:`, error);
+        addIssue(data.issues, 'error', 'grid style', style.name, `failed to process: ${error.message}`);
+      }
+    }
+
+    // Fill the collection lookup map and initialize collection structure
+    collections.forEach(collection => {
+      collectionMap.set(collection.id, collection);
+      
+      // Debug collection modes
+      console.log(`Collection "${collection.name}" modes:`, collection.modes);
+      
+      // Include all collections (remove underscore filtering)
+      if (collection.name) {
+        data.collections[collectionNames.get(collection.id)] = {
+          id: collection.id,
+          defaultModeId: collection.defaultModeId,
+          modes: collection.modes.map(mode => {
+
+            return {
+              id: mode.modeId || mode.id,
+              name: mode.name || `Mode ${mode.modeId || mode.id}`
+            };
+          }),
+          variables: {
+            colors: [],
+            numbers: [],
+            strings: [],
+            booleans: []
+          }
+        };
+        tagLibrarySource(data.collections[collectionNames.get(collection.id)], collection, libraryNames);
+      }
+    });
+
+    // Process variables and group by collection
+    let processedCount = 0;
+    let skippedCount = 0;
+    const processedVariableNames = new Set(); // Track processed variables to avoid duplicates
+    
+    for (const variable of variables) {
+      try {
+        const collection = collectionMap.get(variable.variableCollectionId);
+        const collectionName = collectionNames.get(variable.variableCollectionId) ||
+          ((collection && collection.name) ? collection.name : 'Other');
+        
+        // Skip duplicate variables (same name in same collection)
+        const variableKey = `${collectionName}:${variable.name}`;
+        if (processedVariableNames.has(variableKey)) {
+          console.log(`  Skipping duplicate variable: "${variable.name}" in "${collectionName}"`);
+          addIssue(data.issues, 'error', 'variable', `${collectionName} / ${variable.name}`, 'duplicate name in the collection, skipped');
+          skippedCount++;
+          continue;
+        }
+        
+        const varData = await processVariable(variable, collectionMap, data.issues, collectionNames, colorFormat);
+        if (varData) {
+          tagLibrarySource(varData, variable, libraryNames);
+          processedVariableNames.add(variableKey);
+          processedCount++;
+          
+          // Ensure collection exists in data structure
+          if (!data.collections[collectionName]) {
+            data.collections[collectionName] = {
+              id: variable.variableCollectionId,
+              defaultModeId: collection ? collection.defaultModeId : undefined,
+              modes: collection ? collection.modes.map(mode => ({
+                id: mode.modeId || mode.id,
+                name: mode.name || `Mode ${mode.modeId || mode.id}`
+              })) : [],
+              variables: {
+                colors: [],
+                numbers: [],
+                strings: [],
+                booleans: []
+              }
+            };
+          }
+          
+          // Add variable to appropriate collection and type
+          switch (varData.type) {
+            case 'color':
+              data.collections[collectionName].variables.colors.push(varData);
+              break;
+            case 'float':
+              data.collections[collectionName].variables.numbers.push(varData);
+              break;
+            case 'string':
+              data.collections[collectionName].variables.strings.push(varData);
+              break;
+            case 'boolean':
+              data.collections[collectionName].variables.booleans.push(varData);
+              break;
+          }
+        } else {
+          addIssue(data.issues, 'error', 'variable', `${collectionName} / ${variable.name}`, 'no valid value in any mode, skipped');
+          skippedCount++;
+        }
+      } catch (error) {
+        console.warn(`Failed to process variable ${variable.name}:`, error);
+        addIssue(data.issues, 'error', 'variable', variable.name, `failed to process: ${error.message}`);
+        skippedCount++;
+      }
+    }
+    
+    console.log(`Variable processing complete: ${processedCount} processed, ${skippedCount} skipped`);
+
+
+
+    // Remove empty collections (but let's be more conservative)
+    const collectionsToRemove = [];
+    Object.keys(data.collections).forEach(collectionName => {
+      const collection = data.collections[collectionName];
+      const totalVariables = collection.variables.colors.length + 
+                           collection.variables.numbers.length + 
+                           collection.variables.strings.length + 
+                           collection.variables.booleans.length;
+      
+      if (totalVariables === 0) {
+        console.log(`Removing empty collection: "${collectionName}"`);
+        collectionsToRemove.push(collectionName);
+      }
+    });
+    
+    collectionsToRemove.forEach(name => {
+      delete data.collections[name];
+    });
+
+    // Add collection summary to metadata
+    data.metadata.collectionsFound = collections.length;
+    data.metadata.collectionsExported = Object.keys(data.collections).length;
+    
+    // Final debug summary
+    console.log(`Export Summary:`);
+    console.log(`- Collections found: ${collections.length}`);
+    console.log(`- Collections exported: ${Object.keys(data.collections).length}`);
+    console.log(`- Exported collection names:`, Object.keys(data.collections));
+    
+    Object.keys(data.collections).forEach(name => {
+      const collection = data.collections[name];
+      const varCount = collection.variables.colors.length + 
+                      collection.variables.numbers.length + 
+                      collection.variables.strings.length + 
+                      collection.variables.booleans.length;
+      console.log(`  - "${name}": ${varCount} variables`);
+    });
+
+  } catch (error) {
+    console.error('Error during export process:', error);
+    throw new Error('Failed to export styles and variables. Please ensure the file has loaded completely and try again.');
+  }
+
+  // Final data structure check before return
+  console.log('Final data structure keys:', Object.keys(data));
+  console.log('Collections in final data:', data.collections ? Object.keys(data.collections) : 'MISSING');
+
+  return data;
+}
+
+// Team library tokens: the library styles and variables that nodes in the file use, and the
+// variables those styles bind and those variables alias. Only what the file already has is read:
+// importing every library variable by key would add them all to the document. Used styles are
+// re-imported by key so the export has the published values. Records each library collection's
+// name in libraryNames.
+async function collectLibraryTokens(issues, libraryNames) {
+  const library = {
+    paintStyles: [],
+    textStyles: [],
+    effectStyles: [],
+    gridStyles: [],
+    variables: [],
+    collections: []
+  };
+
+  // Enabled libraries list their variables' keys, which names the library a used variable is from
+  const libraryNamesByKey = new Map();
+  const libraryCollections = await figma.teamLibrary.getAvailableLibraryVariableCollectionsAsync();
+  for (const libraryCollection of libraryCollections) {
+    try {
+      const libraryVariables = await figma.teamLibrary.getVariablesInLibraryCollectionAsync(libraryCollection.key);
+      for (const libraryVariable of libraryVariables) {
+        libraryNamesByKey.set(libraryVariable.key, libraryCollection.libraryName);
+      }
+    } catch (error) {
+      console.warn(`Failed to read library collection ${libraryCollection.name}:`, error);
+      addIssue(issues, 'warning', 'library', `${libraryCollection.libraryName} / ${libraryCollection.name}`, `couldn't read the library: ${error.message}`);
+    }
+  }
+
+  const usage = await findLibraryUsage();
+  const seenIds = new Set();
+  for (const id of usage.styleIds) {
+    let style = await figma.getStyleByIdAsync(id);
+    if (!style || !style.remote || seenIds.has(style.id)) continue;
+    try {
+      style = await figma.importStyleByKeyAsync(style.key);
+    } catch (error) {
+      // Library unavailable (e.g. unpublished or no access), keep the copy in this file
+      addIssue(issues, 'warning', 'library', style.name, `couldn't import by key, using the copy in this file: ${error.message}`);
+    }
+    seenIds.add(style.id);
+    const lists = { PAINT: library.paintStyles, TEXT: library.textStyles, EFFECT: library.effectStyles, GRID: library.gridStyles };
+    if (lists[style.type]) lists[style.type].push(style);
+    for (const item of [style].concat(style.paints || [], style.effects || [], style.layoutGrids || [])) {
+      addBoundVariableIds(item, usage.variableIds);
+    }
+  }
+
+  const pending = Array.from(usage.variableIds);
+  while (pending.length > 0) {
+    const variable = await figma.variables.getVariableByIdAsync(pending.shift());
+    if (!variable || !variable.remote || seenIds.has(variable.id)) continue;
+    seenIds.add(variable.id);
+    library.variables.push(variable);
+    if (libraryNamesByKey.has(variable.key)) {
+      libraryNames.set(variable.variableCollectionId, libraryNamesByKey.get(variable.key));
+    }
+    if (!seenIds.has(variable.variableCollectionId)) {
+      seenIds.add(variable.variableCollectionId);
+      const collection = await figma.variables.getVariableCollectionByIdAsync(variable.variableCollectionId);
+      if (collection) library.collections.push(collection);
+    }
+    for (const value of Object.values(variable.valuesByMode || {})) {
+      if (isVariableAlias(value)) pending.push(value.id);
+    }
+  }
+
+  return library;
+}
+
+// Style and variable ids that nodes on every page use (with dynamic-page, pages load on demand)
+async function findLibraryUsage() {
+  const usage = { styleIds: new Set(), variableIds: new Set() };
+  for (const page of figma.root.children) {
+    await page.loadAsync();
+    for (const node of page.findAll()) {
+      collectNodeUsage(node, usage);
+    }
+  }
+  return usage;
+}
+
+// What the selected layers use, including the layers inside them and inside instances
+function findSelectionUsage() {
+  const selection = figma.currentPage.selection;
+  if (selection.length === 0) {
+    throw new Error('Select the layers to export tokens from, or turn off "Only tokens used by the selection"');
+  }
+  const usage = { styleIds: new Set(), variableIds: new Set() };
+  for (const node of selection) {
+    collectNodeUsage(node, usage);
+    if (typeof node.findAll === 'function') {
+      for (const child of node.findAll()) {
+        collectNodeUsage(child, usage);
+      }
+    }
+  }
+  return usage;
+}
+
+// Adds the style ids and variable ids one node references to usage
+function collectNodeUsage(node, usage) {
+  for (const field of ['fillStyleId', 'strokeStyleId', 'effectStyleId', 'gridStyleId', 'textStyleId']) {
+    const id = node[field];
+    if (typeof id === 'string' && id) usage.styleIds.add(id);
+  }
+  // Text with mixed styles keeps them per character range
+  if (node.type === 'TEXT' && (node.textStyleId === figma.mixed || node.fillStyleId === figma.mixed)) {
+    for (const segment of node.getStyledTextSegments(['textStyleId', 'fillStyleId', 'boundVariables'])) {
+      if (segment.textStyleId) usage.styleIds.add(segment.textStyleId);
+      if (segment.fillStyleId) usage.styleIds.add(segment.fillStyleId);
+      addBoundVariableIds(segment, usage.variableIds);
+    }
+  }
+  addBoundVariableIds(node, usage.variableIds);
+  for (const field of ['fills', 'strokes', 'effects', 'layoutGrids']) {
+    if (!Array.isArray(node[field])) continue;
+    for (const item of node[field]) {
+      addBoundVariableIds(item, usage.variableIds);
+    }
+  }
+}
+
+// boundVariables holds an alias, a list of them (fills) or a map of them (component properties)
+function addBoundVariableIds(item, variableIds) {
+  for (const field of Object.keys(item.boundVariables || {})) {
+    const bound = item.boundVariables[field];
+    const aliases = Array.isArray(bound) ? bound : isVariableAlias(bound) ? [bound] : Object.values(bound || {});
+    for (const alias of aliases) {
+      if (isVariableAlias(alias)) variableIds.add(alias.id);
+    }
+  }
+}
+
+// Narrows the token lists to the used styles and variables. Styles that aren't in the lists
+// (library styles nobody imported) are fetched by id, and variables bound in the used styles
+// and the targets of aliases count as used, so every reference in the output resolves.
+async function scopeTokensToUsage(tokens, usage, issues) {
+  const stylesById = new Map();
+  for (const style of [].concat(tokens.paintStyles, tokens.textStyles, tokens.effectStyles, tokens.gridStyles)) {
+    stylesById.set(style.id, style);
+  }
+  const usedStyles = [];
+  for (const id of usage.styleIds) {
+    const style = stylesById.get(id) || await figma.getStyleByIdAsync(id);
+    if (!style) {
+      addIssue(issues, 'warning', 'style', id, 'used by the selection but no longer exists, skipped');
+      continue;
+    }
+    usedStyles.push(style);
+    for (const item of [style].concat(style.paints || [], style.effects || [], style.layoutGrids || [])) {
+      addBoundVariableIds(item, usage.variableIds);
+    }
+  }
+
+  const variablesById = new Map(tokens.variables.map(variable => [variable.id, variable]));
+  const usedVariables = new Map();
+  const pending = Array.from(usage.variableIds);
+  while (pending.length > 0) {
+    const id = pending.shift();
+    if (usedVariables.has(id)) continue;
+    const variable = variablesById.get(id) || await figma.variables.getVariableByIdAsync(id);
+    if (!variable) continue; // processVariable reports the broken alias that led here
+    usedVariables.set(id, variable);
+    for (const value of Object.values(variable.valuesByMode || {})) {
+      if (isVariableAlias(value)) pending.push(value.id);
+    }
+  }
+
+  const collectionIds = new Set(Array.from(usedVariables.values()).map(variable => variable.variableCollectionId));
+  const collections = tokens.collections.filter(collection => collectionIds.has(collection.id));
+  for (const id of collectionIds) {
+    if (collections.some(collection => collection.id === id)) continue;
+    const collection = await figma.variables.getVariableCollectionByIdAsync(id);
+    if (collection) collections.push(collection);
+  }
+
+  return {
+    paintStyles: usedStyles.filter(style => style.type === 'PAINT'),
+    textStyles: usedStyles.filter(style => style.type === 'TEXT'),
+    effectStyles: usedStyles.filter(style => style.type === 'EFFECT'),
+    gridStyles: usedStyles.filter(style => style.type === 'GRID'),
+    variables: Array.from(usedVariables.values()),
+    collections
+  };
+}
+
+// Library collections keep their name unless a local (or another library's) collection has it
+function getCollectionExportNames(collections, libraryNames) {
+  const names = new Map();
+  const used = new Set(collections.filter(collection => !collection.remote).map(collection => collection.name));
+  for (const collection of collections) {
+    let name = collection.name;
+    if (collection.remote) {
+      if (used.has(name)) {
+        name = `${name} (${libraryNames.get(collection.id) || 'Library'})`;
+      }
+      used.add(name);
+    }
+    names.set(collection.id, name);
+  }
+  return names;
+}
+
+// Library entries carry { name, key }. Figma only tells plugins the library name of variable
+// collections, so styles (which have no collection) get name: null to mark it as unknown.
+function tagLibrarySource(result, item, libraryNames) {
+  if (!item.remote) return;
+  const collectionId = item.variableCollectionId || (item.modes ? item.id : null);
+  result.library = { name: libraryNames.get(collectionId) || null, key: item.key };
+}
+
+// Helper function to convert Figma RGB (0-1) to standard RGB (0-255)
+function figmaRgbToStandardRgb(figmaColor) {
+  return {
+    r: Math.round(figmaColor.r * 255),
+    g: Math.round(figmaColor.g * 255),
+    b: Math.round(figmaColor.b * 255)
+  };
+}
+
+// Helper function to convert Figma RGBA to standard RGBA
+function figmaRgbaToStandardRgba(figmaColor) {
+  // Validate input
+  if (!figmaColor || typeof figmaColor !== 'object') {
+    return { r: 0, g: 0, b: 0, a: 1 };
+  }
+
+  // Ensure color values are valid numbers between 0 and 1
+  const r = Math.max(0, Math.min(1, figmaColor.r || 0));
+  const g = Math.max(0, Math.min(1, figmaColor.g || 0));
+  const b = Math.max(0, Math.min(1, figmaColor.b || 0));
+  const a = figmaColor.a !== undefined ? Math.max(0, Math.min(1, figmaColor.a)) : 1;
+
+  return {
+    r: Math.round(r * 255),
+    g: Math.round(g * 255),
+    b: Math.round(b * 255),
+    a: Math.round(a * 100) / 100 // Round to 2 decimal places
+  };
+}
+
+async function processColorStyle(style, issues = [], colorFormat = 'hex') {
+  if (!style.paints || style.paints.length === 0) {
+    addIssue(issues, 'warning', 'color style', style.name, 'no paints, skipped');
+    return null;
+  }
+
+  const paints = style.paints.filter(paint => paint.visible !== false);
+  if (paints.length === 0) {
+    addIssue(issues, 'warning', 'color style', style.name, 'no visible paints, skipped');
+    return null;
+  }
+
+  // Figma stacks paints bottom to top, CSS lists backgrounds top to bottom
+  const layers = [];
+  for (const paint of paints.slice().reverse()) {
+    const layer = processPaint(paint, style.name, issues, colorFormat);
+    if (layer) layers.push(layer);
+  }
+  if (layers.length === 0) {
+    return null;
+  }
+
+  const result = {
+    id: style.id,
+    name: style.name,
+    token: generateToken(style.name),
+    type: layers.length === 1 ? layers[0].type : 'layered'
+  };
+
+  // Only include description if it exists and isn't empty
+  if (style.description && style.description.trim()) {
+    result.description = style.description.trim();
+  }
+
+  if (layers.length === 1) {
+    const layer = Object.assign({}, layers[0]);
+    delete layer.type;
+    Object.assign(result, layer);
+  } else {
+    // Every layer as a background; only the bottom one may be a plain color
+    const backgrounds = layers.filter(layer => layer.value !== 'image');
+    result.value = backgrounds.map((layer, index) =>
+      layer.type === 'solid' && index < backgrounds.length - 1 ? `linear-gradient(${layer.value}, ${layer.value})` : layer.value
+    ).join(', ');
+    if (backgrounds.some(layer => layer.blendMode)) {
+      result.backgroundBlendMode = backgrounds.map(layer => layer.blendMode || 'normal').join(', ');
+    }
+    result.layers = layers;
+  }
+
+  return result;
+}
+
+// One paint as { type, value, ... }, or null (with an issue) when it can't be exported
+function processPaint(paint, styleName, issues, colorFormat) {
+  const layer = {
+    type: paint.type.toLowerCase()
+  };
+
+  switch (paint.type) {
+    case 'SOLID':
+      if (!rgbToHex(paint.color)) {
+        addIssue(issues, 'error', 'color style', styleName, 'invalid color, skipped');
+        return null; // Skip color styles with invalid colors
+      }
+      layer.value = getCSSColor(toRawRgba(paint.color, paint.opacity), colorFormat);
+      layer.rgba = toRawRgba(paint.color, paint.opacity);
+      break;
+      
+    case 'GRADIENT_LINEAR':
+    case 'GRADIENT_RADIAL':
+    case 'GRADIENT_ANGULAR':
+    case 'GRADIENT_DIAMOND':
+      // Validate gradient stops first
+      if (!paint.gradientStops || paint.gradientStops.length === 0) {
+        addIssue(issues, 'warning', 'color style', styleName, 'gradient without stops, skipped');
+        return null; // Skip gradients with no stops
+      }
+      
+      const validStops = paint.gradientStops.filter(stop => {
+        const hex = rgbToHex(stop.color);
+        return hex !== null; // Only include stops with valid colors
+      });
+      
+      if (validStops.length === 0) {
+        addIssue(issues, 'error', 'color style', styleName, 'gradient without valid color stops, skipped');
+        return null; // Skip gradients with no valid color stops
+      }
+      if (validStops.length < paint.gradientStops.length) {
+        addIssue(issues, 'warning', 'color style', styleName,
+          `${paint.gradientStops.length - validStops.length} gradient stop(s) with invalid colors dropped`);
+      }
+      if (paint.type === 'GRADIENT_DIAMOND') {
+        addIssue(issues, 'warning', 'color style', styleName, 'CSS has no diamond gradient, exported as a radial gradient');
+      }
+      
+      layer.value = generateGradientCSS(Object.assign({}, paint, { gradientStops: validStops }), colorFormat);
+      layer.gradient = getGradientGeometry(paint);
+      // Stop colors include the paint opacity
+      layer.stops = validStops.map(stop => ({
+        color: getCSSColor(getStopColor(stop, paint), colorFormat),
+        position: Math.round(stop.position * 100) + '%',
+        rgba: toRawRgba(getStopColor(stop, paint))
+      }));
+      break;
+      
+    case 'IMAGE':
+      layer.value = 'image';
+      layer.scaleMode = paint.scaleMode || 'fill';
+      if (paint.opacity !== undefined && paint.opacity < 1) {
+        layer.opacity = Math.round(paint.opacity * 100) / 100;
+      }
+      break;
+      
+    default:
+      layer.value = 'transparent';
+  }
+
+  if (paint.blendMode && paint.blendMode !== 'NORMAL' && paint.blendMode !== 'PASS_THROUGH') {
+    layer.blendMode = paint.blendMode.toLowerCase().replace(/_/g, '-');
+  }
+
+  return layer;
+}
+
+async function processTextStyle(style, collectionMap, issues = [], collectionNames = new Map()) {
+  const result = {
+    id: style.id,
+    name: style.name,
+    token: generateToken(style.name),
+    type: 'text'
+  };
+
+  // Only include description if it exists and isn't empty
+  if (style.description && style.description.trim()) {
+    result.description = style.description.trim();
+  }
+
+  // Add font properties only if they exist
+  if (style.fontName && style.fontName.family) {
+    result.fontFamily = style.fontName.family;
+  }
+
+  if (style.fontName && style.fontName.style) {
+    const weight = parseFontWeight(style.fontName.style);
+    if (weight) result.fontWeight = weight;
+    
+    if (style.fontName.style.toLowerCase().includes('italic')) {
+      result.fontStyle = 'italic';
+    }
+  }
+
+  if (style.fontSize) {
+    result.fontSize = style.fontSize + 'px';
+  }
+
+  if (style.lineHeight && typeof style.lineHeight === 'object') {
+    if (style.lineHeight.unit === 'PIXELS') {
+      result.lineHeight = style.lineHeight.value + 'px';
+    } else if (style.lineHeight.unit === 'PERCENT') {
+      result.lineHeight = (style.lineHeight.value / 100);
+    } else if (style.lineHeight.unit === 'AUTO') {
+      result.lineHeight = 'normal';
+    }
+  }
+
+  if (style.letterSpacing && typeof style.letterSpacing === 'object') {
+    if (style.letterSpacing.unit === 'PIXELS') {
+      result.letterSpacing = style.letterSpacing.value + 'px';
+    } else if (style.letterSpacing.unit === 'PERCENT') {
+      result.letterSpacing = style.letterSpacing.value + '%';
+    }
+  }
+
+  if (style.textCase && style.textCase !== 'ORIGINAL') {
+    result.textTransform = style.textCase.toLowerCase().replace('_', '-');
+  }
+
+  if (style.textDecoration && style.textDecoration !== 'NONE') {
+    result.textDecoration = style.textDecoration.toLowerCase().replace('_', '-');
+  }
+
+  // Paragraph and list layout, only when set
+  if (style.paragraphSpacing) {
+    result.paragraphSpacing = style.paragraphSpacing + 'px';
+  }
+  if (style.paragraphIndent) {
+    result.paragraphIndent = style.paragraphIndent + 'px';
+  }
+  if (style.listSpacing) {
+    result.listSpacing = style.listSpacing + 'px';
+  }
+  if (style.hangingList) {
+    result.hangingList = true;
+  }
+  if (style.hangingPunctuation) {
+    result.hangingPunctuation = true;
+  }
+  if (style.leadingTrim && style.leadingTrim !== 'NONE') {
+    result.leadingTrim = style.leadingTrim.toLowerCase().replace('_', '-');
+  }
+
+  // Variables bound to text properties, in the same shape as variable alias targets
+  const boundVariables = {};
+  for (const [field, alias] of Object.entries(style.boundVariables || {})) {
+    if (!isVariableAlias(alias)) continue;
+    const variable = await figma.variables.getVariableByIdAsync(alias.id);
+    if (!variable) {
+      addIssue(issues, 'warning', 'text style', style.name, `${field} is bound to a missing variable, exported as its value`);
+      continue;
+    }
+    const collection = await getVariableCollection(variable.variableCollectionId, collectionMap);
+    boundVariables[field] = {
+      collection: collectionNames.get(variable.variableCollectionId) ||
+        ((collection && collection.name) ? collection.name : 'Other'),
+      name: variable.name,
+      token: generateToken(variable.name)
+    };
+    if (hasCodeSyntax(variable)) {
+      boundVariables[field].codeSyntax = Object.assign({}, variable.codeSyntax);
+    }
+  }
+  if (Object.keys(boundVariables).length > 0) {
+    result.boundVariables = boundVariables;
+  }
+
+  result.css = generateTextStyleCSS(style);
+
+  return result;
+}
+
+async function processEffectStyle(style, issues = [], colorFormat = 'hex') {
+  // Skip effect styles with no effects
+  if (!style.effects || style.effects.length === 0) {
+    addIssue(issues, 'warning', 'effect style', style.name, 'no effects, skipped');
+    return null;
+  }
+
+  const properties = generateEffectProperties(style.effects, colorFormat);
+  // Skip if no valid CSS was generated
+  if (Object.keys(properties).length === 0) {
+    addIssue(issues, 'warning', 'effect style', style.name, 'no visible shadow or blur effects, skipped');
+    return null;
+  }
+
+  const result = {
+    id: style.id,
+    name: style.name,
+    token: generateToken(style.name),
+    type: 'effect'
+  };
+  if (properties.boxShadow) {
+    result.value = `box-shadow: ${properties.boxShadow}`;
+  }
+  result.properties = properties;
+
+  // Only include description if it exists and isn't empty
+  if (style.description && style.description.trim()) {
+    result.description = style.description.trim();
+  }
+
+  // Add simplified effects array for easier parsing
+  if (style.effects && style.effects.length > 0) {
+    result.effects = style.effects.map(effect => {
+      const cleanEffect = {
+        type: effect.type.toLowerCase().replace('_', '-')
+      };
+
+      if (effect.type === 'DROP_SHADOW' || effect.type === 'INNER_SHADOW') {
+        cleanEffect.x = (effect.offset && effect.offset.x) || 0;
+        cleanEffect.y = (effect.offset && effect.offset.y) || 0;
+        cleanEffect.blur = effect.radius || 0;
+        cleanEffect.spread = effect.spread || 0;
+        
+        if (effect.color) {
+          cleanEffect.color = getCSSColor(effect.color, colorFormat) || 'transparent';
+          cleanEffect.rgba = toRawRgba(effect.color);
+        }
+        if (effect.type === 'DROP_SHADOW' && effect.showShadowBehindNode) {
+          cleanEffect.showShadowBehindNode = true;
+        }
+        if (effect.blendMode && effect.blendMode !== 'NORMAL' && effect.blendMode !== 'PASS_THROUGH') {
+          cleanEffect.blendMode = effect.blendMode.toLowerCase().replace(/_/g, '-');
+          if (effect.visible !== false) {
+            addIssue(issues, 'warning', 'effect style', style.name, `shadow blend mode ${cleanEffect.blendMode} has no CSS equivalent, exported as normal`);
+          }
+        }
+      } else if (effect.type === 'LAYER_BLUR' || effect.type === 'BACKGROUND_BLUR') {
+        cleanEffect.blur = effect.radius || 0;
+      }
+
+      if (effect.visible === false) {
+        cleanEffect.visible = false;
+      }
+
+      return cleanEffect;
+    });
+  }
+
+  return result;
+}
+
+async function processGridStyle(style, issues = []) {
+  // Skip grid styles with no layout grids
+  if (!style.layoutGrids || style.layoutGrids.length === 0) {
+    addIssue(issues, 'warning', 'grid style', style.name, 'no layout grids, skipped');
+    return null;
+  }
+
+  const result = {
+    id: style.id,
+    name: style.name,
+    token: generateToken(style.name),
+    type: 'grid'
+  };
+
+  // Only include description if it exists and isn't empty
+  if (style.description && style.description.trim()) {
+    result.description = style.description.trim();
+  }
+
+  // Add structured grid configuration
+  if (style.layoutGrids && style.layoutGrids.length > 0) {
+    result.grids = style.layoutGrids.map(grid => ({
+      pattern: grid.pattern.toLowerCase(),
+      count: grid.count || 12,
+      gutter: grid.gutterSize || 20,
+      margin: grid.offset || 0
+    }));
+  }
+
+  return result;
+}
+
+async function processVariable(variable, collectionMap, issues = [], collectionNames = new Map(), colorFormat = 'hex') {
+  const collection = collectionMap.get(variable.variableCollectionId);
+  const issueName = `${collectionNames.get(variable.variableCollectionId) || (collection && collection.name) || 'Other'} / ${variable.name}`;
+  const getModeName = modeId => {
+    const mode = collection && collection.modes ?
+      collection.modes.find(m => m.id === modeId || m.modeId === modeId) : null;
+    return (mode && mode.name) || `Mode ${modeId}`;
+  };
+  
+
+  
+  // Convert values for all modes
+  const convertedValues = {};
+  const rawColorsByMode = {};
+  const aliasesByMode = {};
+  let hasValidValue = false;
+  
+  for (const [modeId, rawValue] of Object.entries(variable.valuesByMode)) {
+    let cleanValue = null;
+    let actualValue = rawValue;
+    let aliasTarget = null;
+    
+    // Check if this is an alias (reference to another variable)
+    if (isVariableAlias(rawValue)) {
+      
+      try {
+        // Try to resolve the alias to get the actual variable
+        const aliasedVariable = await figma.variables.getVariableByIdAsync(rawValue.id);
+        if (aliasedVariable) {
+          const aliasedCollection = await getVariableCollection(aliasedVariable.variableCollectionId, collectionMap);
+          aliasTarget = {
+            collection: collectionNames.get(aliasedVariable.variableCollectionId) ||
+              ((aliasedCollection && aliasedCollection.name) ? aliasedCollection.name : 'Other'),
+            name: aliasedVariable.name,
+            token: generateToken(aliasedVariable.name)
+          };
+          if (hasCodeSyntax(aliasedVariable)) {
+            aliasTarget.codeSyntax = Object.assign({}, aliasedVariable.codeSyntax);
+          }
+
+          // Follow the alias chain down to a raw value
+          actualValue = await resolveVariableValue(aliasedVariable, modeId, collectionMap, new Set([variable.id]));
+          if (actualValue === undefined) {
+            console.log(`    Could not resolve alias chain for "${variable.name}"`);
+            addIssue(issues, 'error', 'variable', issueName, `alias in mode "${getModeName(modeId)}" ends without a value`);
+            continue;
+          }
+        } else {
+          console.log(`    Could not resolve alias`);
+          addIssue(issues, 'error', 'variable', issueName, `alias in mode "${getModeName(modeId)}" points at a missing variable`);
+          continue;
+        }
+      } catch (error) {
+        console.warn(`    Failed to resolve alias:`, error);
+        addIssue(issues, 'error', 'variable', issueName, `alias in mode "${getModeName(modeId)}" can't be resolved: ${error.message}`);
+        continue;
+      }
+    }
+    
+    switch (variable.resolvedType) {
+      case 'COLOR':
+        console.log(`  Processing COLOR "${variable.name}" mode ${modeId}:`, actualValue);
+        if (actualValue && typeof actualValue === 'object') {
+          const color = rgbToHex(actualValue) && getCSSColor(actualValue, colorFormat);
+          if (color) {
+            cleanValue = color;
+            hasValidValue = true;
+          } else {
+            console.log(`    ✗ COLOR value rejected - invalid hex conversion`);
+          }
+        } else {
+
+        }
+        break;
+      case 'FLOAT':
+        // Be more lenient with FLOAT validation
+        if (actualValue !== undefined && actualValue !== null && (typeof actualValue === 'number' || !isNaN(parseFloat(actualValue)))) {
+          cleanValue = typeof actualValue === 'number' ? actualValue : parseFloat(actualValue);
+          hasValidValue = true;
+        }
+        break;
+      case 'STRING':
+        if (actualValue !== undefined && actualValue !== null && actualValue !== '') {
+          cleanValue = actualValue;
+          hasValidValue = true;
+        }
+        break;
+      case 'BOOLEAN':
+        if (actualValue !== undefined && actualValue !== null) {
+          cleanValue = actualValue;
+          hasValidValue = true;
+        }
+        break;
+      default:
+        if (actualValue !== undefined && actualValue !== null) {
+          cleanValue = actualValue;
+          hasValidValue = true;
+        }
+    }
+    
+    if (cleanValue !== null) {
+      const modeName = getModeName(modeId);
+      
+      convertedValues[modeName] = cleanValue;
+      if (variable.resolvedType === 'COLOR') {
+        rawColorsByMode[modeName] = toRawRgba(actualValue);
+      }
+      if (aliasTarget) {
+        aliasesByMode[modeName] = aliasTarget;
+      }
+    }
+  }
+  
+  // Skip variables with no valid values
+  if (!hasValidValue || Object.keys(convertedValues).length === 0) {
+    return null;
+  }
+
+  // Alias failures are already reported; anything else missing is an empty or invalid value
+  if (collection && collection.modes) {
+    for (const mode of collection.modes) {
+      const modeName = getModeName(mode.modeId || mode.id);
+      const rawValue = variable.valuesByMode[mode.modeId || mode.id];
+      if (convertedValues[modeName] === undefined && !isVariableAlias(rawValue)) {
+        addIssue(issues, 'warning', 'variable', issueName, `no valid value for mode "${modeName}"`);
+      }
+    }
+  }
+  
+  // Return clean, developer-friendly structure
+  const result = {
+    id: variable.id,
+    name: variable.name,
+    token: generateToken(variable.name),
+    type: variable.resolvedType.toLowerCase()
+  };
+  
+  // Add a default value (the collection's default mode, else the first valid mode)
+  const modeNames = Object.keys(convertedValues);
+  const defaultMode = collection && collection.modes ?
+    collection.modes.find(m => m.modeId === collection.defaultModeId) : null;
+  const defaultModeName = (defaultMode && convertedValues[defaultMode.name] !== undefined) ?
+    defaultMode.name : modeNames[0];
+  result.value = convertedValues[defaultModeName];
+  
+  // Only include values object if there are multiple modes or meaningful mode names
+  const hasMultipleModes = modeNames.length > 1;
+  const hasMeaningfulModeNames = modeNames.some(name => !name.startsWith('Mode '));
+  
+  if (hasMultipleModes || hasMeaningfulModeNames) {
+    result.values = convertedValues;
+  }
+  
+  // Raw 0-1 channels for outputs that build native colors (Swift, Android, Flutter)
+  if (variable.resolvedType === 'COLOR') {
+    result.rgba = rawColorsByMode[defaultModeName];
+    if (result.values) {
+      result.rgbaValues = rawColorsByMode;
+    }
+  }
+  
+  // Keep alias targets so outputs can render references instead of raw values
+  const defaultAlias = aliasesByMode[defaultModeName];
+  if (defaultAlias) {
+    result.alias = defaultAlias;
+  }
+  if (result.values && Object.keys(aliasesByMode).length > 0) {
+    result.aliases = aliasesByMode;
+  }
+  
+  // Only include description if it exists and isn't empty
+  if (variable.description && variable.description.trim()) {
+    result.description = variable.description.trim();
+  }
+  
+  // Code syntax names (WEB/ANDROID/iOS) and scopes decide names, units and categories in outputs
+  if (hasCodeSyntax(variable)) {
+    result.codeSyntax = Object.assign({}, variable.codeSyntax);
+  }
+  if (variable.scopes && variable.scopes.length > 0) {
+    result.scopes = variable.scopes.slice();
+  }
+  
+  return result;
+}
+
+function hasCodeSyntax(variable) {
+  return !!variable.codeSyntax && Object.keys(variable.codeSyntax).length > 0;
+}
+
+function isVariableAlias(value) {
+  return !!value && typeof value === 'object' && value.type === 'VARIABLE_ALIAS';
+}
+
+async function getVariableCollection(collectionId, collectionMap) {
+  if (collectionMap.has(collectionId)) {
+    return collectionMap.get(collectionId);
+  }
+
+  // Aliases may point at collections that are not local (e.g. library collections)
+  const collection = await figma.variables.getVariableCollectionByIdAsync(collectionId);
+  collectionMap.set(collectionId, collection);
+  return collection;
+}
+
+// Resolve a variable to a raw value, following multi-level and cross-collection aliases
+async function resolveVariableValue(variable, modeId, collectionMap, visited) {
+  if (visited.has(variable.id)) {
+    throw new Error(`circular alias at "${variable.name}"`);
+  }
+  visited.add(variable.id);
+
+  let value = variable.valuesByMode[modeId];
+
+  // Mode ids are scoped to a collection, so a miss means the alias crossed into
+  // another collection. Figma then uses that collection's default mode.
+  if (value === undefined) {
+    const collection = await getVariableCollection(variable.variableCollectionId, collectionMap);
+    modeId = (collection && collection.defaultModeId) || Object.keys(variable.valuesByMode)[0];
+    value = variable.valuesByMode[modeId];
+  }
+
+  if (isVariableAlias(value)) {
+    const aliasedVariable = await figma.variables.getVariableByIdAsync(value.id);
+    if (!aliasedVariable) {
+      throw new Error(`"${variable.name}" points at a missing variable`);
+    }
+    return resolveVariableValue(aliasedVariable, modeId, collectionMap, visited);
+  }
+
+  return value;
+}
+
+// Problems use the same { kind, name, reason } shape as the import summary, plus a severity
+function addIssue(issues, severity, kind, name, reason) {
+  issues.push({ severity, kind, name, reason });
+}
+
+// Utility functions
+function generateToken(name) {
+  return name
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+function rgbToHex(rgb) {
+  // Validate input
+  if (!rgb || typeof rgb !== 'object') {
+    return null;
+  }
+
+  const toHex = (c) => {
+    // Ensure c is a valid number between 0 and 1
+    const normalizedValue = Math.max(0, Math.min(1, c || 0));
+    const intValue = Math.round(normalizedValue * 255);
+    
+    // Check for NaN or invalid values
+    if (isNaN(intValue) || intValue < 0 || intValue > 255) {
+      return '00';
+    }
+    
+    const hex = intValue.toString(16);
+    return hex.length === 1 ? '0' + hex : hex;
+  };
+
+  const hexR = toHex(rgb.r);
+  const hexG = toHex(rgb.g);
+  const hexB = toHex(rgb.b);
+
+  // Final validation - if any component is invalid, return null
+  if (hexR === '00' && hexG === '00' && hexB === '00' && 
+      (rgb.r === undefined || rgb.g === undefined || rgb.b === undefined)) {
+    return null;
+  }
+
+  return '#' + hexR + hexG + hexB;
+}
+
+// Unrounded 0-1 channels, with paint opacity folded into alpha
+function toRawRgba(figmaColor, opacity) {
+  const alpha = figmaColor.a !== undefined ? figmaColor.a : 1;
+  return {
+    r: figmaColor.r,
+    g: figmaColor.g,
+    b: figmaColor.b,
+    a: alpha * (opacity !== undefined ? opacity : 1)
+  };
+}
+
+function generateSolidColorCSS(paint) {
+  const { r, g, b } = paint.color;
+  const opacity = paint.opacity !== undefined ? 
+    Math.round(paint.opacity * 100) / 100 : 1; // Round to 2 decimal places
+  
+  if (opacity < 1) {
+    const rgba = figmaRgbaToStandardRgba(paint.color);
+    return `rgba(${rgba.r}, ${rgba.g}, ${rgba.b}, ${opacity})`;
+  }
+  
+  const hex = rgbToHex(paint.color);
+  return hex || 'transparent';
+}
+
+function generateGradientCSS(paint, colorFormat) {
+  if (!paint.gradientStops) return 'transparent';
+  
+  const geometry = getGradientGeometry(paint);
+  const stops = position => paint.gradientStops.map(stop =>
+    `${getCSSColor(getStopColor(stop, paint), colorFormat) || 'transparent'} ${position(stop.position)}%`
+  ).join(', ');
+  const percent = value => Math.round(value * 10000) / 100;
+  const at = geometry.center ? `at ${percent(geometry.center.x)}% ${percent(geometry.center.y)}%` : '';
+
+  switch (paint.type) {
+    case 'GRADIENT_LINEAR':
+      return `linear-gradient(${geometry.angle}deg, ${stops(position => percent(geometry.offset + position * geometry.scale))})`;
+      
+    case 'GRADIENT_RADIAL':
+    case 'GRADIENT_DIAMOND':
+      // Diamonds have no CSS equivalent, the radial gradient with the same extents is closest
+      return `radial-gradient(ellipse ${percent(geometry.radius.x)}% ${percent(geometry.radius.y)}% ${at}, ${stops(percent)})`;
+      
+    case 'GRADIENT_ANGULAR':
+      return `conic-gradient(from ${geometry.angle}deg ${at}, ${stops(percent)})`;
+      
+    default:
+      return `linear-gradient(${stops(percent)})`;
+  }
+}
+
+// Gradient geometry in the layer's normalized (0-1) space, assuming a square layer since styles
+// have no size. gradientTransform maps the layer to gradient space, where a linear gradient runs
+// from (0, 0.5) to (1, 0.5) and the others are centered at (0.5, 0.5) with handles at (1, 0.5)
+// and (0.5, 1). The inverse gives the handle positions.
+// Linear: the CSS angle plus offset/scale that move Figma's stop positions onto the CSS gradient line.
+// Radial, diamond: center and radii. Angular: center and start angle. Angles are CSS (0 = up, clockwise).
+function getGradientGeometry(paint) {
+  const [[a, b, c], [d, e, f]] = paint.gradientTransform || [[1, 0, 0], [0, 1, 0]];
+  const det = a * e - b * d || 1;
+  const toLayer = (x, y) => ({
+    x: (e * (x - c) - b * (y - f)) / det,
+    y: (a * (y - f) - d * (x - c)) / det
+  });
+  const round = value => Math.round(value * 10000) / 10000;
+  const toAngle = (from, to) => {
+    const angle = Math.atan2(to.x - from.x, -(to.y - from.y)) * 180 / Math.PI;
+    return Math.round(((angle % 360) + 360) % 360 * 100) / 100;
+  };
+  const geometry = {
+    type: paint.type.replace('GRADIENT_', '').toLowerCase(),
+    transform: [[a, b, c], [d, e, f]]
+  };
+
+  if (paint.type === 'GRADIENT_LINEAR') {
+    const start = toLayer(0, 0.5);
+    const end = toLayer(1, 0.5);
+    geometry.angle = toAngle(start, end);
+    // The CSS gradient line crosses the layer's center and reaches its corners
+    const radians = geometry.angle * Math.PI / 180;
+    const direction = { x: Math.sin(radians), y: -Math.cos(radians) };
+    const length = Math.abs(direction.x) + Math.abs(direction.y);
+    const lineStart = { x: 0.5 - direction.x * length / 2, y: 0.5 - direction.y * length / 2 };
+    const project = point => ((point.x - lineStart.x) * direction.x + (point.y - lineStart.y) * direction.y) / length;
+    geometry.offset = round(project(start));
+    geometry.scale = round(project(end) - project(start));
+    return geometry;
+  }
+
+  const center = toLayer(0.5, 0.5);
+  const xHandle = toLayer(1, 0.5);
+  const yHandle = toLayer(0.5, 1);
+  geometry.center = { x: round(center.x), y: round(center.y) };
+  if (paint.type === 'GRADIENT_ANGULAR') {
+    geometry.angle = toAngle(center, xHandle);
+  } else {
+    geometry.radius = {
+      x: round(Math.hypot(xHandle.x - center.x, xHandle.y - center.y)),
+      y: round(Math.hypot(yHandle.x - center.x, yHandle.y - center.y))
+    };
+  }
+  return geometry;
+}
+
+// A gradient stop's color with the paint's opacity applied
+function getStopColor(stop, paint) {
+  const opacity = paint.opacity !== undefined ? paint.opacity : 1;
+  return Object.assign({}, stop.color, { a: (stop.color.a !== undefined ? stop.color.a : 1) * opacity });
+}
+
+function generateTextStyleCSS(style) {
+  const cssProps = [];
+  
+  if (style.fontName && style.fontName.family) {
+    cssProps.push(`font-family: "${style.fontName.family}"`);
+  }
+  
+  if (style.fontName && style.fontName.style) {
+    // Convert Figma font style to CSS
+    const weight = parseFontWeight(style.fontName.style);
+    if (weight) cssProps.push(`font-weight: ${weight}`);
+    
+    if (style.fontName.style.toLowerCase().includes('italic')) {
+      cssProps.push('font-style: italic');
+    }
+  }
+  
+  if (style.fontSize) {
+    cssProps.push(`font-size: ${style.fontSize}px`);
+  }
+  
+  if (style.lineHeight && typeof style.lineHeight === 'object') {
+    if (style.lineHeight.unit === 'PIXELS') {
+      cssProps.push(`line-height: ${style.lineHeight.value}px`);
+    } else if (style.lineHeight.unit === 'PERCENT') {
+      cssProps.push(`line-height: ${style.lineHeight.value}%`);
+    } else if (style.lineHeight.unit === 'AUTO') {
+      cssProps.push('line-height: normal');
+    }
+  }
+  
+  if (style.letterSpacing && typeof style.letterSpacing === 'object') {
+    if (style.letterSpacing.unit === 'PIXELS') {
+      cssProps.push(`letter-spacing: ${style.letterSpacing.value}px`);
+    } else if (style.letterSpacing.unit === 'PERCENT') {
+      // CSS has no percent letter spacing, Figma's is relative to the font size
+      cssProps.push(`letter-spacing: ${style.letterSpacing.value / 100}em`);
+    }
+  }
+  
+  const textTransforms = { UPPER: 'uppercase', LOWER: 'lowercase', TITLE: 'capitalize' };
+  if (textTransforms[style.textCase]) {
+    cssProps.push(`text-transform: ${textTransforms[style.textCase]}`);
+  } else if (style.textCase === 'SMALL_CAPS' || style.textCase === 'SMALL_CAPS_FORCED') {
+    cssProps.push('font-variant-caps: small-caps');
+  }
+  
+  const textDecorations = { UNDERLINE: 'underline', STRIKETHROUGH: 'line-through' };
+  if (textDecorations[style.textDecoration]) {
+    cssProps.push(`text-decoration: ${textDecorations[style.textDecoration]}`);
+  }
+  
+  if (style.paragraphSpacing) {
+    cssProps.push(`margin-block-end: ${style.paragraphSpacing}px`);
+  }
+  
+  if (style.paragraphIndent) {
+    cssProps.push(`text-indent: ${style.paragraphIndent}px`);
+  }
+  
+  if (style.hangingPunctuation) {
+    cssProps.push('hanging-punctuation: first');
+  }
+  
+  if (style.leadingTrim === 'CAP_HEIGHT') {
+    cssProps.push('text-box: trim-both cap alphabetic');
+  }
+  
+  return cssProps.join('; ');
+}
+
+function parseFontWeight(fontStyle) {
+  // "Semi Bold", "Extra-Bold": compare without separators, longer names first
+  const style = fontStyle.toLowerCase().replace(/[\s_-]/g, '');
+  const weightMap = {
+    'thin': '100',
+    'hairline': '100',
+    'extralight': '200',
+    'ultralight': '200',
+    'light': '300',
+    'regular': '400',
+    'normal': '400',
+    'medium': '500',
+    'semibold': '600',
+    'demibold': '600',
+    'extrabold': '800',
+    'ultrabold': '800',
+    'bold': '700',
+    'black': '900',
+    'heavy': '900'
+  };
+  
+  for (const [key, value] of Object.entries(weightMap)) {
+    if (style.includes(key)) {
+      return value;
+    }
+  }
+  
+  // Check for numeric weights
+  const numericMatch = style.match(/(\d{3})/);
+  if (numericMatch) {
+    return numericMatch[1];
+  }
+  
+  return '400'; // default
+}
+
+function generateEffectCSS(effects) {
+  const properties = generateEffectProperties(effects);
+  return properties.boxShadow ? `box-shadow: ${properties.boxShadow}` : '';
+}
+
+// CSS for the visible effects of a style: shadows as box-shadow and as a drop-shadow() filter
+// (which has no spread or inset, and shows behind translucent layers like showShadowBehindNode),
+// layer blur as filter and background blur as backdrop-filter
+function generateEffectProperties(effects, colorFormat) {
+  const shadows = [];
+  const dropShadows = [];
+  const filters = [];
+  const backdropFilters = [];
+  
+  (effects || []).forEach(effect => {
+    if (effect.visible === false) return;
+    switch (effect.type) {
+      case 'DROP_SHADOW':
+      case 'INNER_SHADOW': {
+        // Skip effects without valid colors
+        const colorValue = effect.color ? getCSSColor(effect.color, colorFormat) : null;
+        if (!colorValue) return;
+        
+        const x = (effect.offset && effect.offset.x) || 0;
+        const y = (effect.offset && effect.offset.y) || 0;
+        const inset = effect.type === 'INNER_SHADOW' ? 'inset ' : '';
+        shadows.push(`${inset}${x}px ${y}px ${effect.radius || 0}px ${effect.spread || 0}px ${colorValue}`);
+        if (effect.type === 'DROP_SHADOW') {
+          dropShadows.push(`drop-shadow(${x}px ${y}px ${effect.radius || 0}px ${colorValue})`);
+        }
+        break;
+      }
+      case 'LAYER_BLUR':
+        filters.push(`blur(${toCSSBlur(effect.radius)}px)`);
+        break;
+      case 'BACKGROUND_BLUR':
+        backdropFilters.push(`blur(${toCSSBlur(effect.radius)}px)`);
+        break;
+    }
+  });
+  
+  const properties = {};
+  if (shadows.length > 0) properties.boxShadow = shadows.join(', ');
+  if (dropShadows.length > 0) properties.dropShadow = dropShadows.join(' ');
+  if (filters.length > 0) properties.filter = filters.join(' ');
+  if (backdropFilters.length > 0) properties.backdropFilter = backdropFilters.join(' ');
+  return properties;
+}
+
+// Figma's blur radius is twice the standard deviation CSS blur() takes
+function toCSSBlur(radius) {
+  return Math.round((radius || 0) / 2 * 100) / 100;
+}
+
+// Color output. Figma stores channels in the document's color profile, so
+// P3 files are converted (not reinterpreted) for sRGB formats, and OKLCH and
+// Display P3 keep wide-gamut colors without clamping
+const COLOR_FORMATS = ['hex', 'hex8', 'rgb', 'hsl', 'oklch', 'display-p3'];
+
+const RGB_TO_XYZ = {
+  'srgb': [
+    [0.4123907992659595, 0.357584339383878, 0.1804807884018343],
+    [0.21263900587151027, 0.715168678767756, 0.07219231536073371],
+    [0.01933081871559185, 0.11919477979462599, 0.9505321522496606]
+  ],
+  'display-p3': [
+    [0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+    [0.2289745640697488, 0.6917385218365064, 0.079286914093745],
+    [0, 0.04511338185890264, 1.043944368900976]
+  ]
+};
+const XYZ_TO_RGB = {
+  'srgb': [
+    [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+    [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+    [0.05563007969699366, -0.20397695888897652, 1.0569715142428786]
+  ],
+  'display-p3': [
+    [2.493496911941425, -0.9313836179191239, -0.40271078445071684],
+    [-0.8294889695615747, 1.7626640603183463, 0.023624685841943577],
+    [0.03584583024378447, -0.07617238926804182, 0.9568845240076872]
+  ]
+};
+const XYZ_TO_LMS = [
+  [0.819022437996703, 0.3619062600528904, -0.1288737815209879],
+  [0.0329836539323885, 0.9292868615863434, 0.0361446663506424],
+  [0.0481771893596242, 0.2642395317527308, 0.6335478284694309]
+];
+const LMS_TO_XYZ = [
+  [1.2268798758459243, -0.5578149944602171, 0.2813910456659647],
+  [-0.0405757452148008, 1.112286803280317, -0.0717110580655164],
+  [-0.0763729366746601, -0.4214933324022432, 1.5869240198367816]
+];
+const LMS_TO_OKLAB = [
+  [0.210454268309314, 0.7936177747023054, -0.0040720430116193],
+  [1.9779985324311684, -2.42859224204858, 0.450593709617411],
+  [0.0259040424655478, 0.7827717124575296, -0.808675754818659]
+];
+const OKLAB_TO_LMS = [
+  [1, 0.3963377773761749, 0.2158037573099136],
+  [1, -0.1055613458156586, -0.0638541728258133],
+  [1, -0.0894841775298119, -1.2914855480194092]
+];
+
+function multiplyMatrix(matrix, vector) {
+  return matrix.map(row => row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2]);
+}
+
+// sRGB and Display P3 share the sRGB transfer curve
+function toLinearChannel(value) {
+  const abs = Math.abs(value);
+  return abs <= 0.04045 ? value / 12.92 : Math.sign(value) * Math.pow((abs + 0.055) / 1.055, 2.4);
+}
+
+function fromLinearChannel(value) {
+  const abs = Math.abs(value);
+  return abs <= 0.0031308 ? value * 12.92 : Math.sign(value) * (1.055 * Math.pow(abs, 1 / 2.4) - 0.055);
+}
+
+function getDocumentColorSpace() {
+  return figma.root.documentColorProfile === 'DISPLAY_P3' ? 'display-p3' : 'srgb';
+}
+
+function convertColorSpace(channels, from, to) {
+  if (from === to) return channels;
+  const xyz = multiplyMatrix(RGB_TO_XYZ[from], channels.map(toLinearChannel));
+  return multiplyMatrix(XYZ_TO_RGB[to], xyz).map(fromLinearChannel);
+}
+
+function rgbToOklch(channels, space) {
+  const xyz = multiplyMatrix(RGB_TO_XYZ[space], channels.map(toLinearChannel));
+  const [l, a, b] = multiplyMatrix(LMS_TO_OKLAB, multiplyMatrix(XYZ_TO_LMS, xyz).map(Math.cbrt));
+  const hue = Math.atan2(b, a) * 180 / Math.PI;
+  return [l, Math.sqrt(a * a + b * b), hue < 0 ? hue + 360 : hue];
+}
+
+function oklchToRgb([l, c, h], space) {
+  const radians = h * Math.PI / 180;
+  const lms = multiplyMatrix(OKLAB_TO_LMS, [l, c * Math.cos(radians), c * Math.sin(radians)]).map(v => v * v * v);
+  return multiplyMatrix(XYZ_TO_RGB[space], multiplyMatrix(LMS_TO_XYZ, lms)).map(fromLinearChannel);
+}
+
+function rgbToHsl([r, g, b]) {
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const lightness = (max + min) / 2;
+  const delta = max - min;
+  if (delta === 0) return [0, 0, lightness];
+  const saturation = delta / (1 - Math.abs(2 * lightness - 1));
+  let hue;
+  if (max === r) hue = ((g - b) / delta) % 6;
+  else if (max === g) hue = (b - r) / delta + 2;
+  else hue = (r - g) / delta + 4;
+  hue *= 60;
+  return [hue < 0 ? hue + 360 : hue, saturation, lightness];
+}
+
+function hslToRgb([h, s, l]) {
+  const chroma = (1 - Math.abs(2 * l - 1)) * s;
+  const channel = n => {
+    const k = (n + h / 30) % 12;
+    return l - chroma / 2 * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+  };
+  return [channel(0), channel(8), channel(4)];
+}
+
+function roundTo(value, decimals) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+// A Figma color (0-1 channels in the document's profile) in one of COLOR_FORMATS
+function getCSSColor(color, colorFormat = 'hex') {
+  const alpha = roundTo(color.a !== undefined ? Math.max(0, Math.min(1, color.a)) : 1, 3);
+  const space = getDocumentColorSpace();
+  const channels = [color.r || 0, color.g || 0, color.b || 0];
+
+  if (colorFormat === 'oklch') {
+    const [l, c, h] = rgbToOklch(channels, space);
+    // Achromatic colors have no meaningful hue
+    const hue = c < 0.0001 ? 0 : roundTo(h, 2);
+    return `oklch(${roundTo(l * 100, 2)}% ${roundTo(c, 4)} ${hue}${alpha < 1 ? ` / ${alpha}` : ''})`;
+  }
+  if (colorFormat === 'display-p3') {
+    const p3 = convertColorSpace(channels, space, 'display-p3').map(value => roundTo(value, 4));
+    return `color(display-p3 ${p3.join(' ')}${alpha < 1 ? ` / ${alpha}` : ''})`;
+  }
+
+  // The remaining formats are sRGB, so colors outside it are clamped
+  const srgb = convertColorSpace(channels, space, 'srgb').map(value => Math.max(0, Math.min(1, value)));
+  const [r, g, b] = srgb.map(value => Math.round(value * 255));
+  switch (colorFormat) {
+    case 'hex8':
+      return '#' + [r, g, b, Math.round(alpha * 255)].map(value => value.toString(16).padStart(2, '0')).join('');
+    case 'rgb':
+      return alpha < 1 ? `rgba(${r}, ${g}, ${b}, ${alpha})` : `rgb(${r}, ${g}, ${b})`;
+    case 'hsl': {
+      const [h, s, l] = rgbToHsl(srgb);
+      const hsl = `${roundTo(h, 1)}, ${roundTo(s * 100, 1)}%, ${roundTo(l * 100, 1)}%`;
+      return alpha < 1 ? `hsla(${hsl}, ${alpha})` : `hsl(${hsl})`;
+    }
+    default:
+      return alpha < 1 ? `rgba(${r}, ${g}, ${b}, ${alpha})` : rgbToHex({ r: srgb[0], g: srgb[1], b: srgb[2] });
+  }
+}
+
+
+
+function generateVariableCSS(variable, collection) {
+  const token = `--${generateToken(variable.name)}`;
+  
+  // Get the default mode value
+  const defaultModeId = (collection && collection.defaultModeId) || Object.keys(variable.valuesByMode)[0];
+  const value = variable.valuesByMode[defaultModeId];
+  
+  if (variable.resolvedType === 'COLOR' && value) {
+    // Check if value is already converted (has integer RGB values) or needs conversion
+    const rgbValue = (typeof value.r === 'number' && value.r <= 1) ? 
+      figmaRgbaToStandardRgba(value) : value;
+    
+    const hex = rgbToHex({ r: rgbValue.r / 255, g: rgbValue.g / 255, b: rgbValue.b / 255 });
+    return `${token}: ${hex};`;
+  } else if (variable.resolvedType === 'FLOAT' && value !== undefined) {
+    return `${token}: ${value}px;`;
+  } else if (variable.resolvedType === 'STRING' && value) {
+    return `${token}: "${value}";`;
+  } else if (variable.resolvedType === 'BOOLEAN' && value !== undefined) {
+    return `${token}: ${value};`;
+  }
+  
+  return `${token}: /* ${variable.resolvedType} */;`;
+}
+
+module.exports = {
+  exportStylesAndVariables,
+  collectNodeUsage,
+  addBoundVariableIds,
+  isVariableAlias,
+  toRawRgba,
+  parseFontWeight,
+  getDocumentColorSpace,
+  convertColorSpace,
+  oklchToRgb,
+  hslToRgb,
+  getCSSColor
+};
\ No newline at end of file
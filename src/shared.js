@@ -0,0 +1,17 @@
+// Helpers both the plugin's main thread (code.js) and its UI (ui.js) use.
+// ES5, like the rest of the UI's script.
+
+// Git sync's API host: the settings' own, or the provider's public one
+var GIT_DEFAULT_HOSTS = {
+  github: 'https://api.github.com',
+  gitlab: 'https://gitlab.com/api/v4'
+};
+
+function getGitHost(git) {
+  return (git.host || GIT_DEFAULT_HOSTS[git.provider] || '').replace(/\/+$/, '');
+}
+
+module.exports = {
+  GIT_DEFAULT_HOSTS: GIT_DEFAULT_HOSTS,
+  getGitHost: getGitHost
+};
\ No newline at end of file
@@ -0,0 +1,1230 @@
+// The plugin window: settings, panels and the messages to and from code.js. The output formats
+// are in formatters.js.
+
+var formatters = require('./formatters');
+var shared = require('./shared');
+
+var exportedData = null;
+var processedOutput = '';
+var lastDiff = null;
+// The dry run the Apply import button applies
+var importPlan = null;
+
+// CSS selector pattern per collection for non-default modes
+var modeSelectorSettings = {};
+var namingSettings = JSON.parse(JSON.stringify(formatters.DEFAULT_NAMING));
+
+// Naming rules ("Collection: regex" lines) and whether errors block copy/download
+var validationSettings = {
+  rules: '',
+  blockOnErrors: false
+};
+var validationReport = null;
+
+// Filter picker: keys of the collections, modes, style types and "/" groups left out
+// (see getFilterKey), and whether private names starting with _ or . are left out too
+var filterSettings = {
+  excluded: [],
+  excludePrivate: false
+};
+
+// Export settings
+var exportSettings = {
+  description: true,
+  id: true,
+  aliases: true,
+  codeSyntax: true,
+  scopes: true,
+  library: true,
+  css: true,
+  boundVariables: true
+};
+
+// One-click presets. Built-in ones only set what they're about, saved ones are full snapshots
+var BUILT_IN_PRESETS = {
+  'Web CSS': {
+    format: 'css', includeStyles: true, includeVariables: true, includeMetadata: false, keepAliases: true,
+    colorFormat: 'hex', naming: { caseStyle: 'kebab', structure: 'flat' }
+  },
+  'Mobile JSON': {
+    format: 'json', includeStyles: true, includeVariables: true, includeMetadata: true, keepAliases: false,
+    colorFormat: 'hex8', naming: { caseStyle: 'camel', structure: 'nested' }
+  },
+  'Design Tokens (DTCG)': {
+    format: 'dtcg', includeStyles: true, includeVariables: true, includeMetadata: false, keepAliases: true
+  }
+};
+var userPresets = {};
+
+// Git sync target; paths maps a format to a file path, or to a folder (ending in /) for its bundle
+var gitSettings = {
+  provider: 'github',
+  host: '',
+  repo: '',
+  baseBranch: 'main',
+  paths: {}
+};
+// API hosts with a saved access token; the tokens themselves stay in code.js
+var gitTokenHosts = [];
+var gitPendingFiles = null;
+
+// Webhook target; headers holds "Name: value" lines. The auth header and signing secret stay in code.js
+var webhookSettings = {
+  url: '',
+  headers: '',
+  format: 'json',
+  body: 'envelope',
+  sign: false
+};
+// URLs with a saved auth header or signing secret
+var webhookSecretUrls = [];
+
+function openSettings() {
+  console.log('Opening settings...');
+  loadSettings();
+  document.getElementById('settings-panel').style.display = 'block';
+}
+
+function closeSettings() {
+  console.log('Closing settings...');
+  document.getElementById('settings-panel').style.display = 'none';
+}
+
+function applySettings() {
+  console.log('Applying settings...');
+  saveSettings();
+  persistSettings();
+  closeSettings();
+  if (exportedData) {
+    processAndDisplay();
+  }
+}
+
+function loadSettings() {
+  for (var key in formatters.TOKEN_FIELDS) {
+    document.getElementById(formatters.TOKEN_FIELDS[key].input).checked = exportSettings[key];
+  }
+  document.getElementById('naming-case').value = namingSettings.caseStyle;
+  document.getElementById('naming-prefix').value = namingSettings.prefix;
+  document.getElementById('naming-structure').value = namingSettings.structure;
+  document.getElementById('naming-include-collection').checked = namingSettings.includeCollection;
+  renderCollectionPrefixes(exportedData);
+  document.getElementById('validation-rules').value = validationSettings.rules;
+  document.getElementById('validation-block').checked = validationSettings.blockOnErrors;
+}
+
+function saveSettings() {
+  for (var key in formatters.TOKEN_FIELDS) {
+    exportSettings[key] = document.getElementById(formatters.TOKEN_FIELDS[key].input).checked;
+  }
+  namingSettings.caseStyle = document.getElementById('naming-case').value;
+  namingSettings.prefix = document.getElementById('naming-prefix').value.trim();
+  namingSettings.structure = document.getElementById('naming-structure').value;
+  namingSettings.includeCollection = document.getElementById('naming-include-collection').checked;
+  var prefixInputs = document.querySelectorAll('#naming-collection-prefixes input');
+  namingSettings.collectionPrefixes = {};
+  for (var i = 0; i < prefixInputs.length; i++) {
+    var collectionPrefix = prefixInputs[i].value.trim();
+    if (collectionPrefix) namingSettings.collectionPrefixes[prefixInputs[i].getAttribute('data-collection')] = collectionPrefix;
+  }
+  validationSettings.rules = document.getElementById('validation-rules').value;
+  validationSettings.blockOnErrors = document.getElementById('validation-block').checked;
+  console.log('Settings saved:', exportSettings, namingSettings, validationSettings);
+}
+
+// Everything the user can set, as saved per user, per file and in presets
+function getSettingsSnapshot() {
+  return JSON.parse(JSON.stringify({
+    preset: document.getElementById('preset-select').value,
+    format: document.querySelector('input[name="format"]:checked').value,
+    includeStyles: document.getElementById('include-styles').checked,
+    includeVariables: document.getElementById('include-variables').checked,
+    includeMetadata: document.getElementById('include-metadata').checked,
+    includeLibraries: document.getElementById('include-libraries').checked,
+    selectionOnly: document.getElementById('selection-only').checked,
+    keepAliases: document.getElementById('keep-aliases').checked,
+    colorFormat: document.getElementById('color-format').value,
+    modeSelectors: modeSelectorSettings,
+    naming: namingSettings,
+    validation: validationSettings,
+    fields: exportSettings,
+    filters: filterSettings,
+    git: gitSettings,
+    webhook: webhookSettings
+  }));
+}
+
+// Apply a full or partial snapshot; returns true when it changes what the scan collects
+function applySettingsSnapshot(settings) {
+  var rescan = false;
+  var formatInput = settings.format && document.getElementById('format-' + settings.format);
+  if (formatInput) formatInput.checked = true;
+
+  var checkboxes = {
+    includeStyles: 'include-styles',
+    includeVariables: 'include-variables',
+    includeMetadata: 'include-metadata',
+    includeLibraries: 'include-libraries',
+    selectionOnly: 'selection-only',
+    keepAliases: 'keep-aliases'
+  };
+  for (var key in checkboxes) {
+    if (settings[key] === undefined) continue;
+    var checkbox = document.getElementById(checkboxes[key]);
+    if ((key === 'includeLibraries' || key === 'selectionOnly') && checkbox.checked !== !!settings[key]) rescan = true;
+    checkbox.checked = !!settings[key];
+  }
+
+  var colorFormat = document.getElementById('color-format');
+  if (settings.colorFormat && colorFormat.value !== settings.colorFormat) {
+    colorFormat.value = settings.colorFormat;
+    rescan = true;
+  }
+
+  if (settings.modeSelectors) modeSelectorSettings = JSON.parse(JSON.stringify(settings.modeSelectors));
+  if (settings.naming) namingSettings = Object.assign({}, namingSettings, JSON.parse(JSON.stringify(settings.naming)));
+  if (settings.validation) validationSettings = Object.assign({}, validationSettings, settings.validation);
+  if (settings.fields) exportSettings = Object.assign({}, exportSettings, settings.fields);
+  if (settings.filters) filterSettings = Object.assign({}, filterSettings, JSON.parse(JSON.stringify(settings.filters)));
+  if (settings.git) gitSettings = Object.assign({}, gitSettings, JSON.parse(JSON.stringify(settings.git)));
+  if (settings.webhook) webhookSettings = Object.assign({}, webhookSettings, settings.webhook);
+  if (exportedData) renderModeSelectors(exportedData);
+  renderFilterTree(exportedData);
+  return rescan;
+}
+
+// Saves for this user and this file. Any change other than picking a preset leaves the preset
+function persistSettings(keepPreset) {
+  if (!keepPreset) document.getElementById('preset-select').value = '';
+  parent.postMessage({ pluginMessage: { type: 'save-settings', settings: getSettingsSnapshot() } }, '*');
+}
+
+function getPreset(value) {
+  var separator = value.indexOf(':');
+  var name = value.slice(separator + 1);
+  if (value.indexOf('builtin:') === 0) return BUILT_IN_PRESETS[name];
+  if (value.indexOf('user:') === 0) return userPresets[name];
+  return null;
+}
+
+function renderPresets(selected) {
+  var html = '<option value="">Custom</option>';
+  for (var name in BUILT_IN_PRESETS) {
+    html += '<option value="builtin:' + escapeHTML(name) + '">' + escapeHTML(name) + '</option>';
+  }
+  for (var name in userPresets) {
+    html += '<option value="user:' + escapeHTML(name) + '">' + escapeHTML(name) + '</option>';
+  }
+  var select = document.getElementById('preset-select');
+  select.innerHTML = html;
+  select.value = getPreset(selected || '') ? selected : '';
+}
+
+function applyPreset(value) {
+  var preset = getPreset(value);
+  if (!preset) return;
+  var rescan = applySettingsSnapshot(preset);
+  persistSettings(true);
+  if (!exportedData) return;
+  if (rescan) {
+    document.getElementById('export-btn').click();
+  } else {
+    processAndDisplay();
+  }
+}
+
+function savePreset() {
+  var name = document.getElementById('preset-name').value.trim();
+  if (!name) {
+    alert('Name the preset first');
+    return;
+  }
+  saveSettings();
+  var preset = getSettingsSnapshot();
+  delete preset.preset;
+  userPresets[name] = preset;
+  parent.postMessage({ pluginMessage: { type: 'save-presets', presets: userPresets } }, '*');
+  renderPresets('user:' + name);
+  document.getElementById('preset-name').value = '';
+  persistSettings(true);
+}
+
+function deletePreset() {
+  var value = document.getElementById('preset-select').value;
+  if (value.indexOf('user:') !== 0) {
+    alert('Pick one of your saved presets to delete it');
+    return;
+  }
+  delete userPresets[value.slice('user:'.length)];
+  parent.postMessage({ pluginMessage: { type: 'save-presets', presets: userPresets } }, '*');
+  renderPresets('');
+  persistSettings(true);
+}
+
+// "/" groups as a tree: { segment: { count, children } }
+function getGroupTree(names) {
+  var tree = {};
+  names.forEach(function(name) {
+    var segments = name.split('/').slice(0, -1);
+    var level = tree;
+    for (var i = 0; i < segments.length; i++) {
+      if (!level[segments[i]]) level[segments[i]] = { count: 0, children: {} };
+      level[segments[i]].count++;
+      level = level[segments[i]].children;
+    }
+  });
+  return tree;
+}
+
+function renderFilterItem(path, label, children) {
+  var key = formatters.getFilterKey(path);
+  var checked = filterSettings.excluded.indexOf(key) === -1 ? ' checked' : '';
+  return '<li><label class="checkbox-item"><input type="checkbox" data-filter-key="' + escapeHTML(key) + '"' + checked + '> ' +
+    escapeHTML(label) + '</label>' + (children ? '<ul>' + children + '</ul>' : '') + '</li>';
+}
+
+function renderGroupTree(path, tree) {
+  var html = '';
+  for (var segment in tree) {
+    var groupPath = path.concat(segment);
+    html += renderFilterItem(groupPath, segment + ' (' + tree[segment].count + ')', renderGroupTree(groupPath, tree[segment].children));
+  }
+  return html;
+}
+
+function renderFilterTree(data) {
+  document.getElementById('filter-private').checked = filterSettings.excludePrivate;
+  var excludedCount = filterSettings.excluded.length;
+  document.getElementById('filter-summary').textContent = excludedCount === 0 && !filterSettings.excludePrivate ?
+    'Everything is exported' :
+    excludedCount + ' left out' + (filterSettings.excludePrivate ? ', private names left out' : '');
+  if (!data) return;
+
+  var styles = '';
+  for (var styleType in formatters.STYLE_GROUPS) {
+    var items = (data.styles && data.styles[styleType]) || [];
+    if (items.length === 0) continue;
+    var names = items.map(function(item) { return item.name; });
+    styles += renderFilterItem(['styles', styleType], formatters.STYLE_GROUPS[styleType] + ' (' + items.length + ')',
+      renderGroupTree(['styles', styleType], getGroupTree(names)));
+  }
+
+  var collections = '';
+  for (var collectionName in (data.collections || {})) {
+    var collection = data.collections[collectionName];
+    var variables = [];
+    for (var group in collection.variables) variables = variables.concat(collection.variables[group]);
+    var modes = '';
+    if (collection.modes.length > 1) {
+      modes = collection.modes.map(function(mode) {
+        return renderFilterItem(['mode', collectionName, mode.name], 'Mode: ' + mode.name);
+      }).join('');
+    }
+    collections += renderFilterItem(['collection', collectionName], collectionName + ' (' + variables.length + ')',
+      modes + renderGroupTree(['collection', collectionName], getGroupTree(variables.map(function(variable) { return variable.name; }))));
+  }
+
+  document.getElementById('filter-tree').innerHTML =
+    (styles ? '<ul>' + styles + '</ul>' : '') + (collections ? '<ul>' + collections + '</ul>' : '') || 'Nothing to filter.';
+}
+
+function closeFilter() {
+  document.getElementById('filter-panel').style.display = 'none';
+}
+
+function renderModeSelectors(data) {
+  var container = document.getElementById('mode-selectors');
+  var html = '';
+  for (var collectionName in (data.collections || {})) {
+    var collection = data.collections[collectionName];
+    if (!collection.modes || collection.modes.length < 2) continue;
+    var selected = modeSelectorSettings[collectionName] || 'data-attribute';
+    var id = 'mode-selector-' + formatters.slugify(collectionName);
+    html += '<div class="select-item">' +
+      '<label for="' + id + '">' + escapeHTML(collectionName) + '</label>' +
+      '<select id="' + id + '" data-collection="' + escapeHTML(collectionName) + '">' +
+      '<option value="data-attribute"' + (selected === 'data-attribute' ? ' selected' : '') + '>[data-theme="…"]</option>' +
+      '<option value="class"' + (selected === 'class' ? ' selected' : '') + '>.theme-…</option>' +
+      '<option value="media"' + (selected === 'media' ? ' selected' : '') + '>@media (prefers-color-scheme)</option>' +
+      '</select></div>';
+  }
+  container.innerHTML = html;
+  document.getElementById('mode-selectors-group').style.display = html ? 'block' : 'none';
+
+  var selects = container.querySelectorAll('select');
+  for (var i = 0; i < selects.length; i++) {
+    selects[i].addEventListener('change', function() {
+      modeSelectorSettings[this.getAttribute('data-collection')] = this.value;
+      persistSettings();
+      processAndDisplay();
+    });
+  }
+}
+
+// One prefix input per scanned collection, used instead of the collection name in its tokens
+function renderCollectionPrefixes(data) {
+  var html = '';
+  for (var collectionName in ((data && data.collections) || {})) {
+    var id = 'naming-prefix-' + formatters.slugify(collectionName);
+    html += '<div class="select-item">' +
+      '<label for="' + id + '">' + escapeHTML(collectionName) + ' prefix</label>' +
+      '<input type="text" id="' + id + '" data-collection="' + escapeHTML(collectionName) + '" value="' +
+      escapeHTML(namingSettings.collectionPrefixes[collectionName] || '') + '">' +
+      '</div>';
+  }
+  document.getElementById('naming-collection-prefixes').innerHTML = html;
+}
+
+function escapeHTML(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function openImport() {
+  document.getElementById('import-panel').style.display = 'block';
+}
+
+function closeImport() {
+  document.getElementById('import-panel').style.display = 'none';
+}
+
+function readImportInput() {
+  var text = document.getElementById('import-input').value.trim();
+  if (!text) {
+    alert('Choose a file or paste tokens to import.');
+    return null;
+  }
+  try {
+    return formatters.flattenExportLists(JSON.parse(text));
+  } catch (err) {
+    alert('Import file is not valid JSON: ' + err.message);
+    return null;
+  }
+}
+
+function sendImport(type) {
+  var data = readImportInput();
+  if (!data) return;
+  document.getElementById('import-preview-btn').textContent = type === 'import-apply' ? 'Importing...' : 'Checking...';
+  parent.postMessage({ pluginMessage: {
+    type: type,
+    data: data,
+    deleteMissing: document.getElementById('import-delete-missing').checked,
+    plan: type === 'import-apply' ? importPlan : null
+  } }, '*');
+}
+
+// Any change to the source invalidates the last preview
+function resetImportPreview() {
+  importPlan = null;
+  document.getElementById('import-summary').style.display = 'none';
+  document.getElementById('import-apply-btn').style.display = 'none';
+}
+
+// changed: an apply found the file changed since the preview, so summary is the new plan
+function renderImportSummary(summary, applied, changed) {
+  importPlan = applied ? null : summary;
+  var sections = [
+    { title: applied ? 'Created' : 'Will create', items: summary.creates },
+    { title: applied ? 'Updated' : 'Will update', items: summary.updates },
+    { title: applied ? 'Deleted' : 'Will delete', items: summary.deletes },
+    { title: 'Skipped', items: summary.skipped }
+  ];
+  var html = changed ? '<div class="report-warning">The file changed since the preview, nothing was applied. Review the changes again.</div>' : '';
+  for (var i = 0; i < sections.length; i++) {
+    var items = sections[i].items || [];
+    html += '<div><strong>' + sections[i].title + ': ' + items.length + '</strong>';
+    if (items.length > 0) {
+      html += '<ul>';
+      for (var j = 0; j < items.length; j++) {
+        html += '<li>' + escapeHTML(items[j].kind + ' ' + items[j].name) +
+          (items[j].reason ? ' (' + escapeHTML(items[j].reason) + ')' : '') + '</li>';
+      }
+      html += '</ul>';
+    }
+    html += '</div>';
+  }
+  var summaryEl = document.getElementById('import-summary');
+  summaryEl.innerHTML = html;
+  summaryEl.style.display = 'block';
+  document.getElementById('import-preview-btn').textContent = 'Preview changes';
+
+  var hasChanges = summary.creates.length + summary.updates.length + summary.deletes.length > 0;
+  document.getElementById('import-apply-btn').style.display = (!applied && hasChanges) ? 'flex' : 'none';
+}
+
+function closeAudit() {
+  document.getElementById('audit-panel').style.display = 'none';
+}
+
+function renderNodeLink(node) {
+  return '<a class="node-link" data-node-id="' + escapeHTML(node.id) + '">' + escapeHTML(node.name || node.id) + '</a>' +
+    ' <span class="muted">(' + escapeHTML(node.page) + ')</span>';
+}
+
+function getAuditTokenLabel(token) {
+  return token.kind + ' ' + (token.collection ? token.collection + ' / ' : '') + token.name;
+}
+
+function renderAudit(audit) {
+  var unused = audit.tokens.filter(function(token) { return token.unused; });
+  var used = audit.tokens.filter(function(token) { return !token.unused; }).sort(function(a, b) {
+    return b.count - a.count;
+  });
+  var html = '<div>' + audit.pages + ' pages, ' + audit.nodes + ' layers scanned. <strong>' + unused.length +
+    ' unused tokens, ' + audit.hardCoded.length + ' hard-coded colors.</strong></div>';
+
+  html += '<div><strong>Unused: ' + unused.length + '</strong>';
+  if (unused.length > 0) {
+    html += '<ul>' + unused.map(function(token) {
+      return '<li>' + escapeHTML(getAuditTokenLabel(token)) + '</li>';
+    }).join('') + '</ul>';
+  }
+  html += '</div>';
+
+  html += '<div><strong>Hard-coded colors: ' + audit.hardCoded.length + '</strong>';
+  if (audit.hardCoded.length > 0) {
+    html += '<ul>' + audit.hardCoded.map(function(item) {
+      return '<li>' + renderNodeLink(item.node) + ' ' + escapeHTML(item.field) + ' ' + escapeHTML(item.value) + ' → ' +
+        escapeHTML(item.matches.map(function(match) {
+          return (match.collection ? match.collection + ' / ' : '') + match.name + (match.mode ? ' (' + match.mode + ')' : '');
+        }).join(', ')) + '</li>';
+    }).join('') + '</ul>';
+  }
+  html += '</div>';
+
+  html += '<div><strong>Usage</strong>';
+  for (var i = 0; i < used.length; i++) {
+    var token = used[i];
+    var counts = token.count + ' layers' + (token.references ? ', ' + token.references + ' references' : '');
+    html += '<details><summary>' + escapeHTML(getAuditTokenLabel(token)) + ' (' + counts + ')</summary><ul>' +
+      token.nodes.map(function(node) { return '<li>' + renderNodeLink(node) + '</li>'; }).join('') +
+      (token.count > token.nodes.length ? '<li>… and ' + (token.count - token.nodes.length) + ' more</li>' : '') +
+      '</ul></details>';
+  }
+  html += '</div>';
+
+  var result = document.getElementById('audit-result');
+  result.innerHTML = html;
+  result.style.display = 'block';
+  document.getElementById('audit-run-btn').textContent = 'Run audit again';
+}
+
+function renderValidationReport(report) {
+  var reportEl = document.getElementById('report');
+  var html = '';
+  [['Errors', report.errors, 'report-error'], ['Warnings', report.warnings, 'report-warning']].forEach(function(section) {
+    if (section[1].length === 0) return;
+    html += '<div class="' + section[2] + '"><strong>' + section[0] + ': ' + section[1].length + '</strong><ul>';
+    section[1].forEach(function(issue) {
+      html += '<li>' + escapeHTML(issue.kind + ' ' + issue.name) + ' (' + escapeHTML(issue.reason) + ')</li>';
+    });
+    html += '</ul></div>';
+  });
+  if (isExportBlocked()) {
+    html += '<div class="report-error">Copy and download are blocked until the errors are fixed (see Export Settings).</div>';
+  }
+  reportEl.innerHTML = html;
+  reportEl.style.display = html ? 'block' : 'none';
+  document.getElementById('copy-btn').disabled = isExportBlocked();
+  document.getElementById('download-btn').disabled = isExportBlocked();
+  document.getElementById('bundle-btn').disabled = isExportBlocked();
+}
+
+function isExportBlocked() {
+  return validationSettings.blockOnErrors && !!validationReport && validationReport.errors.length > 0;
+}
+
+function renderDiff(diff) {
+  var html = '';
+  if (diff.sections.length === 0) {
+    html = '<div>No changes since the previous export.</div>';
+  }
+  diff.sections.forEach(function(section) {
+    html += '<div><strong>' + escapeHTML(section.title) + '</strong><ul>';
+    section.added.forEach(function(item) {
+      html += '<li>+ ' + escapeHTML(item.name) + '</li>';
+    });
+    section.removed.forEach(function(item) {
+      html += '<li>− ' + escapeHTML(item.name) + '</li>';
+    });
+    section.renamed.forEach(function(item) {
+      html += '<li>' + escapeHTML(item.from) + ' → ' + escapeHTML(item.to) + '</li>';
+    });
+    section.changed.forEach(function(item) {
+      item.changes.forEach(function(change) {
+        html += '<li>~ ' + escapeHTML(item.name) + ' (' + escapeHTML(change.field) + '): ' +
+          escapeHTML(change.before || '–') + ' → ' + escapeHTML(change.after || '–') + '</li>';
+      });
+    });
+    html += '</ul></div>';
+  });
+  var diffEl = document.getElementById('diff-result');
+  diffEl.innerHTML = html;
+  diffEl.style.display = 'block';
+  document.getElementById('diff-download-btn').style.display = 'flex';
+}
+
+function downloadText(text, filename) {
+  var blob = new Blob([text], { type: 'text/plain' });
+  var url = URL.createObjectURL(blob);
+  var a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// "Name: value" lines into a headers object; throws on lines without a name
+function parseWebhookHeaders(text) {
+  var headers = {};
+  text.split('\n').forEach(function(line) {
+    if (!line.trim()) return;
+    var separator = line.indexOf(':');
+    var name = separator > 0 ? line.slice(0, separator).trim() : '';
+    if (!/^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/.test(name)) {
+      throw new Error('"' + line.trim() + '" is not a Name: value header');
+    }
+    headers[name] = line.slice(separator + 1).trim();
+  });
+  return headers;
+}
+
+function updateStats(data) {
+  var stats = document.getElementById('stats');
+  var totalStyles = (data.styles.colors || []).length + 
+                   (data.styles.textStyles || []).length + 
+                   (data.styles.effectStyles || []).length + 
+                   (data.styles.gridStyles || []).length;
+  
+  // Count variables from collections
+  var totalVariables = 0;
+  var totalCollections = 0;
+  if (data.collections) {
+    totalCollections = Object.keys(data.collections).length;
+    for (var collectionName in data.collections) {
+      var collection = data.collections[collectionName];
+      totalVariables += (collection.variables.colors || []).length + 
+                       (collection.variables.numbers || []).length + 
+                       (collection.variables.strings || []).length + 
+                       (collection.variables.booleans || []).length;
+    }
+  }
+  
+  stats.innerHTML = 
+    '<div class="stat-item"><div class="stat-content"><div class="stat-number">' + totalStyles + '</div><div class="stat-label">Styles</div></div></div>' +
+    '<div class="stat-item"><div class="stat-content"><div class="stat-number">' + totalVariables + '</div><div class="stat-label">Variables</div></div></div>' +
+    '<div class="stat-item"><div class="stat-content"><div class="stat-number">' + totalCollections + '</div><div class="stat-label">Collections</div></div></div>';
+}
+
+function getExportOptions() {
+  return formatters.toExportOptions(getSettingsSnapshot());
+}
+
+function processAndDisplay() {
+  if (!exportedData) return;
+  var format = document.querySelector('input[name="format"]:checked').value;
+  var options = getExportOptions();
+  
+  processedOutput = formatters.formatData(exportedData, format, options);
+  validationReport = formatters.validateExport(exportedData, options, validationSettings);
+  renderValidationReport(validationReport);
+  document.getElementById('preview').textContent = processedOutput.substring(0, 1000) + (processedOutput.length > 1000 ? '\n\n... (truncated)' : '');
+  document.getElementById('results').style.display = 'block';
+  updateStats(exportedData);
+
+  // Update download button text based on format
+  var downloadBtn = document.getElementById('download-btn');
+  switch (format) {
+    case 'css':
+      downloadBtn.textContent = 'Download CSS';
+      break;
+    case 'js':
+      downloadBtn.textContent = 'Download JS';
+      break;
+    case 'ts':
+      downloadBtn.textContent = 'Download TS';
+      break;
+    case 'dts':
+      downloadBtn.textContent = 'Download .d.ts';
+      break;
+    case 'typography':
+      downloadBtn.textContent = 'Download CSS';
+      break;
+    case 'dtcg':
+      downloadBtn.textContent = 'Download Tokens';
+      break;
+    case 'scss':
+      downloadBtn.textContent = 'Download SCSS';
+      break;
+    case 'less':
+      downloadBtn.textContent = 'Download Less';
+      break;
+    case 'tailwind':
+      downloadBtn.textContent = 'Download Config';
+      break;
+    case 'tailwind4':
+      downloadBtn.textContent = 'Download CSS';
+      break;
+    case 'swift':
+      downloadBtn.textContent = 'Download Swift';
+      break;
+    case 'android':
+      downloadBtn.textContent = 'Download XML';
+      break;
+    case 'compose':
+      downloadBtn.textContent = 'Download Kotlin';
+      break;
+    case 'flutter':
+      downloadBtn.textContent = 'Download Dart';
+      break;
+    default:
+      downloadBtn.textContent = 'Download JSON';
+  }
+}
+
+document.getElementById('export-btn').addEventListener('click', function() {
+  document.getElementById('loading-state').style.display = 'flex';
+  document.getElementById('main-content').style.display = 'none';
+  parent.postMessage({ pluginMessage: {
+    type: 'export-data',
+    includeLibraries: document.getElementById('include-libraries').checked,
+    selectionOnly: document.getElementById('selection-only').checked,
+    colorFormat: document.getElementById('color-format').value
+  } }, '*');
+});
+
+document.getElementById('import-btn').addEventListener('click', openImport);
+
+document.getElementById('import-preview-btn').addEventListener('click', function() {
+  sendImport('import-preview');
+});
+
+document.getElementById('import-apply-btn').addEventListener('click', function() {
+  sendImport('import-apply');
+});
+
+document.getElementById('import-file').addEventListener('change', function() {
+  var file = this.files[0];
+  if (!file) return;
+  var reader = new FileReader();
+  reader.onload = function() {
+    document.getElementById('import-input').value = reader.result;
+    resetImportPreview();
+  };
+  reader.readAsText(file);
+});
+
+document.getElementById('import-input').addEventListener('input', resetImportPreview);
+document.getElementById('import-delete-missing').addEventListener('change', resetImportPreview);
+
+document.getElementById('import-panel').addEventListener('click', function(e) {
+  if (e.target === this) {
+    closeImport();
+  }
+});
+
+document.getElementById('filter-btn').addEventListener('click', function() {
+  renderFilterTree(exportedData);
+  document.getElementById('filter-panel').style.display = 'block';
+});
+
+document.getElementById('filter-tree').addEventListener('change', function(e) {
+  var key = e.target.getAttribute('data-filter-key');
+  if (!key) return;
+  filterSettings.excluded = filterSettings.excluded.filter(function(excludedKey) { return excludedKey !== key; });
+  if (!e.target.checked) filterSettings.excluded.push(key);
+  renderFilterTree(null);
+  persistSettings();
+  processAndDisplay();
+});
+
+document.getElementById('filter-private').addEventListener('change', function() {
+  filterSettings.excludePrivate = this.checked;
+  renderFilterTree(null);
+  persistSettings();
+  processAndDisplay();
+});
+
+document.getElementById('filter-panel').addEventListener('click', function(e) {
+  if (e.target === this) {
+    closeFilter();
+  }
+});
+
+document.getElementById('audit-btn').addEventListener('click', function() {
+  document.getElementById('audit-panel').style.display = 'block';
+});
+
+document.getElementById('audit-run-btn').addEventListener('click', function() {
+  this.textContent = 'Auditing...';
+  parent.postMessage({ pluginMessage: { type: 'audit', colorFormat: document.getElementById('color-format').value } }, '*');
+});
+
+document.getElementById('audit-result').addEventListener('click', function(e) {
+  var nodeId = e.target.getAttribute('data-node-id');
+  if (nodeId) {
+    parent.postMessage({ pluginMessage: { type: 'focus-node', nodeId: nodeId } }, '*');
+  }
+});
+
+document.getElementById('audit-panel').addEventListener('click', function(e) {
+  if (e.target === this) {
+    closeAudit();
+  }
+});
+
+document.getElementById('diff-btn').addEventListener('click', function() {
+  document.getElementById('diff-panel').style.display = 'block';
+});
+
+function closeDiff() {
+  document.getElementById('diff-panel').style.display = 'none';
+}
+
+document.getElementById('diff-file').addEventListener('change', function() {
+  var file = this.files[0];
+  if (!file) return;
+  var reader = new FileReader();
+  reader.onload = function() {
+    document.getElementById('diff-input').value = reader.result;
+  };
+  reader.readAsText(file);
+});
+
+document.getElementById('diff-compare-btn').addEventListener('click', function() {
+  var previous;
+  try {
+    previous = JSON.parse(document.getElementById('diff-input').value);
+  } catch (err) {
+    alert('Previous export is not valid JSON: ' + err.message);
+    return;
+  }
+  if (!previous || (!previous.styles && !previous.collections)) {
+    alert('This doesn\'t look like a JSON export from this plugin.');
+    return;
+  }
+  lastDiff = formatters.diffExports(previous, exportedData);
+  renderDiff(lastDiff);
+});
+
+document.getElementById('diff-download-btn').addEventListener('click', function() {
+  if (lastDiff) downloadText(formatters.formatDiffMarkdown(lastDiff), 'token-changes.md');
+});
+
+document.getElementById('diff-panel').addEventListener('click', function(e) {
+  if (e.target === this) {
+    closeDiff();
+  }
+});
+
+document.getElementById('copy-btn').addEventListener('click', function() {
+  if (isExportBlocked()) return;
+  fallbackCopyToClipboard(processedOutput, this);
+});
+
+// The settings file for cli.js --settings
+document.getElementById('copy-settings-btn').addEventListener('click', function() {
+  fallbackCopyToClipboard(JSON.stringify(getSettingsSnapshot(), null, 2), this);
+});
+
+function fallbackCopyToClipboard(text, btn) {
+  try {
+    var textArea = document.createElement('textarea');
+    textArea.value = text;
+    textArea.style.position = 'fixed';
+    textArea.style.left = '-999999px';
+    textArea.style.top = '-999999px';
+    document.body.appendChild(textArea);
+    textArea.focus();
+    textArea.select();
+    
+    var successful = document.execCommand('copy');
+    document.body.removeChild(textArea);
+    
+    if (successful) {
+      var label = btn.getAttribute('data-label') || btn.textContent;
+      btn.setAttribute('data-label', label);
+      btn.textContent = 'Copied!';
+      setTimeout(function() {
+        btn.textContent = label;
+      }, 2000);
+    } else {
+      throw new Error('execCommand failed');
+    }
+  } catch (err) {
+    console.error('Copy failed:', err);
+    alert('Copy failed. Please manually copy the text from the preview area.');
+  }
+}
+
+document.getElementById('download-btn').addEventListener('click', function() {
+  if (isExportBlocked()) return;
+  var format = document.querySelector('input[name="format"]:checked').value;
+  downloadText(processedOutput, formatters.getDownloadFilename(format));
+});
+
+document.getElementById('bundle-btn').addEventListener('click', function() {
+  if (isExportBlocked()) return;
+  renderBundleFormats();
+  document.getElementById('bundle-panel').style.display = 'block';
+});
+
+function closeBundle() {
+  document.getElementById('bundle-panel').style.display = 'none';
+}
+
+// One checkbox per format radio, with the current format preselected
+function renderBundleFormats() {
+  var radios = document.querySelectorAll('input[name="format"]');
+  var html = '';
+  for (var i = 0; i < radios.length; i++) {
+    var label = document.querySelector('label[for="' + radios[i].id + '"]');
+    html += '<div class="checkbox-item">' +
+      '<input type="checkbox" id="bundle-' + radios[i].value + '" value="' + radios[i].value + '"' + (radios[i].checked ? ' checked' : '') + '>' +
+      '<label for="bundle-' + radios[i].value + '">' + escapeHTML(label ? label.textContent : radios[i].value) + '</label>' +
+      '</div>';
+  }
+  document.getElementById('bundle-formats').innerHTML = html;
+}
+
+document.getElementById('bundle-download-btn').addEventListener('click', function() {
+  var checked = document.querySelectorAll('#bundle-formats input:checked');
+  var formats = [];
+  for (var i = 0; i < checked.length; i++) formats.push(checked[i].value);
+  if (formats.length === 0) {
+    alert('Choose at least one format for the bundle.');
+    return;
+  }
+  var zip = formatters.createZip(formatters.buildBundle(exportedData, formats, getExportOptions()));
+  var url = URL.createObjectURL(new Blob([zip], { type: 'application/zip' }));
+  var a = document.createElement('a');
+  a.href = url;
+  a.download = 'figma-tokens.zip';
+  a.click();
+  URL.revokeObjectURL(url);
+  closeBundle();
+});
+
+document.getElementById('bundle-panel').addEventListener('click', function(e) {
+  if (e.target === this) {
+    closeBundle();
+  }
+});
+
+document.getElementById('git-btn').addEventListener('click', function() {
+  if (isExportBlocked()) return;
+  document.getElementById('git-provider').value = gitSettings.provider;
+  document.getElementById('git-host').value = gitSettings.host;
+  document.getElementById('git-repo').value = gitSettings.repo;
+  document.getElementById('git-base-branch').value = gitSettings.baseBranch;
+  document.getElementById('git-token').value = '';
+  document.getElementById('git-result').style.display = 'none';
+  renderGitPaths();
+  renderGitTokenStatus();
+  document.getElementById('git-panel').style.display = 'block';
+});
+
+function closeGitSync() {
+  document.getElementById('git-panel').style.display = 'none';
+}
+
+// One path input per format radio
+function renderGitPaths() {
+  var radios = document.querySelectorAll('input[name="format"]');
+  var html = '';
+  for (var i = 0; i < radios.length; i++) {
+    var format = radios[i].value;
+    var label = document.querySelector('label[for="' + radios[i].id + '"]');
+    html += '<div class="select-item">' +
+      '<label for="git-path-' + format + '">' + escapeHTML(label ? label.textContent : format) + '</label>' +
+      '<input type="text" id="git-path-' + format + '" class="wide-input" data-format="' + format + '" placeholder="e.g. tokens/' + formatters.getDownloadFilename(format) + '" value="' +
+      escapeHTML(gitSettings.paths[format] || '') + '">' +
+      '</div>';
+  }
+  document.getElementById('git-paths').innerHTML = html;
+}
+
+function renderGitTokenStatus() {
+  var host = shared.getGitHost({ provider: document.getElementById('git-provider').value, host: document.getElementById('git-host').value.trim() });
+  document.getElementById('git-host').placeholder = shared.GIT_DEFAULT_HOSTS[document.getElementById('git-provider').value];
+  document.getElementById('git-token-status').textContent = gitTokenHosts.indexOf(host) !== -1
+    ? 'A token for ' + host + ' is saved on this device. Enter a new one to replace it.'
+    : 'No token saved for ' + host + ' yet.';
+}
+
+function setGitResult(html) {
+  var result = document.getElementById('git-result');
+  result.innerHTML = html;
+  result.style.display = 'block';
+}
+
+function resetGitSync() {
+  gitPendingFiles = null;
+  document.getElementById('git-sync-btn').disabled = false;
+  document.getElementById('git-sync-btn').textContent = 'Create pull request';
+}
+
+document.getElementById('git-provider').addEventListener('change', renderGitTokenStatus);
+document.getElementById('git-host').addEventListener('input', renderGitTokenStatus);
+
+// Step one: read the base branch's copy of every file; the sync continues on git-read-complete
+document.getElementById('git-sync-btn').addEventListener('click', function() {
+  gitSettings.provider = document.getElementById('git-provider').value;
+  gitSettings.host = document.getElementById('git-host').value.trim();
+  gitSettings.repo = document.getElementById('git-repo').value.trim();
+  gitSettings.baseBranch = document.getElementById('git-base-branch').value.trim() || 'main';
+  var pathInputs = document.querySelectorAll('#git-paths input');
+  gitSettings.paths = {};
+  for (var i = 0; i < pathInputs.length; i++) {
+    var path = pathInputs[i].value.trim().replace(/^\/+/, '');
+    if (path) gitSettings.paths[pathInputs[i].getAttribute('data-format')] = path;
+  }
+  persistSettings();
+
+  var token = document.getElementById('git-token').value.trim();
+  if (!gitSettings.repo) {
+    alert('Enter the repository.');
+    return;
+  }
+  if (!token && gitTokenHosts.indexOf(shared.getGitHost(gitSettings)) === -1) {
+    alert('Enter an access token for ' + shared.getGitHost(gitSettings) + '.');
+    return;
+  }
+  var clash = formatters.findGitPathClash(gitSettings.paths);
+  if (clash) {
+    alert('Each format needs its own path: ' + clash + '.');
+    return;
+  }
+  var files = formatters.getGitFiles(exportedData, gitSettings.paths, getExportOptions());
+  if (files.length === 0) {
+    alert('Enter a path for at least one format.');
+    return;
+  }
+  gitPendingFiles = files;
+  this.disabled = true;
+  this.textContent = 'Reading ' + gitSettings.baseBranch + '...';
+  document.getElementById('git-token').value = '';
+  parent.postMessage({ pluginMessage: {
+    type: 'git-read',
+    git: gitSettings,
+    token: token,
+    paths: files.map(function(file) { return file.path; })
+  } }, '*');
+});
+
+// Step two: commit the files that changed on a new branch and open the pull request
+function continueGitSync(previousFiles) {
+  var changed = gitPendingFiles.filter(function(file) {
+    return previousFiles[file.path] !== file.content;
+  });
+  if (changed.length === 0) {
+    setGitResult(escapeHTML(gitSettings.baseBranch) + ' is already up to date.');
+    resetGitSync();
+    return;
+  }
+  var fileName = (exportedData.metadata && exportedData.metadata.fileName) || 'Figma';
+  document.getElementById('git-sync-btn').textContent = 'Creating pull request...';
+  parent.postMessage({ pluginMessage: {
+    type: 'git-sync',
+    git: gitSettings,
+    request: {
+      branch: 'figma-tokens/' + new Date().toISOString().replace(/[:.]/g, '-'),
+      title: 'Update design tokens from ' + fileName,
+      body: formatters.formatGitDescription(gitPendingFiles, previousFiles, gitSettings.paths.json),
+      files: changed.map(function(file) {
+        return { path: file.path, content: file.content, exists: previousFiles[file.path] !== null };
+      })
+    }
+  } }, '*');
+}
+
+document.getElementById('git-panel').addEventListener('click', function(e) {
+  if (e.target === this) {
+    closeGitSync();
+  }
+});
+
+document.getElementById('webhook-btn').addEventListener('click', function() {
+  if (isExportBlocked()) return;
+  var radios = document.querySelectorAll('input[name="format"]');
+  var html = '';
+  for (var i = 0; i < radios.length; i++) {
+    var label = document.querySelector('label[for="' + radios[i].id + '"]');
+    html += '<option value="' + radios[i].value + '">' + escapeHTML(label ? label.textContent : radios[i].value) + '</option>';
+  }
+  document.getElementById('webhook-format').innerHTML = html;
+  document.getElementById('webhook-format').value = webhookSettings.format;
+  document.getElementById('webhook-url').value = webhookSettings.url;
+  document.getElementById('webhook-headers').value = webhookSettings.headers;
+  document.getElementById('webhook-body').value = webhookSettings.body;
+  document.getElementById('webhook-sign').checked = webhookSettings.sign;
+  document.getElementById('webhook-auth').value = '';
+  document.getElementById('webhook-secret').value = '';
+  document.getElementById('webhook-result').style.display = 'none';
+  renderWebhookSecretStatus();
+  document.getElementById('webhook-panel').style.display = 'block';
+});
+
+function closeWebhook() {
+  document.getElementById('webhook-panel').style.display = 'none';
+}
+
+function renderWebhookSecretStatus() {
+  var url = document.getElementById('webhook-url').value.trim();
+  document.getElementById('webhook-secret-status').textContent = url && webhookSecretUrls.indexOf(url) !== -1
+    ? 'Credentials for this URL are saved on this device. Fill in a field to replace the saved value.'
+    : '';
+}
+
+function resetWebhook() {
+  document.getElementById('webhook-send-btn').disabled = false;
+  document.getElementById('webhook-send-btn').textContent = 'Send';
+}
+
+document.getElementById('webhook-url').addEventListener('input', renderWebhookSecretStatus);
+
+document.getElementById('webhook-send-btn').addEventListener('click', function() {
+  webhookSettings.url = document.getElementById('webhook-url').value.trim();
+  webhookSettings.headers = document.getElementById('webhook-headers').value;
+  webhookSettings.format = document.getElementById('webhook-format').value;
+  webhookSettings.body = document.getElementById('webhook-body').value;
+  webhookSettings.sign = document.getElementById('webhook-sign').checked;
+  persistSettings();
+
+  if (!/^https?:\/\//.test(webhookSettings.url)) {
+    alert('Enter the webhook URL, starting with https://');
+    return;
+  }
+  var headers;
+  try {
+    headers = parseWebhookHeaders(webhookSettings.headers);
+  } catch (err) {
+    alert('Invalid header: ' + err.message);
+    return;
+  }
+  var secret = document.getElementById('webhook-secret').value;
+  if (webhookSettings.sign && !secret && webhookSecretUrls.indexOf(webhookSettings.url) === -1) {
+    alert('Enter the signing secret.');
+    return;
+  }
+  this.disabled = true;
+  this.textContent = 'Sending...';
+  parent.postMessage({ pluginMessage: {
+    type: 'webhook-send',
+    webhook: Object.assign({}, webhookSettings, { headers: headers }),
+    auth: document.getElementById('webhook-auth').value.trim(),
+    secret: secret,
+    content: formatters.formatData(exportedData, webhookSettings.format, getExportOptions()),
+    metadata: exportedData.metadata
+  } }, '*');
+  document.getElementById('webhook-auth').value = '';
+  document.getElementById('webhook-secret').value = '';
+});
+
+document.getElementById('webhook-panel').addEventListener('click', function(e) {
+  if (e.target === this) {
+    closeWebhook();
+  }
+});
+
+var inputs = document.querySelectorAll('input[type="radio"], input[type="checkbox"]');
+for (var i = 0; i < inputs.length; i++) {
+  inputs[i].addEventListener('change', function() {
+    if (this.id === 'include-libraries' || this.id === 'selection-only') {
+      // Library tokens and the selection's tokens come from the scan, so toggling them scans again
+      persistSettings();
+      if (exportedData) document.getElementById('export-btn').click();
+    } else if (this.name === 'format' || this.id.startsWith('include-') || this.id === 'keep-aliases') {
+      persistSettings();
+      processAndDisplay();
+    }
+  });
+}
+
+// Colors are formatted during the scan, in the document's color profile
+document.getElementById('color-format').addEventListener('change', function() {
+  persistSettings();
+  if (exportedData) document.getElementById('export-btn').click();
+});
+
+document.getElementById('preset-select').addEventListener('change', function() {
+  applyPreset(this.value);
+});
+
+document.getElementById('preset-save-btn').addEventListener('click', savePreset);
+
+document.getElementById('preset-delete-btn').addEventListener('click', deletePreset);
+
+// Close settings when clicking outside
+document.getElementById('settings-panel').addEventListener('click', function(e) {
+  if (e.target === this) {
+    closeSettings();
+  }
+});
+
+window.addEventListener('message', function(event) {
+  var message = event.data.pluginMessage;
+  if (message.type === 'export-complete') {
+    exportedData = message.data;
+    console.log('Received exported data:', exportedData);
+    renderModeSelectors(exportedData);
+    renderFilterTree(exportedData);
+    document.getElementById('loading-state').style.display = 'none';
+    document.getElementById('main-content').style.display = 'block';
+    processAndDisplay();
+  } else if (message.type === 'export-error') {
+    document.getElementById('loading-state').style.display = 'none';
+    document.getElementById('main-content').style.display = 'block';
+    resetWebhook();
+    alert('Export failed: ' + message.message);
+  } else if (message.type === 'import-preview-complete') {
+    renderImportSummary(message.summary, false, message.changed);
+  } else if (message.type === 'import-complete') {
+    renderImportSummary(message.summary, true);
+  } else if (message.type === 'import-error') {
+    document.getElementById('import-preview-btn').textContent = 'Preview changes';
+    alert('Import failed: ' + message.message);
+  } else if (message.type === 'audit-progress') {
+    document.getElementById('audit-run-btn').textContent = 'Auditing page ' + (message.index + 1) + ' of ' + message.total + '...';
+  } else if (message.type === 'audit-complete') {
+    renderAudit(message.audit);
+  } else if (message.type === 'audit-error') {
+    document.getElementById('audit-run-btn').textContent = 'Run audit';
+    alert('Audit failed: ' + message.message);
+  } else if (message.type === 'git-token-saved') {
+    gitTokenHosts = message.hosts || [];
+    renderGitTokenStatus();
+  } else if (message.type === 'git-read-complete') {
+    if (gitPendingFiles) continueGitSync(message.files);
+  } else if (message.type === 'git-sync-complete') {
+    setGitResult('Opened <a href="' + escapeHTML(message.url) + '" target="_blank">' + escapeHTML(message.url) + '</a>');
+    resetGitSync();
+  } else if (message.type === 'git-sync-error') {
+    resetGitSync();
+    alert('Git sync failed: ' + message.message);
+  } else if (message.type === 'webhook-secrets-saved') {
+    webhookSecretUrls = message.urls || [];
+    renderWebhookSecretStatus();
+  } else if (message.type === 'webhook-retry') {
+    document.getElementById('webhook-send-btn').textContent = 'Retrying (' + message.attempt + ' of ' + message.attempts + ')...';
+  } else if (message.type === 'webhook-complete') {
+    resetWebhook();
+    document.getElementById('webhook-result').textContent = 'Sent: ' + message.status + ' after ' + message.attempts + ' attempt(s), content hash ' + message.contentHash;
+    document.getElementById('webhook-result').style.display = 'block';
+  } else if (message.type === 'settings-loaded') {
+    userPresets = message.presets || {};
+    gitTokenHosts = message.gitTokenHosts || [];
+    webhookSecretUrls = message.webhookSecretUrls || [];
+    if (message.settings) applySettingsSnapshot(message.settings);
+    renderPresets(message.settings && message.settings.preset);
+    if (exportedData) processAndDisplay();
+  } else if (message.type === 'settings-error') {
+    alert('Settings could not be loaded or saved: ' + message.message);
+  } else if (message.type === 'focus-node-error') {
+    alert('Could not select the layer: ' + message.message);
+  }
+});
+
+// The file's settings, or this user's last ones, and their saved presets
+renderPresets('');
+parent.postMessage({ pluginMessage: { type: 'load-settings' } }, '*');
\ No newline at end of file
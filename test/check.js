@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+// Checks that code.js and ui.html are built from the current src/, and that cli.js still turns the
+// REST API dumps in test/fixtures into the files in test/expected. After an intended change to the
+// output, run with --update and review the diff of test/expected.
+//
+//   node test/check.js [--update]
+
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { FILE_EXTENSIONS } = require('../src/formatters');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+const CASES = [
+  { name: 'defaults', args: [] },
+  { name: 'aliases', args: ['--settings', path.join(FIXTURES, 'settings-aliases.json')] },
+  { name: 'bundle', args: ['--bundle'] }
+];
+
+// Returns whether the command exited 0; its output goes to ours
+function run(script, args) {
+  try {
+    execFileSync(process.execPath, [path.join(ROOT, script)].concat(args), { stdio: 'inherit' });
+    return true;
+  } catch (error) {
+    if (typeof error.status !== 'number') throw error;
+    return false;
+  }
+}
+
+function main() {
+  const update = process.argv.includes('--update');
+  let failed = 0;
+
+  if (!run('build.js', ['--check'])) failed++;
+
+  for (const fixture of CASES) {
+    console.log(`${fixture.name}:`);
+    const args = [
+      '--variables', path.join(FIXTURES, 'variables.json'),
+      '--styles', path.join(FIXTURES, 'styles.json'),
+      '--nodes', path.join(FIXTURES, 'nodes.json'),
+      '--format', Object.keys(FILE_EXTENSIONS).join(','),
+      '--export-date', '2024-01-01T00:00:00Z',
+      '--out', path.join(__dirname, 'expected', fixture.name)
+    ].concat(fixture.args, update ? [] : ['--check']);
+    if (!run('cli.js', args)) failed++;
+  }
+
+  if (failed > 0) console.error(`${failed} check(s) failed${update ? '' : '; after an intended output change, run node test/check.js --update'}`);
+  return failed > 0 ? 1 : 0;
+}
+
+process.exitCode = main();
@@ -0,0 +1,41 @@
+// Figma Design Tokens Export
+
+import androidx.compose.ui.graphics.Color
+import androidx.compose.ui.text.TextStyle
+import androidx.compose.ui.text.font.FontStyle
+import androidx.compose.ui.text.font.FontWeight
+import androidx.compose.ui.unit.dp
+import androidx.compose.ui.unit.sp
+
+object DesignTokens {
+    object Colors {
+        val DsBrandPrimary = Color(0xFF1A73E8)
+        val DsBrandOverlay = Color(0x80000000)
+        val DsBlue500 = Color(0xFF1A73E8)
+        val DsBlack50 = Color(0x80000000)
+        val dsBgPrimary = Color(0xFF1A73E8)
+        val DsColorFgDefault = Color(0xFF1A73E8)
+    }
+
+    object Dimens {
+        val DsSpacing4 = 16.dp
+        val DsRadiusMd = 8.dp
+        val DsOpacityDisabled = 0.4f
+    }
+
+    object Typography {
+        // fontFamily: Inter
+        val DsHeadingXl = TextStyle(
+            fontSize = 32.sp,
+            fontWeight = FontWeight(700),
+            lineHeight = 40.sp,
+            letterSpacing = (-0.64).sp
+        )
+        // fontFamily: Inter
+        val DsBodyMd = TextStyle(
+            fontSize = 16.sp,
+            fontWeight = FontWeight(400),
+            lineHeight = 24.sp
+        )
+    }
+}
@@ -0,0 +1,32 @@
+// Figma Design Tokens Export: CSS custom properties
+
+export type CSSVariableName =
+  | "--dsBrandPrimary"
+  | "--dsBrandOverlay"
+  | "--dsGradientsSunset"
+  | "--dsGradientsRotated"
+  | "--dsGradientsRadial"
+  | "--dsFontFamilyHeadingXl"
+  | "--dsFontSizeHeadingXl"
+  | "--dsFontWeightHeadingXl"
+  | "--dsLineHeightHeadingXl"
+  | "--dsLetterSpacingHeadingXl"
+  | "--dsFontFamilyBodyMd"
+  | "--dsFontSizeBodyMd"
+  | "--dsFontWeightBodyMd"
+  | "--dsLineHeightBodyMd"
+  | "--dsLetterSpacingBodyMd"
+  | "--dsEffectElevation1"
+  | "--dsDropShadowElevation1"
+  | "--dsBlue500"
+  | "--dsBlack50"
+  | "--dsSpacing4"
+  | "--dsRadiusMd"
+  | "--dsOpacityDisabled"
+  | "--dsFontFamilyBody"
+  | "--ds-bg-primary"
+  | "--dsColorFgDefault";
+
+export type CSSVariableReference<T extends CSSVariableName = CSSVariableName> = `var(${T})`;
+
+export type CSSVariableProperties = { [K in CSSVariableName]?: string | number };
@@ -0,0 +1,24 @@
+// Figma Design Tokens Export
+
+import 'package:flutter/material.dart';
+
+class DesignTokens {
+  DesignTokens._();
+
+  // Colors
+  static const Color dsBrandPrimary = Color(0xFF1A73E8);
+  static const Color dsBrandOverlay = Color(0x80000000);
+  static const Color dsBlue500 = Color(0xFF1A73E8);
+  static const Color dsBlack50 = Color(0x80000000);
+  static const Color dsColorBgPrimary = Color(0xFF1A73E8);
+  static const Color dsColorFgDefault = Color(0xFF1A73E8);
+
+  // Dimensions
+  static const double dsSpacing4 = 16;
+  static const double dsRadiusMd = 8;
+  static const double dsOpacityDisabled = 0.4;
+
+  // Typography
+  static const TextStyle dsHeadingXl = TextStyle(fontFamily: 'Inter', fontSize: 32, fontWeight: FontWeight.w700, height: 1.25, letterSpacing: -0.64);
+  static const TextStyle dsBodyMd = TextStyle(fontFamily: 'Inter', fontSize: 16, fontWeight: FontWeight.w400, height: 1.5);
+}
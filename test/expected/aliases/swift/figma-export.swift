@@ -0,0 +1,55 @@
+// Figma Design Tokens Export
+
+import SwiftUI
+import UIKit
+
+// MARK: - Colors
+
+public extension UIColor {
+    static let dsBrandPrimary = UIColor(red: 0.100, green: 0.450, blue: 0.910, alpha: 1.000)
+    static let dsBrandOverlay = UIColor(red: 0.000, green: 0.000, blue: 0.000, alpha: 0.500)
+    static let dsBlue500 = UIColor(red: 0.100, green: 0.450, blue: 0.910, alpha: 1.000)
+    static let dsBlack50 = UIColor(red: 0.000, green: 0.000, blue: 0.000, alpha: 0.500)
+    static let dsBgPrimary = UIColor(red: 0.100, green: 0.450, blue: 0.910, alpha: 1.000)
+    static let dsColorFgDefault = UIColor(red: 0.100, green: 0.450, blue: 0.910, alpha: 1.000)
+}
+
+public extension Color {
+    static let dsBrandPrimary = Color(uiColor: .dsBrandPrimary)
+    static let dsBrandOverlay = Color(uiColor: .dsBrandOverlay)
+    static let dsBlue500 = Color(uiColor: .dsBlue500)
+    static let dsBlack50 = Color(uiColor: .dsBlack50)
+    static let dsBgPrimary = Color(uiColor: .dsBgPrimary)
+    static let dsColorFgDefault = Color(uiColor: .dsColorFgDefault)
+}
+
+// MARK: - Dimensions
+
+public enum Dimension {
+    public static let dsSpacing4: CGFloat = 16
+    public static let dsRadiusMd: CGFloat = 8
+}
+
+// MARK: - Numbers
+
+public enum Number {
+    public static let dsOpacityDisabled: Double = 0.4
+}
+
+// MARK: - Typography
+
+public struct TextStyleToken {
+    public let fontFamily: String
+    public let size: CGFloat
+    public let weight: Font.Weight
+    public let italic: Bool
+    /// Line height in points, nil for automatic
+    public let lineHeight: CGFloat?
+    /// Tracking in points
+    public let letterSpacing: CGFloat
+}
+
+public enum Typography {
+    public static let dsHeadingXl = TextStyleToken(fontFamily: "Inter", size: 32, weight: .bold, italic: false, lineHeight: 40, letterSpacing: -0.64)
+    public static let dsBodyMd = TextStyleToken(fontFamily: "Inter", size: 16, weight: .regular, italic: false, lineHeight: 24, letterSpacing: 0)
+}
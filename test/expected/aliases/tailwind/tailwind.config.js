@@ -0,0 +1,62 @@
+// Figma Design Tokens Export
+
+/** @type {import('tailwindcss').Config} */
+module.exports = {
+  theme: {
+    extend: {
+      "colors": {
+        "ds": {
+          "brand": {
+            "primary": "oklch(57.31% 0.195 257.88)",
+            "overlay": "oklch(0% 0 0 / 0.5)"
+          },
+          "blue": {
+            "500": "oklch(57.31% 0.195 257.88)"
+          },
+          "black": {
+            "50": "oklch(0% 0 0 / 0.5)"
+          },
+          "bg": {
+            "primary": "oklch(57.31% 0.195 257.88)"
+          },
+          "fg": {
+            "default": "oklch(57.31% 0.195 257.88)"
+          }
+        }
+      },
+      "spacing": {
+        "ds4": "16px"
+      },
+      "borderRadius": {
+        "dsMd": "8px"
+      },
+      "fontSize": {
+        "dsHeadingXl": [
+          "32px",
+          {
+            "lineHeight": "40px",
+            "letterSpacing": "-0.64px",
+            "fontWeight": "700"
+          }
+        ],
+        "dsBodyMd": [
+          "16px",
+          {
+            "lineHeight": "1.5",
+            "letterSpacing": "0px",
+            "fontWeight": "400"
+          }
+        ]
+      },
+      "opacity": {
+        "dsDisabled": "0.4"
+      },
+      "boxShadow": {
+        "ds1": "0px 1px 2px 0px oklch(0% 0 0 / 0.2)"
+      },
+      "dropShadow": {
+        "ds1": "0px 1px 2px oklch(0% 0 0 / 0.2)"
+      }
+    }
+  }
+};
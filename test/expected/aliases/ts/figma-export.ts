@@ -0,0 +1,91 @@
+// Figma Design Tokens Export
+
+// Styles
+export const styles = {
+  "colors": {
+    "dsBrandPrimary": "oklch(57.31% 0.195 257.88)",
+    "dsBrandOverlay": "oklch(0% 0 0 / 0.5)",
+    "dsGradientsSunset": "linear-gradient(90deg, oklch(62.8% 0.2577 29.23) 0%, oklch(45.2% 0.3132 264.05) 100%)",
+    "dsGradientsRotated": "linear-gradient(150.26deg, oklch(62.8% 0.2577 29.23) 10.16%, oklch(45.2% 0.3132 264.05 / 0.5) 97.06%)",
+    "dsGradientsRadial": "radial-gradient(ellipse 25% 33.33% at 50% 46.67%, oklch(62.8% 0.2577 29.23 / 0.8) 0%, oklch(45.2% 0.3132 264.05 / 0.4) 100%)"
+  },
+  "text": {
+    "dsHeadingXl": {
+      "fontFamily": "\"Inter\"",
+      "fontSize": "32px",
+      "fontWeight": "700",
+      "lineHeight": "40px",
+      "letterSpacing": "-0.64px"
+    },
+    "dsBodyMd": {
+      "fontFamily": "\"Inter\"",
+      "fontSize": "16px",
+      "fontWeight": "400",
+      "lineHeight": 1.5,
+      "letterSpacing": "0px",
+      "textTransform": "uppercase"
+    }
+  },
+  "effects": {
+    "dsElevation1": "0px 1px 2px 0px oklch(0% 0 0 / 0.2)"
+  }
+} as const;
+
+export type ColorStyleToken = keyof typeof styles.colors;
+export type TextStyleToken = keyof typeof styles.text;
+export type EffectStyleToken = keyof typeof styles.effects;
+
+// Collections
+export const tokens = {
+  "palette": {
+    "colors": {
+      "dsBlue500": "oklch(57.31% 0.195 257.88)",
+      "dsBlack50": "oklch(0% 0 0 / 0.5)"
+    },
+    "numbers": {
+      "dsSpacing4": 16,
+      "dsRadiusMd": 8,
+      "dsOpacityDisabled": 40
+    },
+    "strings": {
+      "dsFontFamilyBody": "Inter"
+    }
+  },
+  "theme": {
+    "colors": {
+      "dsColorBgPrimary": "oklch(57.31% 0.195 257.88)",
+      "dsColorFgDefault": "oklch(57.31% 0.195 257.88)"
+    }
+  }
+} as const;
+
+export type Tokens = typeof tokens;
+export type PaletteColorToken = keyof typeof tokens.palette.colors;
+export type PaletteNumberToken = keyof typeof tokens.palette.numbers;
+export type PaletteStringToken = keyof typeof tokens.palette.strings;
+export type ThemeColorToken = keyof typeof tokens.theme.colors;
+
+// Modes
+export const themeModes = {
+  "light": {
+    "colors": {
+      "dsColorBgPrimary": "oklch(57.31% 0.195 257.88)",
+      "dsColorFgDefault": "oklch(57.31% 0.195 257.88)"
+    }
+  },
+  "dark": {
+    "colors": {
+      "dsColorBgPrimary": "oklch(0% 0 0)",
+      "dsColorFgDefault": "oklch(100% 0 0)"
+    }
+  }
+} as const;
+export type ThemeMode = keyof typeof themeModes;
+
+// Token Unions
+export type ColorToken = PaletteColorToken | ThemeColorToken;
+export type NumberToken = PaletteNumberToken;
+export type StringToken = PaletteStringToken;
+export type BooleanToken = never;
+export type SpacingToken = "dsSpacing4";
+export type RadiusToken = "dsRadiusMd";
@@ -0,0 +1,41 @@
+// Figma Design Tokens Export
+
+import androidx.compose.ui.graphics.Color
+import androidx.compose.ui.text.TextStyle
+import androidx.compose.ui.text.font.FontStyle
+import androidx.compose.ui.text.font.FontWeight
+import androidx.compose.ui.unit.dp
+import androidx.compose.ui.unit.sp
+
+object DesignTokens {
+    object Colors {
+        val BrandPrimary = Color(0xFF1A73E8)
+        val BrandOverlay = Color(0x80000000)
+        val Blue500 = Color(0xFF1A73E8)
+        val Black50 = Color(0x80000000)
+        val dsBgPrimary = Color(0xFF1A73E8)
+        val ColorFgDefault = Color(0xFF1A73E8)
+    }
+
+    object Dimens {
+        val Spacing4 = 16.dp
+        val RadiusMd = 8.dp
+        val OpacityDisabled = 0.4f
+    }
+
+    object Typography {
+        // fontFamily: Inter
+        val HeadingXl = TextStyle(
+            fontSize = 32.sp,
+            fontWeight = FontWeight(700),
+            lineHeight = 40.sp,
+            letterSpacing = (-0.64).sp
+        )
+        // fontFamily: Inter
+        val BodyMd = TextStyle(
+            fontSize = 16.sp,
+            fontWeight = FontWeight(400),
+            lineHeight = 24.sp
+        )
+    }
+}
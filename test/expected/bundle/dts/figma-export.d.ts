@@ -0,0 +1,32 @@
+// Figma Design Tokens Export: CSS custom properties
+
+export type CSSVariableName =
+  | "--brand-primary"
+  | "--brand-overlay"
+  | "--gradients-sunset"
+  | "--gradients-rotated"
+  | "--gradients-radial"
+  | "--font-family-heading-xl"
+  | "--font-size-heading-xl"
+  | "--font-weight-heading-xl"
+  | "--line-height-heading-xl"
+  | "--letter-spacing-heading-xl"
+  | "--font-family-body-md"
+  | "--font-size-body-md"
+  | "--font-weight-body-md"
+  | "--line-height-body-md"
+  | "--letter-spacing-body-md"
+  | "--effect-elevation-1"
+  | "--drop-shadow-elevation-1"
+  | "--blue-500"
+  | "--black-50"
+  | "--spacing-4"
+  | "--radius-md"
+  | "--opacity-disabled"
+  | "--font-family-body"
+  | "--ds-bg-primary"
+  | "--color-fg-default";
+
+export type CSSVariableReference<T extends CSSVariableName = CSSVariableName> = `var(${T})`;
+
+export type CSSVariableProperties = { [K in CSSVariableName]?: string | number };
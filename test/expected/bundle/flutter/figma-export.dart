@@ -0,0 +1,24 @@
+// Figma Design Tokens Export
+
+import 'package:flutter/material.dart';
+
+class DesignTokens {
+  DesignTokens._();
+
+  // Colors
+  static const Color brandPrimary = Color(0xFF1A73E8);
+  static const Color brandOverlay = Color(0x80000000);
+  static const Color blue500 = Color(0xFF1A73E8);
+  static const Color black50 = Color(0x80000000);
+  static const Color colorBgPrimary = Color(0xFF1A73E8);
+  static const Color colorFgDefault = Color(0xFF1A73E8);
+
+  // Dimensions
+  static const double spacing4 = 16;
+  static const double radiusMd = 8;
+  static const double opacityDisabled = 0.4;
+
+  // Typography
+  static const TextStyle headingXl = TextStyle(fontFamily: 'Inter', fontSize: 32, fontWeight: FontWeight.w700, height: 1.25, letterSpacing: -0.64);
+  static const TextStyle bodyMd = TextStyle(fontFamily: 'Inter', fontSize: 16, fontWeight: FontWeight.w400, height: 1.5);
+}
@@ -0,0 +1,6 @@
+// Figma Design Tokens Export
+
+export * as styles from './tokens/styles.js';
+export * as paletteDefault from './tokens/palette.default.js';
+export * as themeLight from './tokens/theme.light.js';
+export * as themeDark from './tokens/theme.dark.js';
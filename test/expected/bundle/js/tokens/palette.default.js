@@ -0,0 +1,211 @@
+// Figma Design Tokens Export
+
+// Collections
+export const collections = {
+  "Palette": {
+    "id": "VariableCollectionId:1",
+    "defaultModeId": "2:0",
+    "modes": [
+      {
+        "id": "2:0",
+        "name": "Default"
+      }
+    ],
+    "variables": {
+      "colors": [
+        {
+          "id": "VariableID:3",
+          "name": "blue/500",
+          "token": "blue-500",
+          "type": "color",
+          "value": "#1a73e8",
+          "rgba": {
+            "r": 0.1,
+            "g": 0.45,
+            "b": 0.91,
+            "a": 1
+          },
+          "scopes": [
+            "ALL_SCOPES"
+          ]
+        },
+        {
+          "id": "VariableID:4",
+          "name": "black/50",
+          "token": "black-50",
+          "type": "color",
+          "value": "rgba(0, 0, 0, 0.5)",
+          "rgba": {
+            "r": 0,
+            "g": 0,
+            "b": 0,
+            "a": 0.5
+          },
+          "scopes": [
+            "ALL_SCOPES"
+          ]
+        }
+      ],
+      "numbers": [
+        {
+          "id": "VariableID:5",
+          "name": "spacing/4",
+          "token": "spacing-4",
+          "type": "float",
+          "value": 16,
+          "scopes": [
+            "GAP"
+          ]
+        },
+        {
+          "id": "VariableID:6",
+          "name": "radius/md",
+          "token": "radius-md",
+          "type": "float",
+          "value": 8,
+          "scopes": [
+            "CORNER_RADIUS"
+          ]
+        },
+        {
+          "id": "VariableID:7",
+          "name": "opacity/disabled",
+          "token": "opacity-disabled",
+          "type": "float",
+          "value": 40,
+          "scopes": [
+            "OPACITY"
+          ]
+        }
+      ],
+      "strings": [
+        {
+          "id": "VariableID:8",
+          "name": "font/family/body",
+          "token": "font-family-body",
+          "type": "string",
+          "value": "Inter",
+          "scopes": [
+            "ALL_SCOPES"
+          ]
+        }
+      ],
+      "booleans": []
+    }
+  }
+};
+
+// Flattened Tokens (for easier access)
+export const tokens = {
+  palette: {
+    colors: {
+      blue_500: "#1a73e8",
+      black_50: "rgba(0, 0, 0, 0.5)",
+    },
+    numbers: {
+      spacing_4: 16,
+      radius_md: 8,
+      opacity_disabled: 40,
+    },
+    strings: {
+      font_family_body: "Inter",
+    },
+  },
+};
+
+// Complete Export Data
+export const designTokens = {
+  "collections": {
+    "Palette": {
+      "id": "VariableCollectionId:1",
+      "defaultModeId": "2:0",
+      "modes": [
+        {
+          "id": "2:0",
+          "name": "Default"
+        }
+      ],
+      "variables": {
+        "colors": [
+          {
+            "id": "VariableID:3",
+            "name": "blue/500",
+            "token": "blue-500",
+            "type": "color",
+            "value": "#1a73e8",
+            "rgba": {
+              "r": 0.1,
+              "g": 0.45,
+              "b": 0.91,
+              "a": 1
+            },
+            "scopes": [
+              "ALL_SCOPES"
+            ]
+          },
+          {
+            "id": "VariableID:4",
+            "name": "black/50",
+            "token": "black-50",
+            "type": "color",
+            "value": "rgba(0, 0, 0, 0.5)",
+            "rgba": {
+              "r": 0,
+              "g": 0,
+              "b": 0,
+              "a": 0.5
+            },
+            "scopes": [
+              "ALL_SCOPES"
+            ]
+          }
+        ],
+        "numbers": [
+          {
+            "id": "VariableID:5",
+            "name": "spacing/4",
+            "token": "spacing-4",
+            "type": "float",
+            "value": 16,
+            "scopes": [
+              "GAP"
+            ]
+          },
+          {
+            "id": "VariableID:6",
+            "name": "radius/md",
+            "token": "radius-md",
+            "type": "float",
+            "value": 8,
+            "scopes": [
+              "CORNER_RADIUS"
+            ]
+          },
+          {
+            "id": "VariableID:7",
+            "name": "opacity/disabled",
+            "token": "opacity-disabled",
+            "type": "float",
+            "value": 40,
+            "scopes": [
+              "OPACITY"
+            ]
+          }
+        ],
+        "strings": [
+          {
+            "id": "VariableID:8",
+            "name": "font/family/body",
+            "token": "font-family-body",
+            "type": "string",
+            "value": "Inter",
+            "scopes": [
+              "ALL_SCOPES"
+            ]
+          }
+        ],
+        "booleans": []
+      }
+    }
+  }
+};
@@ -0,0 +1,489 @@
+// Figma Design Tokens Export
+
+// Styles
+export const styles = {
+  "colors": [
+    {
+      "id": "S:sk15,1:100",
+      "name": "Brand/Primary",
+      "token": "brand-primary",
+      "type": "solid",
+      "description": "Main",
+      "value": "#1a73e8",
+      "rgba": {
+        "r": 0.1,
+        "g": 0.45,
+        "b": 0.91,
+        "a": 1
+      }
+    },
+    {
+      "id": "S:sk16,1:101",
+      "name": "Brand/Overlay",
+      "token": "brand-overlay",
+      "type": "solid",
+      "value": "rgba(0, 0, 0, 0.5)",
+      "rgba": {
+        "r": 0,
+        "g": 0,
+        "b": 0,
+        "a": 0.5
+      }
+    },
+    {
+      "id": "S:sk17,1:102",
+      "name": "Gradients/Sunset",
+      "token": "gradients-sunset",
+      "type": "gradient_linear",
+      "value": "linear-gradient(90deg, #ff0000 0%, #0000ff 100%)",
+      "gradient": {
+        "type": "linear",
+        "transform": [
+          [
+            1,
+            0,
+            0
+          ],
+          [
+            0,
+            1,
+            0
+          ]
+        ],
+        "angle": 90,
+        "offset": 0,
+        "scale": 1
+      },
+      "stops": [
+        {
+          "color": "#ff0000",
+          "position": "0%",
+          "rgba": {
+            "r": 1,
+            "g": 0,
+            "b": 0,
+            "a": 1
+          }
+        },
+        {
+          "color": "#0000ff",
+          "position": "100%",
+          "rgba": {
+            "r": 0,
+            "g": 0,
+            "b": 1,
+            "a": 1
+          }
+        }
+      ]
+    },
+    {
+      "id": "S:sk21,1:103",
+      "name": "Gradients/Rotated",
+      "token": "gradients-rotated",
+      "type": "gradient_linear",
+      "value": "linear-gradient(150.26deg, #ff0000 10.16%, rgba(0, 0, 255, 0.5) 97.06%)",
+      "gradient": {
+        "type": "linear",
+        "transform": [
+          [
+            0.3,
+            0.8,
+            -0.1
+          ],
+          [
+            -0.7,
+            0.4,
+            0.6
+          ]
+        ],
+        "angle": 150.26,
+        "offset": 0.1016,
+        "scale": 0.869
+      },
+      "stops": [
+        {
+          "color": "#ff0000",
+          "position": "0%",
+          "rgba": {
+            "r": 1,
+            "g": 0,
+            "b": 0,
+            "a": 1
+          }
+        },
+        {
+          "color": "rgba(0, 0, 255, 0.5)",
+          "position": "100%",
+          "rgba": {
+            "r": 0,
+            "g": 0,
+            "b": 1,
+            "a": 0.5
+          }
+        }
+      ]
+    },
+    {
+      "id": "S:sk22,1:104",
+      "name": "Gradients/Radial",
+      "token": "gradients-radial",
+      "type": "gradient_radial",
+      "value": "radial-gradient(ellipse 25% 33.33% at 50% 46.67%, rgba(255, 0, 0, 0.8) 0%, rgba(0, 0, 255, 0.4) 100%)",
+      "gradient": {
+        "type": "radial",
+        "transform": [
+          [
+            2,
+            0,
+            -0.5
+          ],
+          [
+            0,
+            1.5,
+            -0.2
+          ]
+        ],
+        "center": {
+          "x": 0.5,
+          "y": 0.4667
+        },
+        "radius": {
+          "x": 0.25,
+          "y": 0.3333
+        }
+      },
+      "stops": [
+        {
+          "color": "rgba(255, 0, 0, 0.8)",
+          "position": "0%",
+          "rgba": {
+            "r": 1,
+            "g": 0,
+            "b": 0,
+            "a": 0.8
+          }
+        },
+        {
+          "color": "rgba(0, 0, 255, 0.4)",
+          "position": "100%",
+          "rgba": {
+            "r": 0,
+            "g": 0,
+            "b": 1,
+            "a": 0.4
+          }
+        }
+      ]
+    }
+  ],
+  "textStyles": [
+    {
+      "id": "S:sk18,1:105",
+      "name": "Heading/XL",
+      "token": "heading-xl",
+      "type": "text",
+      "fontFamily": "Inter",
+      "fontWeight": "700",
+      "fontSize": "32px",
+      "lineHeight": "40px",
+      "letterSpacing": "-0.64px",
+      "boundVariables": {
+        "fontSize": {
+          "collection": "Palette",
+          "name": "spacing/4",
+          "token": "spacing-4"
+        }
+      },
+      "css": "font-family: \"Inter\"; font-weight: 700; font-size: 32px; line-height: 40px; letter-spacing: -0.64px"
+    },
+    {
+      "id": "S:sk19,1:106",
+      "name": "Body/MD",
+      "token": "body-md",
+      "type": "text",
+      "fontFamily": "Inter",
+      "fontWeight": "400",
+      "fontSize": "16px",
+      "lineHeight": 1.5,
+      "letterSpacing": "0px",
+      "textTransform": "upper",
+      "css": "font-family: \"Inter\"; font-weight: 400; font-size: 16px; line-height: 150%; letter-spacing: 0px; text-transform: uppercase"
+    }
+  ],
+  "effectStyles": [
+    {
+      "id": "S:sk20,1:107",
+      "name": "Elevation/1",
+      "token": "elevation-1",
+      "type": "effect",
+      "value": "box-shadow: 0px 1px 2px 0px rgba(0, 0, 0, 0.2)",
+      "properties": {
+        "boxShadow": "0px 1px 2px 0px rgba(0, 0, 0, 0.2)",
+        "dropShadow": "drop-shadow(0px 1px 2px rgba(0, 0, 0, 0.2))"
+      },
+      "effects": [
+        {
+          "type": "drop-shadow",
+          "x": 0,
+          "y": 1,
+          "blur": 2,
+          "spread": 0,
+          "color": "rgba(0, 0, 0, 0.2)",
+          "rgba": {
+            "r": 0,
+            "g": 0,
+            "b": 0,
+            "a": 0.2
+          }
+        }
+      ]
+    }
+  ],
+  "gridStyles": []
+};
+
+// Complete Export Data
+export const designTokens = {
+  "styles": {
+    "colors": [
+      {
+        "id": "S:sk15,1:100",
+        "name": "Brand/Primary",
+        "token": "brand-primary",
+        "type": "solid",
+        "description": "Main",
+        "value": "#1a73e8",
+        "rgba": {
+          "r": 0.1,
+          "g": 0.45,
+          "b": 0.91,
+          "a": 1
+        }
+      },
+      {
+        "id": "S:sk16,1:101",
+        "name": "Brand/Overlay",
+        "token": "brand-overlay",
+        "type": "solid",
+        "value": "rgba(0, 0, 0, 0.5)",
+        "rgba": {
+          "r": 0,
+          "g": 0,
+          "b": 0,
+          "a": 0.5
+        }
+      },
+      {
+        "id": "S:sk17,1:102",
+        "name": "Gradients/Sunset",
+        "token": "gradients-sunset",
+        "type": "gradient_linear",
+        "value": "linear-gradient(90deg, #ff0000 0%, #0000ff 100%)",
+        "gradient": {
+          "type": "linear",
+          "transform": [
+            [
+              1,
+              0,
+              0
+            ],
+            [
+              0,
+              1,
+              0
+            ]
+          ],
+          "angle": 90,
+          "offset": 0,
+          "scale": 1
+        },
+        "stops": [
+          {
+            "color": "#ff0000",
+            "position": "0%",
+            "rgba": {
+              "r": 1,
+              "g": 0,
+              "b": 0,
+              "a": 1
+            }
+          },
+          {
+            "color": "#0000ff",
+            "position": "100%",
+            "rgba": {
+              "r": 0,
+              "g": 0,
+              "b": 1,
+              "a": 1
+            }
+          }
+        ]
+      },
+      {
+        "id": "S:sk21,1:103",
+        "name": "Gradients/Rotated",
+        "token": "gradients-rotated",
+        "type": "gradient_linear",
+        "value": "linear-gradient(150.26deg, #ff0000 10.16%, rgba(0, 0, 255, 0.5) 97.06%)",
+        "gradient": {
+          "type": "linear",
+          "transform": [
+            [
+              0.3,
+              0.8,
+              -0.1
+            ],
+            [
+              -0.7,
+              0.4,
+              0.6
+            ]
+          ],
+          "angle": 150.26,
+          "offset": 0.1016,
+          "scale": 0.869
+        },
+        "stops": [
+          {
+            "color": "#ff0000",
+            "position": "0%",
+            "rgba": {
+              "r": 1,
+              "g": 0,
+              "b": 0,
+              "a": 1
+            }
+          },
+          {
+            "color": "rgba(0, 0, 255, 0.5)",
+            "position": "100%",
+            "rgba": {
+              "r": 0,
+              "g": 0,
+              "b": 1,
+              "a": 0.5
+            }
+          }
+        ]
+      },
+      {
+        "id": "S:sk22,1:104",
+        "name": "Gradients/Radial",
+        "token": "gradients-radial",
+        "type": "gradient_radial",
+        "value": "radial-gradient(ellipse 25% 33.33% at 50% 46.67%, rgba(255, 0, 0, 0.8) 0%, rgba(0, 0, 255, 0.4) 100%)",
+        "gradient": {
+          "type": "radial",
+          "transform": [
+            [
+              2,
+              0,
+              -0.5
+            ],
+            [
+              0,
+              1.5,
+              -0.2
+            ]
+          ],
+          "center": {
+            "x": 0.5,
+            "y": 0.4667
+          },
+          "radius": {
+            "x": 0.25,
+            "y": 0.3333
+          }
+        },
+        "stops": [
+          {
+            "color": "rgba(255, 0, 0, 0.8)",
+            "position": "0%",
+            "rgba": {
+              "r": 1,
+              "g": 0,
+              "b": 0,
+              "a": 0.8
+            }
+          },
+          {
+            "color": "rgba(0, 0, 255, 0.4)",
+            "position": "100%",
+            "rgba": {
+              "r": 0,
+              "g": 0,
+              "b": 1,
+              "a": 0.4
+            }
+          }
+        ]
+      }
+    ],
+    "textStyles": [
+      {
+        "id": "S:sk18,1:105",
+        "name": "Heading/XL",
+        "token": "heading-xl",
+        "type": "text",
+        "fontFamily": "Inter",
+        "fontWeight": "700",
+        "fontSize": "32px",
+        "lineHeight": "40px",
+        "letterSpacing": "-0.64px",
+        "boundVariables": {
+          "fontSize": {
+            "collection": "Palette",
+            "name": "spacing/4",
+            "token": "spacing-4"
+          }
+        },
+        "css": "font-family: \"Inter\"; font-weight: 700; font-size: 32px; line-height: 40px; letter-spacing: -0.64px"
+      },
+      {
+        "id": "S:sk19,1:106",
+        "name": "Body/MD",
+        "token": "body-md",
+        "type": "text",
+        "fontFamily": "Inter",
+        "fontWeight": "400",
+        "fontSize": "16px",
+        "lineHeight": 1.5,
+        "letterSpacing": "0px",
+        "textTransform": "upper",
+        "css": "font-family: \"Inter\"; font-weight: 400; font-size: 16px; line-height: 150%; letter-spacing: 0px; text-transform: uppercase"
+      }
+    ],
+    "effectStyles": [
+      {
+        "id": "S:sk20,1:107",
+        "name": "Elevation/1",
+        "token": "elevation-1",
+        "type": "effect",
+        "value": "box-shadow: 0px 1px 2px 0px rgba(0, 0, 0, 0.2)",
+        "properties": {
+          "boxShadow": "0px 1px 2px 0px rgba(0, 0, 0, 0.2)",
+          "dropShadow": "drop-shadow(0px 1px 2px rgba(0, 0, 0, 0.2))"
+        },
+        "effects": [
+          {
+            "type": "drop-shadow",
+            "x": 0,
+            "y": 1,
+            "blur": 2,
+            "spread": 0,
+            "color": "rgba(0, 0, 0, 0.2)",
+            "rgba": {
+              "r": 0,
+              "g": 0,
+              "b": 0,
+              "a": 0.2
+            }
+          }
+        ]
+      }
+    ],
+    "gridStyles": []
+  }
+};
@@ -0,0 +1,129 @@
+// Figma Design Tokens Export
+
+// Collections
+export const collections = {
+  "Theme": {
+    "id": "VariableCollectionId:9",
+    "defaultModeId": "11:0",
+    "modes": [
+      {
+        "id": "11:0",
+        "name": "Dark"
+      }
+    ],
+    "variables": {
+      "colors": [
+        {
+          "id": "VariableID:12",
+          "name": "color/bg/primary",
+          "token": "color-bg-primary",
+          "type": "color",
+          "value": "#000000",
+          "rgba": {
+            "r": 0,
+            "g": 0,
+            "b": 0,
+            "a": 1
+          },
+          "codeSyntax": {
+            "WEB": "var(--ds-bg-primary)",
+            "ANDROID": "dsBgPrimary",
+            "iOS": "dsBgPrimary"
+          },
+          "scopes": [
+            "ALL_SCOPES"
+          ]
+        },
+        {
+          "id": "VariableID:13",
+          "name": "color/fg/default",
+          "token": "color-fg-default",
+          "type": "color",
+          "value": "#ffffff",
+          "rgba": {
+            "r": 1,
+            "g": 1,
+            "b": 1,
+            "a": 1
+          },
+          "scopes": [
+            "ALL_SCOPES"
+          ]
+        }
+      ],
+      "numbers": [],
+      "strings": [],
+      "booleans": []
+    }
+  }
+};
+
+// Flattened Tokens (for easier access)
+export const tokens = {
+  theme: {
+    colors: {
+      color_bg_primary: "#000000",
+      color_fg_default: "#ffffff",
+    },
+  },
+};
+
+// Complete Export Data
+export const designTokens = {
+  "collections": {
+    "Theme": {
+      "id": "VariableCollectionId:9",
+      "defaultModeId": "11:0",
+      "modes": [
+        {
+          "id": "11:0",
+          "name": "Dark"
+        }
+      ],
+      "variables": {
+        "colors": [
+          {
+            "id": "VariableID:12",
+            "name": "color/bg/primary",
+            "token": "color-bg-primary",
+            "type": "color",
+            "value": "#000000",
+            "rgba": {
+              "r": 0,
+              "g": 0,
+              "b": 0,
+              "a": 1
+            },
+            "codeSyntax": {
+              "WEB": "var(--ds-bg-primary)",
+              "ANDROID": "dsBgPrimary",
+              "iOS": "dsBgPrimary"
+            },
+            "scopes": [
+              "ALL_SCOPES"
+            ]
+          },
+          {
+            "id": "VariableID:13",
+            "name": "color/fg/default",
+            "token": "color-fg-default",
+            "type": "color",
+            "value": "#ffffff",
+            "rgba": {
+              "r": 1,
+              "g": 1,
+              "b": 1,
+              "a": 1
+            },
+            "scopes": [
+              "ALL_SCOPES"
+            ]
+          }
+        ],
+        "numbers": [],
+        "strings": [],
+        "booleans": []
+      }
+    }
+  }
+};
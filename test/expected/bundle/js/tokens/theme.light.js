@@ -0,0 +1,159 @@
+// Figma Design Tokens Export
+
+// Collections
+export const collections = {
+  "Theme": {
+    "id": "VariableCollectionId:9",
+    "defaultModeId": "10:0",
+    "modes": [
+      {
+        "id": "10:0",
+        "name": "Light"
+      }
+    ],
+    "variables": {
+      "colors": [
+        {
+          "id": "VariableID:12",
+          "name": "color/bg/primary",
+          "token": "color-bg-primary",
+          "type": "color",
+          "value": "#1a73e8",
+          "rgba": {
+            "r": 0.1,
+            "g": 0.45,
+            "b": 0.91,
+            "a": 1
+          },
+          "alias": {
+            "collection": "Palette",
+            "name": "blue/500",
+            "token": "blue-500"
+          },
+          "codeSyntax": {
+            "WEB": "var(--ds-bg-primary)",
+            "ANDROID": "dsBgPrimary",
+            "iOS": "dsBgPrimary"
+          },
+          "scopes": [
+            "ALL_SCOPES"
+          ]
+        },
+        {
+          "id": "VariableID:13",
+          "name": "color/fg/default",
+          "token": "color-fg-default",
+          "type": "color",
+          "value": "#1a73e8",
+          "rgba": {
+            "r": 0.1,
+            "g": 0.45,
+            "b": 0.91,
+            "a": 1
+          },
+          "alias": {
+            "collection": "Theme",
+            "name": "color/bg/primary",
+            "token": "color-bg-primary",
+            "codeSyntax": {
+              "WEB": "var(--ds-bg-primary)",
+              "ANDROID": "dsBgPrimary",
+              "iOS": "dsBgPrimary"
+            }
+          },
+          "scopes": [
+            "ALL_SCOPES"
+          ]
+        }
+      ],
+      "numbers": [],
+      "strings": [],
+      "booleans": []
+    }
+  }
+};
+
+// Flattened Tokens (for easier access)
+export const tokens = {
+  theme: {
+    colors: {
+      color_bg_primary: "#1a73e8",
+      color_fg_default: "#1a73e8",
+    },
+  },
+};
+
+// Complete Export Data
+export const designTokens = {
+  "collections": {
+    "Theme": {
+      "id": "VariableCollectionId:9",
+      "defaultModeId": "10:0",
+      "modes": [
+        {
+          "id": "10:0",
+          "name": "Light"
+        }
+      ],
+      "variables": {
+        "colors": [
+          {
+            "id": "VariableID:12",
+            "name": "color/bg/primary",
+            "token": "color-bg-primary",
+            "type": "color",
+            "value": "#1a73e8",
+            "rgba": {
+              "r": 0.1,
+              "g": 0.45,
+              "b": 0.91,
+              "a": 1
+            },
+            "alias": {
+              "collection": "Palette",
+              "name": "blue/500",
+              "token": "blue-500"
+            },
+            "codeSyntax": {
+              "WEB": "var(--ds-bg-primary)",
+              "ANDROID": "dsBgPrimary",
+              "iOS": "dsBgPrimary"
+            },
+            "scopes": [
+              "ALL_SCOPES"
+            ]
+          },
+          {
+            "id": "VariableID:13",
+            "name": "color/fg/default",
+            "token": "color-fg-default",
+            "type": "color",
+            "value": "#1a73e8",
+            "rgba": {
+              "r": 0.1,
+              "g": 0.45,
+              "b": 0.91,
+              "a": 1
+            },
+            "alias": {
+              "collection": "Theme",
+              "name": "color/bg/primary",
+              "token": "color-bg-primary",
+              "codeSyntax": {
+                "WEB": "var(--ds-bg-primary)",
+                "ANDROID": "dsBgPrimary",
+                "iOS": "dsBgPrimary"
+              }
+            },
+            "scopes": [
+              "ALL_SCOPES"
+            ]
+          }
+        ],
+        "numbers": [],
+        "strings": [],
+        "booleans": []
+      }
+    }
+  }
+};
@@ -0,0 +1,6 @@
+// Figma Design Tokens Export
+
+export * as styles from './tokens/styles';
+export * as paletteDefault from './tokens/palette.default';
+export * as themeLight from './tokens/theme.light';
+export * as themeDark from './tokens/theme.dark';
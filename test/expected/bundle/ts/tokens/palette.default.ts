@@ -0,0 +1,32 @@
+// Figma Design Tokens Export
+
+// Collections
+export const tokens = {
+  "palette": {
+    "colors": {
+      "blue-500": "#1a73e8",
+      "black-50": "rgba(0, 0, 0, 0.5)"
+    },
+    "numbers": {
+      "spacing-4": 16,
+      "radius-md": 8,
+      "opacity-disabled": 40
+    },
+    "strings": {
+      "font-family-body": "Inter"
+    }
+  }
+} as const;
+
+export type Tokens = typeof tokens;
+export type PaletteColorToken = keyof typeof tokens.palette.colors;
+export type PaletteNumberToken = keyof typeof tokens.palette.numbers;
+export type PaletteStringToken = keyof typeof tokens.palette.strings;
+
+// Token Unions
+export type ColorToken = PaletteColorToken;
+export type NumberToken = PaletteNumberToken;
+export type StringToken = PaletteStringToken;
+export type BooleanToken = never;
+export type SpacingToken = "spacing-4";
+export type RadiusToken = "radius-md";
@@ -0,0 +1,37 @@
+// Figma Design Tokens Export
+
+// Styles
+export const styles = {
+  "colors": {
+    "brand-primary": "#1a73e8",
+    "brand-overlay": "rgba(0, 0, 0, 0.5)",
+    "gradients-sunset": "linear-gradient(90deg, #ff0000 0%, #0000ff 100%)",
+    "gradients-rotated": "linear-gradient(150.26deg, #ff0000 10.16%, rgba(0, 0, 255, 0.5) 97.06%)",
+    "gradients-radial": "radial-gradient(ellipse 25% 33.33% at 50% 46.67%, rgba(255, 0, 0, 0.8) 0%, rgba(0, 0, 255, 0.4) 100%)"
+  },
+  "text": {
+    "heading-xl": {
+      "fontFamily": "\"Inter\"",
+      "fontSize": "32px",
+      "fontWeight": "700",
+      "lineHeight": "40px",
+      "letterSpacing": "-0.64px"
+    },
+    "body-md": {
+      "fontFamily": "\"Inter\"",
+      "fontSize": "16px",
+      "fontWeight": "400",
+      "lineHeight": 1.5,
+      "letterSpacing": "0px",
+      "textTransform": "uppercase"
+    }
+  },
+  "effects": {
+    "elevation-1": "0px 1px 2px 0px rgba(0, 0, 0, 0.2)"
+  }
+} as const;
+
+export type ColorStyleToken = keyof typeof styles.colors;
+export type TextStyleToken = keyof typeof styles.text;
+export type EffectStyleToken = keyof typeof styles.effects;
+
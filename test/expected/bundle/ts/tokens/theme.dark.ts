@@ -0,0 +1,22 @@
+// Figma Design Tokens Export
+
+// Collections
+export const tokens = {
+  "theme": {
+    "colors": {
+      "color-bg-primary": "#000000",
+      "color-fg-default": "#ffffff"
+    }
+  }
+} as const;
+
+export type Tokens = typeof tokens;
+export type ThemeColorToken = keyof typeof tokens.theme.colors;
+
+// Token Unions
+export type ColorToken = ThemeColorToken;
+export type NumberToken = never;
+export type StringToken = never;
+export type BooleanToken = never;
+export type SpacingToken = never;
+export type RadiusToken = never;
@@ -0,0 +1,1053 @@
+// Figma Design Tokens Export
+
+// Styles
+export const styles = {
+  "colors": [
+    {
+      "id": "S:sk15,1:100",
+      "name": "Brand/Primary",
+      "token": "brand-primary",
+      "type": "solid",
+      "description": "Main",
+      "value": "#1a73e8",
+      "rgba": {
+        "r": 0.1,
+        "g": 0.45,
+        "b": 0.91,
+        "a": 1
+      }
+    },
+    {
+      "id": "S:sk16,1:101",
+      "name": "Brand/Overlay",
+      "token": "brand-overlay",
+      "type": "solid",
+      "value": "rgba(0, 0, 0, 0.5)",
+      "rgba": {
+        "r": 0,
+        "g": 0,
+        "b": 0,
+        "a": 0.5
+      }
+    },
+    {
+      "id": "S:sk17,1:102",
+      "name": "Gradients/Sunset",
+      "token": "gradients-sunset",
+      "type": "gradient_linear",
+      "value": "linear-gradient(90deg, #ff0000 0%, #0000ff 100%)",
+      "gradient": {
+        "type": "linear",
+        "transform": [
+          [
+            1,
+            0,
+            0
+          ],
+          [
+            0,
+            1,
+            0
+          ]
+        ],
+        "angle": 90,
+        "offset": 0,
+        "scale": 1
+      },
+      "stops": [
+        {
+          "color": "#ff0000",
+          "position": "0%",
+          "rgba": {
+            "r": 1,
+            "g": 0,
+            "b": 0,
+            "a": 1
+          }
+        },
+        {
+          "color": "#0000ff",
+          "position": "100%",
+          "rgba": {
+            "r": 0,
+            "g": 0,
+            "b": 1,
+            "a": 1
+          }
+        }
+      ]
+    },
+    {
+      "id": "S:sk21,1:103",
+      "name": "Gradients/Rotated",
+      "token": "gradients-rotated",
+      "type": "gradient_linear",
+      "value": "linear-gradient(150.26deg, #ff0000 10.16%, rgba(0, 0, 255, 0.5) 97.06%)",
+      "gradient": {
+        "type": "linear",
+        "transform": [
+          [
+            0.3,
+            0.8,
+            -0.1
+          ],
+          [
+            -0.7,
+            0.4,
+            0.6
+          ]
+        ],
+        "angle": 150.26,
+        "offset": 0.1016,
+        "scale": 0.869
+      },
+      "stops": [
+        {
+          "color": "#ff0000",
+          "position": "0%",
+          "rgba": {
+            "r": 1,
+            "g": 0,
+            "b": 0,
+            "a": 1
+          }
+        },
+        {
+          "color": "rgba(0, 0, 255, 0.5)",
+          "position": "100%",
+          "rgba": {
+            "r": 0,
+            "g": 0,
+            "b": 1,
+            "a": 0.5
+          }
+        }
+      ]
+    },
+    {
+      "id": "S:sk22,1:104",
+      "name": "Gradients/Radial",
+      "token": "gradients-radial",
+      "type": "gradient_radial",
+      "value": "radial-gradient(ellipse 25% 33.33% at 50% 46.67%, rgba(255, 0, 0, 0.8) 0%, rgba(0, 0, 255, 0.4) 100%)",
+      "gradient": {
+        "type": "radial",
+        "transform": [
+          [
+            2,
+            0,
+            -0.5
+          ],
+          [
+            0,
+            1.5,
+            -0.2
+          ]
+        ],
+        "center": {
+          "x": 0.5,
+          "y": 0.4667
+        },
+        "radius": {
+          "x": 0.25,
+          "y": 0.3333
+        }
+      },
+      "stops": [
+        {
+          "color": "rgba(255, 0, 0, 0.8)",
+          "position": "0%",
+          "rgba": {
+            "r": 1,
+            "g": 0,
+            "b": 0,
+            "a": 0.8
+          }
+        },
+        {
+          "color": "rgba(0, 0, 255, 0.4)",
+          "position": "100%",
+          "rgba": {
+            "r": 0,
+            "g": 0,
+            "b": 1,
+            "a": 0.4
+          }
+        }
+      ]
+    }
+  ],
+  "textStyles": [
+    {
+      "id": "S:sk18,1:105",
+      "name": "Heading/XL",
+      "token": "heading-xl",
+      "type": "text",
+      "fontFamily": "Inter",
+      "fontWeight": "700",
+      "fontSize": "32px",
+      "lineHeight": "40px",
+      "letterSpacing": "-0.64px",
+      "boundVariables": {
+        "fontSize": {
+          "collection": "Palette",
+          "name": "spacing/4",
+          "token": "spacing-4"
+        }
+      },
+      "css": "font-family: \"Inter\"; font-weight: 700; font-size: 32px; line-height: 40px; letter-spacing: -0.64px"
+    },
+    {
+      "id": "S:sk19,1:106",
+      "name": "Body/MD",
+      "token": "body-md",
+      "type": "text",
+      "fontFamily": "Inter",
+      "fontWeight": "400",
+      "fontSize": "16px",
+      "lineHeight": 1.5,
+      "letterSpacing": "0px",
+      "textTransform": "upper",
+      "css": "font-family: \"Inter\"; font-weight: 400; font-size: 16px; line-height: 150%; letter-spacing: 0px; text-transform: uppercase"
+    }
+  ],
+  "effectStyles": [
+    {
+      "id": "S:sk20,1:107",
+      "name": "Elevation/1",
+      "token": "elevation-1",
+      "type": "effect",
+      "value": "box-shadow: 0px 1px 2px 0px rgba(0, 0, 0, 0.2)",
+      "properties": {
+        "boxShadow": "0px 1px 2px 0px rgba(0, 0, 0, 0.2)",
+        "dropShadow": "drop-shadow(0px 1px 2px rgba(0, 0, 0, 0.2))"
+      },
+      "effects": [
+        {
+          "type": "drop-shadow",
+          "x": 0,
+          "y": 1,
+          "blur": 2,
+          "spread": 0,
+          "color": "rgba(0, 0, 0, 0.2)",
+          "rgba": {
+            "r": 0,
+            "g": 0,
+            "b": 0,
+            "a": 0.2
+          }
+        }
+      ]
+    }
+  ],
+  "gridStyles": []
+};
+
+// Collections
+export const collections = {
+  "Palette": {
+    "id": "VariableCollectionId:1",
+    "defaultModeId": "2:0",
+    "modes": [
+      {
+        "id": "2:0",
+        "name": "Default"
+      }
+    ],
+    "variables": {
+      "colors": [
+        {
+          "id": "VariableID:3",
+          "name": "blue/500",
+          "token": "blue-500",
+          "type": "color",
+          "value": "#1a73e8",
+          "values": {
+            "Default": "#1a73e8"
+          },
+          "rgba": {
+            "r": 0.1,
+            "g": 0.45,
+            "b": 0.91,
+            "a": 1
+          },
+          "rgbaValues": {
+            "Default": {
+              "r": 0.1,
+              "g": 0.45,
+              "b": 0.91,
+              "a": 1
+            }
+          },
+          "scopes": [
+            "ALL_SCOPES"
+          ]
+        },
+        {
+          "id": "VariableID:4",
+          "name": "black/50",
+          "token": "black-50",
+          "type": "color",
+          "value": "rgba(0, 0, 0, 0.5)",
+          "values": {
+            "Default": "rgba(0, 0, 0, 0.5)"
+          },
+          "rgba": {
+            "r": 0,
+            "g": 0,
+            "b": 0,
+            "a": 0.5
+          },
+          "rgbaValues": {
+            "Default": {
+              "r": 0,
+              "g": 0,
+              "b": 0,
+              "a": 0.5
+            }
+          },
+          "scopes": [
+            "ALL_SCOPES"
+          ]
+        }
+      ],
+      "numbers": [
+        {
+          "id": "VariableID:5",
+          "name": "spacing/4",
+          "token": "spacing-4",
+          "type": "float",
+          "value": 16,
+          "values": {
+            "Default": 16
+          },
+          "scopes": [
+            "GAP"
+          ]
+        },
+        {
+          "id": "VariableID:6",
+          "name": "radius/md",
+          "token": "radius-md",
+          "type": "float",
+          "value": 8,
+          "values": {
+            "Default": 8
+          },
+          "scopes": [
+            "CORNER_RADIUS"
+          ]
+        },
+        {
+          "id": "VariableID:7",
+          "name": "opacity/disabled",
+          "token": "opacity-disabled",
+          "type": "float",
+          "value": 40,
+          "values": {
+            "Default": 40
+          },
+          "scopes": [
+            "OPACITY"
+          ]
+        }
+      ],
+      "strings": [
+        {
+          "id": "VariableID:8",
+          "name": "font/family/body",
+          "token": "font-family-body",
+          "type": "string",
+          "value": "Inter",
+          "values": {
+            "Default": "Inter"
+          },
+          "scopes": [
+            "ALL_SCOPES"
+          ]
+        }
+      ],
+      "booleans": []
+    }
+  },
+  "Theme": {
+    "id": "VariableCollectionId:9",
+    "defaultModeId": "10:0",
+    "modes": [
+      {
+        "id": "10:0",
+        "name": "Light"
+      },
+      {
+        "id": "11:0",
+        "name": "Dark"
+      }
+    ],
+    "variables": {
+      "colors": [
+        {
+          "id": "VariableID:12",
+          "name": "color/bg/primary",
+          "token": "color-bg-primary",
+          "type": "color",
+          "value": "#1a73e8",
+          "values": {
+            "Light": "#1a73e8",
+            "Dark": "#000000"
+          },
+          "rgba": {
+            "r": 0.1,
+            "g": 0.45,
+            "b": 0.91,
+            "a": 1
+          },
+          "rgbaValues": {
+            "Light": {
+              "r": 0.1,
+              "g": 0.45,
+              "b": 0.91,
+              "a": 1
+            },
+            "Dark": {
+              "r": 0,
+              "g": 0,
+              "b": 0,
+              "a": 1
+            }
+          },
+          "alias": {
+            "collection": "Palette",
+            "name": "blue/500",
+            "token": "blue-500"
+          },
+          "aliases": {
+            "Light": {
+              "collection": "Palette",
+              "name": "blue/500",
+              "token": "blue-500"
+            }
+          },
+          "codeSyntax": {
+            "WEB": "var(--ds-bg-primary)",
+            "ANDROID": "dsBgPrimary",
+            "iOS": "dsBgPrimary"
+          },
+          "scopes": [
+            "ALL_SCOPES"
+          ]
+        },
+        {
+          "id": "VariableID:13",
+          "name": "color/fg/default",
+          "token": "color-fg-default",
+          "type": "color",
+          "value": "#1a73e8",
+          "values": {
+            "Light": "#1a73e8",
+            "Dark": "#ffffff"
+          },
+          "rgba": {
+            "r": 0.1,
+            "g": 0.45,
+            "b": 0.91,
+            "a": 1
+          },
+          "rgbaValues": {
+            "Light": {
+              "r": 0.1,
+              "g": 0.45,
+              "b": 0.91,
+              "a": 1
+            },
+            "Dark": {
+              "r": 1,
+              "g": 1,
+              "b": 1,
+              "a": 1
+            }
+          },
+          "alias": {
+            "collection": "Theme",
+            "name": "color/bg/primary",
+            "token": "color-bg-primary",
+            "codeSyntax": {
+              "WEB": "var(--ds-bg-primary)",
+              "ANDROID": "dsBgPrimary",
+              "iOS": "dsBgPrimary"
+            }
+          },
+          "aliases": {
+            "Light": {
+              "collection": "Theme",
+              "name": "color/bg/primary",
+              "token": "color-bg-primary",
+              "codeSyntax": {
+                "WEB": "var(--ds-bg-primary)",
+                "ANDROID": "dsBgPrimary",
+                "iOS": "dsBgPrimary"
+              }
+            }
+          },
+          "scopes": [
+            "ALL_SCOPES"
+          ]
+        }
+      ],
+      "numbers": [],
+      "strings": [],
+      "booleans": []
+    }
+  }
+};
+
+// Flattened Tokens (for easier access)
+export const tokens = {
+  palette: {
+    colors: {
+      blue_500: "#1a73e8",
+      black_50: "rgba(0, 0, 0, 0.5)",
+    },
+    numbers: {
+      spacing_4: 16,
+      radius_md: 8,
+      opacity_disabled: 40,
+    },
+    strings: {
+      font_family_body: "Inter",
+    },
+  },
+  theme: {
+    colors: {
+      color_bg_primary: "#1a73e8",
+      color_fg_default: "#1a73e8",
+    },
+  },
+};
+
+// Tokens per Mode
+export const modes = {
+  theme: {
+    light: {
+      colors: {
+        color_bg_primary: "#1a73e8",
+        color_fg_default: "#1a73e8",
+      },
+    },
+    dark: {
+      colors: {
+        color_bg_primary: "#000000",
+        color_fg_default: "#ffffff",
+      },
+    },
+  },
+};
+
+// Complete Export Data
+export const designTokens = {
+  "styles": {
+    "colors": [
+      {
+        "id": "S:sk15,1:100",
+        "name": "Brand/Primary",
+        "token": "brand-primary",
+        "type": "solid",
+        "description": "Main",
+        "value": "#1a73e8",
+        "rgba": {
+          "r": 0.1,
+          "g": 0.45,
+          "b": 0.91,
+          "a": 1
+        }
+      },
+      {
+        "id": "S:sk16,1:101",
+        "name": "Brand/Overlay",
+        "token": "brand-overlay",
+        "type": "solid",
+        "value": "rgba(0, 0, 0, 0.5)",
+        "rgba": {
+          "r": 0,
+          "g": 0,
+          "b": 0,
+          "a": 0.5
+        }
+      },
+      {
+        "id": "S:sk17,1:102",
+        "name": "Gradients/Sunset",
+        "token": "gradients-sunset",
+        "type": "gradient_linear",
+        "value": "linear-gradient(90deg, #ff0000 0%, #0000ff 100%)",
+        "gradient": {
+          "type": "linear",
+          "transform": [
+            [
+              1,
+              0,
+              0
+            ],
+            [
+              0,
+              1,
+              0
+            ]
+          ],
+          "angle": 90,
+          "offset": 0,
+          "scale": 1
+        },
+        "stops": [
+          {
+            "color": "#ff0000",
+            "position": "0%",
+            "rgba": {
+              "r": 1,
+              "g": 0,
+              "b": 0,
+              "a": 1
+            }
+          },
+          {
+            "color": "#0000ff",
+            "position": "100%",
+            "rgba": {
+              "r": 0,
+              "g": 0,
+              "b": 1,
+              "a": 1
+            }
+          }
+        ]
+      },
+      {
+        "id": "S:sk21,1:103",
+        "name": "Gradients/Rotated",
+        "token": "gradients-rotated",
+        "type": "gradient_linear",
+        "value": "linear-gradient(150.26deg, #ff0000 10.16%, rgba(0, 0, 255, 0.5) 97.06%)",
+        "gradient": {
+          "type": "linear",
+          "transform": [
+            [
+              0.3,
+              0.8,
+              -0.1
+            ],
+            [
+              -0.7,
+              0.4,
+              0.6
+            ]
+          ],
+          "angle": 150.26,
+          "offset": 0.1016,
+          "scale": 0.869
+        },
+        "stops": [
+          {
+            "color": "#ff0000",
+            "position": "0%",
+            "rgba": {
+              "r": 1,
+              "g": 0,
+              "b": 0,
+              "a": 1
+            }
+          },
+          {
+            "color": "rgba(0, 0, 255, 0.5)",
+            "position": "100%",
+            "rgba": {
+              "r": 0,
+              "g": 0,
+              "b": 1,
+              "a": 0.5
+            }
+          }
+        ]
+      },
+      {
+        "id": "S:sk22,1:104",
+        "name": "Gradients/Radial",
+        "token": "gradients-radial",
+        "type": "gradient_radial",
+        "value": "radial-gradient(ellipse 25% 33.33% at 50% 46.67%, rgba(255, 0, 0, 0.8) 0%, rgba(0, 0, 255, 0.4) 100%)",
+        "gradient": {
+          "type": "radial",
+          "transform": [
+            [
+              2,
+              0,
+              -0.5
+            ],
+            [
+              0,
+              1.5,
+              -0.2
+            ]
+          ],
+          "center": {
+            "x": 0.5,
+            "y": 0.4667
+          },
+          "radius": {
+            "x": 0.25,
+            "y": 0.3333
+          }
+        },
+        "stops": [
+          {
+            "color": "rgba(255, 0, 0, 0.8)",
+            "position": "0%",
+            "rgba": {
+              "r": 1,
+              "g": 0,
+              "b": 0,
+              "a": 0.8
+            }
+          },
+          {
+            "color": "rgba(0, 0, 255, 0.4)",
+            "position": "100%",
+            "rgba": {
+              "r": 0,
+              "g": 0,
+              "b": 1,
+              "a": 0.4
+            }
+          }
+        ]
+      }
+    ],
+    "textStyles": [
+      {
+        "id": "S:sk18,1:105",
+        "name": "Heading/XL",
+        "token": "heading-xl",
+        "type": "text",
+        "fontFamily": "Inter",
+        "fontWeight": "700",
+        "fontSize": "32px",
+        "lineHeight": "40px",
+        "letterSpacing": "-0.64px",
+        "boundVariables": {
+          "fontSize": {
+            "collection": "Palette",
+            "name": "spacing/4",
+            "token": "spacing-4"
+          }
+        },
+        "css": "font-family: \"Inter\"; font-weight: 700; font-size: 32px; line-height: 40px; letter-spacing: -0.64px"
+      },
+      {
+        "id": "S:sk19,1:106",
+        "name": "Body/MD",
+        "token": "body-md",
+        "type": "text",
+        "fontFamily": "Inter",
+        "fontWeight": "400",
+        "fontSize": "16px",
+        "lineHeight": 1.5,
+        "letterSpacing": "0px",
+        "textTransform": "upper",
+        "css": "font-family: \"Inter\"; font-weight: 400; font-size: 16px; line-height: 150%; letter-spacing: 0px; text-transform: uppercase"
+      }
+    ],
+    "effectStyles": [
+      {
+        "id": "S:sk20,1:107",
+        "name": "Elevation/1",
+        "token": "elevation-1",
+        "type": "effect",
+        "value": "box-shadow: 0px 1px 2px 0px rgba(0, 0, 0, 0.2)",
+        "properties": {
+          "boxShadow": "0px 1px 2px 0px rgba(0, 0, 0, 0.2)",
+          "dropShadow": "drop-shadow(0px 1px 2px rgba(0, 0, 0, 0.2))"
+        },
+        "effects": [
+          {
+            "type": "drop-shadow",
+            "x": 0,
+            "y": 1,
+            "blur": 2,
+            "spread": 0,
+            "color": "rgba(0, 0, 0, 0.2)",
+            "rgba": {
+              "r": 0,
+              "g": 0,
+              "b": 0,
+              "a": 0.2
+            }
+          }
+        ]
+      }
+    ],
+    "gridStyles": []
+  },
+  "collections": {
+    "Palette": {
+      "id": "VariableCollectionId:1",
+      "defaultModeId": "2:0",
+      "modes": [
+        {
+          "id": "2:0",
+          "name": "Default"
+        }
+      ],
+      "variables": {
+        "colors": [
+          {
+            "id": "VariableID:3",
+            "name": "blue/500",
+            "token": "blue-500",
+            "type": "color",
+            "value": "#1a73e8",
+            "values": {
+              "Default": "#1a73e8"
+            },
+            "rgba": {
+              "r": 0.1,
+              "g": 0.45,
+              "b": 0.91,
+              "a": 1
+            },
+            "rgbaValues": {
+              "Default": {
+                "r": 0.1,
+                "g": 0.45,
+                "b": 0.91,
+                "a": 1
+              }
+            },
+            "scopes": [
+              "ALL_SCOPES"
+            ]
+          },
+          {
+            "id": "VariableID:4",
+            "name": "black/50",
+            "token": "black-50",
+            "type": "color",
+            "value": "rgba(0, 0, 0, 0.5)",
+            "values": {
+              "Default": "rgba(0, 0, 0, 0.5)"
+            },
+            "rgba": {
+              "r": 0,
+              "g": 0,
+              "b": 0,
+              "a": 0.5
+            },
+            "rgbaValues": {
+              "Default": {
+                "r": 0,
+                "g": 0,
+                "b": 0,
+                "a": 0.5
+              }
+            },
+            "scopes": [
+              "ALL_SCOPES"
+            ]
+          }
+        ],
+        "numbers": [
+          {
+            "id": "VariableID:5",
+            "name": "spacing/4",
+            "token": "spacing-4",
+            "type": "float",
+            "value": 16,
+            "values": {
+              "Default": 16
+            },
+            "scopes": [
+              "GAP"
+            ]
+          },
+          {
+            "id": "VariableID:6",
+            "name": "radius/md",
+            "token": "radius-md",
+            "type": "float",
+            "value": 8,
+            "values": {
+              "Default": 8
+            },
+            "scopes": [
+              "CORNER_RADIUS"
+            ]
+          },
+          {
+            "id": "VariableID:7",
+            "name": "opacity/disabled",
+            "token": "opacity-disabled",
+            "type": "float",
+            "value": 40,
+            "values": {
+              "Default": 40
+            },
+            "scopes": [
+              "OPACITY"
+            ]
+          }
+        ],
+        "strings": [
+          {
+            "id": "VariableID:8",
+            "name": "font/family/body",
+            "token": "font-family-body",
+            "type": "string",
+            "value": "Inter",
+            "values": {
+              "Default": "Inter"
+            },
+            "scopes": [
+              "ALL_SCOPES"
+            ]
+          }
+        ],
+        "booleans": []
+      }
+    },
+    "Theme": {
+      "id": "VariableCollectionId:9",
+      "defaultModeId": "10:0",
+      "modes": [
+        {
+          "id": "10:0",
+          "name": "Light"
+        },
+        {
+          "id": "11:0",
+          "name": "Dark"
+        }
+      ],
+      "variables": {
+        "colors": [
+          {
+            "id": "VariableID:12",
+            "name": "color/bg/primary",
+            "token": "color-bg-primary",
+            "type": "color",
+            "value": "#1a73e8",
+            "values": {
+              "Light": "#1a73e8",
+              "Dark": "#000000"
+            },
+            "rgba": {
+              "r": 0.1,
+              "g": 0.45,
+              "b": 0.91,
+              "a": 1
+            },
+            "rgbaValues": {
+              "Light": {
+                "r": 0.1,
+                "g": 0.45,
+                "b": 0.91,
+                "a": 1
+              },
+              "Dark": {
+                "r": 0,
+                "g": 0,
+                "b": 0,
+                "a": 1
+              }
+            },
+            "alias": {
+              "collection": "Palette",
+              "name": "blue/500",
+              "token": "blue-500"
+            },
+            "aliases": {
+              "Light": {
+                "collection": "Palette",
+                "name": "blue/500",
+                "token": "blue-500"
+              }
+            },
+            "codeSyntax": {
+              "WEB": "var(--ds-bg-primary)",
+              "ANDROID": "dsBgPrimary",
+              "iOS": "dsBgPrimary"
+            },
+            "scopes": [
+              "ALL_SCOPES"
+            ]
+          },
+          {
+            "id": "VariableID:13",
+            "name": "color/fg/default",
+            "token": "color-fg-default",
+            "type": "color",
+            "value": "#1a73e8",
+            "values": {
+              "Light": "#1a73e8",
+              "Dark": "#ffffff"
+            },
+            "rgba": {
+              "r": 0.1,
+              "g": 0.45,
+              "b": 0.91,
+              "a": 1
+            },
+            "rgbaValues": {
+              "Light": {
+                "r": 0.1,
+                "g": 0.45,
+                "b": 0.91,
+                "a": 1
+              },
+              "Dark": {
+                "r": 1,
+                "g": 1,
+                "b": 1,
+                "a": 1
+              }
+            },
+            "alias": {
+              "collection": "Theme",
+              "name": "color/bg/primary",
+              "token": "color-bg-primary",
+              "codeSyntax": {
+                "WEB": "var(--ds-bg-primary)",
+                "ANDROID": "dsBgPrimary",
+                "iOS": "dsBgPrimary"
+              }
+            },
+            "aliases": {
+              "Light": {
+                "collection": "Theme",
+                "name": "color/bg/primary",
+                "token": "color-bg-primary",
+                "codeSyntax": {
+                  "WEB": "var(--ds-bg-primary)",
+                  "ANDROID": "dsBgPrimary",
+                  "iOS": "dsBgPrimary"
+                }
+              }
+            },
+            "scopes": [
+              "ALL_SCOPES"
+            ]
+          }
+        ],
+        "numbers": [],
+        "strings": [],
+        "booleans": []
+      }
+    }
+  },
+  "metadata": {
+    "exportDate": "2024-01-01T00:00:00.000Z",
+    "figmaFileKey": "FILEKEY",
+    "fileName": "Design Tokens",
+    "colorProfile": "LEGACY",
+    "colorFormat": "hex",
+    "pluginVersion": "1.0.0",
+    "collectionsFound": 2,
+    "collectionsExported": 2
+  }
+};
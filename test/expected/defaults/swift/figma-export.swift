@@ -0,0 +1,55 @@
+// Figma Design Tokens Export
+
+import SwiftUI
+import UIKit
+
+// MARK: - Colors
+
+public extension UIColor {
+    static let brandPrimary = UIColor(red: 0.100, green: 0.450, blue: 0.910, alpha: 1.000)
+    static let brandOverlay = UIColor(red: 0.000, green: 0.000, blue: 0.000, alpha: 0.500)
+    static let blue500 = UIColor(red: 0.100, green: 0.450, blue: 0.910, alpha: 1.000)
+    static let black50 = UIColor(red: 0.000, green: 0.000, blue: 0.000, alpha: 0.500)
+    static let dsBgPrimary = UIColor(red: 0.100, green: 0.450, blue: 0.910, alpha: 1.000)
+    static let colorFgDefault = UIColor(red: 0.100, green: 0.450, blue: 0.910, alpha: 1.000)
+}
+
+public extension Color {
+    static let brandPrimary = Color(uiColor: .brandPrimary)
+    static let brandOverlay = Color(uiColor: .brandOverlay)
+    static let blue500 = Color(uiColor: .blue500)
+    static let black50 = Color(uiColor: .black50)
+    static let dsBgPrimary = Color(uiColor: .dsBgPrimary)
+    static let colorFgDefault = Color(uiColor: .colorFgDefault)
+}
+
+// MARK: - Dimensions
+
+public enum Dimension {
+    public static let spacing4: CGFloat = 16
+    public static let radiusMd: CGFloat = 8
+}
+
+// MARK: - Numbers
+
+public enum Number {
+    public static let opacityDisabled: Double = 0.4
+}
+
+// MARK: - Typography
+
+public struct TextStyleToken {
+    public let fontFamily: String
+    public let size: CGFloat
+    public let weight: Font.Weight
+    public let italic: Bool
+    /// Line height in points, nil for automatic
+    public let lineHeight: CGFloat?
+    /// Tracking in points
+    public let letterSpacing: CGFloat
+}
+
+public enum Typography {
+    public static let headingXl = TextStyleToken(fontFamily: "Inter", size: 32, weight: .bold, italic: false, lineHeight: 40, letterSpacing: -0.64)
+    public static let bodyMd = TextStyleToken(fontFamily: "Inter", size: 16, weight: .regular, italic: false, lineHeight: 24, letterSpacing: 0)
+}
@@ -0,0 +1,60 @@
+// Figma Design Tokens Export
+
+/** @type {import('tailwindcss').Config} */
+module.exports = {
+  theme: {
+    extend: {
+      "colors": {
+        "brand": {
+          "primary": "#1a73e8",
+          "overlay": "rgba(0, 0, 0, 0.5)"
+        },
+        "blue": {
+          "500": "#1a73e8"
+        },
+        "black": {
+          "50": "rgba(0, 0, 0, 0.5)"
+        },
+        "bg": {
+          "primary": "#1a73e8"
+        },
+        "fg": {
+          "default": "#1a73e8"
+        }
+      },
+      "spacing": {
+        "4": "16px"
+      },
+      "borderRadius": {
+        "md": "8px"
+      },
+      "fontSize": {
+        "heading-xl": [
+          "32px",
+          {
+            "lineHeight": "40px",
+            "letterSpacing": "-0.64px",
+            "fontWeight": "700"
+          }
+        ],
+        "body-md": [
+          "16px",
+          {
+            "lineHeight": "1.5",
+            "letterSpacing": "0px",
+            "fontWeight": "400"
+          }
+        ]
+      },
+      "opacity": {
+        "disabled": "0.4"
+      },
+      "boxShadow": {
+        "1": "0px 1px 2px 0px rgba(0, 0, 0, 0.2)"
+      },
+      "dropShadow": {
+        "1": "0px 1px 2px rgba(0, 0, 0, 0.2)"
+      }
+    }
+  }
+};
@@ -0,0 +1,91 @@
+// Figma Design Tokens Export
+
+// Styles
+export const styles = {
+  "colors": {
+    "brand-primary": "#1a73e8",
+    "brand-overlay": "rgba(0, 0, 0, 0.5)",
+    "gradients-sunset": "linear-gradient(90deg, #ff0000 0%, #0000ff 100%)",
+    "gradients-rotated": "linear-gradient(150.26deg, #ff0000 10.16%, rgba(0, 0, 255, 0.5) 97.06%)",
+    "gradients-radial": "radial-gradient(ellipse 25% 33.33% at 50% 46.67%, rgba(255, 0, 0, 0.8) 0%, rgba(0, 0, 255, 0.4) 100%)"
+  },
+  "text": {
+    "heading-xl": {
+      "fontFamily": "\"Inter\"",
+      "fontSize": "32px",
+      "fontWeight": "700",
+      "lineHeight": "40px",
+      "letterSpacing": "-0.64px"
+    },
+    "body-md": {
+      "fontFamily": "\"Inter\"",
+      "fontSize": "16px",
+      "fontWeight": "400",
+      "lineHeight": 1.5,
+      "letterSpacing": "0px",
+      "textTransform": "uppercase"
+    }
+  },
+  "effects": {
+    "elevation-1": "0px 1px 2px 0px rgba(0, 0, 0, 0.2)"
+  }
+} as const;
+
+export type ColorStyleToken = keyof typeof styles.colors;
+export type TextStyleToken = keyof typeof styles.text;
+export type EffectStyleToken = keyof typeof styles.effects;
+
+// Collections
+export const tokens = {
+  "palette": {
+    "colors": {
+      "blue-500": "#1a73e8",
+      "black-50": "rgba(0, 0, 0, 0.5)"
+    },
+    "numbers": {
+      "spacing-4": 16,
+      "radius-md": 8,
+      "opacity-disabled": 40
+    },
+    "strings": {
+      "font-family-body": "Inter"
+    }
+  },
+  "theme": {
+    "colors": {
+      "color-bg-primary": "#1a73e8",
+      "color-fg-default": "#1a73e8"
+    }
+  }
+} as const;
+
+export type Tokens = typeof tokens;
+export type PaletteColorToken = keyof typeof tokens.palette.colors;
+export type PaletteNumberToken = keyof typeof tokens.palette.numbers;
+export type PaletteStringToken = keyof typeof tokens.palette.strings;
+export type ThemeColorToken = keyof typeof tokens.theme.colors;
+
+// Modes
+export const themeModes = {
+  "light": {
+    "colors": {
+      "color-bg-primary": "#1a73e8",
+      "color-fg-default": "#1a73e8"
+    }
+  },
+  "dark": {
+    "colors": {
+      "color-bg-primary": "#000000",
+      "color-fg-default": "#ffffff"
+    }
+  }
+} as const;
+export type ThemeMode = keyof typeof themeModes;
+
+// Token Unions
+export type ColorToken = PaletteColorToken | ThemeColorToken;
+export type NumberToken = PaletteNumberToken;
+export type StringToken = PaletteStringToken;
+export type BooleanToken = never;
+export type SpacingToken = "spacing-4";
+export type RadiusToken = "radius-md";